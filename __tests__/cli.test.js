@@ -0,0 +1,191 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { Readable, Writable } = require("node:stream");
+const { main } = require("../cli");
+
+// CAT048 block with two records (SAC 1 / SIC 2 and 3), then a CAT034 block
+const rec0 = [0xC9, 0x80, 0x01, 0x02, 0x00, 0x05, 0x00, 0x0E, 0x00, 0x4C, 0xA1, 0x23]; // 10 s, 7000, 4CA123
+const rec1 = [0xC8, 0x01, 0x03, 0x00, 0x0A, 0x00, 0x02, 0x00];                         // 20 s, 1000
+const input = Buffer.from([
+    0x30, 0x00, 0x17, ...rec0, ...rec1,
+    0x22, 0x00, 0x0A, 0xE0, 0x01, 0x02, 0x01, 0x00, 0x0F, 0x00,                          // north marker, 30 s
+]);
+
+// PCAP (raw IPv4 link type) with one UDP datagram per payload
+const le32 = (v) => [v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, (v >>> 24) & 0xFF];
+const capture = (payloads) => Buffer.from([
+    0xD4, 0xC3, 0xB2, 0xA1, 0x02, 0x00, 0x04, 0x00, ...le32(0), ...le32(0), ...le32(0xFFFF), ...le32(101),
+    ...payloads.flatMap((payload, i) => {
+        const udp = [0x0F, 0xA0, 0x21, 0x98, 0x00, 8 + payload.length, 0x00, 0x00, ...payload];
+        const ip = [0x45, 0x00, 0x00, 20 + udp.length, 0x00, 0x00, 0x00, 0x00, 64, 17, 0x00, 0x00, 10, 0, 0, 1, 239, 1, 2, 3, ...udp];
+        return [...le32(1700000000 + i), ...le32(0), ...le32(ip.length), ...le32(ip.length), ...ip];
+    }),
+]);
+
+// HDLC recording: 7E-delimited frames of address, control, data and FCS (CRC-16/X.25), 7E/7D stuffed
+const x25 = (bytes) => {
+    let crc = 0xFFFF;
+    for (const b of bytes) {
+        crc ^= b;
+        for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+    return ~crc & 0xFFFF;
+};
+const hdlc = (frames) => Buffer.from([0x7E, ...frames.flatMap((data) => {
+    const body = [0x03, 0x00, ...data];
+    const fcs = x25(body);
+    return [...[...body, fcs & 0xFF, fcs >> 8].flatMap((b) => (b === 0x7E || b === 0x7D ? [0x7D, b ^ 0x20] : [b])), 0x7E];
+})]);
+
+const sink = () => ({
+    chunks: [],
+    write(chunk) {
+        this.chunks.push(Buffer.from(chunk));
+    },
+    get text() {
+        return Buffer.concat(this.chunks).toString();
+    },
+});
+
+async function run(...argv) {
+    const stdout = sink();
+    const stderr = sink();
+    const status = await main(argv, { stdin: Readable.from([input]), stdout, stderr });
+    return { status, stdout, stderr };
+}
+
+describe("asterix CLI", () => {
+    let dir;
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "asterix-cli-"));
+        fs.writeFileSync(path.join(dir, "input.ast"), input);
+    });
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test("dumps records as a listing or JSON lines", async () => {
+        const { status, stdout } = await run("dump", path.join(dir, "input.ast"));
+        expect(status).toBe(0);
+        const lines = stdout.text.split("\n");
+        expect(lines[0]).toBe("CAT048 block 0 record 0 @3  source 1/2  00:00:10.000");
+        expect(lines).toContain("  I048/220  {\"icao24\":\"4CA123\"}");
+        expect(lines).toContain("CAT034 block 1 record 0 @26  source 1/2  00:00:30.000");
+
+        const json = await run("dump", "--json", "--cat", "34");
+        const records = json.stdout.text.trim().split("\n").map((l) => JSON.parse(l));
+        expect(records.map((r) => [r.category, r.offset])).toEqual([[34, 26]]);
+
+        const dissected = (await run("dump", "--dissect", "--cat", "34")).stdout.text.split("\n");
+        expect(dissected[0]).toBe("CAT034 block 1 record 0 @26  7 bytes");
+        expect(dissected).toContain("  @29    bits 0-7     0000 0001  TYP = 1 (North Marker)");
+    });
+
+    test("counts records per category, source and item", async () => {
+        const { stdout } = await run("stats", "--json", "-");
+        expect(JSON.parse(stdout.text)).toMatchObject({
+            records: 3,
+            categories: { 48: 2, 34: 1 },
+            sources: { "1/2": 2, "1/3": 1 },
+            items: { "I048/010": 2, "I048/070": 2, "I048/220": 1, "I034/000": 1 },
+            first: "00:00:10.000",
+            last: "00:00:30.000",
+            duration_s: 20,
+            rate_per_s: 0.15,
+            errors: { resyncs: 0, bytesSkipped: 0, diagnostics: {} },
+        });
+
+        const text = (await run("stats")).stdout.text;
+        expect(text).toContain("category  CAT048    2\n          CAT034    1\n");
+        expect(text).toContain("errors    none\n");
+    });
+
+    test("writes the matching records back out as data blocks", async () => {
+        const byAddress = await run("filter", "--icao", "4ca123");
+        expect([...Buffer.concat(byAddress.stdout.chunks)]).toEqual([0x30, 0x00, 0x0F, ...rec0]);
+
+        const out = path.join(dir, "late.ast");
+        await run("filter", "--mode3a", "1000,7777", "--from", "00:00:15", "--output", out);
+        expect([...fs.readFileSync(out)]).toEqual([0x30, 0x00, 0x0B, ...rec1]);
+    });
+
+    test("enriches with the pose from a config file and flags", async () => {
+        const config = path.join(dir, "site.json");
+        fs.writeFileSync(config, JSON.stringify({ sensorLatDeg: 50, sensorLonDeg: 4, sensorAltM: 10, utcDate: "2020-01-01" }));
+        const { stdout } = await run("enrich", "--config", config, "--date", "2025-08-12", "--cat", "48");
+        const [first] = stdout.text.trim().split("\n").map((l) => JSON.parse(l));
+        expect(first.timestamp).toBe("2025-08-12T00:00:10.000Z");
+        expect(first.source.sensor).toEqual({ lat_deg: 50, lon_deg: 4, alt_m: 10 });
+    });
+
+    test("reads captures datagram by datagram", async () => {
+        const file = path.join(dir, "input.pcap");
+        fs.writeFileSync(file, capture([input, [0x12, 0x34, 0x01, 0x00, 0x00, 0x01, 0x00, 0x00], input.subarray(0, 23)]));
+
+        const stats = JSON.parse((await run("stats", "--json", file)).stdout.text);
+        expect(stats).toMatchObject({ records: 5, errors: { resyncs: 0, diagnostics: { malformed: 1 } } });
+
+        const records = (await run("dump", "--json", "--cat", "48", file)).stdout.text.trim().split("\n").map((l) => JSON.parse(l));
+        expect(records.map((r) => [r.frame, r.offset, r.sender.port])).toEqual([[1, 3, 4000], [1, 15, 4000], [3, 3, 4000], [3, 15, 4000]]);
+
+        const byAddress = await run("filter", "--icao", "4ca123", "--from", "00:00:10", file);
+        expect([...Buffer.concat(byAddress.stdout.chunks)]).toEqual([0x30, 0x00, 0x0F, ...rec0, 0x30, 0x00, 0x0F, ...rec0]);
+
+        const resynced = JSON.parse((await run("stats", "--json", "--resync", file)).stdout.text);
+        expect(resynced.errors).toEqual({ resyncs: 1, bytesSkipped: 8, diagnostics: { resync: 1 } });
+    });
+
+    test("cuts records out of the unstuffed data of HDLC frames", async () => {
+        const file = path.join(dir, "input.hdlc");
+        const stuffed = [0x30, 0x00, 0x06, 0x80, 0x7D, 0x7E]; // SAC 0x7D, SIC 0x7E
+        fs.writeFileSync(file, hdlc([stuffed, [...input.subarray(0, 23)], [...input.subarray(23)]]));
+
+        const lines = (await run("dump", file)).stdout.text.split("\n");
+        expect(lines[0]).toBe("CAT048 block 0 record 0 @6  source 125/126");
+        expect(lines).toContain("CAT048 block 1 record 1 @31  source 1/3  00:00:20.000");
+
+        const filtered = await run("filter", "--cat", "48", file);
+        expect([...Buffer.concat(filtered.stdout.chunks)]).toEqual([...stuffed, ...input.subarray(0, 23)]);
+    });
+
+    test("prints records as the input arrives and stops once stdout is closed", async () => {
+        const stdout = sink();
+        let printed = null;
+        async function* feed() {
+            yield input.subarray(0, 23);
+            printed = stdout.text; // before the next chunk is asked for
+            yield input.subarray(23);
+        }
+        expect(await main(["dump", "-"], { stdin: feed(), stdout, stderr: sink() })).toBe(0);
+        expect(printed).toContain("CAT048 block 0 record 1 @15  source 1/3");
+        expect(printed).not.toContain("CAT034");
+
+        // `asterix dump - | head`: the reader goes away, the command ends quietly
+        let chunks = 0;
+        async function* endless() {
+            for (; chunks < 1000; chunks++) {
+                yield input;
+                await new Promise(setImmediate);
+            }
+        }
+        const closed = new Writable({
+            write(chunk, encoding, callback) {
+                callback(Object.assign(new Error("write EPIPE"), { code: "EPIPE" }));
+            },
+        });
+        const stderr = sink();
+        expect(await main(["dump", "-"], { stdin: endless(), stdout: closed, stderr })).toBe(0);
+        expect(stderr.text).toBe("");
+        expect(chunks).toBeLessThan(10);
+    });
+
+    test("rejects bad command lines", async () => {
+        const unknown = await run("convert");
+        expect(unknown.status).toBe(2);
+        expect(unknown.stderr.text).toMatch(/^asterix: Unknown command "convert"\n\nUsage: asterix/);
+
+        expect((await run("enrich", "--date", "12/08/2025")).status).toBe(2);
+        const missing = await run("dump", path.join(dir, "missing.ast"));
+        expect(missing.status).toBe(1);
+        expect(missing.stderr.text).toMatch(/^asterix: ENOENT/);
+    });
+});
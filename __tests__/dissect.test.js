@@ -0,0 +1,77 @@
+const { parseDataBlock } = require("../parser");
+const { parseAsterixChunks } = require("../stream");
+const { renderDissection } = require("../dissect");
+
+// Helper to build a Uint8Array from simple JS number arrays
+const U8 = (arr) => new Uint8Array(arr);
+
+// CAT048: I048/010 SAC 1 / SIC 2, I048/020 PSR (FX=0), I048/161 track 0x123 with a spare bit set
+const block = U8([0x30, 0x00, 0x0A, 0xA1, 0x10, 0x01, 0x02, 0x20, 0x81, 0x23]);
+
+describe("record dissection", () => {
+    test("records the FSPEC bits, item octets and field bits", () => {
+        const { records: [rec] } = parseDataBlock(block, 0, 0, { dissect: true });
+        const { dissection } = rec;
+        expect(dissection).toMatchObject({ offset: 3, length: 7, hex: "a1100102208123" });
+
+        expect(dissection.fspec.bits.filter((b) => b.set)).toEqual([
+            { frn: 1, offset: 3, bitOffset: 0, set: true, itemId: "I048/010" },
+            { frn: 3, offset: 3, bitOffset: 2, set: true, itemId: "I048/020" },
+            { frn: null, offset: 3, bitOffset: 7, set: true, itemId: null },
+            { frn: 11, offset: 4, bitOffset: 11, set: true, itemId: "I048/161" },
+        ]);
+        expect(dissection.items.map((it) => [it.itemId, it.frn, it.offset, it.length, it.hex])).toEqual([
+            ["I048/010", 1, 5, 2, "0102"],
+            ["I048/020", 3, 7, 1, "20"],
+            ["I048/161", 11, 8, 2, "8123"],
+        ]);
+        expect(dissection.items[1].fields[0]).toEqual({
+            name: "detectionType", kind: "field", offset: 7, length: 1, bitOffset: 0, bitLength: 3, bits: "001",
+            value: { value: 1, meaning: "Single PSR detection" },
+        });
+        expect(dissection.items[2].fields).toEqual([
+            { name: "spare", kind: "spare", offset: 8, length: 1, bitOffset: 0, bitLength: 4, bits: "1000", value: 8 },
+            { name: "TRN", kind: "field", offset: 8, length: 2, bitOffset: 4, bitLength: 12, bits: "000100100011", value: 0x123 },
+        ]);
+
+        expect(parseDataBlock(block, 0).records[0].dissection).toBeUndefined();
+    });
+
+    test("lists the fields of items in every category", () => {
+        // CAT062: I062/010 SAC 7 / SIC 9, I062/040 track 0x0456
+        const { records: [rec] } = parseDataBlock(U8([0x3E, 0x00, 0x09, 0x81, 0x08, 0x07, 0x09, 0x04, 0x56]), 0, 0, { dissect: true });
+        const [sacSic, track] = rec.dissection.items;
+        expect(sacSic.fields.map((f) => [f.name, f.offset, f.bitOffset, f.bitLength, f.value])).toEqual([
+            ["sac", 5, 0, 8, 7],
+            ["sic", 6, 8, 8, 9],
+        ]);
+        expect(track).toMatchObject({ itemId: "I062/040", offset: 7, length: 2 });
+        expect(track.fields.length).toBeGreaterThan(0);
+        expect(rec.dissection.fspec.bits.find((b) => b.itemId === "I062/040")).toMatchObject({ frn: 12, offset: 4, bitOffset: 12, set: true });
+    });
+
+    test("offsets count from the start of chunked input", async () => {
+        const input = U8([0x30, 0x00, 0x06, 0x80, 0x07, 0x08, ...block]);
+        const records = [];
+        for await (const rec of parseAsterixChunks([input.subarray(0, 8), input.subarray(8)], { dissect: true })) records.push(rec);
+        const { dissection } = records[1];
+        expect(dissection.fspec.bits[0].offset).toBe(9);
+        expect(dissection.items[2].fields[1].offset).toBe(14);
+    });
+
+    test("renders the FSPEC mapping, field bit masks and an annotated hex dump", () => {
+        const { records: [rec] } = parseDataBlock(block, 0, 0, { dissect: true });
+        const lines = renderDissection(rec).split("\n");
+        expect(lines[0]).toBe("CAT048 block 0 record 0 @3  7 bytes");
+        expect(lines).toContain("FSPEC @3  a1 10");
+        expect(lines).toContain("  @3  bit 2   1  FRN 3   I048/020");
+        expect(lines).toContain("  @4  bit 15  0  FX");
+        expect(lines).toContain("I048/161  FRN 11  @8  2 bytes  81 23");
+        expect(lines).toContain("  @8     bits 0-3     1000 ....            spare = 8");
+        expect(lines).toContain("  @8     bits 4-15    .... 0001 0010 0011  TRN = 291");
+        expect(lines).toContain("  @7     bit 3        ...0 ....  simulated = false");
+        expect(lines).toContain("0003  a1 10 01 02 20 81 23                             FSPEC I048/010 I048/020 I048/161");
+
+        expect(() => renderDissection({ ...rec, dissection: undefined })).toThrow("parse with { dissect: true }");
+    });
+});
@@ -0,0 +1,119 @@
+const { parseDataBlock, parseRecord, DECODERS, ITEMS } = require("../parser");
+const { encodeRecord, encodeDataBlock, ENCODERS } = require("../encoder");
+
+const U8 = (arr) => new Uint8Array(arr);
+
+// Drop hex `raw` strings: they carry spare bits the encoder writes as 0
+const withoutRawHex = (v) => JSON.parse(JSON.stringify(v, (k, x) => (k === "raw" && typeof x === "string" ? undefined : x)));
+
+describe("ASTERIX encoder", () => {
+    test("has an encoder for every decoder", () => {
+        for (const cat of Object.keys(DECODERS)) {
+            expect(Object.keys(ENCODERS[cat]).sort()).toEqual(Object.keys(DECODERS[cat]).sort());
+        }
+    });
+
+    test("encodes every item that isn't shaped with its declared layout", () => {
+        for (const cat of Object.keys(ITEMS)) {
+            for (const [itemId, it] of Object.entries(ITEMS[cat])) {
+                expect([itemId, ENCODERS[cat][itemId] === it.encode]).toEqual([itemId, !it.node.shaped]);
+            }
+        }
+    });
+
+    test("round-trips every item through decode -> encode -> decode", () => {
+        // Deterministic pseudo-random octets; every third sample starts with a small REP/length
+        let seed = 1;
+        const next = () => ((seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF) >> 16) & 0xFF;
+
+        const missed = [];
+        for (const cat of Object.keys(DECODERS)) {
+            for (const [itemId, decode] of Object.entries(DECODERS[cat])) {
+                let samples = 0;
+                for (let t = 0; t < 30; t++) {
+                    const buf = U8(Array.from({ length: 64 }, next));
+                    if (t % 3 === 0) buf[0] &= 0x03;
+                    let first;
+                    try {
+                        first = decode(buf, 0);
+                    } catch {
+                        continue; // not a valid encoding of this item
+                    }
+                    const bytes = ENCODERS[cat][itemId](first.value);
+                    const second = decode(U8(bytes), 0);
+                    expect([itemId, second.length]).toEqual([itemId, bytes.length]);
+                    expect([itemId, withoutRawHex(second.value)]).toEqual([itemId, withoutRawHex(first.value)]);
+                    expect(ENCODERS[cat][itemId](second.value)).toEqual(bytes);
+                    samples++;
+                }
+                if (!samples) missed.push(itemId);
+            }
+        }
+        expect(missed).toEqual([]);
+    });
+
+    test("re-encodes a parsed data block byte for byte", () => {
+        const block = U8([
+            0x30, 0x00, 0x12,
+            0x90, 0x12, 0x34, 0x0A, 0x00, 0x40, 0x00,
+            0x80, 0x12, 0x35,
+            0x10, 0x05, 0x00, 0x80, 0x00,
+        ]);
+        const { records } = parseDataBlock(block, 0);
+        expect(encodeDataBlock(records)).toEqual(block);
+    });
+
+    test("builds a record from scaled fields", () => {
+        const bytes = encodeRecord({
+            category: 48,
+            items: {
+                "I048/010": { sac: 1, sic: 2 },
+                "I048/140": { seconds: 3600 },
+                "I048/040": { range_nm: 10, bearing_deg: 90 },
+                "I048/070": { code_octal: "7000" },
+                "I048/090": { flightLevel: 350 },
+                "I048/240": { callsign: "AFR123" },
+            },
+        });
+
+        const { record } = parseRecord(bytes, 0);
+        expect(record.length).toBe(bytes.length);
+        expect(record.items["I048/140"].seconds).toBe(3600);
+        expect(record.items["I048/040"]).toMatchObject({ range_nm: 10, bearing_deg: 90 });
+        expect(record.items["I048/070"]).toMatchObject({ code_octal: "7000", validated: true });
+        expect(record.items["I048/090"].flightLevel).toBe(350);
+        expect(record.items["I048/240"].callsign).toBe("AFR123");
+    });
+
+    test("uses the record's UAP variant", () => {
+        const track = {
+            category: 1,
+            uap: "track",
+            items: { "I001/010": { sac: 1, sic: 2 }, "I001/020": { type: "track" }, "I001/161": 42 },
+        };
+        const { record } = parseRecord(encodeRecord(track), 0);
+        expect(record.uap).toBe("track");
+        expect(record.items["I001/161"]).toBe(42);
+    });
+
+    test("encodes with the record's edition", () => {
+        const { CATEGORY_DEFS, DECODERS, registerEdition } = require("../parser");
+        const uap = [...CATEGORY_DEFS[34].uap];
+        [uap[1], uap[2]] = [uap[2], uap[1]];
+        registerEdition(34, "1.27-test", { def: { ...CATEGORY_DEFS[34], edition: "1.27-test", uap }, decoders: DECODERS[34] });
+
+        const record = { category: 34, edition: "1.27-test", items: { "I034/010": { sac: 1, sic: 2 }, "I034/030": { seconds: 1 } } };
+        const bytes = encodeRecord(record);
+        expect([...bytes]).toEqual([0x22, 0x00, 0x09, 0xC0, 0x01, 0x02, 0x00, 0x00, 0x80]);
+        expect(parseRecord(bytes, 0, 0, { editions: { 34: "1.27-test" } }).record.items["I034/030"].seconds).toBe(1);
+    });
+
+    test("rejects items outside the UAP and mixed categories", () => {
+        expect(() => encodeRecord({ category: 48, items: { "I062/010": { sac: 1, sic: 2 } } }))
+            .toThrow("I062/010 is not in the CAT048 UAP");
+        expect(() => encodeDataBlock([
+            { category: 48, items: {} },
+            { category: 62, items: {} },
+        ])).toThrow("Mixed categories");
+    });
+});
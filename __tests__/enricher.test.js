@@ -0,0 +1,135 @@
+const { parseRecord } = require("../parser");
+const { enrichAsterix, weatherToPolygons } = require("../enricher");
+
+const U8 = (arr) => new Uint8Array(arr);
+
+describe("ASTERIX enricher", () => {
+    test("passes CAT021 WGS-84 position, kinematics and time straight through", () => {
+        // FSPEC1: I021/071 (FRN5), I021/130 (FRN6), FX -> 0x0D
+        // FSPEC2: I021/080 (FRN11), FX -> 0x11
+        // FSPEC3: I021/140 (FRN16), FX -> 0x41
+        // FSPEC4: I021/160 (FRN26) -> 0x08
+        const buf = U8([
+            0x15, 0x00, 0x19,
+            0x0D, 0x11, 0x41, 0x08,
+            0x07, 0x08, 0x00,                   // I021/071 = 3600 s
+            0x20, 0x00, 0x00, 0xF0, 0x00, 0x00, // I021/130 = 45 N, 22.5 W
+            0x4C, 0xA1, 0x23,                   // I021/080
+            0x00, 0xA0,                         // I021/140 = 1000 ft
+            0x08, 0x00, 0x40, 0x00,             // I021/160 = 450 kt, 90 deg
+        ]);
+        const { record } = parseRecord(buf, 0);
+
+        // No sensor pose: ADS-B positions don't depend on it
+        const [out] = enrichAsterix([record], { utcDate: "2025-08-12" });
+        expect(out.timestamp).toBe("2025-08-12T01:00:00.000Z");
+        expect(out.position.lat).toBeCloseTo(45, 6);
+        expect(out.position.lon).toBeCloseTo(-22.5, 6);
+        expect(out.position.alt_m).toBeCloseTo(304.8, 6);
+        expect(out.orientation.ground_speed_kts).toBeCloseTo(450, 6);
+        expect(out.orientation.course_deg).toBeCloseTo(90, 6);
+        expect(out.correlation.keys).toContain("icao24:4CA123");
+    });
+
+    test("places CAT020 MLAT targets without a polar sensor pose", () => {
+        // FSPEC1: I020/140, /041, FX -> 0x31; FSPEC2: FX -> 0x01; FSPEC3: I020/105 -> 0x80
+        const buf = U8([
+            0x14, 0x00, 0x13,
+            0x31, 0x01, 0x80,
+            0x07, 0x08, 0x00,                               // I020/140 = 3600 s
+            0x00, 0x80, 0x00, 0x00, 0x00, 0x10, 0x00, 0x00, // I020/041 = 45 N, 5.625 E
+            0x00, 0xA0,                                     // I020/105 = 1000 ft
+        ]);
+        const { record } = parseRecord(buf, 0);
+
+        const [out] = enrichAsterix([record], { utcDate: "2025-08-12" });
+        expect(out.timestamp).toBe("2025-08-12T01:00:00.000Z");
+        expect(out.position.lat).toBeCloseTo(45, 6);
+        expect(out.position.lon).toBeCloseTo(5.625, 6);
+        expect(out.position.alt_m).toBeCloseTo(304.8, 6);
+    });
+
+    test("places CAT020 Cartesian positions from the MLAT reference point", () => {
+        // FSPEC1: I020/042 -> 0x08; X = 0, Y = 1852 m (1 NM north)
+        const buf = U8([
+            0x14, 0x00, 0x0A,
+            0x08,
+            0x00, 0x00, 0x00, 0x00, 0x0E, 0x78,
+        ]);
+        const { record } = parseRecord(buf, 0);
+
+        const [out] = enrichAsterix([record], { sensorLatDeg: 45, sensorLonDeg: 5, sensorAltM: 0 });
+        expect(out.position.lat).toBeCloseTo(45 + 1 / 60, 3);
+        expect(out.position.lon).toBeCloseTo(5, 6);
+    });
+
+    test("prefers the CAT048 3D radar height and reports plot quality", () => {
+        // FSPEC1: I048/010, /040, /090, /130, FX -> 0x97; FSPEC2: FX -> 0x01; FSPEC3: I048/110, /120 -> 0x0C
+        const buf = U8([
+            0x30, 0x00, 0x19,
+            0x97, 0x01, 0x0C,
+            0x01, 0x02,
+            0x00, 0x00, 0x00, 0x00,             // I048/040 = overhead the sensor
+            0x01, 0x90,                         // I048/090 = FL100
+            0xE6, 0x10, 0x05, 0xB0, 0xFE, 0x04, // I048/130: SRL, SRR, SAM, RPD, APD
+            0x00, 0x28,                         // I048/110 = 1000 ft
+            0x80, 0x03, 0xFB,                   // I048/120: CAL = -5 m/s
+        ]);
+        const { record } = parseRecord(buf, 0);
+        const pose = { sensorLatDeg: 45, sensorLonDeg: 5, sensorAltM: 0 };
+
+        const [measured] = enrichAsterix([record], pose);
+        expect(measured.position.alt_m).toBeCloseTo(304.8, 3);
+        expect(measured.plot_quality).toEqual({
+            ssr_runlength_deg: 16 * 360 / 8192,
+            ssr_replies: 5,
+            ssr_amplitude_dbm: -80,
+            range_diff_nm: -2 / 256,
+            azimuth_diff_deg: 4 * 360 / 16384,
+            doppler_speed_mps: -5,
+            doppler_doubtful: false,
+        });
+
+        const [modeC] = enrichAsterix([record], { ...pose, altitudePreference: ["I048/090"] });
+        expect(modeC.position.alt_m).toBeCloseTo(3048, 3);
+    });
+});
+
+describe("CAT008 weather polygons", () => {
+    const pose = { sensorLatDeg: 45, sensorLonDeg: 5, sensorAltM: 0 };
+
+    test("projects polar vectors from the radar pose", () => {
+        const { record } = parseRecord(U8([
+            0x08, 0x00, 0x0D,
+            0xE8,
+            0x00, 0x01, 0x01, 0x30,
+            0x01, 0x00, 0x80, 0x40, 0x00, // I008/034 0 .. 1 NM at 90 deg
+        ]), 0);
+
+        const [vec] = weatherToPolygons([record], pose);
+        expect(vec.kind).toBe("polar");
+        expect(vec.intensity).toBe(3);
+        expect(vec.points[0].lat).toBeCloseTo(45, 6);
+        expect(vec.points[0].lon).toBeCloseTo(5, 6);
+        expect(vec.points[1].lat).toBeCloseTo(45, 3);
+        expect(vec.points[1].lon).toBeCloseTo(5 + 1 / (60 * Math.cos(Math.PI / 4)), 3);
+    });
+
+    test("closes contours and applies the I008/100 scaling factor", () => {
+        const { record } = parseRecord(U8([
+            0x08, 0x00, 0x12,
+            0xC7, 0x40,
+            0x00, 0x01, 0x03,
+            0x23, 0x05,
+            0x02, 0x40, 0x00, 0x00, 0x40, // (1, 0), (0, 1) NM at f = 0
+            0x08, 0x00, 0x00,             // f = 1 doubles them
+        ]), 0);
+
+        const [poly] = weatherToPolygons([record], pose);
+        expect(poly).toMatchObject({ kind: "contour", intensity: 2, serial: 5 });
+        expect(poly.points).toHaveLength(3);
+        expect(poly.points[0].lon).toBeCloseTo(5 + 2 / (60 * Math.cos(Math.PI / 4)), 3);
+        expect(poly.points[1].lat).toBeCloseTo(45 + 2 / 60, 3);
+        expect(poly.points[2]).toEqual(poly.points[0]);
+    });
+});
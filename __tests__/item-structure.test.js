@@ -0,0 +1,101 @@
+const S = require("../item-structure");
+
+const U8 = (arr) => new Uint8Array(arr);
+
+describe("item structures", () => {
+    test("FX-extended items stop at FX=0 and re-encode the extents in use", () => {
+        const status = S.item("I999/020", S.extended(
+            [["type", S.table(3, ["None", "PSR", "SSR"])], ["simulated", S.flag()], ["code", S.uint(3)]],
+            [["test", S.flag()], S.spare(6)],
+        ));
+
+        expect(status.decode(U8([0x4A, 0xFF]), 0)).toEqual({
+            value: { type: { value: 2, meaning: "SSR" }, simulated: false, code: 5 },
+            length: 1,
+        });
+        const both = status.decode(U8([0x4B, 0x80]), 0);
+        expect(both).toEqual({ value: { type: { value: 2, meaning: "SSR" }, simulated: false, code: 5, test: true }, length: 2 });
+        expect(status.encode(both.value)).toEqual([0x4B, 0x80]);
+        expect(status.encode({ code: 5 })).toEqual([0x0A]);
+        expect(() => status.decode(U8([0x4B]), 0)).toThrow("Truncated I999/020");
+
+        // A later edition's extents (FX still set after the last declared one) are skipped
+        const longer = status.decode(U8([0x4B, 0x81, 0x03, 0x02, 0xEE]), 0);
+        expect(longer).toEqual({ value: both.value, length: 4 });
+        expect(status.dissect(U8([0x4B, 0x81, 0x03, 0x02]), 0).slice(-4).map((f) => [f.name, f.offset, f.bits])).toEqual([
+            ["undeclared", 2, "0000001"], ["FX", 2, "1"], ["undeclared", 3, "0000001"], ["FX", 3, "0"],
+        ]);
+        expect(() => status.decode(U8([0x4B, 0x81, 0x03]), 0)).toThrow("Truncated I999/020");
+    });
+
+    test("repetitive items use the REP count or per-element FX bits", () => {
+        const counted = S.item("I999/030", S.repetitive(S.group([["x", S.scaled(16, 1 / 4, { signed: true })]])));
+        expect(counted.decode(U8([0x02, 0xFF, 0xFC, 0x00, 0x08, 0x99]), 0)).toEqual({ value: [{ x: -1 }, { x: 2 }], length: 5 });
+        expect(() => counted.decode(U8([0x03, 0xFF, 0xFC, 0x00, 0x08]), 0)).toThrow("Truncated I999/030");
+
+        const chained = S.item("I999/031", S.repetitive(S.uint(7), { fx: true }));
+        expect(chained.decode(U8([0x03, 0x04, 0x08]), 0)).toEqual({ value: [1, 2], length: 2 });
+        expect(chained.encode([1, 2])).toEqual([0x03, 0x04]);
+    });
+
+    test("compound items decode only the announced subfields", () => {
+        const comp = S.item("I999/040", S.compound([
+            ["ID", S.string(48, "icao")],
+            null,
+            ["MODE3A", S.group([S.spare(4), ["code", S.string(12, "octal")]])],
+            ["SP", S.explicit()],
+        ]));
+
+        const bytes = [0xB0, 0x04, 0x20, 0xF1, 0xCA, 0x08, 0x20, 0x0F, 0xC0, 0x02, 0xAA];
+        const { value, length } = comp.decode(U8(bytes), 0);
+        expect(length).toBe(bytes.length);
+        expect(value).toEqual({ ID: "ABC12", MODE3A: { code: "7700" }, SP: { raw: "aa" } });
+        expect(comp.encode(value)).toEqual(bytes);
+        expect(() => comp.decode(U8([0x40, 0x00]), 0)).toThrow("Unknown subfield 2 in I999/040");
+    });
+
+    test("check reports set spare bits and undefined table values", () => {
+        const comp = S.item("I999/050", S.compound([
+            ["STAT", S.extended([["mode", S.table(3, ["Off", "On"])], S.spare(4)])],
+            ["LIST", S.repetitive(S.group([S.spare(2), ["n", S.uint(6)]]))],
+        ]));
+        const findings = [];
+        comp.check(U8([0xC0, 0x42, 0x02, 0x01, 0x81]), 0, (...f) => findings.push(f));
+        expect(findings).toEqual([
+            ["reserved-value", "I999/050 STAT mode", "value 2 is not defined"],
+            ["spare-bits", "I999/050 STAT", "spare bits 0001 are not zero"],
+            ["spare-bits", "I999/050 LIST[1]", "spare bits 10 are not zero"],
+        ]);
+    });
+
+    test("shaped items reshape the decoded value and check reserved table values", () => {
+        const st = S.item("I999/055", S.shaped(
+            S.group([["NOGO", S.table(2, ["ok", "nogo", "degraded"], { reserved: [2] })], S.spare(6)]),
+            ({ NOGO }) => ({ nogo: NOGO.value, status: NOGO.meaning }),
+        ));
+        expect(st.decode(U8([0x80]), 0)).toEqual({ value: { nogo: 2, status: "degraded" }, length: 1 });
+        const findings = [];
+        st.check(U8([0x80]), 0, (...f) => findings.push(f));
+        expect(findings).toEqual([["reserved-value", "I999/055 NOGO", "value 2 (degraded) is reserved"]]);
+        expect(() => st.encode({ nogo: 2 })).toThrow();
+    });
+
+    test("dissect lists every field with its octets and bits", () => {
+        const ext = S.item("I999/060", S.extended([["A", S.uint(3)], ["B", S.flag()], S.spare(3)], [["C", S.uint(7)]]));
+        const fields = ext.dissect(U8([0xFF, 0x71, 0x0A]), 1);
+        expect(fields.map((f) => [f.name, f.kind, f.offset, f.length, f.bitOffset, f.bitLength, f.bits, f.value])).toEqual([
+            ["A", "field", 1, 1, 0, 3, "011", 3],
+            ["B", "field", 1, 1, 3, 1, "1", true],
+            ["spare", "spare", 1, 1, 4, 3, "000", 0],
+            ["FX", "fx", 1, 1, 7, 1, "1", 1],
+            ["C", "field", 2, 1, 8, 7, "0000101", 5],
+            ["FX", "fx", 2, 1, 15, 1, "0", 0],
+        ]);
+
+        const rep = S.item("I999/070", S.repetitive(S.uint(16)));
+        expect(rep.dissect(U8([0x01, 0x12, 0x34]), 0).map((f) => [f.name, f.offset, f.length, f.value])).toEqual([
+            ["REP", 0, 1, 1],
+            ["[0]", 1, 2, 0x1234],
+        ]);
+    });
+});
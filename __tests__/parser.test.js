@@ -1,21 +1,40 @@
 const {
     parseAsterixStream,
+    parseDataBlock,
     parseRecord,
+    stationHealth,
+    registerEdition,
+    CATEGORY_DEFS,
+    DECODERS,
 } = require("../parser");
+const { AsterixError, AsterixTruncationError, AsterixUnknownItemError } = require("../errors");
 
 // Helper to build a Uint8Array from simple JS number arrays
 const U8 = (arr) => new Uint8Array(arr);
 
+// `bytes` seen at offset `at` of a view that is zero before them, without allocating it
+const sparseView = (bytes, at) => {
+    const length = at + bytes.length;
+    const view = new Proxy({
+        length,
+        subarray: (from = 0, to = length) => (from < at ? sparseView(bytes.subarray(0, Math.max(0, to - at)), at - from) : bytes.subarray(from - at, to - at)),
+        slice: (from = 0, to = length) => Uint8Array.from({ length: Math.min(to, length) - from }, (_, i) => view[from + i]),
+    }, {
+        get: (target, key) => (typeof key === "string" && /^\d+$/.test(key) ? (key >= at && key < length ? bytes[key - at] : 0) : target[key]),
+    });
+    return view;
+};
+
 describe("ASTERIX parser (CAT 048 synthetic data)", () => {
     test("parses a simple CAT048 record with I048/010 and I048/040", () => {
-        // FSPEC: one byte, b7=I048/010, b5=I048/040 => 1000_0000 + 0010_0000 = 0xA0
+        // FSPEC: one byte, b7=I048/010 (FRN1), b4=I048/040 (FRN4) => 1000_0000 + 0001_0000 = 0x90
         // Items in order: I048/010 (2B), I048/040 (4B)
         // I048/010: SAC=0x12, SIC=0x34
         // I048/040: RHO=2560 (0x0A00) => 10 NM; THETA=16384 (0x4000) => 90 deg
         const buf = U8([
             0x30,             // CAT = 48
             0x00, 0x0A,       // LEN = 10 (1+2 + 1 FSPEC + 2 + 4)
-            0xA0,             // FSPEC (FX=0)
+            0x90,             // FSPEC (FX=0)
             0x12, 0x34,       // I048/010
             0x0A, 0x00,       // I048/040 RHO
             0x40, 0x00,       // I048/040 THETA
@@ -26,7 +45,7 @@ describe("ASTERIX parser (CAT 048 synthetic data)", () => {
 
         expect(record.category).toBe(48);
         expect(record.length).toBe(10);
-        expect(record.fspec_hex).toBe("a0");
+        expect(record.fspec_hex).toBe("90");
 
         expect(record.items["I048/010"]).toEqual({ sac: 0x12, sic: 0x34 });
 
@@ -40,50 +59,66 @@ describe("ASTERIX parser (CAT 048 synthetic data)", () => {
         expect(record.rawItems._tail).toBeUndefined();
     });
 
-    test("parses multi-byte FSPEC (I048/020 + I048/240)", () => {
-        // FSPEC1: b6=I048/020 set, FX=1 => 0b0100_0001 = 0x41
-        // FSPEC2: b7=I048/240 set, FX=0 => 0b1000_0000 = 0x80
-        // Items in order: I048/020 (variable FX-chained, 1 octet w/FX=0), then I048/240 (3 bytes)
-        // I048/020: 0x38 => dt=1, sim=1, rab=1, tst=0, mea=0, FX=0
-        // I048/240: addr AABBCC
+    test("decodes a block placed past byte 2^28 of the input", () => {
+        // Bit offsets there no longer fit 32-bit integers
+        const at = 2 ** 28 + 5;
+        const view = sparseView(U8([0x30, 0x00, 0x0A, 0x90, 0x12, 0x34, 0x10, 0x00, 0x40, 0x00]), at);
+
+        const { records, nextOffset } = parseDataBlock(view, at, 0, { dissect: true });
+        expect(nextOffset).toBe(at + 10);
+        const [record] = records;
+        expect(record.offset).toBe(at + 3);
+        expect(record.items["I048/010"]).toEqual({ sac: 18, sic: 52 });
+        expect(record.items["I048/040"].rho_raw).toBe(4096);
+        const [source] = record.dissection.items;
+        expect(source.fields.map(({ name, offset, bitOffset, value }) => ({ name, offset, bitOffset, value }))).toEqual([
+            { name: "sac", offset: at + 4, bitOffset: 0, value: 18 },
+            { name: "sic", offset: at + 5, bitOffset: 8, value: 52 },
+        ]);
+    });
+
+    test("parses multi-byte FSPEC (I048/020 + I048/220)", () => {
+        // FSPEC1: b5=I048/020 (FRN3) set, FX=1 => 0b0010_0001 = 0x21
+        // FSPEC2: b7=I048/220 (FRN8) set, FX=0 => 0b1000_0000 = 0x80
+        // Items in order: I048/020 (variable FX-chained, 1 octet w/FX=0), then I048/220 (3 bytes)
+        // I048/020: 0x38 => TYP=1, SIM=1, RDP=1, SPI=0, RAB=0, FX=0
+        // I048/220: addr AABBCC
         const buf = U8([
             0x30,       // CAT = 48
             0x00, 0x09, // LEN = 9 (1+2 + 2 FSPEC + 1 + 3)
-            0x41, 0x80, // FSPEC bytes
+            0x21, 0x80, // FSPEC bytes
             0x38,       // I048/020 (single octet, FX=0)
-            0xAA, 0xBB, 0xCC, // I048/240
+            0xAA, 0xBB, 0xCC, // I048/220
         ]);
 
         const { record } = parseRecord(buf, 0);
-        expect(record.fspec_hex).toBe("4180");
+        expect(record.fspec_hex).toBe("2180");
 
         const trd = record.items["I048/020"];
-        expect(trd.raw).toBe("38");
-        expect(trd.detectionType).toBe(1);
-        expect(trd.simulated).toBe(true);
-        expect(trd.reportedAsBad).toBe(true);
-        expect(trd.testTarget).toBe(false);
-        expect(trd.meaconing).toBe(false);
-
-        const ms = record.items["I048/240"];
+        expect(trd).toEqual({
+            detectionType: { value: 1, meaning: "Single PSR detection" },
+            simulated: true,
+            rdpChain: { value: 1, meaning: "RDP Chain 2" },
+            spi: false,
+            fromFieldMonitor: false,
+        });
+
+        const ms = record.items["I048/220"];
         expect(ms.icao24).toBe("AABBCC");
     });
 
-    test("parses I048/140 Time-of-Day via 3rd FSPEC byte", () => {
-        // We need 3 FSPEC bytes:
-        //   FSPEC1: FX=1 -> 0x01
-        //   FSPEC2: FX=1 -> 0x01
-        //   FSPEC3: b3=I048/140 set, FX=0 -> 0x08
+    test("parses I048/140 Time-of-Day (FRN2)", () => {
+        // FSPEC1: b6=I048/140 set, FX=0 -> 0x40
         // I048/140: 3 bytes raw in 1/128s => 3600s -> 3600*128 = 460800 = 0x07 08 00
         const buf = U8([
             0x30,       // CAT = 48
-            0x00, 0x09, // LEN = 9 (1+2 + 3 FSPEC + 3 data)
-            0x01, 0x01, 0x08, // FSPEC
+            0x00, 0x07, // LEN = 7 (1+2 + 1 FSPEC + 3 data)
+            0x40,       // FSPEC
             0x07, 0x08, 0x00, // I048/140 raw
         ]);
 
         const { record } = parseRecord(buf, 0);
-        expect(record.fspec_hex).toBe("010108");
+        expect(record.fspec_hex).toBe("40");
 
         const tod = record.items["I048/140"];
         expect(tod.raw).toBe(0x070800);
@@ -92,10 +127,10 @@ describe("ASTERIX parser (CAT 048 synthetic data)", () => {
 
     test("parses a stream with multiple records concatenated", () => {
         const rec1 = U8([
-            0x30, 0x00, 0x0A, 0xA0, 0x12, 0x34, 0x0A, 0x00, 0x40, 0x00,
+            0x30, 0x00, 0x0A, 0x90, 0x12, 0x34, 0x0A, 0x00, 0x40, 0x00,
         ]);
         const rec2 = U8([
-            0x30, 0x00, 0x09, 0x41, 0x80, 0x38, 0xAA, 0xBB, 0xCC,
+            0x30, 0x00, 0x09, 0x21, 0x80, 0x38, 0xAA, 0xBB, 0xCC,
         ]);
         const stream = U8([...rec1, ...rec2]);
 
@@ -103,7 +138,7 @@ describe("ASTERIX parser (CAT 048 synthetic data)", () => {
         expect(records).toHaveLength(2);
 
         expect(records[0].items["I048/010"]).toEqual({ sac: 0x12, sic: 0x34 });
-        expect(records[1].items["I048/240"].icao24).toBe("AABBCC");
+        expect(records[1].items["I048/220"].icao24).toBe("AABBCC");
     });
 
     test("unknown category payload is preserved as raw", () => {
@@ -161,9 +196,16 @@ describe("ASTERIX parser (CAT 048 synthetic data)", () => {
 
         const { record } = parseRecord(buf, 0);
 
-        // We should not have decoded any items, and we should flag the excess bit.
+        // We should not have decoded any items, and we should report the excess bit.
         expect(record.items).toEqual({});
-        expect(record.rawItems._excessFSPECBit).toBe(true);
+        expect(record.diagnostics).toEqual([{
+            code: "excess-fspec-bit",
+            message: "FSPEC bit for FRN 29 is beyond the UAP",
+            offset: 8,
+            itemId: null,
+            error: expect.any(AsterixUnknownItemError),
+        }]);
+        expect(record.diagnostics[0].error).toMatchObject({ offset: 8, category: 48, recordIndex: 0 });
 
         // No tail payload expected since there were no data items.
         expect(record.rawItems._tail).toBeUndefined();
@@ -201,4 +243,814 @@ describe("ASTERIX parser (CAT 048 synthetic data)", () => {
         expect(record.items["I034/120"].height_m).toBe(100);
     });
 
+    test("decodes every record packed into one data block", () => {
+        // One CAT048 block holding three records:
+        //   rec0: FSPEC 0x90 -> I048/010 + I048/040 (6B)
+        //   rec1: FSPEC 0x80 -> I048/010 (2B)
+        //   rec2: FSPEC 0x10 -> I048/040 (4B)
+        // LEN = 3 + (1+6) + (1+2) + (1+4) = 18
+        const block = U8([
+            0x30, 0x00, 0x12,
+            0x90, 0x12, 0x34, 0x0A, 0x00, 0x40, 0x00,
+            0x80, 0x12, 0x35,
+            0x10, 0x05, 0x00, 0x80, 0x00,
+        ]);
+
+        const { records, nextOffset } = parseDataBlock(block, 0, 7);
+        expect(nextOffset).toBe(block.length);
+        expect(records).toHaveLength(3);
+
+        expect(records.map(r => r.recordIndex)).toEqual([0, 1, 2]);
+        expect(records.map(r => r.blockIndex)).toEqual([7, 7, 7]);
+        expect(records.map(r => r.offset)).toEqual([3, 10, 13]);
+        expect(records[1].items["I048/010"]).toEqual({ sac: 0x12, sic: 0x35 });
+        expect(records[2].items["I048/040"].range_nm).toBeCloseTo(5.0, 6);
+        expect(records[2].items["I048/040"].bearing_deg).toBeCloseTo(180.0, 6);
+        for (const r of records) expect(r.rawItems._tail).toBeUndefined();
+
+        // parseRecord keeps returning the first record for single-record callers
+        const { record } = parseRecord(block, 0);
+        expect(record.items["I048/040"].range_nm).toBeCloseTo(10.0, 6);
+    });
+
+    test("treats zero octets after the last record as padding", () => {
+        const buf = U8([
+            0x30, 0x00, 0x0A,
+            0x80, 0x01, 0x02,   // I048/010
+            0x80, 0x01, 0x03,   // I048/010
+            0x00,               // padding
+            0x30, 0x00, 0x09,
+            0x80, 0x01, 0x04,   // I048/010
+            0x00, 0x00, 0x00,   // padding
+        ]);
+
+        const records = [...parseAsterixStream(buf)];
+        expect(records.map((r) => [r.blockIndex, r.recordIndex, r.items["I048/010"].sic])).toEqual([[0, 0, 2], [0, 1, 3], [1, 0, 4]]);
+        expect(records.some((r) => r.diagnostics)).toBe(false);
+
+        // A zero FSPEC followed by more records is still a record of its own
+        const { records: inner } = parseDataBlock(U8([0x30, 0x00, 0x07, 0x00, 0x80, 0x01, 0x02]), 0);
+        expect(inner.map((r) => r.fspec_hex)).toEqual(["00", "80"]);
+    });
+
+    test("stream yields individual records tagged with their block index", () => {
+        const multi = U8([
+            0x30, 0x00, 0x0A,
+            0x80, 0x01, 0x02,
+            0x80, 0x01, 0x03,
+            0x00,
+        ]);
+        const single = U8([
+            0x30, 0x00, 0x09, 0x21, 0x80, 0x38, 0xAA, 0xBB, 0xCC,
+        ]);
+
+        const records = Array.from(parseAsterixStream(U8([...multi, ...single])));
+        expect(records).toHaveLength(3);
+        expect(records.map(r => [r.blockIndex, r.recordIndex])).toEqual([[0, 0], [0, 1], [1, 0]]);
+        expect(records[1].items["I048/010"]).toEqual({ sac: 0x01, sic: 0x03 });
+        expect(records[2].items["I048/220"].icao24).toBe("AABBCC");
+    });
+
+    test("keeps the rest of a block as raw tail when a record cannot be decoded", () => {
+        // rec0 decodes; rec1 has an FSPEC bit beyond the UAP, so the remainder is kept raw
+        const block = U8([
+            0x30, 0x00, 0x0C,
+            0x80, 0x01, 0x02,
+            0x01, 0x01, 0x01, 0x01, 0x80,
+            0xEE,
+        ]);
+
+        const { records } = parseDataBlock(block, 0);
+        expect(records).toHaveLength(2);
+        expect(records[0].items["I048/010"]).toEqual({ sac: 0x01, sic: 0x02 });
+        expect(records[1].diagnostics.map((d) => d.code)).toEqual(["excess-fspec-bit"]);
+        expect(records[1].rawItems._tail).toBe("ee");
+    });
+
+    test("throws and reports typed errors with their location", () => {
+        const fail = (fn) => {
+            try {
+                fn();
+            } catch (err) {
+                return err;
+            }
+            throw new Error("did not throw");
+        };
+
+        const header = fail(() => parseDataBlock(U8([0x30, 0x00]), 0));
+        expect(header).toBeInstanceOf(AsterixTruncationError);
+        expect(header).toMatchObject({ message: "Truncated header", offset: 0, category: 48, hexWindow: "[30] 00" });
+
+        const fspec = fail(() => parseDataBlock(U8([0x30, 0x00, 0x06, 0x80, 0x01, 0x02, 0x30, 0x00, 0x04, 0x01]), 6));
+        expect(fspec).toBeInstanceOf(AsterixTruncationError);
+        expect(fspec).toMatchObject({ message: "Truncated FSPEC", offset: 9, category: 48, recordIndex: 0, itemId: null });
+
+        // Second record: I048/140 needs 3 bytes, the block ends after 2
+        const [, rec] = parseAsterixStream(U8([0x30, 0x00, 0x0A, 0x80, 0x01, 0x02, 0xC0, 0x01, 0x02, 0x00]));
+        const { error } = rec.diagnostics[0];
+        expect(error).toBeInstanceOf(AsterixTruncationError);
+        expect(error).toBeInstanceOf(AsterixError);
+        expect(error).toMatchObject({
+            name: "AsterixTruncationError",
+            message: "Truncated I048/140",
+            offset: 9,
+            category: 48,
+            itemId: "I048/140",
+            recordIndex: 1,
+            hexWindow: "00 0a 80 01 02 c0 01 02 [00]",
+        });
+    });
+
+    test("resynchronises on the next plausible block header", () => {
+        const damaged = U8([
+            0x30, 0x00, 0x06, 0x80, 0x01, 0x02,             // ok
+            0xFF, 0x00,                                     // garbage: CAT 255, LEN past the end
+            0x30, 0x00, 0x06, 0x80, 0x01, 0x03,             // ok
+            0x30, 0x00, 0x04, 0x01,                         // FSPEC runs off the block
+            0x30, 0x00, 0x06, 0x80, 0x01, 0x04,             // ok
+            0x30, 0x00, 0x08, 0x01, 0x01, 0x01, 0x01, 0x80, // FSPEC bit beyond the UAP
+        ]);
+        expect(() => [...parseAsterixStream(damaged)]).toThrow("Truncated record body");
+
+        const events = [];
+        const it = parseAsterixStream(damaged, { resync: true, onError: (e) => events.push(e) });
+        const records = [];
+        let step;
+        while (!(step = it.next()).done) records.push(step.value);
+
+        expect(records.map((r) => [r.blockIndex, r.offset])).toEqual([[0, 3], [1, 11], [2, 21], [3, 27]]);
+        expect(events.map(({ code, offset, length, message }) => ({ code, offset, length, message }))).toEqual([
+            { code: "resync", offset: 6, length: 2, message: "Truncated record body" },
+            { code: "resync", offset: 14, length: 4, message: "Truncated FSPEC" },
+        ]);
+        expect([...events[0].skipped]).toEqual([0xFF, 0x00]);
+        expect(step.value).toEqual({
+            blocks: 4, records: 4, resyncs: 2, bytesSkipped: 6,
+            diagnostics: { "resync": 2, "excess-fspec-bit": 1 },
+        });
+    });
+
+    test("reports spec violations in strict mode only", () => {
+        const buf = U8([
+            0x30, 0x00, 0x11,
+            0xC1, 0x01, 0x0C,   // I048/010, I048/140, I048/110, I048/120 (no I048/020)
+            0x01, 0x02,
+            0xA8, 0xC0, 0x00,   // 86400 s
+            0x40, 0x10,         // spare bit set
+            0x80, 0x04, 0x05,   // CAL with a spare bit set
+            0x00,               // padding after the last record
+            0x22, 0x00, 0x0C,
+            0xE1, 0x20,         // I034/010, I034/000, I034/030, I034/110
+            0x01, 0x02, 0x01, 0x00, 0x00, 0x80,
+            0x0F,               // data filter type 15
+        ]);
+
+        const plain = [...parseAsterixStream(buf)];
+        expect(plain.some((r) => r.diagnostics)).toBe(false);
+
+        const it = parseAsterixStream(buf, { strict: true });
+        const records = [];
+        let step;
+        while (!(step = it.next()).done) records.push(step.value);
+
+        expect(records[0].items["I048/110"].height_ft).toBe(400);
+        expect(records[0].diagnostics).toEqual([
+            { code: "out-of-range", message: "I048/140 seconds: 86400 is outside 0..86399.9921875", offset: 8, itemId: "I048/140" },
+            { code: "spare-bits", message: "I048/110: spare bits 01 are not zero", offset: 11, itemId: "I048/110" },
+            { code: "spare-bits", message: "I048/120 CAL: spare bits 00001 are not zero", offset: 13, itemId: "I048/120" },
+            { code: "missing-mandatory", message: "Mandatory I048/020 is missing", offset: 3, itemId: "I048/020" },
+            { code: "length-mismatch", message: "LEN 17 leaves 1 byte(s) after the last record", offset: 16, itemId: null },
+        ]);
+        expect(records[1].diagnostics).toEqual([
+            { code: "reserved-value", message: "I034/110 TYP: value 15 is not defined", offset: 28, itemId: "I034/110" },
+        ]);
+        expect(step.value.diagnostics).toEqual({
+            "out-of-range": 1, "spare-bits": 2, "missing-mandatory": 1, "length-mismatch": 1, "reserved-value": 1,
+        });
+    });
+
+    test("checks the layout of every built-in item and LEN against the records in strict mode", () => {
+        const buf = U8([
+            0x0A, 0x00, 0x0A,
+            0xC1, 0x01, 0x04,   // I010/010, I010/000, I010/550
+            0x01, 0x02, 0x01,
+            0xC1,               // NOGO "undefined", spare bit set
+            0x30, 0x00, 0x08,
+            0xC0,               // I048/010, I048/140
+            0x01, 0x02, 0x00, 0x00, // LEN ends after 2 of the 3 octets of I048/140
+        ]);
+
+        const records = [...parseAsterixStream(buf, { strict: true })];
+        expect(records[0].diagnostics).toEqual([
+            { code: "reserved-value", message: "I010/550 NOGO: value 3 (undefined) is reserved", offset: 9, itemId: "I010/550" },
+            { code: "spare-bits", message: "I010/550: spare bits 01 are not zero", offset: 9, itemId: "I010/550" },
+        ]);
+        expect(records[1].diagnostics.map(({ code, message, offset }) => ({ code, message, offset }))).toEqual([
+            { code: "item-error", message: "Truncated I048/140", offset: 16 },
+            { code: "length-mismatch", message: "LEN 8 ends inside I048/140", offset: 16 },
+        ]);
+    });
+
+    test("decodes I048/240 Aircraft Identification from 6-bit IA-5", () => {
+        // FSPEC1: FX=1 -> 0x01; FSPEC2: b6=I048/240 (FRN9) -> 0x40
+        // "KLM1023 " -> K=11 L=12 M=13 1=49 0=48 2=50 3=51 space=32
+        //   001011 001100 001101 110001 | 110000 110010 110011 100000
+        const buf = U8([
+            0x30, 0x00, 0x0B,
+            0x01, 0x40,
+            0x2C, 0xC3, 0x71, 0xC3, 0x2C, 0xE0,
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.items["I048/240"]).toEqual({ callsign: "KLM1023" });
+    });
+
+    test("decodes I048/210 Track Quality and the Mode-2 items from FSPEC3/4", () => {
+        // FSPEC1..2: FX only; FSPEC3: b7=I048/210 (FRN15), FX=1 -> 0x81
+        // FSPEC4: b5=I048/050 (FRN24), b3=I048/060 (FRN26), FX=0 -> 0x28
+        const buf = U8([
+            0x30, 0x00, 0x0F,
+            0x01, 0x01, 0x81, 0x28,
+            0x40, 0x80, 0x40, 0x10, // I048/210
+            0x0A, 0x3F,             // I048/050: 5077
+            0x00, 0x03,             // I048/060
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        const tq = record.items["I048/210"];
+        expect(tq.sigma_x_nm).toBeCloseTo(0.5, 6);
+        expect(tq.sigma_y_nm).toBeCloseTo(1.0, 6);
+        expect(tq.sigma_v_kts).toBeCloseTo(64 / 16384 * 3600, 6);
+        expect(tq.sigma_h_deg).toBeCloseTo(1.40625, 6);
+        expect(record.items["I048/050"].code_octal).toBe("5077");
+        expect(record.items["I048/050"].validated).toBe(true);
+        expect(record.items["I048/060"].lowConfidenceBits).toBe(3);
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+
+    test("uses exact lengths for compound and repetitive CAT048 items", () => {
+        // FSPEC1: b1=I048/130 (FRN7), FX=1 -> 0x03; FSPEC2: b6=I048/250 (FRN10), b5=I048/161 (FRN11) -> 0x30
+        // I048/130: primary 0xC0 (SRL, SRR) + 2 subfield octets
+        // I048/250: REP=1 + 8 octets
+        // I048/161: track 0x0123
+        const buf = U8([
+            0x30, 0x00, 0x13,
+            0x03, 0x30,
+            0xC0, 0x11, 0x22,
+            0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x40,
+            0x01, 0x23,
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.items["I048/130"].SRL.runlength_deg).toBeCloseTo(0x11 * 360 / 8192, 6);
+        expect(record.items["I048/130"].SRR).toEqual({ replies: 0x22 });
+        expect(record.items["I048/250"]).toMatchObject([{ mbData: "00000000000000", bds1: 4, bds2: 0 }]);
+        expect(record.items["I048/161"]).toBe(0x123);
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+
+    test("decodes every octet of I048/020, I048/170, I048/030 and I048/230", () => {
+        // FSPEC: I048/020 (FRN3) | I048/170 (FRN14) | I048/030 (FRN16), I048/230 (FRN21)
+        const buf = U8([
+            0x30, 0x00, 0x0F,
+            0x21, 0x03, 0x42,
+            0xA5, 0x33, 0xC0, // I048/020: Roll-Call, SPI | XPP, ME, friendly | ADS-B populated and available
+            0xCB, 0x90,       // I048/170: tentative SSR track, manoeuvring, climbing | end of track, ground plane
+            0x03, 0x26,       // I048/030: multipath, birds
+            0x88, 0xF5,       // I048/230: level 5, alert airborne | MSSC, 25 ft, AIC, B1A, B1B=5
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.length).toBe(buf.length);
+        expect(record.items["I048/020"]).toMatchObject({
+            detectionType: { value: 5, meaning: "Single ModeS Roll-Call" },
+            spi: true,
+            testTarget: false,
+            xPulse: true,
+            militaryEmergency: true,
+            militaryIdentification: false,
+            foeFri: { value: 1, meaning: "Friendly target" },
+            adsbPopulated: true,
+            adsbAvailable: true,
+            scnPopulated: false,
+        });
+        expect(record.items["I048/170"]).toEqual({
+            confirmation: { value: 1, meaning: "Tentative track" },
+            trackSource: { value: 2, meaning: "SSR/Mode S track" },
+            doubtful: false,
+            horizontalManoeuvre: true,
+            climbDescent: { value: 1, meaning: "Climbing" },
+            endOfTrack: true,
+            ghost: false,
+            neighbourNodeB: false,
+            coordinatePlane: { value: 1, meaning: "2D ground plane (slant range corrected)" },
+        });
+        expect(record.items["I048/030"]).toEqual([
+            { value: 1, meaning: "Multipath Reply (Reflection)" },
+            { value: 19, meaning: "Birds" },
+        ]);
+        expect(record.items["I048/230"]).toMatchObject({
+            communications: { value: 4, meaning: "Level 5 Transponder capability" },
+            flightStatus: { value: 2, meaning: "Alert, no SPI, aircraft airborne" },
+            specificServices: true,
+            altitudeResolution: { value: 1, meaning: "25 ft" },
+            aircraftIdentification: true,
+            bds10Bit16: 1,
+            bds10Bits37to40: 5,
+        });
+    });
+
+    test("interprets Comm-B registers in I048/250", () => {
+        // FSPEC1: I048/010, FX -> 0x81; FSPEC2: I048/250 (FRN10) -> 0x20; REP = 5
+        const mb = [
+            [0x85, 0xE4, 0x2F, 0x31, 0x30, 0x00, 0x00, 0x40], // BDS 4,0
+            [0x81, 0x95, 0x15, 0x36, 0xE0, 0x24, 0xD4, 0x50], // BDS 5,0
+            [0x8F, 0x39, 0xF9, 0x1A, 0x7E, 0x27, 0xC4, 0x60], // BDS 6,0
+            [0x20, 0x2C, 0xC3, 0x71, 0xC3, 0x1D, 0xE0, 0x20], // BDS 2,0
+            [0x00, 0x81, 0x01, 0x00, 0x00, 0x00, 0x00, 0x17], // BDS 1,7
+        ];
+        const buf = U8([0x30, 0x00, 0x30, 0x81, 0x20, 0x01, 0x02, 0x05, ...mb.flat()]);
+
+        const { record } = parseRecord(buf, 0);
+        const [bds40, bds50, bds60, bds20, bds17] = record.items["I048/250"];
+        expect(bds40.bds).toBe("4,0");
+        expect(bds40.register.mcpSelectedAltitude_ft).toEqual({ status: true, value: 3008 });
+        expect(bds40.register.barometricSetting_mb.value).toBeCloseTo(1020, 6);
+        expect(bds40.register.mcpMode).toEqual({ status: false, value: null });
+        expect(bds50.register).toEqual({
+            rollAngle_deg: { status: true, value: 2.109375 },
+            trueTrack_deg: { status: true, value: 114.2578125 },
+            groundSpeed_kts: { status: true, value: 438 },
+            trackAngleRate_deg_s: { status: true, value: 0.125 },
+            trueAirspeed_kts: { status: true, value: 424 },
+        });
+        expect(bds60.register.magneticHeading_deg.value).toBeCloseTo(42.71484, 4);
+        expect(bds60.register.indicatedAirspeed_kts.value).toBe(252);
+        expect(bds60.register.mach.value).toBeCloseTo(0.42, 6);
+        expect(bds60.register.barometricAltitudeRate_fpm.value).toBe(-1920);
+        expect(bds20.register.callsign).toBe("KLM1017");
+        expect(bds17.register.registers).toEqual(["4,0", "5,0", "6,0"]);
+    });
+
+    test("decodes I048/110 3D height and I048/120 Doppler speed", () => {
+        // FSPEC1: I048/010, FX -> 0x81; FSPEC2: FX -> 0x01; FSPEC3: I048/110 (FRN19), I048/120 (FRN20) -> 0x0C
+        const buf = U8([
+            0x30, 0x00, 0x14,
+            0x81, 0x01, 0x0C,
+            0x01, 0x02,
+            0x3F, 0xD8,             // I048/110 = -40 * 25 ft
+            0xC0,                   // I048/120: CAL, RDS
+            0x83, 0xFB,             // CAL: doubtful, -5 m/s
+            0x01, 0xFF, 0x9C, 0x01, 0x2C, 0x0B, 0xB8, // RDS: -100 m/s, 300 m/s, 3000 MHz
+        ]);
+        const { record } = parseRecord(buf, 0);
+        expect(record.length).toBe(buf.length);
+        expect(record.items["I048/110"].height_ft).toBe(-1000);
+        expect(record.items["I048/110"].height_m).toBeCloseTo(-304.8, 6);
+        expect(record.items["I048/120"]).toEqual({
+            CAL: { doubtful: true, speed_mps: -5 },
+            RDS: [{ speed_mps: -100, ambiguity_mps: 300, frequency_mhz: 3000 }],
+        });
+    });
+
+    test("decodes CAT034 status, processing mode and message counts", () => {
+        // FSPEC1: I034/010, /050, /060, FX -> 0x87; FSPEC2: I034/070 (FRN8) -> 0x80
+        const buf = U8([
+            0x22, 0x00, 0x12,
+            0x87, 0x80,
+            0x01, 0x02,             // I034/010
+            0x90, 0x40, 0xC8,       // I034/050: COM (RDPC-2), PSR (antenna 2, channel B, MSC)
+            0x90, 0x20, 0x50,       // I034/060: COM (RDP reduction 2), PSR (linear, reduction 5, STC map 1)
+            0x02, 0x08, 0x0A, 0x2F, 0xFF, // I034/070: 10 single PSR, 2047 single Roll-Call
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.length).toBe(buf.length);
+        const status = record.items["I034/050"];
+        expect(status.COM).toMatchObject({ nogo: false, rdpc: { value: 1, meaning: "RDPC-2 selected" }, timeSourceInvalid: false });
+        expect(status.PSR).toEqual({
+            antenna: { value: 1, meaning: "Antenna 2" },
+            channels: { value: 2, meaning: "Channel B only selected" },
+            overload: false,
+            monitoringDisconnected: true,
+        });
+        expect(record.items["I034/060"].COM).toEqual({ rdpReduction: 2, transmissionReduction: 0 });
+        expect(record.items["I034/060"].PSR).toMatchObject({ radarReduction: 5, stcMap: { value: 0, meaning: "STC Map-1" } });
+        expect(record.items["I034/070"].map((c) => [c.type.value, c.count])).toEqual([[1, 10], [5, 2047]]);
+    });
+});
+
+describe("ASTERIX parser (CAT 021 synthetic data)", () => {
+    test("parses a CAT021 ADS-B report", () => {
+        // FSPEC1: I021/010, /071, /131, FX -> 0x8B
+        // FSPEC2: I021/080 (FRN11), FX -> 0x11
+        // FSPEC3: I021/140 (FRN16), I021/210 (FRN18), FX -> 0x51
+        // FSPEC4: I021/160 (FRN26), FX -> 0x09
+        // FSPEC5: I021/170 (FRN29) -> 0x80
+        const buf = U8([
+            0x15, 0x00, 0x25,
+            0x8B, 0x11, 0x51, 0x09, 0x80,
+            0x01, 0x02,                                     // I021/010
+            0x07, 0x08, 0x00,                               // I021/071 = 3600 s
+            0x10, 0x00, 0x00, 0x00, 0xE0, 0x00, 0x00, 0x00, // I021/131 = 45 N, 90 W
+            0x4C, 0xA1, 0x23,                               // I021/080
+            0x00, 0xA0,                                     // I021/140 = 160 * 6.25 ft
+            0x12,                                           // I021/210 VN=2, LTT=2
+            0x08, 0x00, 0x40, 0x00,                         // I021/160 = 450 kt, 90 deg
+            0x2C, 0xC3, 0x71, 0xC3, 0x2C, 0xE0,             // I021/170 = "KLM1023"
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.category).toBe(21);
+        expect(record.items["I021/010"]).toEqual({ sac: 1, sic: 2 });
+        expect(record.items["I021/071"].seconds).toBeCloseTo(3600, 6);
+        expect(record.items["I021/131"].lat_deg).toBeCloseTo(45, 9);
+        expect(record.items["I021/131"].lon_deg).toBeCloseTo(-90, 9);
+        expect(record.items["I021/080"].icao24).toBe("4CA123");
+        expect(record.items["I021/140"].feet).toBe(1000);
+        expect(record.items["I021/210"]).toMatchObject({ version: 2, name: "ED102A/DO-260B", linkTechnology: 2 });
+        expect(record.items["I021/160"].kts).toBeCloseTo(450, 6);
+        expect(record.items["I021/160"].track_deg).toBeCloseTo(90, 6);
+        expect(record.items["I021/170"].callsign).toBe("KLM1023");
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+
+    test("decodes CAT021 position, quality indicators and high-precision time", () => {
+        // FSPEC1: I021/130 (FRN6), FX -> 0x05; FSPEC2: I021/074 (FRN13), FX -> 0x05
+        // FSPEC3: I021/090 (FRN17) -> 0x20
+        const buf = U8([
+            0x15, 0x00, 0x13,
+            0x05, 0x05, 0x20,
+            0x20, 0x00, 0x00, 0xF0, 0x00, 0x00, // I021/130 = 45 N, 22.5 W
+            0x40, 0x00, 0x00, 0x00,             // I021/074 FSI=1, fraction 0
+            0x2B, 0x95, 0x06,                   // I021/090 NUCr=1, NIC=5; NICbaro=1, SIL=0, NACp=10; SDA=0, GVA=3
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.items["I021/130"].lat_deg).toBeCloseTo(45, 6);
+        expect(record.items["I021/130"].lon_deg).toBeCloseTo(-22.5, 6);
+        expect(record.items["I021/074"]).toMatchObject({ fsi: 1, fraction_s: 0 });
+        expect(record.items["I021/090"]).toMatchObject({
+            nucr_nacv: 1, nucp_nic: 5, nicBaro: 1, sil: 0, nacp: 10, sda: 0, gva: 3,
+        });
+    });
+});
+
+describe("ASTERIX parser (CAT 062 synthetic data)", () => {
+    test("parses a CAT062 system track with compound items", () => {
+        // FSPEC1: I062/010, /070, /105, /185, FX -> 0x9B
+        // FSPEC2: I062/060, /380, /040, /080, FX -> 0x5D
+        // FSPEC3: I062/136, /390 -> 0x22
+        const buf = U8([
+            0x3E, 0x00, 0x38,
+            0x9B, 0x5D, 0x22,
+            0x19, 0x0A,                                     // I062/010
+            0x07, 0x08, 0x00,                               // I062/070 = 3600 s
+            0x00, 0x80, 0x00, 0x00, 0xFF, 0xC0, 0x00, 0x00, // I062/105 = 45 N, 22.5 W
+            0x01, 0x90, 0x00, 0x00,                         // I062/185 Vx=100 m/s, Vy=0
+            0x0E, 0x00,                                     // I062/060 = 7000
+            0xC0,                                           // I062/380 primary: ADR, ID
+            0x4C, 0xA1, 0x23,                               //   ADR
+            0x2C, 0xC3, 0x71, 0xC3, 0x2C, 0xE0,             //   ID = "KLM1023"
+            0x01, 0x2C,                                     // I062/040 = 300
+            0x03, 0x10,                                     // I062/080 CNF=1; FPC=1
+            0x05, 0x78,                                     // I062/136 = FL350
+            0xC1, 0x80,                                     // I062/390 primary: TAG, CSN; DST
+            0x19, 0x0B,                                     //   TAG
+            0x4B, 0x4C, 0x4D, 0x31, 0x30, 0x32, 0x33,       //   CSN = "KLM1023"
+            0x45, 0x48, 0x41, 0x4D,                         //   DST = "EHAM"
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        const it = record.items;
+        expect(record.category).toBe(62);
+        expect(it["I062/010"]).toEqual({ sac: 0x19, sic: 0x0A });
+        expect(it["I062/070"].seconds).toBeCloseTo(3600, 6);
+        expect(it["I062/105"].lat_deg).toBeCloseTo(45, 9);
+        expect(it["I062/105"].lon_deg).toBeCloseTo(-22.5, 9);
+        expect(it["I062/185"].mps).toBeCloseTo(100, 6);
+        expect(it["I062/185"].course_deg).toBeCloseTo(90, 6);
+        expect(it["I062/060"].code_octal).toBe("7000");
+        expect(it["I062/380"].ADR.icao24).toBe("4CA123");
+        expect(it["I062/380"].ID.callsign).toBe("KLM1023");
+        expect(it["I062/040"]).toBe(300);
+        expect(it["I062/080"]).toMatchObject({ tentative: true, flightPlanCorrelated: true, simulated: false });
+        expect(it["I062/136"].flightLevel).toBe(350);
+        expect(it["I062/390"]).toEqual({ TAG: { sac: 0x19, sic: 0x0B }, CSN: "KLM1023", DST: "EHAM" });
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+
+    test("decodes CAT062 update ages and composed track numbers", () => {
+        // FSPEC1: FX -> 0x01; FSPEC2: I062/290 (FRN14), FX -> 0x03
+        // FSPEC3: FX -> 0x01; FSPEC4: I062/510 (FRN26) -> 0x08
+        const buf = U8([
+            0x3E, 0x00, 0x11,
+            0x01, 0x03, 0x01, 0x08,
+            0x88, 0x02, 0x00, 0x10,       // I062/290: TRK = 0.5 s, ADS (2B) = 4 s
+            0x01, 0x00, 0x03,             // I062/510 unit 1, track 1, FX=1
+            0x02, 0x00, 0x04,             //          unit 2, track 2
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.items["I062/290"]).toEqual({ TRK: { seconds: 0.5 }, ADS: { seconds: 4 } });
+        expect(record.items["I062/510"]).toEqual([
+            { systemUnit: 1, trackNumber: 1 },
+            { systemUnit: 2, trackNumber: 2 },
+        ]);
+    });
+});
+
+describe("ASTERIX parser (CAT 001/002 synthetic data)", () => {
+    test("selects the CAT001 plot or track UAP from the TYP bit of I001/020", () => {
+        // One block, two records:
+        //   plot:  FSPEC 0xE0 -> I001/010, /020 (TYP=0), /040
+        //   track: FSPEC 0xE5 0x04 -> I001/010, /020 (TYP=1), /161, /200; I001/170
+        const buf = U8([
+            0x01, 0x00, 0x17,
+            0xE0,
+            0x01, 0x02,             // I001/010
+            0x20,                   // I001/020 plot, SSR
+            0x05, 0x00, 0x40, 0x00, // I001/040 = 10 NM, 90 deg
+            0xE5, 0x04,
+            0x01, 0x02,             // I001/010
+            0xB0,                   // I001/020 track, SSR+PSR
+            0x00, 0x2A,             // I001/161 = 42
+            0x08, 0x00, 0x40, 0x00, // I001/200 = 450 kt, 90 deg
+            0x80,                   // I001/170 CON=1
+        ]);
+
+        const { records } = parseDataBlock(buf, 0);
+        expect(records).toHaveLength(2);
+
+        const [plot, track] = records;
+        expect(plot.uap).toBe("plot");
+        expect(plot.items["I001/020"]).toMatchObject({ type: "plot", detection: "SSR" });
+        expect(plot.items["I001/040"].range_nm).toBeCloseTo(10, 6);
+        expect(plot.items["I001/040"].bearing_deg).toBeCloseTo(90, 6);
+
+        expect(track.uap).toBe("track");
+        expect(track.items["I001/020"]).toMatchObject({ type: "track", detection: "SSR+PSR" });
+        expect(track.items["I001/161"]).toBe(42);
+        expect(track.items["I001/200"].kts).toBeCloseTo(450, 6);
+        expect(track.items["I001/170"].initiation).toBe(true);
+        expect(track.rawItems._tail).toBeUndefined();
+    });
+
+    test("parses a CAT002 north marker", () => {
+        // FSPEC 0xD0 -> I002/010, /000, /030
+        const buf = U8([
+            0x02, 0x00, 0x0A,
+            0xD0,
+            0x01, 0x02,       // I002/010
+            0x01,             // I002/000 North Marker
+            0x00, 0x08, 0x00, // I002/030 = 16 s
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.uap).toBeUndefined();
+        expect(record.items["I002/010"]).toEqual({ sac: 1, sic: 2 });
+        expect(record.items["I002/000"]).toEqual({ type: 1, name: "North Marker" });
+        expect(record.items["I002/030"].seconds).toBeCloseTo(16, 6);
+    });
+});
+
+describe("ASTERIX parser (CAT 019/020 synthetic data)", () => {
+    test("parses a CAT020 MLAT target report", () => {
+        // FSPEC1: I020/010, /020, /140, /041, /042, FX -> 0xF9
+        // FSPEC2: I020/220 (FRN12), FX -> 0x09
+        // FSPEC3: I020/105 (FRN15), /500 (FRN19), /400 (FRN20) -> 0x8C
+        const buf = U8([
+            0x14, 0x00, 0x29,
+            0xF9, 0x09, 0x8C,
+            0x01, 0x02,                                     // I020/010
+            0x40,                                           // I020/020 MS
+            0x07, 0x08, 0x00,                               // I020/140 = 3600 s
+            0x00, 0x80, 0x00, 0x00, 0x00, 0x10, 0x00, 0x00, // I020/041 = 45 N, 5.625 E
+            0x00, 0x07, 0xD0, 0xFF, 0xFC, 0x18,             // I020/042 X=1000 m, Y=-500 m
+            0x4C, 0xA1, 0x23,                               // I020/220
+            0x00, 0xA0,                                     // I020/105 = 1000 ft
+            0x40, 0x00, 0x28, 0x00, 0x50, 0xFF, 0xFC,       // I020/500 SDP
+            0x02, 0x01, 0x05,                               // I020/400 RU9; RU3, RU1
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        const it = record.items;
+        expect(it["I020/020"]).toMatchObject({ modeS: true, ssr: false });
+        expect(it["I020/041"].lat_deg).toBeCloseTo(45, 9);
+        expect(it["I020/041"].lon_deg).toBeCloseTo(5.625, 9);
+        expect(it["I020/042"]).toMatchObject({ x_m: 1000, y_m: -500 });
+        expect(it["I020/220"].icao24).toBe("4CA123");
+        expect(it["I020/105"].feet).toBe(1000);
+        expect(it["I020/500"]).toEqual({ SDP: { sigma_x_m: 10, sigma_y_m: 20, cov_xy: -1 } });
+        expect(it["I020/400"].receivers).toEqual([1, 3, 9]);
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+
+    test("parses a CAT019 MLAT system status message", () => {
+        // FSPEC1: I019/010, /000, /140, /550, /552 -> 0xF4
+        const buf = U8([
+            0x13, 0x00, 0x0E,
+            0xF4,
+            0x01, 0x02,       // I019/010
+            0x02,             // I019/000 Periodic Status Message
+            0x07, 0x08, 0x00, // I019/140
+            0x50,             // I019/550 degraded, time source invalid
+            0x01, 0x05, 0x48, // I019/552 RS 5: 1090 receiver, good
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        expect(record.items["I019/000"].name).toBe("Periodic Status Message");
+        expect(record.items["I019/550"]).toMatchObject({
+            operationalStatus: "degraded", overload: false, timeSourceInvalid: true,
+        });
+        expect(record.items["I019/552"]).toEqual([
+            { id: 5, receiver1090: true, transmitter1030: false, transmitter1090: false, good: true, online: false },
+        ]);
+    });
+});
+
+describe("CAT 010/011 synthetic data", () => {
+    test("parses a CAT010 surface movement target report", () => {
+        // FSPEC: /010 /000 /020 /140 /041 | /161 | /300 | /280
+        const buf = U8([
+            0x0A, 0x00, 0x1D,
+            0xF9, 0x21, 0x41, 0x40,
+            0x01, 0x02,                                     // I010/010
+            0x01,                                           // I010/000 Target Report
+            0x41, 0x04,                                     // I010/020 ADS-B; ground vehicle
+            0x00, 0x00, 0x80,                               // I010/140 = 1 s
+            0x20, 0x00, 0x00, 0x00, 0xC0, 0x00, 0x00, 0x00, // I010/041 45°, -90°
+            0x00, 0x2A,                                     // I010/161 = 42
+            0x03,                                           // I010/300
+            0x01, 0x0A, 0xFE,                               // I010/280 one presence
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        const it = record.items;
+        expect(it["I010/000"].name).toBe("Target Report");
+        expect(it["I010/020"]).toMatchObject({ typeName: "ADS-B", targetType: "ground vehicle" });
+        expect(it["I010/041"].lat_deg).toBeCloseTo(45, 9);
+        expect(it["I010/041"].lon_deg).toBeCloseTo(-90, 9);
+        expect(it["I010/161"]).toBe(42);
+        expect(it["I010/300"].vfi).toBe(3);
+        expect(it["I010/280"]).toHaveLength(1);
+        expect(it["I010/280"][0].drho_m).toBe(10);
+        expect(it["I010/280"][0].dtheta_deg).toBeCloseTo(-0.3, 9);
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+
+    test("parses a CAT011 A-SMGCS track with Mode S data and alerts", () => {
+        // FSPEC: /010 /000 /041 | /380 | /430 | /605
+        const buf = U8([
+            0x0B, 0x00, 0x21,
+            0xC9, 0x11, 0x81, 0x08,
+            0x00, 0x07,                                     // I011/010
+            0x01,                                           // I011/000
+            0x00, 0x80, 0x00, 0x00, 0x00, 0x20, 0x00, 0x00, // I011/041 45°, 11.25°
+            0x41, 0x80,                                     // I011/380 ADR, ACT
+            0x3C, 0x65, 0x0A,
+            0x41, 0x33, 0x32, 0x30,
+            0x02,                                           // I011/430
+            0x02, 0x00, 0x10, 0x01, 0x20,                   // I011/605
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        const it = record.items;
+        expect(it["I011/041"].lat_deg).toBeCloseTo(45, 9);
+        expect(it["I011/041"].lon_deg).toBeCloseTo(11.25, 9);
+        expect(it["I011/380"]).toEqual({ ADR: { icao24: "3C650A" }, ACT: "A320" });
+        expect(it["I011/430"].name).toBe("Taxiing for departure");
+        expect(it["I011/605"]).toEqual([16, 288]);
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+});
+
+describe("CAT 008 synthetic data", () => {
+    test("parses CAT008 polar weather vectors", () => {
+        // FSPEC1: I008/010, /000, /020, /034 -> 0xF0
+        const buf = U8([
+            0x08, 0x00, 0x0D,
+            0xE8,
+            0x00, 0x01,             // I008/010
+            0x01,                   // I008/000 Polar vector
+            0x30,                   // I008/020 intensity 3
+            0x01, 0x80, 0xFF, 0x40, 0x00, // I008/034 1 NM .. 255/128 NM at 90 deg
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        const it = record.items;
+        expect(it["I008/000"].name).toBe("Polar vector");
+        expect(it["I008/020"]).toMatchObject({ intensity: 3, systemCoordinates: false });
+        expect(it["I008/034"]).toEqual([
+            { start: 128, end: 255, start_range_nm: 1, end_range_nm: 255 / 128, azimuth_deg: 90 },
+        ]);
+    });
+
+    test("parses a CAT008 contour record with processing status", () => {
+        // FSPEC1: I008/010, /000, /040, /050, FX -> 0xC7; FSPEC2: I008/100 -> 0x40
+        const buf = U8([
+            0x08, 0x00, 0x12,
+            0xC7, 0x40,
+            0x00, 0x01,                   // I008/010
+            0x03,                         // I008/000 Contour record
+            0x23, 0x05,                   // I008/040 intensity 2, first and only, serial 5
+            0x02, 0x40, 0x00, 0x00, 0x40, // I008/050 (1 NM, 0), (0, 1 NM)
+            0x08, 0x00, 0x00,             // I008/100 f = 1
+        ]);
+
+        const { record } = parseRecord(buf, 0);
+        const it = record.items;
+        expect(it["I008/040"]).toEqual({ systemCoordinates: false, intensity: 2, position: "first and only", serial: 5 });
+        expect(it["I008/050"].map((p) => [p.x_nm, p.y_nm])).toEqual([[1, 0], [0, 1]]);
+        expect(it["I008/100"]).toMatchObject({ scalingFactor: 1, reductionStage: 0, parameters: 0 });
+        expect(record.rawItems._tail).toBeUndefined();
+    });
+});
+
+describe("CAT 023/025 synthetic data", () => {
+    // CAT023 service status report from 1/2: overloaded processor, ADS-B ES service normal
+    // FSPEC1: I023/010, /000, /015, /070, /100, FX -> 0xF9; FSPEC2: I023/110 -> 0x80
+    const cat023 = [
+        0x17, 0x00, 0x0E,
+        0xF9, 0x80,
+        0x01, 0x02,       // I023/010
+        0x02,             // I023/000 Service Status report
+        0x12,             // I023/015 SID 1, ADS-B Ext Squitter
+        0x00, 0x01, 0x00, // I023/070 = 2 s
+        0x40,             // I023/100 data processor overload
+        0x08,             // I023/110 Normal
+    ];
+    // CAT025 status from 1/3: service 7 degraded, component 42 failed with error 3
+    // FSPEC1: I025/010, /000, /015, /070, /100, FX -> 0xD7; FSPEC2: I025/120 -> 0x08
+    const cat025 = [
+        0x19, 0x00, 0x11,
+        0xD7, 0x08,
+        0x01, 0x03,       // I025/010
+        0x02,             // I025/000 Service and System Status report, periodic
+        0x07,             // I025/015
+        0x00, 0x00, 0x80, // I025/070 = 1 s
+        0x04,             // I025/100 SSTAT Degraded
+        0x01, 0x00, 0x2A, 0x0D, // I025/120
+    ];
+
+    test("parses CAT023 ground station and service status", () => {
+        const { record } = parseRecord(U8(cat023), 0);
+        const it = record.items;
+        expect(it["I023/000"].name).toBe("Service Status report");
+        expect(it["I023/015"]).toEqual({ sid: 1, type: 2, typeName: "ADS-B Ext Squitter" });
+        expect(it["I023/070"].seconds).toBe(2);
+        expect(it["I023/100"]).toMatchObject({ nogo: false, dataProcessorOverload: true });
+        expect(it["I023/110"].name).toBe("Normal");
+    });
+
+    test("parses CAT025 system status and component status", () => {
+        const { record } = parseRecord(U8(cat025), 0);
+        const it = record.items;
+        expect(it["I025/000"]).toMatchObject({ type: 1, eventDriven: false });
+        expect(it["I025/100"]).toMatchObject({ nogo: false, opsName: "Operational", sstatName: "Degraded" });
+        expect(it["I025/120"]).toEqual([{ id: 42, errorCode: 3, state: 1, stateName: "Failed" }]);
+    });
+
+    test("summarises station health from the stream", () => {
+        const health = stationHealth(parseAsterixStream(U8([...cat023, ...cat025])));
+        expect(Object.keys(health)).toEqual(["1/2", "1/3"]);
+        expect(health["1/2"]).toMatchObject({
+            category: 23, timeOfDay_s: 2, status: "degraded", healthy: false,
+            services: { 1: { type: "ADS-B Ext Squitter", status: "Normal" } },
+        });
+        expect(health["1/3"]).toMatchObject({
+            category: 25, status: "degraded",
+            services: { 7: { status: "Degraded", errors: [] } },
+            components: { 42: { state: "Failed", errorCode: 3 } },
+        });
+    });
+});
+
+describe("Category editions", () => {
+    // Local CAT048 variant with I048/161 at FRN 2 instead of I048/140
+    const uap = [...CATEGORY_DEFS[48].uap];
+    uap[1] = "I048/161";
+    uap[uap.indexOf("I048/161", 2)] = "I048/140";
+    registerEdition(48, "1.21-local", { def: { ...CATEGORY_DEFS[48], edition: "1.21-local", uap }, decoders: DECODERS[48] });
+
+    const stream = U8([
+        0x30, 0x00, 0x09, 0xC0, 0x01, 0x01, 0x00, 0x00, 0x80, // SAC/SIC 1/1, I048/140 = 1 s
+        0x30, 0x00, 0x08, 0xC0, 0x02, 0x02, 0x01, 0x23,       // SAC/SIC 2/2, I048/161 = 0x123
+    ]);
+
+    test("maps data sources to editions and reports the edition used", () => {
+        const [a, b] = [...parseAsterixStream(stream, { sourceEditions: { "2/2": { 48: "1.21-local" } } })];
+        expect(a.edition).toBe("1.21");
+        expect(a.items["I048/140"].seconds).toBe(1);
+        expect(b.edition).toBe("1.21-local");
+        expect(b.items["I048/161"]).toBe(0x123);
+        expect(CATEGORY_DEFS[48].edition).toBe("1.21"); // the active definition is untouched
+    });
+
+    test("selects an edition for a whole stream", () => {
+        const { record } = parseRecord(stream, 9, 0, { editions: { 48: "1.21-local" } });
+        expect(record.edition).toBe("1.21-local");
+        expect(record.items["I048/161"]).toBe(0x123);
+        expect(() => parseRecord(stream, 0, 0, { editions: { 48: "9.9" } })).toThrow("CAT048 edition 9.9 is not registered");
+    });
 });
@@ -0,0 +1,172 @@
+const { readPcapDatagrams, parsePcap, parsePcapChunks } = require("../pcap");
+const { enrichAsterix } = require("../enricher");
+
+// CAT048 block: I048/010 SAC 1 / SIC 2, I048/140 = 86399 s (23:59:59)
+const asterix = [0x30, 0x00, 0x09, 0xC0, 0x01, 0x02, 0xA8, 0xBF, 0x80];
+
+const u16 = (v) => [v >> 8, v & 0xFF];
+const le32 = (v) => [v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, (v >>> 24) & 0xFF];
+const pad4 = (bytes) => bytes.concat(Array((4 - (bytes.length % 4)) % 4).fill(0));
+
+const udp = (srcPort, dstPort, payload) => [...u16(srcPort), ...u16(dstPort), ...u16(8 + payload.length), 0, 0, ...payload];
+
+const ipv4 = (src, dst, payload, { id = 1, offset = 0, more = false } = {}) => [
+    0x45, 0x00, ...u16(20 + payload.length), ...u16(id), ...u16((more ? 0x2000 : 0) | (offset / 8)),
+    64, 17, 0, 0, ...src, ...dst, ...payload,
+];
+
+const ipv6 = (src, dst, payload) => [
+    0x60, 0, 0, 0, ...u16(payload.length), 17, 64, ...src, ...dst, ...payload,
+];
+
+const ethernet = (ethertype, payload, vlan) => [
+    0x01, 0x00, 0x5E, 0x01, 0x02, 0x03, 0x00, 0x11, 0x22, 0x33, 0x44, 0x55,
+    ...(vlan !== undefined ? [0x81, 0x00, ...u16(vlan)] : []),
+    ...u16(ethertype), ...payload,
+];
+
+// Little-endian PCAP, microsecond timestamps, Ethernet
+const pcap = (packets) => Uint8Array.from([
+    ...le32(0xA1B2C3D4), 2, 0, 4, 0, ...le32(0), ...le32(0), ...le32(65535), ...le32(1),
+    ...packets.flatMap(({ sec, usec, data }) => [...le32(sec), ...le32(usec), ...le32(data.length), ...le32(data.length), ...data]),
+]);
+
+// Little-endian PCAPNG: SHB, one raw-IP interface with nanosecond resolution, EPBs
+const block = (type, body) => {
+    const padded = pad4(body);
+    return [...le32(type), ...le32(padded.length + 12), ...padded, ...le32(padded.length + 12)];
+};
+const pcapng = (packets) => Uint8Array.from([
+    ...block(0x0A0D0D0A, [...le32(0x1A2B3C4D), 1, 0, 0, 0, ...Array(8).fill(0xFF)]),
+    ...block(1, [...[101, 0], 0, 0, ...le32(0), 9, 0, 1, 0, 9, 0, 0, 0, 0, 0, 0, 0]),
+    ...packets.flatMap(({ ns, data }) => block(6, [
+        ...le32(0), ...le32(Math.floor(ns / 2 ** 32)), ...le32(ns % 2 ** 32), ...le32(data.length), ...le32(data.length), ...data,
+    ])),
+]);
+
+const radar = [10, 0, 0, 1];
+const group = [239, 1, 2, 3];
+
+describe("PCAP / PCAPNG reader", () => {
+    // 2025-08-13T00:00:01.5Z
+    const sec = Date.UTC(2025, 7, 13, 0, 0, 1) / 1000;
+
+    test("reads UDP over Ethernet / VLAN from PCAP and filters by port", () => {
+        const capture = pcap([
+            { sec, usec: 500000, data: ethernet(0x0800, ipv4(radar, group, udp(4000, 8600, asterix)), 42) },
+            { sec, usec: 600000, data: ethernet(0x0800, ipv4(radar, group, udp(4000, 53, [1, 2, 3]))) },
+        ]);
+
+        expect([...readPcapDatagrams(capture)].map((d) => d.destination.port)).toEqual([8600, 53]);
+        const records = [...parsePcap(capture, { port: 8600 })];
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({
+            frame: 1,
+            sender: { address: "10.0.0.1", port: 4000 },
+            destination: { address: "239.1.2.3", port: 8600 },
+            receivedAt: "2025-08-13T00:00:01.500Z",
+        });
+
+        // No utcDate: the capture time picks the day, across midnight
+        const [enriched] = enrichAsterix(records, {});
+        expect(enriched.timestamp).toBe("2025-08-12T23:59:59.000Z");
+    });
+
+    test("reassembles IPv4 fragments and reads IPv6 from PCAPNG", () => {
+        const dgram = udp(4000, 8600, [...asterix, ...asterix]);
+        const ns = sec * 1e9;
+        const capture = pcapng([
+            { ns, data: ipv4(radar, group, dgram.slice(0, 16), { id: 7, more: true }) },
+            { ns: ns + 1000, data: ipv6([0xFD, ...Array(14).fill(0), 1], [0xFF, 0x05, ...Array(13).fill(0), 1], udp(4001, 8600, asterix)) },
+            { ns: ns + 2000, data: ipv4(radar, group, dgram.slice(16), { id: 7, offset: 16 }) },
+        ]);
+
+        const datagrams = [...readPcapDatagrams(capture, { address: "10.0.0.1" })];
+        expect(datagrams).toHaveLength(1);
+        expect(datagrams[0].frame).toBe(3);
+        expect([...datagrams[0].payload]).toEqual([...asterix, ...asterix]);
+
+        const records = [...parsePcap(capture)];
+        expect(records.map((r) => [r.frame, r.sender.address])).toEqual([[2, "fd00::1"], [3, "10.0.0.1"], [3, "10.0.0.1"]]);
+        expect(records[0].destination.address).toBe("ff05::1");
+        expect(records[0].receivedAt).toBe("2025-08-13T00:00:01.000Z");
+    });
+
+    test("reports datagrams that are not ASTERIX and carries on", () => {
+        const dns = [0x12, 0x34, 0x01, 0x00, 0x00, 0x01, 0x00, 0x00];
+        const capture = pcap([
+            { sec, usec: 0, data: ethernet(0x0800, ipv4(radar, group, udp(4000, 8600, asterix))) },
+            { sec, usec: 1, data: ethernet(0x0800, ipv4(radar, group, udp(5353, 53, dns))) },
+            { sec, usec: 2, data: ethernet(0x0800, ipv4(radar, group, udp(4000, 8600, asterix))) },
+        ]);
+
+        const malformed = [];
+        const it = parsePcap(capture, { onMalformed: (m) => malformed.push(m) });
+        const records = [];
+        let step;
+        while (!(step = it.next()).done) records.push(step.value);
+        expect(records.map((r) => r.frame)).toEqual([1, 3]);
+        expect(malformed).toHaveLength(1);
+        expect(malformed[0]).toMatchObject({ frame: 2, destination: { port: 53 } });
+        expect(malformed[0].error.message).toBe("Truncated record body");
+        expect(step.value).toEqual({ datagrams: 3, records: 2, malformed: 1 });
+
+        // Parse options reach every datagram; skips say which frame they were in
+        const skips = [];
+        const resynced = [...parsePcap(capture, { resync: true, dissect: true, onError: (e) => skips.push(e), onMalformed: (m) => malformed.push(m) })];
+        expect(resynced.map((r) => [r.frame, r.dissection.offset])).toEqual([[1, 3], [3, 3]]);
+        expect(skips).toMatchObject([{ code: "resync", frame: 2, offset: 0, length: 8 }]);
+        expect(malformed).toHaveLength(1);
+    });
+
+    test("reads captures piece by piece", async () => {
+        const dgram = udp(4000, 8600, [...asterix, ...asterix]);
+        const captures = [
+            pcap([
+                { sec, usec: 500000, data: ethernet(0x0800, ipv4(radar, group, udp(4000, 8600, asterix)), 42) },
+                { sec, usec: 600000, data: ethernet(0x0800, ipv4(radar, group, udp(4000, 53, [1, 2, 3]))) },
+            ]),
+            pcapng([
+                { ns: sec * 1e9, data: ipv4(radar, group, dgram.slice(0, 16), { id: 7, more: true }) },
+                { ns: sec * 1e9 + 2000, data: ipv4(radar, group, dgram.slice(16), { id: 7, offset: 16 }) },
+            ]),
+        ];
+        for (const capture of captures) {
+            const chunks = [];
+            for (let at = 0; at < capture.length; at += 7) chunks.push(capture.subarray(at, at + 7));
+            const records = [];
+            for await (const rec of parsePcapChunks(chunks)) records.push(rec);
+            expect(records).toEqual([...parsePcap(capture)]);
+        }
+
+        const cut = captures[0].subarray(0, captures[0].length - 1);
+        await expect((async () => {
+            for await (const rec of parsePcapChunks([cut])) expect(rec.frame).toBe(1);
+        })()).rejects.toThrow("Truncated PCAP packet");
+    });
+
+    test("refuses packet lengths no capture tool writes before reading them", async () => {
+        const frame = ethernet(0x0800, ipv4(radar, group, udp(4000, 8600, asterix)));
+        const capture = pcap([{ sec, usec: 0, data: frame }, { sec, usec: 1, data: frame }]);
+        capture.set(le32(0x7FFFFFFF), 24 + 16 + frame.length + 8); // incl_len of the second packet
+
+        expect(() => [...parsePcap(capture)]).toThrow("Invalid PCAP packet length 2147483647");
+
+        // A live source: the reader must not wait for (or buffer) 2 GiB of it
+        let pulled = 0;
+        const source = (function* () {
+            yield capture;
+            for (; pulled < 1000; pulled++) yield new Uint8Array(65536);
+        })();
+        const frames = [];
+        await expect((async () => {
+            for await (const rec of parsePcapChunks(source)) frames.push(rec.frame);
+        })()).rejects.toThrow("Invalid PCAP packet length 2147483647");
+        expect(frames).toEqual([1]);
+        expect(pulled).toBe(0);
+    });
+
+    test("rejects files that are not captures", () => {
+        expect(() => [...readPcapDatagrams(Uint8Array.from(asterix))]).toThrow("Not a PCAP file");
+    });
+});
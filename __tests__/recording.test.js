@@ -0,0 +1,121 @@
+const { detectRecordingFormat, readRecording, parseRecording, parseRecordingChunks, registerRecordingFormat } = require("../recording");
+
+// CAT048 blocks: I048/010 SAC 1 / SIC n
+const block = (sic) => [0x30, 0x00, 0x06, 0x80, 0x01, sic];
+
+const final = (units) => Uint8Array.from(units.flatMap(({ board, line, cs, data }) => [
+    0x00, 8 + data.length + 4, board, line, 0x01, (cs >> 16) & 0xFF, (cs >> 8) & 0xFF, cs & 0xFF,
+    ...data, 0xA5, 0xA5, 0xA5, 0xA5,
+]));
+
+const ioss = (units) => Uint8Array.from(units.flatMap(({ line, ms, data }) => [
+    8 + data.length, 0x00, line, 0x00, ms & 0xFF, (ms >> 8) & 0xFF, (ms >> 16) & 0xFF, ms >>> 24, ...data,
+]));
+
+const rff = (units) => Uint8Array.from(units.flatMap(({ board, line, ms, data }) => [
+    0, 0, 0, 10 + data.length, board, line, ms >>> 24, (ms >> 16) & 0xFF, (ms >> 8) & 0xFF, ms & 0xFF, ...data,
+]));
+
+const x25 = (bytes) => {
+    let crc = 0xFFFF;
+    for (const b of bytes) {
+        crc ^= b;
+        for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+    return ~crc & 0xFFFF;
+};
+const hdlc = (frames) => {
+    const out = [0x7E];
+    for (const data of frames) {
+        const body = [0x03, 0x00, ...data];
+        const fcs = x25(body);
+        for (const b of [...body, fcs & 0xFF, fcs >> 8]) out.push(...(b === 0x7E || b === 0x7D ? [0x7D, b ^ 0x20] : [b]));
+        out.push(0x7E);
+    }
+    return Uint8Array.from(out);
+};
+
+describe("recording formats", () => {
+    test("detects each container and leaves raw blocks alone", () => {
+        expect(detectRecordingFormat(Uint8Array.from([...block(1), ...block(2)]))).toBe("raw");
+        expect(detectRecordingFormat(final([{ board: 1, line: 2, cs: 0, data: block(1) }]))).toBe("final");
+        expect(detectRecordingFormat(ioss([{ line: 3, ms: 0, data: block(1) }, { line: 3, ms: 5, data: block(2) }]))).toBe("ioss");
+        expect(detectRecordingFormat(rff([{ board: 1, line: 2, ms: 0, data: block(1) }]))).toBe("rff");
+        expect(detectRecordingFormat(hdlc([block(1)]))).toBe("hdlc");
+        expect(detectRecordingFormat(Uint8Array.from([0x01, 0x02, 0x03]))).toBeNull();
+    });
+
+    test("strips FINAL wrappers and tags records with channel and recording time", () => {
+        const file = final([
+            { board: 4, line: 7, cs: 360000, data: [...block(1), ...block(2)] }, // 01:00:00.00
+            { board: 4, line: 8, cs: 360001, data: block(3) },
+        ]);
+        const records = [...parseRecording(file)];
+        expect(records.map((r) => [r.items["I048/010"].sic, r.blockIndex, r.offset])).toEqual([[1, 0, 11], [2, 1, 17], [3, 2, 35]]);
+        expect(records[0].recording).toEqual({ format: "final", board: 4, line: 7, day: 1, timeOfDay_s: 3600 });
+        expect(records[2].recording).toMatchObject({ line: 8, timeOfDay_s: 3600.01 });
+
+        expect(() => [...parseRecording(file.subarray(0, 34), { format: "final" })]).toThrow("Truncated final unit at byte 24");
+
+        // Resync skips are reported at their place in the file
+        const skips = [];
+        const damaged = final([{ board: 4, line: 7, cs: 0, data: [0x01, 0x02, ...block(1)] }]);
+        const resynced = [...parseRecording(damaged, { format: "final", resync: true, strict: true, onError: (e) => skips.push(e) })];
+        expect(resynced.map((r) => r.offset)).toEqual([13]);
+        expect(resynced[0].diagnostics[0]).toMatchObject({ code: "missing-mandatory", itemId: "I048/140", offset: 13 });
+        expect(skips).toMatchObject([{ offset: 8, length: 2 }]);
+    });
+
+    test("reads IOSS, RFF and HDLC units", () => {
+        const [unit] = readRecording(ioss([{ line: 2, ms: 1500, data: block(1) }]));
+        expect(unit).toMatchObject({ format: "ioss", offset: 8, line: 2, board: null, timeOfDay_s: 1.5 });
+
+        const [rec] = parseRecording(rff([{ board: 9, line: 1, ms: 43200000, data: block(5) }]));
+        expect(rec.recording).toEqual({ format: "rff", board: 9, line: 1, day: null, timeOfDay_s: 43200 });
+
+        // SIC 0x7E has to be escaped inside the frame
+        const file = hdlc([block(0x7E), block(2)]);
+        const frames = [...parseRecording(file, { dissect: true })];
+        expect(frames.map((r) => r.items["I048/010"].sic)).toEqual([0x7E, 2]);
+        expect(frames[0].recording).toEqual({ format: "hdlc", board: null, line: null, day: null, timeOfDay_s: null });
+
+        // Offsets are file offsets past flag, address and control; a stuffed byte sits at its escape
+        const [first] = readRecording(file);
+        expect(first).toMatchObject({ offset: 3, positions: [3, 4, 5, 6, 7, 8, 10] });
+        expect(frames.map((r) => r.offset)).toEqual([6, 18]);
+        expect(frames[0].dissection.items[0].fields.map((f) => f.offset)).toEqual([7, 8]);
+        expect(file[8]).toBe(0x7D);
+
+        const corrupt = hdlc([block(1)]);
+        corrupt[5] ^= 0x01;
+        expect(() => [...readRecording(corrupt, { format: "hdlc" })]).toThrow("Bad HDLC FCS at byte 1");
+    });
+
+    test("reads recordings piece by piece", async () => {
+        const read = async (file, opts) => {
+            const records = [];
+            for await (const rec of parseRecordingChunks([...file].map((b) => Uint8Array.of(b)), opts)) records.push(rec);
+            return records;
+        };
+        const files = [
+            final([{ board: 4, line: 7, cs: 0, data: [...block(1), ...block(2)] }, { board: 4, line: 8, cs: 1, data: block(3) }]),
+            hdlc([block(0x7E), block(2)]),
+            Uint8Array.from([...block(1), ...block(2)]),
+        ];
+        for (const file of files) expect(await read(file)).toEqual([...parseRecording(file)]);
+
+        const cut = final([{ board: 4, line: 7, cs: 0, data: block(1) }, { board: 4, line: 7, cs: 0, data: block(2) }]).subarray(0, 34);
+        await expect(read(cut, { format: "final" })).rejects.toThrow("Truncated final unit at byte 18");
+    });
+
+    test("accepts site-specific formats", () => {
+        // 2-byte line number + 2-byte length of the data that follows
+        registerRecordingFormat("site", {
+            header: 4,
+            size: (v, o) => 4 + ((v[o + 2] << 8) | v[o + 3]),
+            fields: (v, o) => ({ board: null, line: (v[o] << 8) | v[o + 1], day: null, timeOfDay_s: null }),
+        });
+        const [rec] = parseRecording(Uint8Array.from([0x01, 0x00, 0x00, 0x06, ...block(1)]), { format: "site" });
+        expect(rec.recording.line).toBe(256);
+    });
+});
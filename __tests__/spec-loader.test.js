@@ -0,0 +1,179 @@
+const { parseRecord, registerEdition, CATEGORY_DEFS, CATEGORY_EDITIONS } = require("../parser");
+const { encodeRecord } = require("../encoder");
+const { loadCategorySpec, registerCategorySpec } = require("../spec-loader");
+
+const U8 = (arr) => new Uint8Array(arr);
+
+// asterix-specs building blocks, as they appear in the published JSON
+const raw = (size) => ({ type: "Element", size, rule: { type: "ContextFree", value: { type: "Raw" } } });
+const table = (size, values) => ({ type: "Element", size, rule: { type: "ContextFree", value: { type: "Table", values } } });
+const quantity = (size, lsb, unit, signedness = "Signed") => ({
+    type: "Element",
+    size,
+    rule: { type: "ContextFree", value: { type: "Quantity", signedness, lsb, unit } },
+});
+const div = (numerator, denominator) => ({ type: "Div", numerator, denominator });
+const pow = (base, exponent) => ({ type: "Pow", base, exponent });
+const item = (name, variation) => ({ name, title: name, spare: false, variation });
+const spare = (length) => ({ length, spare: true });
+const sacSic = { type: "Group", items: [item("SAC", raw(8)), item("SIC", raw(8))] };
+
+// Excerpt of CAT063 Ed. 1.6 (items 090-092 left out)
+const cat063 = {
+    contents: {
+        type: "Basic",
+        number: 63,
+        title: "Sensor Status Reports",
+        edition: { major: 1, minor: 6 },
+        catalogue: [
+            item("010", sacSic),
+            item("015", raw(8)),
+            item("030", quantity(24, div(1, pow(2, 7)), "s", "Unsigned")),
+            item("050", sacSic),
+            item("060", {
+                type: "Extended",
+                items: [
+                    item("CON", table(2, [[0, "Operational"], [1, "Degraded"], [2, "Initialization"], [3, "Not currently connected"]])),
+                    item("PSR", raw(1)), item("SSR", raw(1)), item("MDS", raw(1)), item("ADS", raw(1)), item("MLT", raw(1)),
+                    null,
+                    item("OPS", raw(1)), item("ODP", raw(1)), item("OXT", raw(1)), item("MSC", raw(1)), item("TSV", raw(1)), item("NPW", raw(1)),
+                    spare(1),
+                    null,
+                ],
+            }),
+            item("070", quantity(16, 1, "ms")),
+            item("080", { type: "Group", items: [item("SRG", quantity(16, pow(10, -5), "")), item("SRB", quantity(16, div(1, pow(2, 7)), "NM"))] }),
+            item("081", quantity(16, div(360, pow(2, 16)), "°")),
+        ],
+        uap: { type: "uap", items: ["010", null, "015", "030", "050", "060", "070", "080", "081", null, null, null, "RE", "SP"] },
+    },
+};
+
+// Excerpt of CAT034 Ed. 1.29 with the structured items
+const cat034 = {
+    number: 34,
+    title: "Transmission of Monoradar Service Messages",
+    edition: { major: 1, minor: 29 },
+    catalogue: [
+        item("010", sacSic),
+        item("050", {
+            type: "Compound",
+            fspec: null,
+            items: [
+                item("COM", { type: "Group", items: ["NOGO", "RDPC", "RDPR", "OVLRDP", "OVLXMT", "MSC", "TSV"].map((n) => item(n, raw(1))).concat(spare(1)) }),
+                null,
+                null,
+                item("PSR", { type: "Group", items: [item("ANT", raw(1)), item("CHAB", raw(2)), item("OVL", raw(1)), item("MSC", raw(1)), spare(3)] }),
+            ],
+        }),
+        item("070", {
+            type: "Repetitive",
+            rep: { type: "Regular", size: 8 },
+            variation: { type: "Group", items: [item("TYP", table(5, [[1, "Single PSR target reports"], [5, "Single Roll-Call target reports"]])), item("COUNT", raw(11))] },
+        }),
+        item("120", {
+            type: "Group",
+            items: [item("HGT", quantity(16, 1, "m")), item("LAT", quantity(24, div(180, pow(2, 23)), "°")), item("LON", quantity(24, div(180, pow(2, 23)), "°"))],
+        }),
+    ],
+    uap: { type: "uap", items: ["010", null, null, null, null, "050", null, "070", null, null, "120", null, "RE", "SP"] },
+};
+
+describe("asterix-specs loader", () => {
+    const record063 = U8([
+        0x3F, 0x00, 0x17,
+        0xBF, 0xC0,             // FSPEC: 010, 015, 030, 050, 060, 070 | 080, 081
+        0x01, 0x02,             // I063/010
+        0x07,                   // I063/015
+        0x00, 0x32, 0x00,       // I063/030 – 100 s
+        0x03, 0x04,             // I063/050
+        0x51, 0x40,             // I063/060 – degraded, SSR | ODP
+        0xFF, 0xFB,             // I063/070 – -5 ms
+        0x00, 0x64, 0xFF, 0x80, // I063/080 – gain 0.001, bias -1 NM
+        0x40, 0x00,             // I063/081 – 90°
+    ]);
+
+    test("compiles a category into a UAP, decoders and encoders", () => {
+        const loaded = registerCategorySpec(cat063);
+        expect(loaded).toMatchObject({ category: 63, edition: "1.6", title: "Sensor Status Reports" });
+        expect(CATEGORY_DEFS[63]).toBe(loaded.def); // no built-in CAT063, so it is activated
+
+        const { record } = parseRecord(record063, 0);
+        expect(record.length).toBe(record063.length);
+        const it = record.items;
+        expect(it["I063/010"]).toEqual({ SAC: 1, SIC: 2 });
+        expect(it["I063/015"]).toBe(7);
+        expect(it["I063/030"]).toBe(100);
+        expect(it["I063/060"]).toEqual({
+            CON: { value: 1, meaning: "Degraded" }, PSR: 0, SSR: 1, MDS: 0, ADS: 0, MLT: 0,
+            OPS: 0, ODP: 1, OXT: 0, MSC: 0, TSV: 0, NPW: 0,
+        });
+        expect(it["I063/070"]).toBe(-5);
+        expect(it["I063/080"].SRG).toBeCloseTo(0.001, 9);
+        expect(it["I063/080"].SRB).toBe(-1);
+        expect(it["I063/081"]).toBe(90);
+
+        expect(encodeRecord(record)).toEqual(record063);
+        expect(() => loaded.decoders["I063/060"](U8([0x51]), 0)).toThrow("Truncated I063/060");
+    });
+
+    test("decodes compound, repetitive and signed group items", () => {
+        registerCategorySpec(cat034);
+        const { decoders, encoders } = CATEGORY_EDITIONS[34]["1.29"];
+
+        const status = decoders["I034/050"](U8([0x90, 0x40, 0xC8]), 0);
+        expect(status.length).toBe(3);
+        expect(status.value.COM).toMatchObject({ NOGO: 0, RDPC: 1, TSV: 0 });
+        expect(status.value.PSR).toEqual({ ANT: 1, CHAB: 2, OVL: 0, MSC: 1 });
+
+        const counts = decoders["I034/070"](U8([0x02, 0x08, 0x0A, 0x2F, 0xFF]), 0);
+        expect(counts).toEqual({
+            value: [
+                { TYP: { value: 1, meaning: "Single PSR target reports" }, COUNT: 10 },
+                { TYP: { value: 5, meaning: "Single Roll-Call target reports" }, COUNT: 2047 },
+            ],
+            length: 5,
+        });
+
+        const position = decoders["I034/120"](U8([0x00, 0x64, 0x20, 0x00, 0x00, 0xC0, 0x00, 0x00]), 0);
+        expect(position.value).toEqual({ HGT: 100, LAT: 45, LON: -90 });
+
+        expect(encoders["I034/050"](status.value)).toEqual([0x90, 0x40, 0xC8]);
+        expect(encoders["I034/070"](counts.value)).toEqual([0x02, 0x08, 0x0A, 0x2F, 0xFF]);
+        expect(decoders["I034/SP"](U8([0x03, 0xAB, 0xCD]), 0)).toEqual({ value: { raw: "abcd" }, length: 3 });
+    });
+
+    test("keeps several editions of a category side by side", () => {
+        const builtIn = CATEGORY_DEFS[34];
+        expect(CATEGORY_EDITIONS[34]["1.29"]).toBeDefined();
+        expect(CATEGORY_DEFS[34]).toBe(builtIn); // loading an edition doesn't replace the active one
+
+        registerCategorySpec({ ...cat063.contents, edition: { major: 1, minor: 7 } }, { activate: false });
+        expect(Object.keys(CATEGORY_EDITIONS[63]).sort()).toEqual(["1.6", "1.7"]);
+        expect(CATEGORY_DEFS[63].edition).toBe("1.6");
+
+        registerEdition(63, "1.7", CATEGORY_EDITIONS[63]["1.7"], { activate: true });
+        expect(CATEGORY_DEFS[63].edition).toBe("1.7");
+    });
+
+    test("selects between UAP variations", () => {
+        const { def } = loadCategorySpec(JSON.stringify({
+            number: 1,
+            title: "Transmission of Monoradar Data Target Reports",
+            edition: { major: 1, minor: 4 },
+            catalogue: [
+                item("010", sacSic),
+                item("020", { type: "Extended", items: [item("TYP", table(1, [[0, "Plot"], [1, "Track"]])), spare(6), null] }),
+                item("161", raw(16)),
+            ],
+            uap: {
+                type: "uaps",
+                variations: [{ name: "plot", items: ["010", "020"] }, { name: "track", items: ["010", "020", "161"] }],
+                selector: { item: ["020", "TYP"], cases: [[0, "plot"], [1, "track"]] },
+            },
+        }));
+        expect(def.defaultUap).toBe("plot");
+        expect(def.selectUap({ "I001/020": { TYP: { value: 1, meaning: "Track" } } })).toBe("track");
+        expect(def.uaps.track).toEqual(["I001/010", "I001/020", "I001/161"]);
+    });
+});
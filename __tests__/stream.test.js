@@ -0,0 +1,127 @@
+const { Readable } = require("node:stream");
+const { parseAsterixStream } = require("../parser");
+const { AsterixParserStream, parseAsterixChunks } = require("../stream");
+
+const U8 = (arr) => new Uint8Array(arr);
+
+// Two CAT048 blocks, the first one holding two records
+const capture = U8([
+    0x30, 0x00, 0x0D,
+    0x80, 0x01, 0x02,
+    0x90, 0x01, 0x03, 0x0A, 0x00, 0x40, 0x00,
+    0x30, 0x00, 0x06,
+    0x80, 0x01, 0x04,
+]);
+
+const chunksOf = (buf, size) => {
+    const out = [];
+    for (let i = 0; i < buf.length; i += size) out.push(Buffer.from(buf.subarray(i, i + size)));
+    return out;
+};
+
+const collect = async (iterable) => {
+    const out = [];
+    for await (const rec of iterable) out.push(rec);
+    return out;
+};
+
+describe("incremental stream parser", () => {
+    test("reassembles blocks split across chunks and keeps input offsets", async () => {
+        const whole = [...parseAsterixStream(capture)];
+        for (const size of [1, 2, 5, capture.length]) {
+            const records = await collect(Readable.from(chunksOf(capture, size)).pipe(new AsterixParserStream()));
+            expect(records).toEqual(whole);
+        }
+        expect(whole.map((r) => [r.blockIndex, r.offset])).toEqual([[0, 3], [0, 6], [1, 16]]);
+        expect(whole[2].items["I048/010"]).toEqual({ sac: 1, sic: 4 });
+    });
+
+    test("yields records from an async iterable of chunks", async () => {
+        async function* feed() {
+            for (const chunk of chunksOf(capture, 4)) yield chunk;
+        }
+        const records = await collect(parseAsterixChunks(feed()));
+        expect(records.map((r) => r.offset)).toEqual([3, 6, 16]);
+        expect(records[1].items["I048/040"]).toMatchObject({ range_nm: 10, bearing_deg: 90 });
+    });
+
+    test("reports input that ends inside a block", async () => {
+        await expect(collect(parseAsterixChunks([capture.subarray(0, 15)])))
+            .rejects.toThrow("Truncated data block at byte 13 (2 bytes left)");
+        await expect(collect(parseAsterixChunks(chunksOf(capture.subarray(0, 15), 4))))
+            .rejects.toMatchObject({ name: "AsterixTruncationError", offset: 13, category: 48 });
+
+        const parser = new AsterixParserStream();
+        await expect(collect(Readable.from([Buffer.from(capture.subarray(0, 15))]).pipe(parser)))
+            .rejects.toThrow("Truncated data block at byte 13");
+        expect(parser.bytesConsumed).toBe(13);
+        expect(parser.bytesReceived).toBe(15);
+    });
+
+    test("resynchronises across chunk boundaries", async () => {
+        const damaged = U8([
+            0x30, 0x00, 0x06, 0x80, 0x01, 0x02,
+            0xFF, 0x00,
+            0x30, 0x00, 0x06, 0x80, 0x01, 0x03,
+            0x30, 0x00, 0x04, 0x01,
+            0x30, 0x00, 0x06, 0x80, 0x01, 0x04,
+            0x30, 0x00,
+        ]);
+        const events = [];
+        const parser = new AsterixParserStream({ resync: true });
+        parser.on("resync", (e) => events.push([e.offset, e.length, e.message]));
+        const records = await collect(Readable.from(chunksOf(damaged, 3)).pipe(parser));
+
+        expect(records.map((r) => r.offset)).toEqual([3, 11, 21]);
+        expect(events).toEqual([
+            [6, 2, "Truncated record body"],
+            [14, 4, "Truncated FSPEC"],
+            [24, 2, "Truncated header"],
+        ]);
+        expect(parser.summary).toMatchObject({ blocks: 3, records: 3, resyncs: 3, bytesSkipped: 8 });
+    });
+
+    test("decodes items against the block's LEN like the one-shot parse", async () => {
+        // I048/040 announced with only two of its four octets left before the next block
+        const overflow = U8([0x30, 0x00, 0x08, 0x90, 0x01, 0x02, 0x0A, 0x00, ...capture.subarray(13)]);
+        const whole = [...parseAsterixStream(overflow)];
+        expect(whole[0].items).toEqual({ "I048/010": { sac: 1, sic: 2 } });
+        expect(whole[0].diagnostics).toMatchObject([{ code: "item-error", message: "Truncated I048/040", offset: 6 }]);
+        expect(await collect(parseAsterixChunks(chunksOf(overflow, 3)))).toEqual(whole);
+
+        // Damaged copies of the capture come out the same either way. Without
+        // resync the chunked parse may fail on a different check (it can't wait
+        // for bytes a broken LEN promises), so only compare that both fail.
+        const outcome = async (records) => {
+            try {
+                return { records: await collect(records) };
+            } catch (err) {
+                return { failed: true };
+            }
+        };
+        let seed = 7;
+        const random = (n) => (seed = (seed * 1103515245 + 12345) % 2147483648) % n;
+        for (let i = 0; i < 200; i++) {
+            const input = U8([...capture, ...overflow]);
+            for (let j = 0; j < 3; j++) input[random(input.length)] = random(256);
+            for (const resync of [false, true]) {
+                const oneShot = await outcome((function* () { yield* parseAsterixStream(input, { resync }); })());
+                expect(await outcome(parseAsterixChunks(chunksOf(input, 1 + random(8)), { resync }))).toEqual(oneShot);
+            }
+        }
+    });
+
+    test("applies backpressure while records are not read", () => {
+        const parser = new AsterixParserStream({ highWaterMark: 2 });
+        const block = capture.subarray(13);
+        for (let i = 0; i < 100; i++) parser.write(Buffer.from(block));
+        // Parsing stops once two records wait on the readable side; the rest stays unparsed
+        expect(parser.readableLength).toBe(2);
+        expect(parser.bytesConsumed).toBe(2 * block.length);
+        expect(parser.writableLength).toBeGreaterThan(90 * block.length);
+
+        parser.read();
+        expect(parser.bytesConsumed).toBeGreaterThan(2 * block.length);
+        parser.destroy();
+    });
+});
@@ -0,0 +1,125 @@
+const dgram = require("node:dgram");
+const { once } = require("node:events");
+const { AsterixUdpSource } = require("../udp");
+
+// CAT048 block: I048/010 SAC 1 / SIC 2, I048/040 10 NM, 90°
+const block = Buffer.from([0x30, 0x00, 0x0A, 0x90, 0x01, 0x02, 0x0A, 0x00, 0x40, 0x00]);
+
+const send = async (payloads, port, host = "127.0.0.1", setup = () => {}) => {
+    const client = dgram.createSocket("udp4");
+    await new Promise((resolve) => client.bind(0, "127.0.0.1", resolve));
+    setup(client);
+    for (const p of payloads) await new Promise((resolve, reject) => client.send(p, port, host, (e) => (e ? reject(e) : resolve())));
+    const { port: clientPort } = client.address();
+    client.close();
+    return clientPort;
+};
+
+const collect = (source, event, count) => new Promise((resolve) => {
+    const out = [];
+    const onEvent = (x) => {
+        out.push(x);
+        if (out.length === count) {
+            source.off(event, onEvent);
+            resolve(out);
+        }
+    };
+    source.on(event, onEvent);
+});
+
+describe("UDP source", () => {
+    const sources = [];
+    const open = (opts) => {
+        const src = new AsterixUdpSource(opts);
+        sources.push(src);
+        return src;
+    };
+    afterEach(() => Promise.all(sources.splice(0).map((src) => src.stop())));
+
+    test("tags records with sender and receive time and counts loss per sender", async () => {
+        // Gateway header: 2-byte datagram counter
+        const src = open({
+            address: "127.0.0.1",
+            headerLength: 2,
+            sequence: (msg) => msg.readUInt16BE(0),
+            sequenceModulo: 2 ** 16,
+            enrich: { sensorLatDeg: 45, sensorLonDeg: 5, sensorAltM: 0 },
+        });
+        const { port } = await src.start();
+        const withSeq = (seq, payload) => Buffer.concat([Buffer.from([seq >> 8, seq & 0xFF]), payload]);
+
+        const records = collect(src, "record", 4);
+        const enriched = collect(src, "enriched", 4);
+        const malformed = collect(src, "malformed", 1);
+        const clientPort = await send([
+            withSeq(0xFFFE, block),
+            withSeq(0xFFFF, Buffer.concat([block, block])),
+            withSeq(0x0002, block),              // 0x0000 and 0x0001 lost
+            withSeq(0x0003, block.subarray(0, 6)),
+        ], port);
+
+        const recs = await records;
+        expect(recs[0].sender).toEqual({ address: "127.0.0.1", port: clientPort });
+        expect(Date.parse(recs[0].receivedAt)).not.toBeNaN();
+        expect(recs[0].items["I048/010"]).toEqual({ sac: 1, sic: 2 });
+        expect((await enriched)[0].position.lat).toBeCloseTo(45, 2);
+        expect((await malformed)[0].error.message).toBe("Truncated record body");
+
+        expect(src.stats()[`127.0.0.1:${clientPort}`]).toEqual({
+            address: "127.0.0.1", port: clientPort,
+            packets: 4, bytes: 54, records: 4, malformed: 1,
+            lost: 2, outOfOrder: 0, lastSequence: 3,
+        });
+    });
+
+    test("passes the parse options on and reports resync skips", () => {
+        const src = new AsterixUdpSource({ resync: true, dissect: true });
+        const records = [];
+        const skips = [];
+        src.on("record", (rec) => records.push(rec));
+        src.on("resync", (e) => skips.push(e));
+        src.handleDatagram(Buffer.concat([Buffer.from([0xFF, 0x00]), block]), { address: "10.0.0.1", port: 4000 });
+
+        expect(records.map((r) => [r.offset, r.dissection.offset])).toEqual([[5, 5]]);
+        expect(skips).toMatchObject([{ code: "resync", offset: 0, length: 2, sender: { address: "10.0.0.1", port: 4000 } }]);
+        expect(src.stats()["10.0.0.1:4000"]).toMatchObject({ records: 1, malformed: 0 });
+    });
+
+    test("reports datagrams whose sequence or enrich callback throws as malformed", () => {
+        const src = new AsterixUdpSource({
+            sequence: (msg) => {
+                if (msg.length > block.length) throw new Error("No gateway header");
+                return 1;
+            },
+        });
+        const records = [];
+        const malformed = [];
+        src.on("record", (rec) => records.push(rec));
+        src.on("malformed", (e) => malformed.push(e));
+        // Stands in for an enricher that fails on a record
+        src.enrich = () => {
+            throw new Error("No pose");
+        };
+        const sender = { address: "10.0.0.1", port: 4000 };
+        src.handleDatagram(Buffer.concat([block, block]), sender);
+
+        // Both records still come out; the datagram is counted once
+        expect(records).toHaveLength(2);
+        expect(malformed.map((e) => [e.error.message, e.record && e.record.recordIndex])).toEqual([
+            ["No gateway header", undefined], ["No pose", 0], ["No pose", 0],
+        ]);
+        expect(malformed[0].data).toHaveLength(2 * block.length);
+        expect(src.stats()["10.0.0.1:4000"]).toMatchObject({ packets: 1, records: 2, malformed: 1, lost: 0, lastSequence: null });
+    });
+
+    test("joins a multicast group on the loopback interface", async () => {
+        const src = open({ group: "239.255.48.1", interface: "127.0.0.1" });
+        const { port } = await src.start();
+
+        const received = once(src, "record");
+        const clientPort = await send([block], port, "239.255.48.1", (c) => c.setMulticastInterface("127.0.0.1"));
+        const [rec] = await received;
+        expect(rec.sender.port).toBe(clientPort);
+        expect(src.stats()[`127.0.0.1:${clientPort}`]).toMatchObject({ packets: 1, records: 1, lost: null });
+    });
+});
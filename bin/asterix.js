@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+"use strict";
+
+// `asterix` command-line tool; see cli.js for the commands and options.
+const { main } = require("../cli");
+
+main(process.argv.slice(2)).then((status) => {
+    process.exitCode = status;
+});
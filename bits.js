@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Byte and bit helpers shared by parser.js, encoder.js and item-structure.js.
+ * Bit offsets count from the first bit of `view`, MSB first. They pass 2^31
+ * once `view` is over 256 MiB, so they are never split with 32-bit shifts.
+ */
+
+/** 6-bit IA-5 characters (aircraft identification), indexed by code. */
+const IA5_CHARSET = "#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######";
+
+// -------------------------------- Hex strings --------------------------------
+
+function toHex(view, off, len) {
+    return [...view.slice(off, off + len)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+    const out = [];
+    for (let i = 0; i + 1 < (hex || "").length; i += 2) out.push(parseInt(hex.slice(i, i + 2), 16));
+    return out;
+}
+
+// -------------------------------- Bit fields ---------------------------------
+
+/** Bit `i` of `view` (0 or 1). */
+function bitAt(view, i) {
+    return (view[Math.floor(i / 8)] >> (7 - (i % 8))) & 1;
+}
+
+/** Unsigned `size`-bit field starting `bitOff` bits into `view` (size <= 48). */
+function readBits(view, bitOff, size) {
+    let v = 0;
+    for (let i = bitOff; i < bitOff + size; i++) v = v * 2 + bitAt(view, i);
+    return v;
+}
+
+/** Same as readBits, as a zero-padded hex string (for wide raw fields). */
+function readBitsHex(view, bitOff, size) {
+    let v = 0n;
+    for (let i = bitOff; i < bitOff + size; i++) v = (v << 1n) | BigInt(bitAt(view, i));
+    return v.toString(16).padStart(Math.ceil(size / 4), "0");
+}
+
+/** Same as readBits, as a binary string. */
+function bitString(view, bitOff, size) {
+    let s = "";
+    for (let i = bitOff; i < bitOff + size; i++) s += bitAt(view, i);
+    return s;
+}
+
+/** Append `v` as `size` bits (two's complement when negative) to the bit array. */
+function pushBits(bits, v, size) {
+    const x = BigInt.asUintN(size, BigInt(v));
+    for (let i = size - 1; i >= 0; i--) bits.push(Number((x >> BigInt(i)) & 1n));
+}
+
+/** Bit array -> octets (the last one zero-padded). */
+function packBits(bits) {
+    const out = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        let b = 0;
+        for (let j = 0; j < 8; j++) b = (b << 1) | (bits[i + j] || 0);
+        out.push(b);
+    }
+    return out;
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    IA5_CHARSET,
+    toHex,
+    fromHex,
+    readBits,
+    readBitsHex,
+    bitString,
+    pushBits,
+    packBits,
+};
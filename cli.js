@@ -0,0 +1,541 @@
+"use strict";
+
+/**
+ * `asterix` command-line tool (see bin/asterix.js):
+ *   asterix dump   [options] [file]   print records, pretty or --json (one object per line),
+ *                                     or --dissect them down to the bit
+ *   asterix stats  [options] [file]   counts per category, SAC/SIC and item, record rate, errors
+ *   asterix filter [options] [file]   write the matching records back out as raw ASTERIX
+ *   asterix enrich [options] [file]   WGS-84 positions and timestamps, one JSON object per line
+ *
+ * The input is a file, or stdin when it is omitted or "-": raw data blocks, a
+ * recording (FINAL, IOSS, RFF, HDLC) or a PCAP/PCAPNG capture, detected unless
+ * --input names it. It is read chunk by chunk, so records come out as a live
+ * feed delivers them and inputs of any size fit in memory. The record filters
+ * apply to every command. Output stops quietly once its reader has gone
+ * (`asterix dump big.ast | head`).
+ * main(argv, io) runs one command with io = { stdin, stdout, stderr } and
+ * resolves to the exit status.
+ */
+
+const fs = require("node:fs");
+const { finished } = require("node:stream/promises");
+const { parseArgs } = require("node:util");
+const { ChunkReader, parseAsterixChunks } = require("./stream");
+const { parseRecordingChunks, detectRecordingFormat } = require("./recording");
+const { parsePcapChunks } = require("./pcap");
+const { createEnricher } = require("./enricher");
+const { renderDissection } = require("./dissect");
+
+const USAGE = `Usage: asterix <dump|stats|filter|enrich> [options] [file]
+
+Input (a file, or stdin when omitted or "-"):
+  --input <format>      auto (default), raw, pcap, final, ioss, rff or hdlc
+  --port <n>            PCAP: only UDP datagrams to this port
+  --resync              skip damaged data blocks instead of stopping
+  --strict              check records against the spec (reported as errors)
+
+Filters (comma-separated lists match any value):
+  --cat <n>             category, e.g. 48,34
+  --source <sac/sic>    data source, e.g. 25/10
+  --icao <hex>          24-bit aircraft address, e.g. 4CA123
+  --mode3a <code>       Mode 3/A code (octal), e.g. 7000
+  --from <time>         time of day, HH:MM[:SS[.sss]] or seconds since midnight
+  --to <time>
+
+dump:    --json           one JSON object per line instead of the listing
+         --dissect        where every FSPEC bit, item and field sits, with a hex dump
+                          (with --json: as each record's "dissection")
+stats:   --json           the statistics as one JSON object
+filter:  --output <file>  write there instead of stdout
+enrich:  --config <file>  JSON enricher settings (sensorLatDeg, sensorLonDeg, sensorAltM,
+                          utcDate, azimuthOffsetDeg, ...), overridden by:
+         --lat <deg> --lon <deg> --alt <m> --date <YYYY-MM-DD> --azimuth-offset <deg>
+`;
+
+const OPTIONS = {
+    input: { type: "string", default: "auto" },
+    port: { type: "string" },
+    resync: { type: "boolean", default: false },
+    strict: { type: "boolean", default: false },
+    cat: { type: "string" },
+    source: { type: "string" },
+    icao: { type: "string" },
+    mode3a: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    json: { type: "boolean", default: false },
+    dissect: { type: "boolean", default: false },
+    output: { type: "string" },
+    config: { type: "string" },
+    lat: { type: "string" },
+    lon: { type: "string" },
+    alt: { type: "string" },
+    date: { type: "string" },
+    "azimuth-offset": { type: "string" },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+const CAPTURE_MAGIC = [0xA1B2C3D4, 0xD4C3B2A1, 0xA1B23C4D, 0x4D3CB2A1, 0x0A0D0D0A];
+const DETECT_BYTES = 65536; // the most input --input auto waits for
+
+/** Time-of-day items, in the order they are preferred for a record's time. */
+const TIME_OF_DAY_ITEMS = [
+    "I048/140", "I034/030", "I062/070", "I021/073", "I021/071", "I021/077", "I020/140", "I010/140",
+    "I011/140", "I019/140", "I002/030", "I008/090", "I023/070", "I025/070",
+];
+const MODE3A_ITEMS = ["I001/070", "I010/060", "I011/060", "I020/070", "I021/070", "I048/070", "I062/060"];
+
+/** Thrown for bad command lines: reported with the usage, exit status 2. */
+class UsageError extends Error {}
+
+// ------------------------------- Record fields -------------------------------
+
+const itemPrefix = (rec) => `I${String(rec.category).padStart(3, "0")}`;
+
+/** "sac/sic" from the record's I0xx/010, or null. */
+function sourceOf(rec) {
+    const dsi = rec.items && rec.items[`${itemPrefix(rec)}/010`];
+    return dsi && dsi.sac !== undefined ? `${dsi.sac}/${dsi.sic}` : null;
+}
+
+/** Seconds since midnight from the first time-of-day item present, or null. */
+function timeOfDayOf(rec) {
+    const id = TIME_OF_DAY_ITEMS.find((i) => rec.items && rec.items[i]);
+    return id ? rec.items[id].seconds : null;
+}
+
+/** Every `icao24` anywhere in the record's items (upper case hex). */
+function addressesOf(value, out = []) {
+    if (value && typeof value === "object") {
+        for (const [k, v] of Object.entries(value)) {
+            if (k === "icao24" && typeof v === "string") out.push(v.toUpperCase());
+            else addressesOf(v, out);
+        }
+    }
+    return out;
+}
+
+function mode3aOf(rec) {
+    const id = MODE3A_ITEMS.find((i) => rec.items && rec.items[i]);
+    return id ? rec.items[id].code_octal : null;
+}
+
+function formatTimeOfDay(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const hh = String(Math.floor(ms / 3600000)).padStart(2, "0");
+    const mm = String(Math.floor(ms / 60000) % 60).padStart(2, "0");
+    const ss = String(Math.floor(ms / 1000) % 60).padStart(2, "0");
+    return `${hh}:${mm}:${ss}.${String(ms % 1000).padStart(3, "0")}`;
+}
+
+// --------------------------------- Filters -----------------------------------
+
+const list = (s) => s.split(",").map((v) => v.trim()).filter(Boolean);
+
+function parseTimeOfDay(s, option) {
+    const m = /^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/.exec(s);
+    const seconds = m ? m[1] * 3600 + m[2] * 60 + Number(m[3] || 0) : Number(s);
+    if (!Number.isFinite(seconds)) throw new UsageError(`--${option}: expected HH:MM[:SS] or seconds, got "${s}"`);
+    return seconds;
+}
+
+/** Build rec -> boolean from the filter options (all given filters must match). */
+function recordFilter(values) {
+    const tests = [];
+    if (values.cat) {
+        const cats = list(values.cat).map(Number);
+        tests.push((rec) => cats.includes(rec.category));
+    }
+    if (values.source) {
+        const sources = list(values.source);
+        tests.push((rec) => sources.includes(sourceOf(rec)));
+    }
+    if (values.icao) {
+        const icao = list(values.icao).map((a) => a.toUpperCase());
+        tests.push((rec) => addressesOf(rec.items).some((a) => icao.includes(a)));
+    }
+    if (values.mode3a) {
+        const codes = list(values.mode3a).map((c) => c.padStart(4, "0"));
+        tests.push((rec) => codes.includes(mode3aOf(rec)));
+    }
+    if (values.from !== undefined || values.to !== undefined) {
+        const from = values.from !== undefined ? parseTimeOfDay(values.from, "from") : -Infinity;
+        const to = values.to !== undefined ? parseTimeOfDay(values.to, "to") : Infinity;
+        tests.push((rec) => {
+            const t = timeOfDayOf(rec);
+            return t !== null && t >= from && t <= to;
+        });
+    }
+    return (rec) => tests.every((test) => test(rec));
+}
+
+// ---------------------------------- Input ------------------------------------
+
+/** The input as chunks: the file, or stdin. */
+function openInput(file, stdin) {
+    return file && file !== "-" ? fs.createReadStream(file) : stdin;
+}
+
+function isCapture(view) {
+    if (view.length < 4) return false;
+    const magic = ((view[0] << 24) | (view[1] << 16) | (view[2] << 8) | view[3]) >>> 0;
+    return CAPTURE_MAGIC.includes(magic);
+}
+
+/** "pcap", a recording format or null, from the start of the input. */
+const detectFormat = (head) => (isCapture(head) ? "pcap" : detectRecordingFormat(head));
+
+/**
+ * The last chunks of the input, so that records can be cut out of it by
+ * offset (see inputRecords and inputBlocks). subarray() takes input offsets.
+ */
+class InputWindow {
+    constructor() {
+        this.chunks = [];
+        this.start = 0; // input offset of chunks[0]
+    }
+
+    /** Pass the chunks of `source` on, keeping them. */
+    async *tap(source) {
+        for await (const chunk of source) {
+            this.chunks.push(chunk);
+            yield chunk;
+        }
+    }
+
+    /** Forget the chunks that end before input offset `offset`. */
+    discard(offset) {
+        while (this.chunks.length && this.start + this.chunks[0].length <= offset) this.start += this.chunks.shift().length;
+    }
+
+    subarray(from, to) {
+        const end = this.chunks.reduce((at, chunk) => at + chunk.length, this.start);
+        const bytes = new Uint8Array(Math.max(0, Math.min(to, end) - from));
+        let at = this.start;
+        for (const chunk of this.chunks) {
+            const lo = Math.max(from, at);
+            const hi = Math.min(to, at + chunk.length);
+            if (lo < hi) bytes.set(chunk.subarray(lo - at, hi - at), lo - from);
+            at += chunk.length;
+        }
+        return bytes;
+    }
+}
+
+/**
+ * The records of the input, tagged as parsePcap / parseRecording tag them:
+ * { rec, data, start }, `data` holding the record's bytes from `start` on
+ * (the datagram payload for captures, the unstuffed data of the unit for
+ * recordings, else an InputWindow holding the record's block and the one
+ * before, which takes input offsets). Blocks, records, resync skips, record
+ * diagnostics and datagrams that are not ASTERIX are counted in `summary`.
+ */
+async function* inputRecords(source, values, summary) {
+    const { input, port, resync, strict, dissect } = values;
+    const reader = new ChunkReader(source);
+    const format = input === "auto" ? await reader.detect(detectFormat, DETECT_BYTES) : input;
+    if (!format) {
+        await reader.close();
+        throw new Error("Unrecognised input format (try --input)");
+    }
+    const count = (code) => (summary.diagnostics[code] = (summary.diagnostics[code] || 0) + 1);
+    const opts = {
+        resync,
+        strict,
+        dissect,
+        onError: ({ length }) => {
+            summary.resyncs++;
+            summary.bytesSkipped += length;
+            count("resync");
+        },
+    };
+
+    const window = new InputWindow();
+    let data = window;
+    let index = (offset) => offset; // record offset -> position in `data`
+    let records;
+    if (format === "pcap") {
+        records = parsePcapChunks(reader, {
+            ...opts,
+            port: port !== undefined ? Number(port) : undefined,
+            // Sees each datagram just before its records come out
+            filter: (dg) => {
+                data = dg.payload;
+                return true;
+            },
+            onMalformed: () => count("malformed"),
+        });
+    } else if (format === "raw") {
+        records = parseAsterixChunks(window.tap(reader), opts);
+    } else {
+        records = parseRecordingChunks(reader, {
+            ...opts,
+            format,
+            // HDLC offsets point into the stuffed frame, so bytes come from the unit's data
+            onUnit: (unit) => {
+                data = unit.data;
+                index = unit.positions ? (offset) => unit.positions.indexOf(offset) : (offset) => offset - unit.offset;
+            },
+        });
+    }
+    let block = null;
+    for await (const rec of records) {
+        const start = index(rec.offset);
+        if (!block || block.index !== rec.blockIndex || block.data !== data) {
+            // Keep this block and the one before: inputBlocks cuts a block up once the next one starts
+            if (block) window.discard(block.start);
+            block = { index: rec.blockIndex, data, start: start - 3 };
+            summary.blocks++;
+        }
+        summary.records++;
+        for (const d of rec.diagnostics || []) count(d.code);
+        yield { rec, data, start };
+    }
+}
+
+/**
+ * Parse the input and yield its data blocks as { category, records: [{ rec, bytes }] },
+ * `bytes` being the record's own octets (FSPEC and items). A block comes out
+ * once the next one starts (or the input ends).
+ */
+async function* inputBlocks(source, values, summary) {
+    let block = null;
+    const flush = function* () {
+        if (!block) return;
+        block.records.forEach((r, i) => {
+            const next = block.records[i + 1];
+            r.bytes = block.data.subarray(r.start, next ? next.start : block.end);
+        });
+        yield block;
+        block = null;
+    };
+
+    for await (const { rec, data, start } of inputRecords(source, values, summary)) {
+        if (!block || block.index !== rec.blockIndex || block.data !== data) {
+            yield* flush();
+            // The first record of a block starts right after CAT and LEN
+            block = { index: rec.blockIndex, category: rec.category, data, end: start - 3 + rec.length, records: [] };
+        }
+        block.records.push({ rec, start });
+    }
+    yield* flush();
+}
+
+/** Yield the records that pass the filters. */
+async function* filteredRecords(source, values, summary) {
+    const keep = recordFilter(values);
+    for await (const { rec } of inputRecords(source, values, summary)) if (keep(rec)) yield rec;
+}
+
+// ---------------------------------- Output -----------------------------------
+
+/**
+ * Writes to `stream` (stdout or the --output file), waiting while its buffer
+ * is full. `closed` is set once the stream fails; an EPIPE (the reader has
+ * gone) ends the command quietly, other errors are kept in `error`.
+ */
+class Output {
+    constructor(stream) {
+        this.stream = stream;
+        this.closed = false;
+        this.error = null;
+        if (stream.on) {
+            stream.on("error", (err) => {
+                if (this.closed) return;
+                this.closed = true;
+                if (err.code !== "EPIPE") this.error = err;
+            });
+        }
+    }
+
+    async write(data) {
+        if (this.closed || this.stream.write(data) !== false) return;
+        const { stream } = this;
+        await new Promise((resolve) => {
+            const done = () => {
+                for (const event of ["drain", "close", "error"]) stream.off(event, done);
+                resolve();
+            };
+            for (const event of ["drain", "close", "error"]) stream.on(event, done);
+        });
+    }
+}
+
+// --------------------------------- Commands ----------------------------------
+
+/** JSON with errors (in diagnostics) spelled out. */
+function toJson(value) {
+    return JSON.stringify(value, (key, v) => (v instanceof Error ? { name: v.name, message: v.message, ...v } : v));
+}
+
+/** The listing of one record for dump. */
+function formatRecord(rec) {
+    const cat = `CAT${String(rec.category).padStart(3, "0")}`;
+    const source = sourceOf(rec);
+    const tod = timeOfDayOf(rec);
+    const head = [
+        `${cat} block ${rec.blockIndex} record ${rec.recordIndex} @${rec.offset}`,
+        source ? `source ${source}` : null,
+        tod !== null ? formatTimeOfDay(tod) : null,
+        rec.receivedAt ? `received ${rec.receivedAt}` : null,
+    ];
+    const lines = [head.filter(Boolean).join("  ")];
+    for (const [id, value] of Object.entries(rec.items)) lines.push(`  ${id.padEnd(9)} ${toJson(value)}`);
+    for (const [key, value] of Object.entries(rec.rawItems)) lines.push(`  ${key.padEnd(9)} ${value}`);
+    for (const d of rec.diagnostics || []) lines.push(`  ! ${d.code} @${d.offset}: ${d.message}`);
+    return `${lines.join("\n")}\n`;
+}
+
+async function dump(source, values, out) {
+    for await (const rec of filteredRecords(source, values, emptySummary())) {
+        if (out.closed) break;
+        if (values.json) await out.write(`${toJson(rec)}\n`);
+        else if (values.dissect && rec.dissection) await out.write(renderDissection(rec));
+        else await out.write(formatRecord(rec));
+    }
+}
+
+function emptySummary() {
+    return { blocks: 0, records: 0, resyncs: 0, bytesSkipped: 0, diagnostics: {} };
+}
+
+async function collectStats(source, values) {
+    const summary = emptySummary();
+    const count = (map, key) => (map[key] = (map[key] || 0) + 1);
+    const stats = { records: 0, categories: {}, sources: {}, items: {} };
+    let first = null;
+    let last = null;
+    let received = false;
+
+    for await (const rec of filteredRecords(source, values, summary)) {
+        stats.records++;
+        count(stats.categories, rec.category);
+        const source = sourceOf(rec);
+        if (source) count(stats.sources, source);
+        for (const id of Object.keys(rec.items)) count(stats.items, id);
+
+        // Capture time where there is one, else the time of day in the record
+        const t = rec.receivedAt ? Date.parse(rec.receivedAt) / 1000 : timeOfDayOf(rec);
+        if (t === null) continue;
+        received = Boolean(rec.receivedAt);
+        if (first === null || t < first) first = t;
+        if (last === null || t > last) last = t;
+    }
+
+    const duration = first !== null ? last - first : null;
+    return {
+        ...stats,
+        first: first === null ? null : received ? new Date(first * 1000).toISOString() : formatTimeOfDay(first),
+        last: last === null ? null : received ? new Date(last * 1000).toISOString() : formatTimeOfDay(last),
+        duration_s: duration,
+        rate_per_s: duration ? stats.records / duration : null,
+        errors: { resyncs: summary.resyncs, bytesSkipped: summary.bytesSkipped, diagnostics: summary.diagnostics },
+    };
+}
+
+function formatStats(stats) {
+    const lines = [];
+    const rows = (title, map, label) => {
+        const entries = Object.entries(map).sort((a, b) => b[1] - a[1]);
+        if (!entries.length) return;
+        entries.forEach(([key, n], i) => lines.push(`${(i ? "" : title).padEnd(10)}${label(key).padEnd(10)}${n}`));
+    };
+    lines.push(`${"records".padEnd(10)}${stats.records}`);
+    if (stats.first !== null) {
+        const rate = stats.rate_per_s !== null ? `, ${stats.rate_per_s.toFixed(2)} records/s` : "";
+        lines.push(`${"time".padEnd(10)}${stats.first} - ${stats.last} (${stats.duration_s.toFixed(3)} s${rate})`);
+    }
+    rows("category", stats.categories, (c) => `CAT${String(c).padStart(3, "0")}`);
+    rows("source", stats.sources, (s) => s);
+    rows("item", stats.items, (i) => i);
+    const { resyncs, bytesSkipped, diagnostics } = stats.errors;
+    const errors = Object.entries(diagnostics).map(([code, n]) => `${code} ${n}`);
+    if (resyncs) errors.push(`${bytesSkipped} bytes skipped`);
+    lines.push(`${"errors".padEnd(10)}${errors.length ? errors.join(", ") : "none"}`);
+    return `${lines.join("\n")}\n`;
+}
+
+/** Write the matching records, in data blocks holding the kept records of each input block. */
+async function filter(source, values, out) {
+    const keep = recordFilter(values);
+    const target = values.output ? new Output(fs.createWriteStream(values.output)) : out;
+    for await (const block of inputBlocks(source, values, emptySummary())) {
+        if (target.closed) break;
+        const kept = block.records.filter(({ rec }) => keep(rec)).map(({ bytes }) => bytes);
+        if (!kept.length) continue;
+        const len = 3 + kept.reduce((n, b) => n + b.length, 0);
+        await target.write(Buffer.concat([Uint8Array.from([block.category, len >> 8, len & 0xFF]), ...kept]));
+    }
+    if (target !== out) {
+        target.stream.end();
+        await finished(target.stream);
+    }
+}
+
+function enrichConfig(values) {
+    const cfg = values.config ? JSON.parse(fs.readFileSync(values.config, "utf8")) : {};
+    const number = (option) => {
+        const n = Number(values[option]);
+        if (!Number.isFinite(n)) throw new UsageError(`--${option}: expected a number, got "${values[option]}"`);
+        return n;
+    };
+    if (values.lat !== undefined) cfg.sensorLatDeg = number("lat");
+    if (values.lon !== undefined) cfg.sensorLonDeg = number("lon");
+    if (values.alt !== undefined) cfg.sensorAltM = number("alt");
+    if (values["azimuth-offset"] !== undefined) cfg.azimuthOffsetDeg = number("azimuth-offset");
+    if (values.date !== undefined) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(values.date)) throw new UsageError(`--date: expected YYYY-MM-DD, got "${values.date}"`);
+        cfg.utcDate = values.date;
+    }
+    return cfg;
+}
+
+async function enrich(source, values, out) {
+    const enrichRecord = createEnricher(enrichConfig(values));
+    for await (const rec of filteredRecords(source, values, emptySummary())) {
+        if (out.closed) break;
+        await out.write(`${toJson(enrichRecord(rec))}\n`);
+    }
+}
+
+// ----------------------------------- Main ------------------------------------
+
+async function main(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+    let command, values, file;
+    try {
+        ({ values, positionals: [command, file] } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+        if (values.help || !command) {
+            (values.help ? stdout : stderr).write(USAGE);
+            return values.help ? 0 : 2;
+        }
+        if (!["dump", "stats", "filter", "enrich"].includes(command)) throw new UsageError(`Unknown command "${command}"`);
+        if (command === "enrich") enrichConfig(values); // report bad flags before reading the input
+        recordFilter(values);
+    } catch (err) {
+        stderr.write(`asterix: ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const out = new Output(stdout);
+    try {
+        const source = openInput(file, stdin);
+        if (command === "dump") await dump(source, values, out);
+        if (command === "stats") {
+            const stats = await collectStats(source, values);
+            await out.write(values.json ? `${JSON.stringify(stats)}\n` : formatStats(stats));
+        }
+        if (command === "filter") await filter(source, values, out);
+        if (command === "enrich") await enrich(source, values, out);
+        if (out.error) throw out.error;
+    } catch (err) {
+        stderr.write(`asterix: ${err.message}\n`);
+        return 1;
+    }
+    return 0;
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    main,
+};
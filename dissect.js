@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * Text listing of where a record's values came from, for records parsed with
+ * `dissect: true` (see parseDataBlock):
+ *   - the FSPEC bit by bit, with the FRN and item each bit stands for
+ *   - every item with its octets, then its fields as bit masks over the
+ *     octets they touch
+ * Bit positions count from 0 at the first bit of the FSPEC or item.
+ *   - a hex dump of the record, each row naming the parts it holds
+ *
+ *   CAT048 block 0 record 0 @3  12 bytes
+ *   FSPEC @3  c9 80
+ *     @3  bit 0  1  FRN 1   I048/010
+ *     ...
+ *   I048/010  FRN 1  @5  2 bytes  01 02
+ *     @5     bits 0-7     0000 0001  sac = 1
+ *     @6     bits 8-15    0000 0010  sic = 2
+ *   ...
+ *   0003  c9 80 01 02 00 05 00 0e 00 4c a1 23  FSPEC I048/010 I048/140 ...
+ */
+
+const ROW_BYTES = 16;
+const MAX_MASK_BITS = 64; // wider fields show their size instead of a mask
+
+const hexBytes = (hex) => (hex.match(/../g) || []).join(" ");
+
+/** The field's bits over the octets it touches, the other bits as dots: ".... ..01 0000 0000". */
+function bitMask(field) {
+    const width = field.length * 8;
+    if (width > MAX_MASK_BITS) return `(${field.bitLength} bits)`;
+    const lead = field.bitOffset % 8;
+    const bits = ".".repeat(lead) + field.bits + ".".repeat(width - lead - field.bitLength);
+    return bits.match(/.{4}/g).join(" ");
+}
+
+function formatValue(value) {
+    if (typeof value === "number") return String(Number.isInteger(value) ? value : Number(value.toPrecision(10)));
+    if (value && typeof value === "object" && "meaning" in value) {
+        return value.meaning === null ? `${value.value} (undefined)` : `${value.value} (${value.meaning})`;
+    }
+    return JSON.stringify(value);
+}
+
+function fspecLines(dis) {
+    const { fspec } = dis;
+    const lines = [`FSPEC @${fspec.offset}  ${hexBytes(dis.hex.slice(0, fspec.length * 2))}`];
+    for (const b of fspec.bits) {
+        const what = b.frn === null ? "FX" : `FRN ${String(b.frn).padEnd(3)} ${b.itemId || "spare"}`;
+        lines.push(`  @${b.offset}  bit ${String(b.bitOffset).padEnd(2)}  ${b.set ? 1 : 0}  ${what}`);
+    }
+    return lines;
+}
+
+function itemLines(item) {
+    const lines = [`${item.itemId}  FRN ${item.frn}  @${item.offset}  ${item.length} byte${item.length === 1 ? "" : "s"}  ${hexBytes(item.hex)}`];
+    if (!item.fields.length) lines.push("  (no field layout)");
+    const masks = item.fields.map(bitMask);
+    const maskWidth = Math.max(0, ...masks.map((m) => m.length));
+    item.fields.forEach((f, i) => {
+        const range = f.bitLength === 1 ? `bit ${f.bitOffset}` : `bits ${f.bitOffset}-${f.bitOffset + f.bitLength - 1}`;
+        lines.push(`  @${String(f.offset).padEnd(5)} ${range.padEnd(12)} ${masks[i].padEnd(maskWidth)}  ${f.name} = ${formatValue(f.value)}`);
+    });
+    return lines;
+}
+
+/** Rows of ROW_BYTES octets, each followed by the names of the parts it overlaps. */
+function hexDumpLines(dis) {
+    const parts = [{ name: "FSPEC", offset: dis.fspec.offset, length: dis.fspec.length }]
+        .concat(dis.items.map((it) => ({ name: it.itemId, offset: it.offset, length: it.length })));
+    const width = String(dis.offset + dis.length).length;
+    const lines = [];
+    for (let at = 0; at < dis.length; at += ROW_BYTES) {
+        const from = dis.offset + at;
+        const to = Math.min(from + ROW_BYTES, dis.offset + dis.length);
+        const hex = hexBytes(dis.hex.slice(at * 2, (at + ROW_BYTES) * 2)).padEnd(ROW_BYTES * 3 - 1);
+        const names = parts.filter((p) => p.offset < to && p.offset + p.length > from).map((p) => p.name);
+        lines.push(`${String(from).padStart(Math.max(4, width), "0")}  ${hex}  ${names.join(" ")}`);
+    }
+    return lines;
+}
+
+/** Render the dissection of one record as text (lines ending in "\n"). */
+function renderDissection(rec) {
+    const dis = rec.dissection;
+    if (!dis) throw new Error("Record has no dissection; parse with { dissect: true }");
+    const cat = `CAT${String(rec.category).padStart(3, "0")}`;
+    const lines = [
+        `${cat} block ${rec.blockIndex} record ${rec.recordIndex} @${dis.offset}  ${dis.length} bytes`,
+        ...fspecLines(dis),
+        ...dis.items.flatMap(itemLines),
+        ...(rec.diagnostics || []).map((d) => `! ${d.code} @${d.offset}: ${d.message}`),
+        ...hexDumpLines(dis),
+    ];
+    return `${lines.join("\n")}\n`;
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    renderDissection,
+};
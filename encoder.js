@@ -0,0 +1,725 @@
+"use strict";
+
+/**
+ * ASTERIX encoder – the inverse of parser.js.
+ * - encodeRecord({category, items}) builds a data block (CAT, LEN, FSPEC, items)
+ * - encodeDataBlock([records]) packs several records of one category into one block
+ * - ENCODERS mirrors DECODERS: one `(value) => octets` function per data item,
+ *   taking the value shape the matching decoder produces. Items are encoded by
+ *   their declared layout (ITEMS in parser.js); only `shaped` items have
+ *   hand-written encoders
+ *
+ * Notes:
+ * - Scaled fields (range_nm, flightLevel, seconds, ...) are authoritative and
+ *   rounded to the item LSB; `*_raw` integers are informational
+ * - Spare bits are written as 0
+ * - FX-chained items emit as many extents as the value describes; `raw` hex
+ *   only supplies extents the decoder doesn't break out into fields
+ */
+
+const { CATEGORY_DEFS, CATEGORY_EDITIONS, ITEMS, STRUCTURES } = require("./parser");
+const { IA5_CHARSET, fromHex } = require("./bits");
+
+// ------------------------------- Byte helpers -------------------------------
+
+function u8(v) {
+    return [v & 0xFF];
+}
+function u16(v) {
+    return [(v >> 8) & 0xFF, v & 0xFF];
+}
+function u24(v) {
+    return [(v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF];
+}
+function u32(v) {
+    return [(v >>> 24) & 0xFF, (v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF];
+}
+
+/** Round a scaled value to an integer count of `lsb`. */
+function q(value, lsb) {
+    return Math.round((value || 0) / lsb);
+}
+
+/** Boolean flag -> bit mask. */
+function bit(flag, mask) {
+    return flag ? mask : 0;
+}
+
+/** Index of `name` in a decoder lookup table (0 when unknown). */
+function indexOf(table, name) {
+    const i = table.indexOf(name);
+    return i < 0 ? 0 : i;
+}
+
+// ------------------------------ Item helpers --------------------------------
+
+/**
+ * Set FX bits on a list of extents: every extent but the last gets FX = 1.
+ * Extents past `octets.length` are taken from the `raw` hex (if any).
+ */
+function encFxChain(octets, raw) {
+    const out = [...octets, ...fromHex(raw).slice(octets.length)].map((b) => b & 0xFE);
+    for (let i = 0; i < out.length - 1; i++) out[i] |= 0x01;
+    return out;
+}
+
+/** Inverse of decodeOctalCode: V, G, L flags + four octal digits. */
+function encOctalCode(v) {
+    return u16(
+        bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | bit(v.smoothed, 0x2000) |
+        (parseInt(v.code_octal, 8) & 0x0FFF)
+    );
+}
+
+/** Pack 8 six-bit IA-5 characters (space padded) into 6 octets. */
+function encIa5Callsign(str) {
+    const chars = (str || "").padEnd(8, " ").slice(0, 8);
+    const out = [];
+    for (let g = 0; g < 8; g += 4) {
+        let bits = 0;
+        for (let i = 0; i < 4; i++) bits = (bits << 6) | Math.max(0, IA5_CHARSET.indexOf(chars[g + i]));
+        out.push(...u24(bits));
+    }
+    return out;
+}
+
+/** Fixed-width ASCII, space padded. */
+function encAscii(str, length) {
+    return [...(str || "").padEnd(length, " ").slice(0, length)].map((c) => c.charCodeAt(0) & 0xFF);
+}
+
+function encFixedRaw(v, length) {
+    const out = fromHex(v.raw);
+    while (out.length < length) out.push(0);
+    return out.slice(0, length);
+}
+
+function encRepetitiveRaw(v, size) {
+    const body = fromHex(v.raw);
+    return [body.length / size, ...body];
+}
+
+/** REP octet followed by one encoded entry per element. */
+function encRepetitive(list, encodeEntry) {
+    return [list.length, ...list.flatMap(encodeEntry)];
+}
+
+function encTimeOfDay(v) {
+    return u24(q(v.seconds, 1 / 128));
+}
+
+function encHighPrecisionTime(v) {
+    return u32(((v.fsi & 0x03) << 30) | (q(v.fraction_s, 2 ** -30) & 0x3FFFFFFF));
+}
+
+function encVerticalRate(v) {
+    return u16(bit(v.rangeExceeded, 0x8000) | (q(v.fpm, 6.25) & 0x7FFF));
+}
+
+/**
+ * Inverse of parseCompound: `subfields` entries are [id, encoder] pairs or null
+ * (same positions as the decoder's table). Builds the primary subfield octets.
+ */
+function encCompound(value, subfields) {
+    const present = [];
+    subfields.forEach((sf, idx) => {
+        if (sf && value[sf[0]] !== undefined) present.push(idx);
+    });
+    const primary = new Array(Math.max(1, Math.ceil((Math.max(-1, ...present) + 1) / 7))).fill(0);
+    for (const idx of present) primary[Math.floor(idx / 7)] |= 0x80 >> (idx % 7);
+    for (let i = 0; i < primary.length - 1; i++) primary[i] |= 0x01;
+    return [...primary, ...present.flatMap((idx) => subfields[idx][1](value[subfields[idx][0]]))];
+}
+
+/** Data Source Identifier: SAC, SIC. */
+function encSacSic(v) {
+    return [v.sac & 0xFF, v.sic & 0xFF];
+}
+
+/** WGS-84 lat/lon pair, `bytes` per coordinate (3 or 4), LSB `scale` degrees. */
+function encLatLon(v, bytes, scale) {
+    const enc = bytes === 4 ? u32 : u24;
+    return [...enc(q(v.lat_deg, scale)), ...enc(q(v.lon_deg, scale))];
+}
+
+/** Polar ground speed (2^-14 NM/s) + angle (360/2^16 deg); `angle` names the angle field. */
+function encPolarVelocity(v, angle) {
+    const nmPerS = v.kts !== undefined ? v.kts / 3600 : (v.mps || 0) / 1852;
+    return [...u16(q(nmPerS, 2 ** -14)), ...u16(q(v[angle], 360 / 65536))];
+}
+
+/** Air speed: IM bit selects IAS (2^-14 NM/s) or Mach (0.001). */
+function encAirSpeed(v) {
+    return u16(v.mach !== undefined
+        ? 0x8000 | (q(v.mach, 0.001) & 0x7FFF)
+        : q(v.ias_kts / 3600, 2 ** -14) & 0x7FFF);
+}
+
+/** Message / report type octet. */
+function encType(v) {
+    return u8(v.type);
+}
+
+function encTargetSize(v) {
+    const octets = [(v.length_m & 0x7F) << 1];
+    if (v.orientation_deg !== undefined) octets.push((q(v.orientation_deg, 360 / 128) & 0x7F) << 1);
+    if (v.width_m !== undefined) octets.push((v.width_m & 0x7F) << 1);
+    return encFxChain(octets, v.raw);
+}
+
+function encServiceStatistics(list) {
+    return encRepetitive(list, (s) => [s.type & 0xFF, bit(s.sinceLastReport, 0x80), ...u32(s.counter)]);
+}
+
+/** Inverse of flightPlanSubfields (I011/390, I062/390). */
+const FLIGHT_PLAN_SUBFIELDS = [
+    ["TAG", encSacSic],
+    ["CSN", (v) => encAscii(v, 7)],
+    ["IFI", (v) => encFixedRaw(v, 4)],
+    ["FCT", (v) => encFixedRaw(v, 1)],
+    ["TAC", (v) => encAscii(v, 4)],
+    ["WTC", (v) => encAscii(v, 1)],
+    ["DEP", (v) => encAscii(v, 4)],
+    ["DST", (v) => encAscii(v, 4)],
+    ["RDS", (v) => encAscii(v, 3)],
+    ["CFL", (v) => u16(q(v.flightLevel, 0.25))],
+    ["CTL", (v) => encFixedRaw(v, 2)],
+    ["TOD", (v) => encRepetitiveRaw(v, 4)],
+    ["AST", (v) => encAscii(v, 6)],
+    ["STS", (v) => encFixedRaw(v, 1)],
+];
+
+/** Target Address: 24-bit ICAO address given as hex. */
+function encIcao24(v) {
+    return encFixedRaw({ raw: v.icao24 }, 3);
+}
+
+const fxRaw = (v) => encFxChain([], v.raw);
+const itemRaw = (v) => fromHex(v.raw); // `raw` covers the whole item (compound)
+
+// ------------------------------ Item encoders --------------------------------
+
+/**
+ * Hand-written encoders for the items whose declared layout can't encode:
+ * `shaped` items (and compounds with a shaped subfield), whose decoded value
+ * no longer carries the layout's fields, and I008/RFS. Every other item is
+ * encoded by its ITEMS entry.
+ */
+const SHAPED_ENCODERS = {
+    1: {
+        "I001/020": (v) => {
+            const octets = [
+                bit(v.type === "track", 0x80) | bit(v.simulated, 0x40) |
+                (indexOf(["none", "PSR", "SSR", "SSR+PSR"], v.detection) << 4) |
+                ((v.antenna & 0x01) << 3) | bit(v.spi, 0x04) | bit(v.reportedAsBad, 0x02),
+            ];
+            if (v.testTarget !== undefined) {
+                octets.push(bit(v.testTarget, 0x80) | ((v.ds1ds2 & 0x03) << 5) |
+                    bit(v.militaryEmergency, 0x10) | bit(v.militaryIdentification, 0x08));
+            }
+            return encFxChain(octets, v.raw);
+        },
+        "I001/040": (v) => [...u16(q(v.range_nm, 1 / 128)), ...u16(q(v.bearing_deg, 360 / 65536))],
+        "I001/042": (v) => [...u16(q(v.x_nm, 1 / 64)), ...u16(q(v.y_nm, 1 / 64))],
+        "I001/200": (v) => encPolarVelocity(v, "heading_deg"),
+        "I001/070": encOctalCode,
+        "I001/090": (v) => u16(bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | (q(v.flightLevel, 0.25) & 0x3FFF)),
+        "I001/130": fxRaw,
+        "I001/141": (v) => u16(q(v.seconds, 1 / 128)),
+        "I001/050": encOctalCode,
+        "I001/120": (v) => u8(q(v.kts !== undefined ? v.kts / 3600 : v.mps / 1852, 2 ** -14)),
+        "I001/100": (v) => [
+            ...u16(bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | (v.modeCGray & 0x0FFF)),
+            ...u16(v.lowConfidenceBits & 0x0FFF),
+        ],
+        "I001/030": (v) => encFxChain(v.codes.map((c) => (c & 0x7F) << 1), v.raw),
+        "I001/170": (v) => {
+            const octets = [
+                bit(v.initiation, 0x80) | bit(v.radar === "primary", 0x40) | bit(v.manoeuvring, 0x20) |
+                bit(v.doubtfulAssociation, 0x10) | ((v.rdpChain & 0x01) << 3) | bit(v.ghost, 0x02),
+            ];
+            if (v.trackEnd !== undefined) octets.push(bit(v.trackEnd, 0x80));
+            return encFxChain(octets, v.raw);
+        },
+        "I001/210": fxRaw,
+    },
+    2: {
+        "I002/000": encType,
+        "I002/020": (v) => u8(q(v.sector_deg, 360 / 256)),
+        "I002/030": encTimeOfDay,
+        "I002/041": (v) => u16(q(v.seconds, 1 / 128)),
+        "I002/050": fxRaw,
+        "I002/060": fxRaw,
+        "I002/080": (v) => encFxChain(v.codes.map((c) => (c & 0x7F) << 1), v.raw),
+    },
+    8: {
+        "I008/000": encType,
+        "I008/020": (v) => {
+            const octets = [
+                bit(v.systemCoordinates, 0x80) | ((v.intensity & 0x07) << 4) | ((q(v.shading_deg, 22.5) & 0x07) << 1),
+            ];
+            if (v.testVector !== undefined) octets.push(bit(v.testVector, 0x04) | bit(v.errorCondition, 0x02));
+            return encFxChain(octets, v.raw);
+        },
+        "I008/036": (list) => encRepetitive(list, (p) =>
+            [...u8(q(p.x_nm, 1 / 64)), ...u8(q(p.y_nm, 1 / 64)), ...u8(q(p.length_nm, 1 / 64))]),
+        "I008/034": (list) => encRepetitive(list, (p) => [
+            ...u8(q(p.start_range_nm, 1 / 128)), ...u8(q(p.end_range_nm, 1 / 128)), ...u16(q(p.azimuth_deg, 360 / 65536)),
+        ]),
+        "I008/040": (v) => [
+            bit(v.systemCoordinates, 0x80) | ((v.intensity & 0x07) << 4) |
+            indexOf(["intermediate", "last", "first", "first and only"], v.position),
+            v.serial & 0xFF,
+        ],
+        "I008/050": (list) => encRepetitive(list, (p) => [...u8(q(p.x_nm, 1 / 64)), ...u8(q(p.y_nm, 1 / 64))]),
+        "I008/090": encTimeOfDay,
+        "I008/100": (v) => {
+            const first = u24(((v.scalingFactor & 0x1F) << 19) | ((v.reductionStage & 0x07) << 16) | ((v.parameters & 0x7FFF) << 1));
+            const ext = fromHex(v.raw).slice(3);
+            return [...first.slice(0, 2), ...encFxChain([first[2], ...ext])];
+        },
+        "I008/110": fxRaw,
+        "I008/038": (list) => encRepetitive(list, (p) =>
+            [p.x1_nm, p.y1_nm, p.x2_nm, p.y2_nm].flatMap((c) => u8(q(c, 1 / 64)))),
+        "I008/RFS": (fields) => [
+            fields.length,
+            ...fields.flatMap((f) => [f.frn & 0xFF, ...ENCODERS[8][f.itemId](f.value)]),
+        ],
+    },
+    10: {
+        "I010/000": encType,
+        "I010/020": (v) => {
+            const octets = [
+                ((v.type & 0x07) << 5) | bit(v.differentialCorrection, 0x10) | bit(v.chain === 2, 0x08) |
+                bit(v.groundBitSet, 0x04) | bit(v.corrupted, 0x02),
+            ];
+            if (v.simulated !== undefined) {
+                octets.push(bit(v.simulated, 0x80) | bit(v.testTarget, 0x40) | bit(v.reportedAsBad, 0x20) |
+                    ((v.loopStatus & 0x03) << 3) |
+                    (indexOf(["undetermined", "aircraft", "ground vehicle", "helicopter"], v.targetType) << 1));
+            }
+            if (v.spi !== undefined) octets.push(bit(v.spi, 0x80));
+            return encFxChain(octets, v.raw);
+        },
+        "I010/140": encTimeOfDay,
+        "I010/040": (v) => [...u16(q(v.range_m, 1)), ...u16(q(v.bearing_deg, 360 / 65536))],
+        "I010/200": (v) => encPolarVelocity(v, "track_deg"),
+        "I010/161": (v) => u16(v & 0x0FFF),
+        "I010/170": (v) => {
+            const octets = [
+                bit(v.tentative, 0x80) | bit(v.trackEnd, 0x40) | ((v.coasting & 0x03) << 4) |
+                bit(v.horizontalManoeuvre, 0x08) | bit(v.slantCorrected, 0x04) | bit(v.smoothed, 0x02),
+            ];
+            if (v.typeOfMovement !== undefined) {
+                octets.push((indexOf(["constant", "acceleration", "deceleration", "undetermined"], v.typeOfMovement) << 6) |
+                    ((v.doubtCause & 0x07) << 3) | ((v.mergeSplit & 0x03) << 1));
+            }
+            if (v.ghost !== undefined) octets.push(bit(v.ghost, 0x80));
+            return encFxChain(octets, v.raw);
+        },
+        "I010/060": encOctalCode,
+        "I010/220": encIcao24,
+        "I010/250": (v) => encRepetitiveRaw(v, 8),
+        "I010/300": (v) => u8(v.vfi),
+        "I010/090": (v) => u16(bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | (q(v.flightLevel, 0.25) & 0x3FFF)),
+        "I010/091": (v) => u16(q(v.feet, 6.25)),
+        "I010/270": encTargetSize,
+        "I010/550": (v) => u8(((v.nogo & 0x03) << 6) | bit(v.overload, 0x20) | bit(v.timeSourceInvalid, 0x10) |
+            bit(v.diversityDegraded, 0x08) | bit(v.testTargetFailure, 0x04)),
+    },
+    11: {
+        "I011/000": encType,
+        "I011/140": encTimeOfDay,
+        "I011/060": encOctalCode,
+        "I011/380": (v) => encCompound(v, [
+            ["MB", (sf) => encRepetitiveRaw(sf, 8)],
+            ["ADR", encIcao24],
+            null,
+            ["COM", (sf) => encFixedRaw(sf, 2)],
+            null,
+            null,
+            null,
+            ["ACT", (sf) => encAscii(sf, 4)],
+            ["ECAT", u8],
+            null,
+            ["AVTECH", (sf) => encFixedRaw(sf, 1)],
+        ]),
+        "I011/161": (v) => u16(v & 0x7FFF),
+        "I011/170": (v) => {
+            const octets = [
+                bit(v.monoSensor, 0x80) | bit(v.groundBitSet, 0x40) | bit(v.mostReliableHeight === "geometric", 0x20) |
+                ((v.altitudeSource & 0x07) << 2) | bit(v.tentative, 0x02),
+            ];
+            if (v.simulated !== undefined) {
+                octets.push(bit(v.simulated, 0x80) | bit(v.trackServiceEnd, 0x40) | bit(v.trackServiceBegin, 0x20) |
+                    ((v.friendFoe & 0x03) << 3) | bit(v.militaryEmergency, 0x04) | bit(v.militaryIdentification, 0x02));
+            }
+            if (v.amalgamated !== undefined) {
+                octets.push(bit(v.amalgamated, 0x80) | bit(v.spi, 0x40) | bit(v.coasting, 0x20) |
+                    bit(v.flightPlanCorrelated, 0x10) | bit(v.adsbInconsistent, 0x08));
+            }
+            return encFxChain(octets, v.raw);
+        },
+        "I011/430": (v) => u8(v.phase),
+        "I011/090": (v) => u16(q(v.flightLevel, 0.25)),
+        "I011/093": (v) => u16(bit(v.qnhApplied, 0x8000) | (q(v.flightLevel, 0.25) & 0x7FFF)),
+        "I011/092": (v) => u16(q(v.feet, 6.25)),
+        "I011/215": (v) => u16(q(v.fpm, 6.25)),
+        "I011/270": encTargetSize,
+        "I011/390": (v) => encCompound(v, FLIGHT_PLAN_SUBFIELDS),
+        "I011/300": (v) => u8(v.vfi),
+        "I011/500": itemRaw,
+        "I011/605": (list) => encRepetitive(list, (t) => u16(t & 0x0FFF)),
+    },
+    19: {
+        "I019/000": encType,
+        "I019/140": encTimeOfDay,
+        "I019/550": (v) => u8(((v.nogo & 0x03) << 6) | bit(v.overload, 0x20) | bit(v.timeSourceInvalid, 0x10) |
+            bit(v.testTargetFailure, 0x08)),
+        "I019/551": (list) => u8(list.reduce((b, p, i) =>
+            b | ((bit(p.exec, 0x02) | bit(p.good, 0x01)) << (6 - 2 * i)), 0)),
+        "I019/553": (list) => {
+            const octets = [];
+            list.forEach((t, i) => {
+                octets[i >> 1] = (octets[i >> 1] || 0) | ((t.status & 0x03) << (i % 2 ? 2 : 6));
+            });
+            return encFxChain(octets);
+        },
+    },
+    20: {
+        "I020/020": (v) => {
+            const octets = [
+                bit(v.ssr, 0x80) | bit(v.modeS, 0x40) | bit(v.hf, 0x20) | bit(v.vdl4, 0x10) |
+                bit(v.uat, 0x08) | bit(v.dme, 0x04) | bit(v.otherTechnology, 0x02),
+            ];
+            if (v.reportedAsBad !== undefined) {
+                octets.push(bit(v.reportedAsBad, 0x80) | bit(v.spi, 0x40) | bit(v.chain === 2, 0x20) |
+                    bit(v.groundBitSet, 0x10) | bit(v.corrupted, 0x08) | bit(v.simulated, 0x04) | bit(v.testTarget, 0x02));
+            }
+            return encFxChain(octets, v.raw);
+        },
+        "I020/140": encTimeOfDay,
+        "I020/042": (v) => [...u24(q(v.x_m, 0.5)), ...u24(q(v.y_m, 0.5))],
+        "I020/161": (v) => u16(v & 0x0FFF),
+        "I020/170": (v) => {
+            const octets = [
+                bit(v.tentative, 0x80) | bit(v.trackEnd, 0x40) | bit(v.coasting, 0x20) |
+                (indexOf(["maintaining", "climbing", "descending", "invalid"], v.climbDescentMode) << 3) |
+                bit(v.horizontalManoeuvre, 0x04) | bit(v.smoothed, 0x02),
+            ];
+            if (v.ghost !== undefined) octets.push(bit(v.ghost, 0x80));
+            return encFxChain(octets, v.raw);
+        },
+        "I020/070": encOctalCode,
+        "I020/202": (v) => [...u16(q(v.vx_mps, 0.25)), ...u16(q(v.vy_mps, 0.25))],
+        "I020/090": (v) => u16(bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | (q(v.flightLevel, 0.25) & 0x3FFF)),
+        "I020/100": (v) => [
+            ...u16(bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | (v.modeCGray & 0x0FFF)),
+            ...u16(v.lowConfidenceBits & 0x0FFF),
+        ],
+        "I020/220": encIcao24,
+        "I020/110": (v) => u16(q(v.feet, 6.25)),
+        "I020/105": (v) => u16(q(v.feet, 6.25)),
+        "I020/300": (v) => u8(v.vfi),
+        "I020/400": (v) => {
+            // Last octet holds RU1..RU8; keep the original octet count when it was larger
+            const rep = Math.max(fromHex(v.raw).length, ...v.receivers.map((r) => Math.ceil(r / 8)));
+            const octets = new Array(rep).fill(0);
+            for (const r of v.receivers) octets[rep - 1 - Math.floor((r - 1) / 8)] |= 1 << ((r - 1) % 8);
+            return [rep, ...octets];
+        },
+        "I020/250": (v) => encRepetitiveRaw(v, 8),
+        "I020/030": (v) => encFxChain(v.codes.map((c) => (c & 0x7F) << 1), v.raw),
+        "I020/055": (v) => u8(bit(v.validated === false, 0x80) | bit(v.garbled, 0x40) |
+            ((parseInt(v.code_octal[0], 8) & 0x07) << 2) | (parseInt(v.code_octal[1], 8) & 0x03)),
+        "I020/050": encOctalCode,
+    },
+    21: {
+        "I021/040": (v) => {
+            const octets = [
+                ((v.addressType & 0x07) << 5) | ((v.altitudeReportingCapability & 0x03) << 3) |
+                bit(v.rangeCheck, 0x04) | bit(v.reportedAsBad, 0x02),
+            ];
+            if (v.differentialCorrection !== undefined) {
+                octets.push(bit(v.differentialCorrection, 0x80) | bit(v.groundBitSet, 0x40) | bit(v.simulated, 0x20) |
+                    bit(v.testTarget, 0x10) | bit(v.selectedAltitudeAvailable, 0x08) | ((v.confidenceLevel & 0x03) << 1));
+            }
+            return encFxChain(octets, v.raw);
+        },
+        "I021/161": (v) => u16(v & 0x0FFF),
+        "I021/071": encTimeOfDay,
+        "I021/072": encTimeOfDay,
+        "I021/073": encTimeOfDay,
+        "I021/075": encTimeOfDay,
+        "I021/077": encTimeOfDay,
+        "I021/074": encHighPrecisionTime,
+        "I021/076": encHighPrecisionTime,
+        "I021/150": encAirSpeed,
+        "I021/151": (v) => u16(bit(v.rangeExceeded, 0x8000) | (v.tas_kts & 0x7FFF)),
+        "I021/080": encIcao24,
+        "I021/140": (v) => u16(q(v.feet, 6.25)),
+        "I021/090": (v) => {
+            const octets = [((v.nucr_nacv & 0x07) << 5) | ((v.nucp_nic & 0x0F) << 1)];
+            if (v.nicBaro !== undefined) octets.push(((v.nicBaro & 0x01) << 7) | ((v.sil & 0x03) << 5) | ((v.nacp & 0x0F) << 1));
+            if (v.silSupplement !== undefined) octets.push(((v.silSupplement & 0x01) << 5) | ((v.sda & 0x03) << 3) | ((v.gva & 0x03) << 1));
+            if (v.pic !== undefined) octets.push((v.pic & 0x0F) << 4);
+            return encFxChain(octets, v.raw);
+        },
+        "I021/210": (v) => u8(bit(v.versionNotSupported, 0x40) | ((v.version & 0x07) << 3) | (v.linkTechnology & 0x07)),
+        "I021/070": encOctalCode,
+        "I021/145": (v) => u16(q(v.flightLevel, 0.25)),
+        "I021/155": encVerticalRate,
+        "I021/157": encVerticalRate,
+        "I021/160": (v) => [
+            ...u16(bit(v.rangeExceeded, 0x8000) | (q(v.kts !== undefined ? v.kts / 3600 : v.mps / 1852, 2 ** -14) & 0x7FFF)),
+            ...u16(q(v.track_deg, 360 / 65536)),
+        ],
+        "I021/220": itemRaw,
+        "I021/110": itemRaw,
+        "I021/271": fxRaw,
+        "I021/250": (v) => encRepetitiveRaw(v, 8),
+        "I021/295": itemRaw,
+    },
+    23: {
+        "I023/000": encType,
+        "I023/015": (v) => u8(((v.sid & 0x0F) << 4) | (v.type & 0x0F)),
+        "I023/070": encTimeOfDay,
+        "I023/100": (v) => {
+            const octets = [
+                bit(v.nogo, 0x80) | bit(v.dataProcessorOverload, 0x40) | bit(v.transmissionSubsystemOverload, 0x20) |
+                bit(v.monitoringConnected === false, 0x10) | bit(v.timeSourceInvalid, 0x08) | bit(v.spoofing, 0x04) |
+                bit(v.renumbered, 0x02),
+            ];
+            if (v.statusPeriod_s !== undefined) octets.push((v.statusPeriod_s & 0x7F) << 1);
+            return encFxChain(octets, v.raw);
+        },
+        "I023/101": (v) => {
+            const first = [q(v.reportPeriod_s, 0.5) & 0xFF, (v.serviceClass & 0x07) << 5];
+            const ext = v.statisticsPeriod_s !== undefined ? [(v.statisticsPeriod_s & 0x7F) << 1] : [];
+            const chain = encFxChain([first[1], ...ext], v.raw && v.raw.slice(2));
+            return [first[0], ...chain];
+        },
+        "I023/110": (v) => encFxChain([(v.status & 0x07) << 1], v.raw),
+        "I023/120": encServiceStatistics,
+    },
+    25: {
+        "I025/000": (v) => u8(((v.type & 0x7F) << 1) | bit(v.eventDriven, 0x01)),
+        "I025/070": encTimeOfDay,
+        "I025/100": (v) => encFxChain([bit(v.nogo, 0x80) | ((v.ops & 0x03) << 5) | ((v.sstat & 0x0F) << 1)], v.raw),
+        "I025/120": (list) => encRepetitive(list, (c) => [...u16(c.id), ((c.errorCode & 0x3F) << 2) | (c.state & 0x03)]),
+        "I025/140": encServiceStatistics,
+    },
+    34: {
+        "I034/000": encType,
+        "I034/030": encTimeOfDay,
+        "I034/020": (v) => u8(q(v.sector_deg, 360 / 256)),
+        "I034/041": (v) => u16(q(v.seconds, 1 / 128)),
+        "I034/110": encType,
+    },
+    48: {
+        "I048/140": encTimeOfDay,
+        "I048/040": (v) => [...u16(q(v.range_nm, 1 / 256)), ...u16(q(v.bearing_deg, 360 / 65536))],
+        "I048/070": encOctalCode,
+        "I048/090": (v) => u16(bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | (q(v.flightLevel, 0.25) & 0x3FFF)),
+        "I048/220": encIcao24,
+        "I048/250": STRUCTURES["I048/250"].encode,
+        "I048/161": (v) => u16(v & 0x0FFF),
+        "I048/042": (v) => [...u16(q(v.x_nm, 1 / 128)), ...u16(q(v.y_nm, 1 / 128))],
+        "I048/200": (v) => encPolarVelocity(v, "heading_deg"),
+        "I048/210": (v) => [
+            ...u8(q(v.sigma_x_nm, 1 / 128)), ...u8(q(v.sigma_y_nm, 1 / 128)),
+            ...u8(q(v.sigma_v_kts !== undefined ? v.sigma_v_kts / 3600 : v.sigma_v_mps / 1852, 2 ** -14)),
+            ...u8(q(v.sigma_h_deg, 360 / 4096)),
+        ],
+        "I048/080": (v) => u16(v.lowConfidenceBits & 0x0FFF),
+        "I048/100": (v) => [
+            ...u16(bit(v.validated === false, 0x8000) | bit(v.garbled, 0x4000) | (v.modeCGray & 0x0FFF)),
+            ...u16(v.lowConfidenceBits & 0x0FFF),
+        ],
+        "I048/110": (v) => u16(q(v.height_ft, 25) & 0x3FFF),
+        "I048/055": (v) => u8(bit(v.validated === false, 0x80) | bit(v.garbled, 0x40) | bit(v.smoothed, 0x20) |
+            ((parseInt(v.code_octal[0], 8) & 0x07) << 2) | (parseInt(v.code_octal[1], 8) & 0x03)),
+        "I048/050": encOctalCode,
+    },
+    62: {
+        "I062/070": encTimeOfDay,
+        "I062/100": (v) => [...u24(q(v.x_m, 0.5)), ...u24(q(v.y_m, 0.5))],
+        "I062/185": (v) => [...u16(q(v.vx_mps, 0.25)), ...u16(q(v.vy_mps, 0.25))],
+        "I062/060": (v) => u16(bit(v.changed, 0x2000) | (parseInt(v.code_octal, 8) & 0x0FFF)),
+        "I062/380": (v) => encCompound(v, [
+            ["ADR", encIcao24],
+            ["ID", (sf) => encIa5Callsign(sf.callsign)],
+            ["MHG", (sf) => u16(q(sf.heading_deg, 360 / 65536))],
+            ["IAS", encAirSpeed],
+            ["TAS", (sf) => u16(sf.tas_kts)],
+            ["SAL", (sf) => u16(bit(sf.sourceAvailable, 0x8000) | ((sf.source & 0x03) << 13) | (q(sf.altitude_ft, 25) & 0x1FFF))],
+            ["FSS", (sf) => u16(bit(sf.manageVerticalMode, 0x8000) | bit(sf.altitudeHold, 0x4000) |
+                bit(sf.approachMode, 0x2000) | (q(sf.altitude_ft, 25) & 0x1FFF))],
+            ["TIS", fxRaw],
+            ["TID", (sf) => encRepetitiveRaw(sf, 15)],
+            ["COM", (sf) => encFixedRaw(sf, 2)],
+            ["SAB", (sf) => encFixedRaw(sf, 2)],
+            ["ACS", (sf) => encFixedRaw(sf, 7)],
+            ["BVR", (sf) => u16(q(sf.fpm, 6.25))],
+            ["GVR", (sf) => u16(q(sf.fpm, 6.25))],
+            ["RAN", (sf) => u16(q(sf.roll_deg, 0.01))],
+            ["TAR", (sf) => u16(((sf.turnIndicator & 0x03) << 14) | ((q(sf.rate_deg_s, 0.25) & 0x7F) << 1))],
+            ["TAN", (sf) => u16(q(sf.track_deg, 360 / 65536))],
+            ["GSP", (sf) => u16(q(sf.kts !== undefined ? sf.kts / 3600 : sf.mps / 1852, 2 ** -14))],
+            ["VUN", (sf) => encFixedRaw(sf, 1)],
+            ["MET", (sf) => encFixedRaw(sf, 8)],
+            ["EMC", u8],
+            ["POS", (sf) => encLatLon(sf, 3, 180 / 2 ** 23)],
+            ["GAL", (sf) => u16(q(sf.altitude_ft, 6.25))],
+            ["PUN", (sf) => u8(sf & 0x0F)],
+            ["MB", (sf) => encRepetitiveRaw(sf, 8)],
+            ["IAR", (sf) => u16(sf.ias_kts)],
+            ["MAC", (sf) => u16(q(sf.mach, 0.008))],
+            ["BPS", (sf) => u16(q(sf.setting_mb - 800, 0.1) & 0x0FFF)],
+        ]),
+        "I062/080": (v) => {
+            const octets = [
+                bit(v.monoSensor, 0x80) | bit(v.spi, 0x40) | bit(v.mostReliableHeight === "geometric", 0x20) |
+                ((v.altitudeSource & 0x07) << 2) | bit(v.tentative, 0x02),
+            ];
+            if (v.simulated !== undefined) {
+                octets.push(bit(v.simulated, 0x80) | bit(v.trackServiceEnd, 0x40) | bit(v.trackServiceBegin, 0x20) |
+                    bit(v.flightPlanCorrelated, 0x10) | bit(v.adsbInconsistent, 0x08) | bit(v.slaveTrackPromotion, 0x04) |
+                    bit(v.backgroundService, 0x02));
+            }
+            if (v.amalgamated !== undefined) {
+                octets.push(bit(v.amalgamated, 0x80) | ((v.mode4 & 0x03) << 5) | bit(v.militaryEmergency, 0x10) |
+                    bit(v.militaryIdentification, 0x08) | ((v.mode5 & 0x03) << 1));
+            }
+            if (v.coasting !== undefined) {
+                octets.push(bit(v.coasting, 0x80) | bit(v.psrStale, 0x40) | bit(v.ssrStale, 0x20) | bit(v.modeSStale, 0x10) |
+                    bit(v.adsStale, 0x08) | bit(v.specialUsedCode, 0x04) | bit(v.assignedCodeConflict, 0x02));
+            }
+            if (v.surveillanceDataStatus !== undefined) {
+                octets.push(((v.surveillanceDataStatus & 0x03) << 6) | ((v.emergencyStatus & 0x07) << 3) |
+                    bit(v.potentialFalseTrack, 0x04) | bit(v.flightPlanTrack, 0x02));
+            }
+            if (v.duplicateTrackNumber !== undefined) {
+                octets.push(bit(v.duplicateTrackNumber, 0x80) | bit(v.duplicateFlightPlan, 0x40) |
+                    bit(v.duplicateFlightPlanManual, 0x20) | bit(v.surfaceTarget, 0x10) | bit(v.duplicateFlightId, 0x08) |
+                    bit(v.inconsistentEmergencyCode, 0x04));
+            }
+            return encFxChain(octets, v.raw);
+        },
+        "I062/295": itemRaw,
+        "I062/136": (v) => u16(q(v.flightLevel, 0.25)),
+        "I062/130": (v) => u16(q(v.feet, 6.25)),
+        "I062/135": (v) => u16(bit(v.qnhApplied, 0x8000) | (q(v.flightLevel, 0.25) & 0x7FFF)),
+        "I062/220": (v) => u16(q(v.fpm, 6.25)),
+        "I062/390": (v) => encCompound(v, [
+            ...FLIGHT_PLAN_SUBFIELDS,
+            ["STD", (sf) => encAscii(sf, 7)],
+            ["STA", (sf) => encAscii(sf, 7)],
+            ["PEM", (sf) => encFixedRaw(sf, 2)],
+            ["PEC", (sf) => encAscii(sf, 7)],
+        ]),
+        "I062/270": encTargetSize,
+        "I062/300": (v) => u8(v.vfi),
+        "I062/110": itemRaw,
+        "I062/120": (v) => u16(parseInt(v.code_octal, 8) & 0x0FFF),
+        "I062/500": itemRaw,
+        "I062/340": itemRaw,
+    },
+};
+
+/** Item encoders per category, one per DECODERS item: the item's own `encode`, or SHAPED_ENCODERS for shaped ones. */
+const ENCODERS = Object.fromEntries(Object.entries(ITEMS).map(([cat, items]) => [
+    cat,
+    Object.fromEntries(Object.entries(items).map(([itemId, it]) => {
+        if (!it.node.shaped) return [itemId, it.encode];
+        const encode = SHAPED_ENCODERS[cat] && SHAPED_ENCODERS[cat][itemId];
+        if (!encode) throw new Error(`No encoder for the shaped item ${itemId}`);
+        return [itemId, encode];
+    })),
+]));
+
+// ------------------------------ Record encoding ------------------------------
+
+/**
+ * UAP used to encode a record: the record's `uap` name (as tagged by
+ * parseDataBlock), else the category's `selectUap(items)` / `defaultUap`.
+ */
+function uapFor(catDef, record) {
+    if (!catDef.uaps) return catDef.uap;
+    const name = record.uap || (catDef.selectUap && catDef.selectUap(record.items || {})) || catDef.defaultUap;
+    return catDef.uaps[name] || catDef.uaps[catDef.defaultUap];
+}
+
+/** Encoders of the active definition: a registered edition's own, else ENCODERS. */
+function encodersFor(cat, catDef) {
+    const edition = Object.values(CATEGORY_EDITIONS[cat] || {}).find((e) => e.def === catDef && e.encoders);
+    return edition ? edition.encoders : ENCODERS[cat] || {};
+}
+
+/** FSPEC + data items of one record, as a plain octet array. */
+function encodeRecordBody(record) {
+    const cat = record.category;
+    const edition = record.edition && CATEGORY_EDITIONS[cat] && CATEGORY_EDITIONS[cat][record.edition];
+    if (record.edition && !edition) throw new Error(`CAT${String(cat).padStart(3, "0")} edition ${record.edition} is not registered`);
+    const catDef = edition ? edition.def : CATEGORY_DEFS[cat];
+    if (!catDef) throw new Error(`Unknown category ${cat}`);
+    const encMap = encodersFor(cat, catDef);
+    const items = record.items || {};
+    const uap = uapFor(catDef, record);
+
+    for (const itemId of Object.keys(items)) {
+        if (!uap.includes(itemId)) throw new Error(`${itemId} is not in the CAT${String(cat).padStart(3, "0")} UAP`);
+    }
+
+    const frns = [];
+    uap.forEach((itemId, i) => {
+        if (itemId && items[itemId] !== undefined) frns.push(i);
+    });
+    const fspec = new Array(Math.max(1, Math.ceil((Math.max(-1, ...frns) + 1) / 7))).fill(0);
+    for (const i of frns) fspec[Math.floor(i / 7)] |= 0x80 >> (i % 7);
+    for (let i = 0; i < fspec.length - 1; i++) fspec[i] |= 0x01;
+
+    const out = fspec;
+    for (const i of frns) {
+        const itemId = uap[i];
+        const encoder = encMap[itemId];
+        if (!encoder) throw new Error(`No encoder for ${itemId}`);
+        out.push(...encoder(items[itemId]));
+    }
+    return out;
+}
+
+/**
+ * Encode several records of one category into a single data block.
+ * Records are `{category, items[, uap, edition]}` objects as produced by parseDataBlock;
+ * `edition` picks a registered edition instead of the active one.
+ * Returns a Uint8Array holding CAT (1B), LEN (2B) and the records.
+ */
+function encodeDataBlock(records) {
+    if (!records.length) throw new Error("No records to encode");
+    const cat = records[0].category;
+    const body = [];
+    for (const rec of records) {
+        if (rec.category !== cat) throw new Error(`Mixed categories in one data block (${cat}, ${rec.category})`);
+        body.push(...encodeRecordBody(rec));
+    }
+    const len = 3 + body.length;
+    if (len > 0xFFFF) throw new Error(`Data block too long (${len} bytes)`);
+    return Uint8Array.from([cat, ...u16(len), ...body]);
+}
+
+/**
+ * Encode one record as its own data block (the inverse of parseRecord).
+ * Returns a Uint8Array.
+ */
+function encodeRecord(record) {
+    return encodeDataBlock([record]);
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    encodeRecord,
+    encodeDataBlock,
+    // For extension:
+    ENCODERS,
+};
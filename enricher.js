@@ -2,21 +2,24 @@
 
 /**
  * Enrich parsed ASTERIX records with absolute WGS-84 geodesy, timestamp, and correlation.
- * Works best with CAT 048 (radar) and CAT 021 (ADS-B).
+ * Works best with CAT 048 (radar), CAT 021 (ADS-B) and CAT 020 (MLAT).
+ * weatherToPolygons() projects CAT 008 weather vectors and contours with the same geodesy.
  *
  * Inputs:
  *  - records: output from your parseAsterixStream()
  *  - cfg: {
- *      sensorLatDeg, sensorLonDeg, sensorAltM,
+ *      sensorLatDeg, sensorLonDeg, sensorAltM, // radar pose; MLAT system reference point for I020/042
  *      azimuthZeroRef: "north" | "east",   // default "north"
  *      clockwise: true | false,            // default true (radar azimuth increases clockwise)
  *      azimuthOffsetDeg: number,           // default 0; adds boresight offset
- *      utcDate: "2025-08-12",              // YYYY-MM-DD for CAT048 I048/140 (seconds since midnight)
- *      altitudePreference: ["I048/110","I048/090"], // priority order
+ *      utcDate: "2025-08-12",              // YYYY-MM-DD for I048/140, I021/071.., I020/140 (seconds since midnight);
+ *                                          // without it the record's receivedAt (UDP / capture time) picks the day
+ *      altitudePreference: ["I048/110","I048/090"], // priority order: 3D radar height, Mode C
  *      trackMemoryTtlMs: 60000             // how long to keep correlation memory
  *    }
  *
- * Output: array of enriched records
+ * Output: array of enriched records; CAT048 records also carry plot_quality
+ * (I048/130 plot characteristics and I048/120 Doppler speed), others null
  */
 
 // --------------------- WGS-84 helpers ---------------------
@@ -85,6 +88,21 @@ function timeOfDayToIso(utcDate, seconds) {
   return new Date(d.getTime() + ms).toISOString();
 }
 
+/**
+ * Build a UTC timestamp from seconds since midnight, on the day that puts it
+ * closest to a reference time (e.g. when the record was received or captured).
+ * Handles reports from just before midnight received just after it.
+ */
+function timeOfDayNearIso(refIso, seconds) {
+  if (typeof seconds !== "number" || !isFinite(seconds)) return null;
+  const ref = new Date(refIso).getTime();
+  if (isNaN(ref)) return null;
+  const dayMs = 86400000;
+  const t = Math.floor(ref / dayMs) * dayMs + Math.floor(seconds * 1000);
+  const best = [t - dayMs, t, t + dayMs].reduce((a, b) => (Math.abs(b - ref) < Math.abs(a - ref) ? b : a));
+  return new Date(best).toISOString();
+}
+
 /** Convert Mode C Flight Level (I048/090 raw/4) -> altitude (feet, meters) assuming std pressure. */
 function flightLevelToAltMeters(flightLevel) {
   // FL is in hundreds of feet; standard conversion (approx, ISA):
@@ -127,14 +145,41 @@ function polarToEn(rangeNm, thetaDeg, cfg) {
   return { e, n };
 }
 
+/**
+ * Collect CAT048 plot quality figures: I048/130 run lengths, replies, amplitudes
+ * and PSR/SSR differences, plus the I048/120 calculated Doppler speed.
+ * Returns null when the record carries neither item.
+ */
+function plotQuality(items) {
+  const pc = items["I048/130"];
+  const dop = items["I048/120"] && items["I048/120"].CAL;
+  if (!pc && !dop) return null;
+
+  const q = {};
+  if (pc && pc.SRL) q.ssr_runlength_deg = pc.SRL.runlength_deg;
+  if (pc && pc.SRR) q.ssr_replies = pc.SRR.replies;
+  if (pc && pc.SAM) q.ssr_amplitude_dbm = pc.SAM.amplitude_dbm;
+  if (pc && pc.PRL) q.psr_runlength_deg = pc.PRL.runlength_deg;
+  if (pc && pc.PAM) q.psr_amplitude_dbm = pc.PAM.amplitude_dbm;
+  if (pc && pc.RPD) q.range_diff_nm = pc.RPD.range_nm;       // PSR - SSR
+  if (pc && pc.APD) q.azimuth_diff_deg = pc.APD.azimuth_deg; // PSR - SSR
+  if (dop) {
+    q.doppler_speed_mps = dop.speed_mps;
+    q.doppler_doubtful = dop.doubtful;
+  }
+  return q;
+}
+
 // --------------------- Correlation (simple tracker) ---------------------
 
 /**
  * Maintain a short-lived map of "identity" -> lastSeen, to tag repeats.
  * Identity can be:
  *  - CAT048 Track Number (I048/161)
- *  - Mode S address (I048/240)
+ *  - Mode S address (I048/220)
  *  - Mode 3/A code (I048/070)
+ *  - CAT021 Track Number (I021/161), Target Address (I021/080), Mode 3/A (I021/070)
+ *  - CAT020 Track Number (I020/161), Target Address (I020/220), Mode 3/A (I020/070)
  * This is a *lightweight* correlator; proper MHT/JPDA is out of scope here.
  */
 class Correlator {
@@ -165,7 +210,12 @@ class Correlator {
 
 // --------------------- Main enrichment ---------------------
 
-function enrichAsterix(records, cfg) {
+/**
+ * Build a stateful enricher for records that arrive one at a time (stream.js,
+ * udp.js). Takes the same cfg as enrichAsterix() and returns rec -> enriched
+ * record; correlation memory is kept between calls.
+ */
+function createEnricher(cfg) {
   const {
     sensorLatDeg, sensorLonDeg, sensorAltM,
     azimuthZeroRef = "north",
@@ -177,16 +227,27 @@ function enrichAsterix(records, cfg) {
   } = cfg || {};
 
   const corr = new Correlator(trackMemoryTtlMs);
-  const out = [];
 
-  for (const rec of records) {
+  return (rec) => {
     const cat = rec.category;
     const items = rec.items || {};
     let timestampIso = null;
+    const todToIso = (seconds) => {
+      if (utcDate) return timeOfDayToIso(utcDate, seconds);
+      return rec.receivedAt ? timeOfDayNearIso(rec.receivedAt, seconds) : null;
+    };
 
     // Timestamp (CAT048 I048/140 seconds since midnight)
-    if (cat === 48 && items["I048/140"] && utcDate) {
-      timestampIso = timeOfDayToIso(utcDate, items["I048/140"].seconds);
+    if (cat === 48 && items["I048/140"]) {
+      timestampIso = todToIso(items["I048/140"].seconds);
+    }
+    // CAT021: time of applicability for position, else time of reception, else transmission
+    if (cat === 21) {
+      const tod = items["I021/071"] || items["I021/073"] || items["I021/077"];
+      if (tod) timestampIso = todToIso(tod.seconds);
+    }
+    if (cat === 20 && items["I020/140"]) {
+      timestampIso = todToIso(items["I020/140"].seconds);
     }
 
     // Position
@@ -198,9 +259,9 @@ function enrichAsterix(records, cfg) {
       // Altitude pick
       for (const src of altitudePreference) {
         if (src === "I048/110" && items["I048/110"]) {
-          // Height measured; many implementations are meters; if raw, leave as-is
-          const raw = items["I048/110"].raw; // we stored raw hex earlier; if you decode, set meters
-          // If undecoded, skip; else set altitudeM = decodedMeters
+          // Height measured by a 3D radar, above mean sea level
+          altitudeM = items["I048/110"].height_m;
+          break;
         } else if (src === "I048/090" && items["I048/090"]) {
           altitudeM = flightLevelToAltMeters(items["I048/090"].flightLevel);
           break;
@@ -214,7 +275,7 @@ function enrichAsterix(records, cfg) {
           const en = polarToEn(range_nm, bearing_deg, { azimuthZeroRef, clockwise, azimuthOffsetDeg });
           e = en.e; n = en.n;
         } else if (items["I048/042"]) {
-          // Cartesian X,Y in NM with LSB 1/256 NM (per your decoder)
+          // Cartesian X,Y in NM with LSB 1/128 NM (per your decoder)
           const { x_nm, y_nm } = items["I048/042"];
           // Our X=??, Y=?? assumptions: we interpret X=east, Y=north (adjust if your spec differs)
           e = x_nm * 1852;
@@ -231,36 +292,81 @@ function enrichAsterix(records, cfg) {
       }
 
       // Orientation / kinematics (if available)
-      if (items["I048/220"]) {
-        const { kts, heading_deg, mps } = items["I048/220"];
+      if (items["I048/200"]) {
+        const { kts, heading_deg, mps } = items["I048/200"];
         orient = { ground_speed_mps: mps, ground_speed_kts: kts, course_deg: heading_deg };
-      } else if (items["I048/200"]) {
-        const { vx_mps, vy_mps } = items["I048/200"];
-        const gs = Math.hypot(vx_mps, vy_mps);
-        const course = (rad2deg(Math.atan2(vx_mps, vy_mps)) + 360) % 360; // from north, approx
-        orient = { ground_speed_mps: gs, course_deg: course };
       }
     }
 
     if (cat === 21) {
-      // Example: ADS-B already has WGS-84 items (not implemented in your parser yet).
-      // If present, just pass through lat/lon/alt, normalize timestamp, and compute orientation from groundspeed/track angle.
+      // ADS-B already reports WGS-84: pass lat/lon through, no sensor pose needed.
+      // Altitude: geometric height (I021/140) first, else barometric flight level (I021/145).
+      if (items["I021/140"]) {
+        altitudeM = items["I021/140"].meters;
+      } else if (items["I021/145"]) {
+        altitudeM = flightLevelToAltMeters(items["I021/145"].flightLevel);
+      }
+      const wgs = items["I021/131"] || items["I021/130"]; // prefer high resolution
+      if (wgs) {
+        pos = { lat: wgs.lat_deg, lon: wgs.lon_deg, alt_m: altitudeM };
+      }
+
+      if (items["I021/160"]) {
+        const { kts, track_deg, mps } = items["I021/160"];
+        orient = { ground_speed_mps: mps, ground_speed_kts: kts, course_deg: track_deg };
+        const vr = items["I021/157"] || items["I021/155"];
+        if (vr) orient.vertical_rate_mps = vr.mps;
+        if (items["I021/152"]) orient.heading_deg = items["I021/152"].heading_deg;
+      }
+    }
+
+    if (cat === 20) {
+      // MLAT reports WGS-84 directly (I020/041); no polar sensor pose needed.
+      // Altitude: geometric height (I020/105) first, else flight level (I020/090).
+      if (items["I020/105"]) {
+        altitudeM = items["I020/105"].meters;
+      } else if (items["I020/090"]) {
+        altitudeM = flightLevelToAltMeters(items["I020/090"].flightLevel);
+      }
+      if (items["I020/041"]) {
+        const { lat_deg, lon_deg } = items["I020/041"];
+        pos = { lat: lat_deg, lon: lon_deg, alt_m: altitudeM };
+      } else if (items["I020/042"] && sensorLatDeg != null && sensorLonDeg != null) {
+        // Cartesian X (east), Y (north) from the MLAT system reference point given as the sensor pose
+        const { x_m, y_m } = items["I020/042"];
+        const u = altitudeM != null ? altitudeM - (sensorAltM || 0) : 0;
+        const ecef = enuToEcef(x_m, y_m, u, sensorLatDeg, sensorLonDeg, sensorAltM || 0);
+        const geo = ecefToGeodetic(ecef.x, ecef.y, ecef.z);
+        pos = { lat: geo.latDeg, lon: geo.lonDeg, alt_m: geo.altM };
+      }
+
+      if (items["I020/202"]) {
+        const { mps, kts, course_deg } = items["I020/202"];
+        orient = { ground_speed_mps: mps, ground_speed_kts: kts, course_deg };
+      }
     }
 
     // Correlation keys: prefer unique IDs
     const corrKeys = [];
     if (items["I048/161"]) corrKeys.push(`cat48:trk:${items["I048/161"]}`);
-    if (items["I048/240"]) corrKeys.push(`icao24:${items["I048/240"].icao24}`);
+    if (items["I048/220"]) corrKeys.push(`icao24:${items["I048/220"].icao24}`);
     if (items["I048/070"]) corrKeys.push(`mode3a:${items["I048/070"].code_octal}`);
+    if (items["I021/161"] !== undefined) corrKeys.push(`cat21:trk:${items["I021/161"]}`);
+    if (items["I021/080"]) corrKeys.push(`icao24:${items["I021/080"].icao24}`);
+    if (items["I021/070"]) corrKeys.push(`mode3a:${items["I021/070"].code_octal}`);
+    if (items["I020/161"] !== undefined) corrKeys.push(`cat20:trk:${items["I020/161"]}`);
+    if (items["I020/220"]) corrKeys.push(`icao24:${items["I020/220"].icao24}`);
+    if (items["I020/070"]) corrKeys.push(`mode3a:${items["I020/070"].code_octal}`);
 
     // Fall back to coarse spatial-temporal clustering ONLY if you really must (not done here).
     const correl = corr.update(corrKeys, timestampIso);
 
-    out.push({
+    return {
       category: cat,
       timestamp: timestampIso,
       position: pos,          // {lat, lon, alt_m} or null
       orientation: orient,    // {ground_speed_mps, course_deg, ...} or null
+      plot_quality: cat === 48 ? plotQuality(items) : null,
       source: {
         sensor: { lat_deg: sensorLatDeg, lon_deg: sensorLonDeg, alt_m: sensorAltM },
         azimuth_ref: azimuthZeroRef, clockwise, azimuth_offset_deg: azimuthOffsetDeg,
@@ -270,10 +376,110 @@ function enrichAsterix(records, cfg) {
         hits: correl,         // [{id, seenCount}, ...]
       },
       raw: rec,               // keep original parsed record for audit
-    });
+    };
+  };
+}
+
+function enrichAsterix(records, cfg) {
+  const enrich = createEnricher(cfg);
+  const out = [];
+  for (const rec of records) out.push(enrich(rec));
+  return out;
+}
+
+// --------------------- CAT008 weather polygons ---------------------
+
+/**
+ * Convert CAT008 weather vectors and contours to WGS-84 point lists.
+ * Uses the same sensor pose / azimuth conventions as enrichAsterix().
+ *
+ * Vector coordinates are in SPF notation: the decoders report NM for f = 0 and
+ * the scaling factor f comes from the latest I008/100 seen in `records`
+ * (or cfg.weatherScalingFactor until one arrives).
+ *
+ * Returns [{ kind: "polar"|"cartesian"|"contour", intensity, points: [{lat, lon}, ...] }].
+ * Contour points are accumulated across records by serial number (I008/040) and
+ * emitted as a closed ring once the last record of the contour is seen.
+ */
+function weatherToPolygons(records, cfg) {
+  const {
+    sensorLatDeg, sensorLonDeg, sensorAltM = 0,
+    azimuthZeroRef = "north",
+    clockwise = true,
+    azimuthOffsetDeg = 0,
+    weatherScalingFactor = 0,
+  } = cfg || {};
+
+  const toGeo = ({ e, n }) => {
+    const ecef = enuToEcef(e, n, 0, sensorLatDeg, sensorLonDeg, sensorAltM);
+    const geo = ecefToGeodetic(ecef.x, ecef.y, ecef.z);
+    return { lat: geo.latDeg, lon: geo.lonDeg };
+  };
+
+  let scale = 2 ** weatherScalingFactor;
+  const contours = new Map(); // serial -> { intensity, points }
+  const out = [];
+
+  for (const rec of records) {
+    if (rec.category !== 8) continue;
+    const items = rec.items || {};
+    if (items["I008/100"]) scale = 2 ** items["I008/100"].scalingFactor;
+    const mPerUnit = scale * 1852; // NM at f = 0 -> meters
+    const intensity = items["I008/020"] ? items["I008/020"].intensity : null;
+
+    for (const v of items["I008/034"] || []) {
+      const polar = { azimuthZeroRef, clockwise, azimuthOffsetDeg };
+      out.push({
+        kind: "polar",
+        intensity,
+        points: [
+          toGeo(polarToEn(v.start_range_nm * scale, v.azimuth_deg, polar)),
+          toGeo(polarToEn(v.end_range_nm * scale, v.azimuth_deg, polar)),
+        ],
+      });
+    }
+
+    for (const v of items["I008/036"] || []) {
+      // Start point + length along the shading orientation (degrees from North)
+      const th = deg2rad(items["I008/020"] ? items["I008/020"].shading_deg : 0);
+      const e = v.x_nm * mPerUnit, n = v.y_nm * mPerUnit, len = v.length_nm * mPerUnit;
+      out.push({
+        kind: "cartesian",
+        intensity,
+        points: [toGeo({ e, n }), toGeo({ e: e + len*Math.sin(th), n: n + len*Math.cos(th) })],
+      });
+    }
+
+    for (const v of items["I008/038"] || []) {
+      out.push({
+        kind: "cartesian",
+        intensity,
+        points: [
+          toGeo({ e: v.x1_nm * mPerUnit, n: v.y1_nm * mPerUnit }),
+          toGeo({ e: v.x2_nm * mPerUnit, n: v.y2_nm * mPerUnit }),
+        ],
+      });
+    }
+
+    const cid = items["I008/040"];
+    if (cid && items["I008/050"]) {
+      if (cid.position === "first" || cid.position === "first and only" || !contours.has(cid.serial)) {
+        contours.set(cid.serial, { intensity: cid.intensity, points: [] });
+      }
+      const contour = contours.get(cid.serial);
+      for (const p of items["I008/050"]) {
+        contour.points.push(toGeo({ e: p.x_nm * mPerUnit, n: p.y_nm * mPerUnit }));
+      }
+      if (cid.position === "last" || cid.position === "first and only") {
+        const pts = contour.points;
+        if (pts.length) pts.push({ ...pts[0] }); // close the ring
+        out.push({ kind: "contour", intensity: contour.intensity, serial: cid.serial, points: pts });
+        contours.delete(cid.serial);
+      }
+    }
   }
 
   return out;
 }
 
-module.exports = { enrichAsterix };
+module.exports = { enrichAsterix, createEnricher, weatherToPolygons };
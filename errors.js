@@ -0,0 +1,77 @@
+"use strict";
+
+/**
+ * Typed ASTERIX decoding errors, so callers can tell failures apart without
+ * matching on message text:
+ *   AsterixError             – base class (also for malformed data of other kinds)
+ *   AsterixTruncationError   – the data ends inside a block header, FSPEC or item
+ *   AsterixUnknownItemError  – an FSPEC bit, compound subfield or FRN with no definition,
+ *                              or an item without a decoder
+ *
+ * Every error carries
+ *   offset      – absolute byte offset in the parsed buffer (null if unknown)
+ *   category    – ASTERIX category (from the item id when not given)
+ *   itemId      – "Ixxx/yyy" (taken from the message when not given), or null
+ *   recordIndex – record inside its data block, filled in by parseDataBlock
+ *   hexWindow   – the bytes around `offset`, the one at `offset` in brackets:
+ *                 "30 00 0b [c1] 01 02" ("[]" when the data ends there)
+ */
+
+const WINDOW_RADIUS = 8;
+
+/** First "Ixxx/yyy" item id in a message, or null. */
+function itemIdIn(message) {
+    const m = /I\d{3}\/[0-9A-Z]+/.exec(message);
+    return m ? m[0] : null;
+}
+
+function hexWindow(view, offset, radius = WINDOW_RADIUS) {
+    const hex = (from, to) => [...view.subarray(Math.max(0, from), Math.max(0, Math.min(view.length, to)))]
+        .map((b) => b.toString(16).padStart(2, "0"));
+    const at = offset < view.length ? `[${hex(offset, offset + 1)[0]}]` : "[]";
+    return [...hex(offset - radius, offset), at, ...hex(offset + 1, offset + 1 + radius)].join(" ");
+}
+
+// ---------------------------------- Classes ----------------------------------
+
+class AsterixError extends Error {
+    /**
+     * `view` and `offset` locate the problem; `context` may set
+     * { category, itemId, recordIndex } where the message doesn't say.
+     */
+    constructor(message, view = null, offset = null, context = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.offset = offset;
+        this.itemId = context.itemId !== undefined ? context.itemId : itemIdIn(message);
+        this.category = context.category !== undefined
+            ? context.category
+            : this.itemId ? Number(this.itemId.slice(1, 4)) : null;
+        this.recordIndex = context.recordIndex !== undefined ? context.recordIndex : null;
+        this.hexWindow = view && offset !== null ? hexWindow(view, offset) : null;
+    }
+
+    /** Fill in the category / record index the thrower didn't know. Returns the error. */
+    locate({ category, recordIndex }) {
+        if (this.category === null && category !== undefined) this.category = category;
+        if (this.recordIndex === null && recordIndex !== undefined) this.recordIndex = recordIndex;
+        return this;
+    }
+}
+
+class AsterixTruncationError extends AsterixError {
+    /** `what` names the truncated part: an item id (maybe with a subfield), "FSPEC", "header"... */
+    constructor(what, view = null, offset = null, context = {}) {
+        super(`Truncated ${what}`, view, offset, context);
+    }
+}
+
+class AsterixUnknownItemError extends AsterixError {}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    AsterixError,
+    AsterixTruncationError,
+    AsterixUnknownItemError,
+    hexWindow,
+};
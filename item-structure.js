@@ -0,0 +1,514 @@
+"use strict";
+
+/**
+ * Declarative ASTERIX item structures – decode and encode an item from a
+ * description of its layout instead of hand-written offset arithmetic.
+ *
+ * Elements (bit fields, MSB first):
+ *   uint(bits), int(bits)        – unsigned / two's complement integer
+ *   flag()                       – 1 bit as boolean
+ *   scaled(bits, lsb, {signed})  – integer * lsb (the value is in the LSB unit)
+ *   table(bits, names, {reserved}) – { value, meaning } from an array or object of names;
+ *                                  `reserved` lists values that have a name but are not to be sent
+ *   raw(bits, {hex})             – integer, or hex string above 48 bits (at any width with `hex`)
+ *   string(bits, kind)           – "ascii" (8-bit), "icao" (6-bit IA-5) or "octal" (3-bit digits)
+ *   spare(bits)                  – skipped on decode, written as 0
+ *
+ * Structures:
+ *   group(fields)                – fixed length; fields are [name, element] or spare(n)
+ *   extended(...extents)         – FX-extended; each extent lists its fields, FX bit implied;
+ *                                  extents past the declared ones are skipped to FX=0
+ *   repetitive(element, {fx, repBits}) – REP count (default 8 bits) + N elements, or with
+ *                                  `fx` an FX bit after every element instead of a count
+ *   explicit()                   – length octet (counting itself) + body kept as { raw } hex
+ *   compound(subfields, {fspecBits}) – FX-extended primary subfield (or a fixed `fspecBits`
+ *                                  one without FX), then one subfield per set bit;
+ *                                  subfields are [name, structure or element] or null (spare bit)
+ *   shaped(structure, shape)     – decodes to shape(value, view, off, length) instead of the
+ *                                  plain fields (derived units, names, raw hex); can't encode,
+ *                                  and neither can a compound with a shaped subfield: both
+ *                                  are marked `shaped: true`
+ *
+ * item(id, structure) wraps a structure as { decode(view, off), encode(value) }
+ * following the DECODERS/ENCODERS contracts; lengths are always those the
+ * structure declares, and running past the data throws an AsterixTruncationError
+ * "Truncated <id>" (see errors.js).
+ * Its check(view, off, report) walks an item that decoded cleanly and calls
+ * report(rule, path, message) for spare bits that are not zero ("spare-bits")
+ * and table values with no meaning or marked `reserved` ("reserved-value");
+ * `path` is the item id followed by the subfield and field names.
+ * Its dissect(view, off) lists every bit field of such an item in order:
+ *   { name, kind, offset, length, bitOffset, bitLength, bits, value }
+ * `kind` is "field", "spare", "fx", "rep" (REP count), "len" (explicit length)
+ * or "fspec" (compound primary subfield); `offset`/`length` are the octets the
+ * field touches, `bitOffset` counts from the first bit of the item and `bits`
+ * is the raw field as a binary string.
+ */
+
+const { IA5_CHARSET, toHex, fromHex, readBits, readBitsHex, bitString, pushBits, packBits } = require("./bits");
+const { AsterixTruncationError, AsterixUnknownItemError } = require("./errors");
+
+// --------------------------------- Elements ----------------------------------
+
+/*
+ * Elements and groups are bit-packed nodes:
+ *   { bits, read(view, bitOff), write(bitArray, value),
+ *     walk?(view, bitOff, path, visit), check?(view, bitOff, path, report) }
+ * extended/repetitive/explicit/compound are octet-aligned nodes:
+ *   { decode(view, off, id) -> { value, length }, encode(value) -> octets,
+ *     walk(view, off, path, visit) }
+ * walk() calls visit({ path, kind, bitOff, bits, node? }) for every bit field
+ * in order; elements without one are a single field. check() on an element
+ * reports a value the element doesn't accept.
+ */
+
+function uint(bits) {
+    return { bits, read: (view, b) => readBits(view, b, bits), write: (out, v) => pushBits(out, v || 0, bits) };
+}
+
+function int(bits) {
+    return {
+        bits,
+        read: (view, b) => {
+            const v = readBits(view, b, bits);
+            return v >= 2 ** (bits - 1) ? v - 2 ** bits : v;
+        },
+        write: (out, v) => pushBits(out, v || 0, bits),
+    };
+}
+
+function flag() {
+    return { bits: 1, read: (view, b) => readBits(view, b, 1) === 1, write: (out, v) => pushBits(out, v ? 1 : 0, 1) };
+}
+
+function scaled(bits, lsb, { signed = false } = {}) {
+    const n = signed ? int(bits) : uint(bits);
+    return {
+        bits,
+        read: (view, b) => n.read(view, b) * lsb,
+        write: (out, v) => pushBits(out, Math.round((v || 0) / lsb), bits),
+    };
+}
+
+function table(bits, names, { reserved = [] } = {}) {
+    const lookup = names instanceof Map ? names : new Map(Object.entries(names).map(([k, v]) => [Number(k), v]));
+    return {
+        bits,
+        read: (view, b) => {
+            const value = readBits(view, b, bits);
+            return { value, meaning: lookup.has(value) ? lookup.get(value) : null };
+        },
+        write: (out, v) => pushBits(out, (v && typeof v === "object" ? v.value : v) || 0, bits),
+        check: (view, b, path, report) => {
+            const value = readBits(view, b, bits);
+            if (!lookup.has(value)) report("reserved-value", path, `value ${value} is not defined`);
+            else if (reserved.includes(value)) report("reserved-value", path, `value ${value} (${lookup.get(value)}) is reserved`);
+        },
+    };
+}
+
+function raw(bits, { hex = false } = {}) {
+    if (bits <= 48 && !hex) return uint(bits);
+    return {
+        bits,
+        read: (view, b) => readBitsHex(view, b, bits),
+        write: (out, v) => pushBits(out, BigInt(`0x${v || 0}`), bits),
+    };
+}
+
+function string(bits, kind = "ascii") {
+    const width = { icao: 6, octal: 3 }[kind] || 8;
+    const count = Math.floor(bits / width);
+    const toChar = {
+        icao: (c) => IA5_CHARSET[c],
+        octal: (c) => String(c),
+    }[kind] || ((c) => String.fromCharCode(c));
+    const fromChar = {
+        icao: (ch) => Math.max(0, IA5_CHARSET.indexOf(ch)),
+        octal: (ch) => parseInt(ch, 8) || 0,
+    }[kind] || ((ch) => ch.charCodeAt(0) & 0xFF);
+
+    return {
+        bits,
+        read: (view, b) => {
+            let s = "";
+            for (let i = 0; i < count; i++) s += toChar(readBits(view, b + i * width, width));
+            return kind === "octal" ? s : s.trimEnd();
+        },
+        write: (out, v) => {
+            const s = kind === "octal" ? String(v || "").padStart(count, "0") : String(v || "").padEnd(count, " ");
+            for (const ch of s.slice(0, count)) pushBits(out, fromChar(ch), width);
+            pushBits(out, 0, bits - count * width);
+        },
+    };
+}
+
+function spare(bits) {
+    return { spare: true, bits };
+}
+
+// -------------------------------- Structures ---------------------------------
+
+/** Lay out group fields bit by bit: [name, element] or spare(n). */
+function layout(fields) {
+    let bits = 0;
+    const parts = fields.map((f) => {
+        if (f.spare) {
+            bits += f.bits;
+            return { bits: f.bits };
+        }
+        const [name, node] = f;
+        if (node.bits === undefined) throw new Error(`${name} is not a fixed-length field`);
+        bits += node.bits;
+        return { name, node, bits: node.bits };
+    });
+    return { parts, bits };
+}
+
+function readParts(parts, view, bitOff, out) {
+    for (const p of parts) {
+        if (p.name) out[p.name] = p.node.read(view, bitOff);
+        bitOff += p.bits;
+    }
+    return out;
+}
+
+/** Visit a bit-packed node: its own fields, or itself as one field. */
+function walkNode(node, view, bitOff, path, visit) {
+    if (node.walk) node.walk(view, bitOff, path, visit);
+    else visit({ path, kind: "field", bitOff, bits: node.bits, node });
+}
+
+function walkParts(parts, view, bitOff, path, visit) {
+    for (const p of parts) {
+        if (p.name) walkNode(p.node, view, bitOff, `${path} ${p.name}`, visit);
+        else visit({ path, kind: "spare", bitOff, bits: p.bits });
+        bitOff += p.bits;
+    }
+}
+
+function writeParts(parts, bits, value) {
+    for (const p of parts) {
+        if (p.name) p.node.write(bits, value[p.name]);
+        else pushBits(bits, 0, p.bits);
+    }
+}
+
+function group(fields) {
+    const { parts, bits } = layout(fields);
+    return {
+        bits,
+        read: (view, b) => readParts(parts, view, b, {}),
+        write: (out, v) => writeParts(parts, out, v || {}),
+        walk: (view, b, path, visit) => walkParts(parts, view, b, path, visit),
+    };
+}
+
+function extended(...extentFields) {
+    const extents = extentFields.map((fields) => {
+        const ext = layout(fields);
+        if ((ext.bits + 1) % 8) throw new Error(`Extent of ${ext.bits} bits plus FX is not whole octets`);
+        return ext;
+    });
+
+    /**
+     * Octets of the extents a later edition added (FX still set after the
+     * last declared extent), one octet each: skipped up to FX=0.
+     */
+    const undeclared = (view, pos, id) => {
+        let n = 0;
+        do {
+            if (pos + n >= view.length) throw new AsterixTruncationError(id, view, pos + n);
+            n++;
+        } while (view[pos + n - 1] & 0x01);
+        return n;
+    };
+
+    return {
+        decode(view, off, id) {
+            const value = {};
+            let length = 0;
+            for (const ext of extents) {
+                const n = (ext.bits + 1) / 8;
+                if (off + length + n > view.length) throw new AsterixTruncationError(id, view, off + length);
+                readParts(ext.parts, view, (off + length) * 8, value);
+                length += n;
+                if ((view[off + length - 1] & 0x01) === 0) return { value, length }; // FX=0
+            }
+            return { value, length: length + undeclared(view, off + length, id) };
+        },
+        encode(v) {
+            const value = v || {};
+            let last = 0;
+            extents.forEach((ext, i) => {
+                if (ext.parts.some((p) => p.name && value[p.name] !== undefined)) last = i;
+            });
+            const bits = [];
+            for (let i = 0; i <= last; i++) {
+                writeParts(extents[i].parts, bits, value);
+                bits.push(i < last ? 1 : 0);
+            }
+            return packBits(bits);
+        },
+        walk(view, off, path, visit) {
+            let pos = off;
+            for (const ext of extents) {
+                walkParts(ext.parts, view, pos * 8, path, visit);
+                visit({ path: `${path} FX`, kind: "fx", bitOff: pos * 8 + ext.bits, bits: 1 });
+                pos += (ext.bits + 1) / 8;
+                if ((view[pos - 1] & 0x01) === 0) return;
+            }
+            const end = pos + undeclared(view, pos, path);
+            for (; pos < end; pos++) {
+                visit({ path: `${path} undeclared`, kind: "field", bitOff: pos * 8, bits: 7 });
+                visit({ path: `${path} FX`, kind: "fx", bitOff: pos * 8 + 7, bits: 1 });
+            }
+        },
+    };
+}
+
+function repetitive(element, { fx = false, repBits = 8 } = {}) {
+    if (element.bits === undefined) throw new Error("Repeated element is not fixed length");
+
+    if (fx) {
+        if ((element.bits + 1) % 8) throw new Error(`Element of ${element.bits} bits plus FX is not whole octets`);
+        const n = (element.bits + 1) / 8;
+        return {
+            decode(view, off, id) {
+                const value = [];
+                let pos = off;
+                do {
+                    if (pos + n > view.length) throw new AsterixTruncationError(id, view, pos);
+                    value.push(element.read(view, pos * 8));
+                    pos += n;
+                } while (view[pos - 1] & 0x01);
+                return { value, length: pos - off };
+            },
+            encode(list) {
+                const bits = [];
+                (list || []).forEach((el, i) => {
+                    element.write(bits, el);
+                    bits.push(i < list.length - 1 ? 1 : 0);
+                });
+                return packBits(bits);
+            },
+            walk(view, off, path, visit) {
+                let pos = off;
+                for (let i = 0; ; i++) {
+                    walkNode(element, view, pos * 8, `${path}[${i}]`, visit);
+                    visit({ path: `${path}[${i}] FX`, kind: "fx", bitOff: pos * 8 + element.bits, bits: 1 });
+                    pos += n;
+                    if ((view[pos - 1] & 0x01) === 0) break;
+                }
+            },
+        };
+    }
+
+    if (element.bits % 8 || repBits % 8) throw new Error("Repetitive element is not whole octets");
+    const n = element.bits / 8;
+    const repLen = repBits / 8;
+    return {
+        decode(view, off, id) {
+            if (off + repLen > view.length) throw new AsterixTruncationError(id, view, off);
+            const count = readBits(view, off * 8, repBits);
+            if (off + repLen + count * n > view.length) throw new AsterixTruncationError(id, view, off);
+            const value = [];
+            for (let i = 0; i < count; i++) value.push(element.read(view, (off + repLen + i * n) * 8));
+            return { value, length: repLen + count * n };
+        },
+        encode(list) {
+            const bits = [];
+            pushBits(bits, (list || []).length, repBits);
+            for (const el of list || []) element.write(bits, el);
+            return packBits(bits);
+        },
+        walk(view, off, path, visit) {
+            const count = readBits(view, off * 8, repBits);
+            visit({ path: `${path} REP`, kind: "rep", bitOff: off * 8, bits: repBits });
+            for (let i = 0; i < count; i++) walkNode(element, view, (off + repLen + i * n) * 8, `${path}[${i}]`, visit);
+        },
+    };
+}
+
+function explicit() {
+    return {
+        decode(view, off, id) {
+            const len = view[off];
+            if (len === undefined || len < 1 || off + len > view.length) throw new AsterixTruncationError(id, view, off);
+            return { value: { raw: toHex(view, off + 1, len - 1) }, length: len };
+        },
+        encode(v) {
+            const body = fromHex(v && v.raw);
+            return [body.length + 1, ...body];
+        },
+        walk(view, off, path, visit) {
+            visit({ path: `${path} LEN`, kind: "len", bitOff: off * 8, bits: 8 });
+            if (view[off] > 1) visit({ path: `${path} raw`, kind: "field", bitOff: (off + 1) * 8, bits: (view[off] - 1) * 8 });
+        },
+    };
+}
+
+function compound(subfields, { fspecBits = 0 } = {}) {
+    const subs = subfields.map((sf) => (sf ? { name: sf[0], node: octets(sf[1]) } : null));
+
+    /** Presence bits of the primary subfield at `off`: { present, pos } (pos = first subfield). */
+    const primary = (view, off, id) => {
+        const present = [];
+        let pos = off;
+        if (fspecBits) {
+            // Fixed-size primary subfield, no FX
+            if (off + fspecBits / 8 > view.length) throw new AsterixTruncationError(id, view, off);
+            for (let i = 0; i < fspecBits; i++) present.push(readBits(view, off * 8 + i, 1));
+            pos += fspecBits / 8;
+        } else {
+            do {
+                if (pos >= view.length) throw new AsterixTruncationError(id, view, pos);
+                for (let i = 7; i >= 1; i--) present.push((view[pos] >> i) & 0x01);
+                pos++;
+            } while (view[pos - 1] & 0x01);
+        }
+        return { present, pos };
+    };
+
+    return {
+        decode(view, off, id) {
+            const { present, pos: first } = primary(view, off, id);
+            let pos = first;
+            const value = {};
+            present.forEach((bit, i) => {
+                if (!bit) return;
+                const sub = subs[i];
+                if (!sub) throw new AsterixUnknownItemError(`Unknown subfield ${i + 1} in ${id}`, view, off);
+                const r = sub.node.decode(view, pos, `${id} ${sub.name}`);
+                value[sub.name] = r.value;
+                pos += r.length;
+            });
+            return { value, length: pos - off };
+        },
+        encode(v) {
+            const value = v || {};
+            const used = [];
+            subs.forEach((sub, i) => {
+                if (sub && value[sub.name] !== undefined) used.push(i);
+            });
+            let fspec;
+            if (fspecBits) {
+                const bits = new Array(fspecBits).fill(0);
+                for (const i of used) bits[i] = 1;
+                fspec = packBits(bits);
+            } else {
+                fspec = new Array(Math.max(1, Math.ceil((Math.max(-1, ...used) + 1) / 7))).fill(0);
+                for (const i of used) fspec[Math.floor(i / 7)] |= 0x80 >> (i % 7);
+                for (let i = 0; i < fspec.length - 1; i++) fspec[i] |= 0x01;
+            }
+            return [...fspec, ...used.flatMap((i) => subs[i].node.encode(value[subs[i].name]))];
+        },
+        shaped: subs.some((sub) => sub && sub.node.shaped),
+        walk(view, off, path, visit) {
+            const { present, pos: first } = primary(view, off, path);
+            visit({ path: `${path} FSPEC`, kind: "fspec", bitOff: off * 8, bits: (first - off) * 8 });
+            let pos = first;
+            present.forEach((bit, i) => {
+                if (!bit) return;
+                const sub = subs[i];
+                const subPath = `${path} ${sub.name}`;
+                sub.node.walk(view, pos, subPath, visit);
+                pos += sub.node.decode(view, pos, subPath).length;
+            });
+        },
+    };
+}
+
+function shaped(node, shape) {
+    const codec = octets(node);
+    return {
+        decode(view, off, id) {
+            const { value, length } = codec.decode(view, off, id);
+            return { value: shape(value, view, off, length), length };
+        },
+        encode() {
+            throw new Error("A shaped structure has no encoding");
+        },
+        shaped: true,
+        walk: codec.walk,
+    };
+}
+
+/** Octet-aligned view of any node (bit-packed ones must fill whole octets). */
+function octets(node) {
+    if (node.bits === undefined) return node;
+    if (node.bits % 8) throw new Error(`${node.bits} bits is not whole octets`);
+    const len = node.bits / 8;
+    return {
+        decode(view, off, id) {
+            if (off + len > view.length) throw new AsterixTruncationError(id, view, off);
+            return { value: node.read(view, off * 8), length: len };
+        },
+        encode(value) {
+            const bits = [];
+            node.write(bits, value);
+            return packBits(bits);
+        },
+        walk: (view, off, path, visit) => walkNode(node, view, off * 8, path, visit),
+    };
+}
+
+/**
+ * Bind a structure to its item id:
+ * { decode(view, off), encode(value), check(view, off, report), dissect(view, off), node }.
+ * `node` is the octet-aligned structure, for structures that nest whole items.
+ */
+function item(id, node) {
+    const codec = octets(node);
+    return {
+        node: codec,
+        decode: (view, off) => codec.decode(view, off, id),
+        encode: (value) => codec.encode(value),
+        check(view, off, report) {
+            codec.walk(view, off, id, (f) => {
+                if (f.kind === "spare") {
+                    const v = readBits(view, f.bitOff, f.bits);
+                    if (v) report("spare-bits", f.path, `spare bits ${v.toString(2).padStart(f.bits, "0")} are not zero`);
+                } else if (f.node && f.node.check) {
+                    f.node.check(view, f.bitOff, f.path, report);
+                }
+            });
+        },
+        dissect(view, off) {
+            const fields = [];
+            codec.walk(view, off, id, (f) => {
+                const name = f.path.slice(id.length).trim();
+                fields.push({
+                    name: f.kind === "spare" ? `${name} spare`.trim() : name || id,
+                    kind: f.kind,
+                    offset: Math.floor(f.bitOff / 8),
+                    length: Math.ceil((f.bitOff + f.bits) / 8) - Math.floor(f.bitOff / 8),
+                    bitOffset: f.bitOff - off * 8,
+                    bitLength: f.bits,
+                    bits: bitString(view, f.bitOff, f.bits),
+                    value: f.node ? f.node.read(view, f.bitOff)
+                        : f.bits <= 48 ? readBits(view, f.bitOff, f.bits) : readBitsHex(view, f.bitOff, f.bits),
+                });
+            });
+            return fields;
+        },
+    };
+}
+
+module.exports = {
+    uint,
+    int,
+    flag,
+    scaled,
+    table,
+    raw,
+    string,
+    spare,
+    group,
+    extended,
+    repetitive,
+    explicit,
+    compound,
+    shaped,
+    item,
+};
@@ -2,9 +2,12 @@
 
 /**
  * Minimal-yet-extensible ASTERIX parser
- * - Supports multi-record byte streams
- * - Parses common CAT048 items (subset) and leaves unknowns as raw hex
- * - Easy to add more categories: add to CATEGORY_DEFS and DECODERS
+ * - Supports multi-block byte streams and multi-record data blocks
+ * - Parses CAT001, CAT002, CAT008, CAT010, CAT011, CAT019, CAT020, CAT021, CAT023, CAT025, CAT034, CAT048 and CAT062 items and leaves unknowns as raw hex
+ * - Easy to add more categories: add to CATEGORY_DEFS and ITEMS (and the shaped items to
+ *   SHAPED_ENCODERS in encoder.js), or load an asterix-specs JSON definition with spec-loader.js
+ * - Every built-in item is declared in ITEMS (see item-structure.js); DECODERS
+ *   are taken from it, and so are the encoders of every item that isn't shaped
  *
  * Notes:
  * - Uses network byte order (big endian)
@@ -13,28 +16,15 @@
  *   corresponds to each FSPEC bit, in order (bit 7..1 per octet).
  */
 
+const S = require("./item-structure");
+const { IA5_CHARSET, toHex } = require("./bits");
+const { AsterixError, AsterixTruncationError, AsterixUnknownItemError } = require("./errors");
+
 // ------------------------------- Byte helpers -------------------------------
 
 function readU16BE(view, off) {
     return (view[off] << 8) | view[off + 1];
 }
-function readI16BE(view, off) {
-    const v = readU16BE(view, off);
-    return (v & 0x8000) ? (v - 0x10000) : v;
-}
-function readU24BE(view, off) {
-    return (view[off] << 16) | (view[off + 1] << 8) | view[off + 2];
-}
-function readU32BE(view, off) {
-    return (view[off] * 2 ** 24) | (view[off + 1] << 16) | (view[off + 2] << 8) | view[off + 3];
-}
-function readI32BE(view, off) {
-    const v = readU32BE(view, off) >>> 0;
-    return (v & 0x80000000) ? (v - 0x100000000) : v;
-}
-function toHex(view, off, len) {
-    return [...view.slice(off, off + len)].map(b => b.toString(16).padStart(2, "0")).join("");
-}
 
 /** Two’s complement of an N-bit field given as unsigned integer `x`. */
 function twosComplement(x, bits) {
@@ -54,16 +44,17 @@ function bcdToString(byte) {
 
 /**
  * Parse FSPEC bytes
- * Returns: { bytes: Uint8Array, bits: number[] }
+ * Returns: { bytes: Uint8Array, endOffset: number, bits: number[] }
  * - bits is a flat array of 1/0 from MSB->LSB per FSPEC byte, excluding FX bits
+ * - `limit` bounds the read (e.g. the end of the enclosing data block)
  */
-function parseFSPEC(view, start) {
+function parseFSPEC(view, start, limit = view.length) {
     const bytes = [];
     let off = start;
     // Read until a byte with FX (bit LSB) == 0
     while (true) {
+        if (off >= limit) throw new AsterixTruncationError("FSPEC", view, start);
         const b = view[off];
-        if (b === undefined) throw new Error("Truncated FSPEC");
         bytes.push(b);
         off++;
         if ((b & 0x01) === 0) break; // FX=0 => FSPEC ends
@@ -82,14 +73,25 @@ function parseFSPEC(view, start) {
 
 /**
  * For each category, define the UAP bit map in order (bit7..1 of FSPEC[0], then FSPEC[1], etc.)
- * Each entry is the data-item ID string you’ll decode in DECODERS.
+ * Each entry is the data-item ID string you’ll decode in DECODERS (null for spare FRNs).
+ *
+ * Categories with several UAPs (e.g. CAT001 plots vs tracks) use instead:
+ *   uaps:       { name: [...] }   – one UAP array per variant
+ *   defaultUap: name               – used until the selector decides
+ *   selectUap:  (items) => name    – called with the items decoded so far in the
+ *                                    same record; return null/undefined to keep the default
+ *
+ * `mandatory` lists the items every record has to carry (checked in strict mode).
  *
- * Below is a _common_ UAP for CAT048 (Eurocontrol surface/SSR Track Reports), but
- * editions vary. Adjust to your spec if needed.
+ * UAPs follow the published EUROCONTROL editions noted per category; `edition`
+ * names it ("major.minor"). Other editions can be registered next to these
+ * (see CATEGORY_EDITIONS) and selected per stream or data source when parsing.
  */
 const CATEGORY_DEFS = {
     // CAT 034 – Monoradar Service Messages (EUROCONTROL Ed. 1.29)
     34: {
+        edition: "1.29",
+        mandatory: ["I034/010", "I034/000", "I034/030"],
         // Standard UAP order (FSPEC bit7..1, then next FSPEC byte...)  [Table 3]
         // FX bits are *not* listed here (FSPEC parser already ignores FX positions).
         uap: [
@@ -111,507 +113,3329 @@ const CATEGORY_DEFS = {
             // -- FSPEC FX here (n.a. for standard set) --
         ],
     },
+    // CAT 001 – Monoradar Target Reports, legacy (EUROCONTROL Ed. 1.2)
+    // Two UAPs: plots and tracks, selected by the TYP bit of I001/020 (FRN 2 in both).
+    1: {
+        edition: "1.2",
+        mandatory: ["I001/010", "I001/020"],
+        uaps: {
+            plot: [
+                // FSPEC1
+                "I001/010", // 1  Data Source Identifier (2B)
+                "I001/020", // 2  Target Report Descriptor (1+)
+                "I001/040", // 3  Measured Position in Polar Coordinates (4B)
+                "I001/070", // 4  Mode-3/A Code in Octal Representation (2B)
+                "I001/090", // 5  Mode-C Code in Binary Representation (2B)
+                "I001/130", // 6  Radar Plot Characteristics (1+)
+                "I001/141", // 7  Truncated Time of Day (2B)
+                // FSPEC2
+                "I001/050", // 8  Mode-2 Code in Octal Representation (2B)
+                "I001/120", // 9  Measured Radial Doppler Speed (1B)
+                "I001/131", // 10 Received Power (1B)
+                "I001/080", // 11 Mode-3/A Code Confidence Indicator (2B)
+                "I001/100", // 12 Mode-C Code and Confidence Indicator (4B)
+                "I001/060", // 13 Mode-2 Code Confidence Indicator (2B)
+                "I001/030", // 14 Warning/Error Conditions (1+)
+                // FSPEC3
+                "I001/150", // 15 Presence of X-Pulse (1B)
+                null,       // 16 spare
+                null,       // 17 spare
+                null,       // 18 spare
+                null,       // 19 spare
+                "I001/SP",  // 20 Special Purpose Field (1+1+...)
+                "I001/RFS", // 21 Random Field Sequencing (not supported)
+            ],
+            track: [
+                // FSPEC1
+                "I001/010", // 1  Data Source Identifier (2B)
+                "I001/020", // 2  Target Report Descriptor (1+)
+                "I001/161", // 3  Track/Plot Number (2B)
+                "I001/040", // 4  Measured Position in Polar Coordinates (4B)
+                "I001/042", // 5  Calculated Position in Cartesian Coordinates (4B)
+                "I001/200", // 6  Calculated Track Velocity in Polar Coordinates (4B)
+                "I001/070", // 7  Mode-3/A Code in Octal Representation (2B)
+                // FSPEC2
+                "I001/090", // 8  Mode-C Code in Binary Representation (2B)
+                "I001/141", // 9  Truncated Time of Day (2B)
+                "I001/130", // 10 Radar Plot Characteristics (1+)
+                "I001/131", // 11 Received Power (1B)
+                "I001/120", // 12 Measured Radial Doppler Speed (1B)
+                "I001/170", // 13 Track Status (1+)
+                "I001/210", // 14 Track Quality (1+)
+                // FSPEC3
+                "I001/050", // 15 Mode-2 Code in Octal Representation (2B)
+                "I001/080", // 16 Mode-3/A Code Confidence Indicator (2B)
+                "I001/100", // 17 Mode-C Code and Confidence Indicator (4B)
+                "I001/060", // 18 Mode-2 Code Confidence Indicator (2B)
+                "I001/030", // 19 Warning/Error Conditions (1+)
+                "I001/SP",  // 20 Special Purpose Field (1+1+...)
+                "I001/RFS", // 21 Random Field Sequencing (not supported)
+                // FSPEC4
+                "I001/150", // 22 Presence of X-Pulse (1B)
+            ],
+        },
+        defaultUap: "plot",
+        selectUap: (items) => items["I001/020"] && items["I001/020"].type,
+    },
+    // CAT 002 – Monoradar Service Messages, legacy (EUROCONTROL Ed. 1.0)
+    2: {
+        edition: "1.0",
+        mandatory: ["I002/010", "I002/000"],
+        uap: [
+            // FSPEC1
+            "I002/010", // 1  Data Source Identifier (2B)
+            "I002/000", // 2  Message Type (1B)
+            "I002/020", // 3  Sector Number (1B)
+            "I002/030", // 4  Time of Day (3B)
+            "I002/041", // 5  Antenna Rotation Speed (2B)
+            "I002/050", // 6  Station Configuration Status (1+)
+            "I002/060", // 7  Station Processing Mode (1+)
+            // FSPEC2
+            "I002/070", // 8  Plot Count Values (1+2*N)
+            "I002/100", // 9  Dynamic Window – Type 1 (8B)
+            "I002/090", // 10 Collimation Error (2B)
+            "I002/080", // 11 Warning/Error Conditions (1+)
+            null,       // 12 spare
+            "I002/SP",  // 13 Special Purpose Field (1+1+...)
+            "I002/RFS", // 14 Random Field Sequencing (not supported)
+        ],
+    },
+    // CAT 008 – Monoradar Derived Weather Information (EUROCONTROL Ed. 1.2)
+    8: {
+        edition: "1.2",
+        mandatory: ["I008/010", "I008/000"],
+        uap: [
+            // FSPEC1
+            "I008/010", // 1  Data Source Identifier (2B)
+            "I008/000", // 2  Message Type (1B)
+            "I008/020", // 3  Vector Qualifier (1+)
+            "I008/036", // 4  Sequence of Cartesian Vectors in SPF Notation (1+3*N)
+            "I008/034", // 5  Sequence of Polar Vectors in SPF Notation (1+4*N)
+            "I008/040", // 6  Contour Identifier (2B)
+            "I008/050", // 7  Sequence of Contour Points in SPF Notation (1+2*N)
+            // FSPEC2
+            "I008/090", // 8  Time of Day (3B)
+            "I008/100", // 9  Processing Status (3+)
+            "I008/110", // 10 Station Configuration Status (1+)
+            "I008/120", // 11 Total Number of Items Constituting One Weather Picture (2B)
+            "I008/038", // 12 Sequence of Weather Vectors in SPF Notation (1+4*N)
+            "I008/SP",  // 13 Special Purpose Field (1+1+...)
+            "I008/RFS", // 14 Random Field Sequencing (1+N*(1+...))
+        ],
+    },
+    // CAT 010 – Monosensor Surface Movement Data (EUROCONTROL Ed. 1.1)
+    10: {
+        edition: "1.1",
+        mandatory: ["I010/010", "I010/000"],
+        uap: [
+            // FSPEC1
+            "I010/010", // 1  Data Source Identifier (2B)
+            "I010/000", // 2  Message Type (1B)
+            "I010/020", // 3  Target Report Descriptor (1+)
+            "I010/140", // 4  Time of Day (3B)
+            "I010/041", // 5  Position in WGS-84 Coordinates (8B)
+            "I010/040", // 6  Measured Position in Polar Coordinates (4B)
+            "I010/042", // 7  Position in Cartesian Coordinates (4B)
+            // FSPEC2
+            "I010/200", // 8  Calculated Track Velocity in Polar Coordinates (4B)
+            "I010/202", // 9  Calculated Track Velocity in Cartesian Coordinates (4B)
+            "I010/161", // 10 Track Number (2B)
+            "I010/170", // 11 Track Status (1+)
+            "I010/060", // 12 Mode-3/A Code in Octal Representation (2B)
+            "I010/220", // 13 Target Address (3B)
+            "I010/245", // 14 Target Identification (7B)
+            // FSPEC3
+            "I010/250", // 15 Mode S MB Data (1+8*N)
+            "I010/300", // 16 Vehicle Fleet Identification (1B)
+            "I010/090", // 17 Flight Level in Binary Representation (2B)
+            "I010/091", // 18 Measured Height (2B)
+            "I010/270", // 19 Target Size & Orientation (1+)
+            "I010/550", // 20 System Status (1B)
+            "I010/310", // 21 Pre-programmed Message (1B)
+            // FSPEC4
+            "I010/500", // 22 Standard Deviation of Position (4B)
+            "I010/280", // 23 Presence (1+2*N)
+            "I010/131", // 24 Amplitude of Primary Plot (1B)
+            "I010/210", // 25 Calculated Acceleration (2B)
+            null,       // 26 spare
+            "I010/SP",  // 27 Special Purpose Field (1+1+...)
+            "I010/RE",  // 28 Reserved Expansion Field (1+1+...)
+        ],
+    },
+    // CAT 011 – A-SMGCS Transmission of Data (EUROCONTROL Ed. 1.2)
+    11: {
+        edition: "1.2",
+        mandatory: ["I011/010", "I011/000"],
+        uap: [
+            // FSPEC1
+            "I011/010", // 1  Data Source Identifier (2B)
+            "I011/000", // 2  Message Type (1B)
+            "I011/015", // 3  Service Identification (1B)
+            "I011/140", // 4  Time of Track Information (3B)
+            "I011/041", // 5  Position in WGS-84 Coordinates (8B)
+            "I011/042", // 6  Calculated Position in Cartesian Coordinates (4B)
+            "I011/202", // 7  Calculated Track Velocity in Cartesian Coordinates (4B)
+            // FSPEC2
+            "I011/210", // 8  Calculated Acceleration (2B)
+            "I011/060", // 9  Mode-3/A Code in Octal Representation (2B)
+            "I011/245", // 10 Target Identification (7B)
+            "I011/380", // 11 Mode-S / ADS-B Related Data (compound)
+            "I011/161", // 12 Track Number (2B)
+            "I011/170", // 13 Track Status (1+)
+            "I011/290", // 14 System Track Update Ages (compound)
+            // FSPEC3
+            "I011/430", // 15 Phase of Flight (1B)
+            "I011/090", // 16 Measured Flight Level (2B)
+            "I011/093", // 17 Calculated Track Barometric Altitude (2B)
+            "I011/092", // 18 Calculated Track Geometric Altitude (2B)
+            "I011/215", // 19 Calculated Rate of Climb/Descent (2B)
+            "I011/270", // 20 Target Size & Orientation (1+)
+            "I011/390", // 21 Flight Plan Related Data (compound)
+            // FSPEC4
+            "I011/300", // 22 Vehicle Fleet Identification (1B)
+            "I011/310", // 23 Pre-programmed Message (1B)
+            "I011/500", // 24 Estimated Accuracies (compound)
+            "I011/600", // 25 Alert Messages (3B)
+            "I011/605", // 26 Tracks in Alert (1+2*N)
+            "I011/610", // 27 Holdbar Status (1+2*N)
+            "I011/SP",  // 28 Special Purpose Field (1+1+...)
+            // FSPEC5
+            "I011/RE",  // 29 Reserved Expansion Field (1+1+...)
+        ],
+    },
+    // CAT 019 – Multilateration System Status Messages (EUROCONTROL Ed. 1.3)
+    19: {
+        edition: "1.3",
+        mandatory: ["I019/010", "I019/000", "I019/140"],
+        uap: [
+            // FSPEC1
+            "I019/010", // 1  Data Source Identifier (2B)
+            "I019/000", // 2  Message Type (1B)
+            "I019/140", // 3  Time of Day (3B)
+            "I019/550", // 4  System Status (1B)
+            "I019/551", // 5  Tracking Processor Detailed Status (1B)
+            "I019/552", // 6  Remote Sensor Detailed Status (1+2*N)
+            "I019/553", // 7  Reference Transponder Detailed Status (1+)
+            // FSPEC2
+            "I019/600", // 8  Position of the MLT System Reference Point (8B)
+            "I019/610", // 9  Height of the MLT System Reference Point (2B)
+            "I019/620", // 10 WGS-84 Undulation (1B)
+            null,       // 11 spare
+            null,       // 12 spare
+            "I019/RE",  // 13 Reserved Expansion Field (1+1+...)
+            "I019/SP",  // 14 Special Purpose Field (1+1+...)
+        ],
+    },
+    // CAT 020 – Multilateration Target Reports (EUROCONTROL Ed. 1.10)
+    20: {
+        edition: "1.10",
+        mandatory: ["I020/010", "I020/020", "I020/140"],
+        uap: [
+            // FSPEC1
+            "I020/010", // 1  Data Source Identifier (2B)
+            "I020/020", // 2  Target Report Descriptor (1+)
+            "I020/140", // 3  Time of Day (3B)
+            "I020/041", // 4  Position in WGS-84 Coordinates (8B)
+            "I020/042", // 5  Position in Cartesian Coordinates (6B)
+            "I020/161", // 6  Track Number (2B)
+            "I020/170", // 7  Track Status (1+)
+            // FSPEC2
+            "I020/070", // 8  Mode-3/A Code in Octal Representation (2B)
+            "I020/202", // 9  Calculated Track Velocity in Cartesian Coordinates (4B)
+            "I020/090", // 10 Flight Level in Binary Representation (2B)
+            "I020/100", // 11 Mode-C Code (4B)
+            "I020/220", // 12 Target Address (3B)
+            "I020/245", // 13 Target Identification (7B)
+            "I020/110", // 14 Measured Height (Local Cartesian Coordinates) (2B)
+            // FSPEC3
+            "I020/105", // 15 Geometric Height (WGS-84) (2B)
+            "I020/210", // 16 Calculated Acceleration (2B)
+            "I020/300", // 17 Vehicle Fleet Identification (1B)
+            "I020/310", // 18 Pre-programmed Message (1B)
+            "I020/500", // 19 Position Accuracy (compound)
+            "I020/400", // 20 Contributing Devices (1+N)
+            "I020/250", // 21 Mode S MB Data (1+8*N)
+            // FSPEC4
+            "I020/230", // 22 Comms/ACAS Capability and Flight Status (2B)
+            "I020/260", // 23 ACAS Resolution Advisory Report (7B)
+            "I020/030", // 24 Warning/Error Conditions (1+)
+            "I020/055", // 25 Mode-1 Code in Octal Representation (1B)
+            "I020/050", // 26 Mode-2 Code in Octal Representation (2B)
+            "I020/RE",  // 27 Reserved Expansion Field (1+1+...)
+            "I020/SP",  // 28 Special Purpose Field (1+1+...)
+        ],
+    },
+    // CAT 021 – ADS-B Target Reports (EUROCONTROL Ed. 2.1)
+    21: {
+        edition: "2.1",
+        mandatory: ["I021/010", "I021/040", "I021/080"],
+        uap: [
+            // FSPEC1
+            "I021/010", // 1  Data Source Identification (2B)
+            "I021/040", // 2  Target Report Descriptor (1+)
+            "I021/161", // 3  Track Number (2B)
+            "I021/015", // 4  Service Identification (1B)
+            "I021/071", // 5  Time of Applicability for Position (3B)
+            "I021/130", // 6  Position in WGS-84 Co-ordinates (6B)
+            "I021/131", // 7  Position in WGS-84 Co-ordinates, High Resolution (8B)
+            // FSPEC2
+            "I021/072", // 8  Time of Applicability for Velocity (3B)
+            "I021/150", // 9  Air Speed (2B)
+            "I021/151", // 10 True Air Speed (2B)
+            "I021/080", // 11 Target Address (3B)
+            "I021/073", // 12 Time of Message Reception of Position (3B)
+            "I021/074", // 13 Time of Message Reception of Position – High Precision (4B)
+            "I021/075", // 14 Time of Message Reception of Velocity (3B)
+            // FSPEC3
+            "I021/076", // 15 Time of Message Reception of Velocity – High Precision (4B)
+            "I021/140", // 16 Geometric Height (2B)
+            "I021/090", // 17 Quality Indicators (1+)
+            "I021/210", // 18 MOPS Version (1B)
+            "I021/070", // 19 Mode 3/A Code (2B)
+            "I021/230", // 20 Roll Angle (2B)
+            "I021/145", // 21 Flight Level (2B)
+            // FSPEC4
+            "I021/152", // 22 Magnetic Heading (2B)
+            "I021/200", // 23 Target Status (1B)
+            "I021/155", // 24 Barometric Vertical Rate (2B)
+            "I021/157", // 25 Geometric Vertical Rate (2B)
+            "I021/160", // 26 Airborne Ground Vector (4B)
+            "I021/165", // 27 Track Angle Rate (2B)
+            "I021/077", // 28 Time of ASTERIX Report Transmission (3B)
+            // FSPEC5
+            "I021/170", // 29 Target Identification (6B)
+            "I021/020", // 30 Emitter Category (1B)
+            "I021/220", // 31 Met Information (compound)
+            "I021/146", // 32 Selected Altitude (2B)
+            "I021/148", // 33 Final State Selected Altitude (2B)
+            "I021/110", // 34 Trajectory Intent (compound)
+            "I021/016", // 35 Service Management (1B)
+            // FSPEC6
+            "I021/008", // 36 Aircraft Operational Status (1B)
+            "I021/271", // 37 Surface Capabilities and Characteristics (1+)
+            "I021/132", // 38 Message Amplitude (1B)
+            "I021/250", // 39 Mode S MB Data (1+8*N)
+            "I021/260", // 40 ACAS Resolution Advisory Report (7B)
+            "I021/400", // 41 Receiver ID (1B)
+            "I021/295", // 42 Data Ages (compound)
+            // FSPEC7
+            null,       // 43 n.a.
+            null,       // 44 n.a.
+            null,       // 45 n.a.
+            null,       // 46 n.a.
+            null,       // 47 n.a.
+            "I021/RE",  // 48 Reserved Expansion Field (1+1+...)
+            "I021/SP",  // 49 Special Purpose Field (1+1+...)
+        ],
+    },
+    // CAT 023 – CNS/ATM Ground Station and Service Status Reports (EUROCONTROL Ed. 1.2)
+    23: {
+        edition: "1.2",
+        mandatory: ["I023/010", "I023/000"],
+        uap: [
+            // FSPEC1
+            "I023/010", // 1  Data Source Identifier (2B)
+            "I023/000", // 2  Report Type (1B)
+            "I023/015", // 3  Service Type and Identification (1B)
+            "I023/070", // 4  Time of Day (3B)
+            "I023/100", // 5  Ground Station Status (1+)
+            "I023/101", // 6  Service Configuration (2+)
+            "I023/200", // 7  Operational Range (1B)
+            // FSPEC2
+            "I023/110", // 8  Service Status (1+)
+            "I023/120", // 9  Service Statistics (1+6*N)
+            null,       // 10 spare
+            null,       // 11 spare
+            null,       // 12 spare
+            "I023/RE",  // 13 Reserved Expansion Field (1+1+...)
+            "I023/SP",  // 14 Special Purpose Field (1+1+...)
+        ],
+    },
+    // CAT 025 – CNS/ATM Ground System Status Reports (EUROCONTROL Ed. 1.5)
+    25: {
+        edition: "1.5",
+        mandatory: ["I025/010", "I025/000"],
+        uap: [
+            // FSPEC1
+            "I025/010", // 1  Data Source Identifier (2B)
+            "I025/000", // 2  Report Type (1B)
+            "I025/200", // 3  Message Identification (3B)
+            "I025/015", // 4  Service Identification (1B)
+            "I025/020", // 5  Service Designator (6B)
+            "I025/070", // 6  Time of Day (3B)
+            "I025/100", // 7  System and Service Status (1+)
+            // FSPEC2
+            "I025/105", // 8  System and Service Error Codes (1+N)
+            null,       // 9  spare
+            null,       // 10 spare
+            null,       // 11 spare
+            "I025/120", // 12 Component Status (1+3*N)
+            "I025/140", // 13 Service Statistics (1+6*N)
+            "I025/SP",  // 14 Special Purpose Field (1+1+...)
+        ],
+    },
+    // CAT 048 – Monoradar Target Reports (EUROCONTROL Ed. 1.21)
     48: {
-        // CAT 048 – subset
+        edition: "1.21",
+        mandatory: ["I048/010", "I048/140", "I048/020"],
+        // Standard UAP order (FSPEC bit7..1, then next FSPEC byte...)
+        uap: [
+            // FSPEC1
+            "I048/010", // 1  Data Source Identifier (2B)
+            "I048/140", // 2  Time-of-Day (3B)
+            "I048/020", // 3  Target Report Descriptor (1+)
+            "I048/040", // 4  Measured Position in Slant Polar Coordinates (4B)
+            "I048/070", // 5  Mode-3/A Code in Octal Representation (2B)
+            "I048/090", // 6  Flight Level in Binary Representation (2B)
+            "I048/130", // 7  Radar Plot Characteristics (1+1+)
+            // FSPEC2
+            "I048/220", // 8  Aircraft Address (3B)
+            "I048/240", // 9  Aircraft Identification (6B)
+            "I048/250", // 10 Mode S MB Data (1+8*N)
+            "I048/161", // 11 Track Number (2B)
+            "I048/042", // 12 Calculated Position in Cartesian Coordinates (4B)
+            "I048/200", // 13 Calculated Track Velocity in Polar Representation (4B)
+            "I048/170", // 14 Track Status (1+)
+            // FSPEC3
+            "I048/210", // 15 Track Quality (4B)
+            "I048/030", // 16 Warning/Error Conditions (1+)
+            "I048/080", // 17 Mode-3/A Code Confidence Indicator (2B)
+            "I048/100", // 18 Mode-C Code and Confidence Indicator (4B)
+            "I048/110", // 19 Height Measured by 3D Radar (2B)
+            "I048/120", // 20 Radial Doppler Speed (1+)
+            "I048/230", // 21 Communications/ACAS Capability and Flight Status (2B)
+            // FSPEC4
+            "I048/260", // 22 ACAS Resolution Advisory Report (7B)
+            "I048/055", // 23 Mode-1 Code in Octal Representation (1B)
+            "I048/050", // 24 Mode-2 Code in Octal Representation (2B)
+            "I048/065", // 25 Mode-1 Code Confidence Indicator (1B)
+            "I048/060", // 26 Mode-2 Code Confidence Indicator (2B)
+            "I048/SP",  // 27 Special Purpose Field (1+1+...)
+            "I048/RE",  // 28 Reserved Expansion Field (1+1+...)
+        ],
+    },
+    // CAT 062 – SDPS Track Messages (EUROCONTROL Ed. 1.18)
+    62: {
+        edition: "1.18",
+        mandatory: ["I062/010", "I062/040", "I062/070", "I062/080"],
         uap: [
-            // FSPEC1 (bits 7..1)
-            "I048/010", // Data Source Identifier
-            "I048/020", // Target Report Descriptor
-            "I048/040", // Measured Position in Polar
-            "I048/070", // Mode-3/A code
-            "I048/090", // Flight Level (Mode C)
-            "I048/130", // Radar Plot Characteristics (optional subset)
-            "I048/220", // Calculated Track Velocity in Polar
+            // FSPEC1
+            "I062/010", // 1  Data Source Identifier (2B)
+            null,       // 2  spare
+            "I062/015", // 3  Service Identification (1B)
+            "I062/070", // 4  Time Of Track Information (3B)
+            "I062/105", // 5  Calculated Track Position (WGS-84) (8B)
+            "I062/100", // 6  Calculated Track Position (Cartesian) (6B)
+            "I062/185", // 7  Calculated Track Velocity (Cartesian) (4B)
             // FSPEC2
-            "I048/240", // Aircraft Address (Mode S)
-            "I048/250", // Mode S MB Data
-            "I048/161", // Track Number
-            "I048/042", // Measured Position in Cartesian (alt to I048/040)
-            "I048/200", // Calculated Track Velocity (Cartesian)
-            "I048/170", // Track Status
-            "I048/030", // Warning/Error Conditions
-            // FSPEC3 (add more as needed)
-            "I048/080", // Mode-3/A Code Confidence (optional)
-            "I048/100", // Mode C Confidence (optional)
-            "I048/110", // Height Meas (radar measured)
-            "I048/120", // Radial Doppler Speed
-            "I048/140", // Time of Day
-            "I048/230", // Communications/ACAS capability & flight status
-            // FSPEC4 (example extras; may be unused depending on spec)
-            "I048/260",
-            "I048/055",
-            "I048/065",
-            "I048/071",
-            "I048/072",
-            "I048/073",
-            "I048/075",
+            "I062/210", // 8  Calculated Acceleration (Cartesian) (2B)
+            "I062/060", // 9  Track Mode 3/A Code (2B)
+            "I062/245", // 10 Target Identification (7B)
+            "I062/380", // 11 Aircraft Derived Data (compound)
+            "I062/040", // 12 Track Number (2B)
+            "I062/080", // 13 Track Status (1+)
+            "I062/290", // 14 System Track Update Ages (compound)
+            // FSPEC3
+            "I062/200", // 15 Mode of Movement (1B)
+            "I062/295", // 16 Track Data Ages (compound)
+            "I062/136", // 17 Measured Flight Level (2B)
+            "I062/130", // 18 Calculated Track Geometric Altitude (2B)
+            "I062/135", // 19 Calculated Track Barometric Altitude (2B)
+            "I062/220", // 20 Calculated Rate of Climb/Descent (2B)
+            "I062/390", // 21 Flight Plan Related Data (compound)
+            // FSPEC4
+            "I062/270", // 22 Target Size & Orientation (1+)
+            "I062/300", // 23 Vehicle Fleet Identification (1B)
+            "I062/110", // 24 Mode 5 Data Reports & Extended Mode 1 Code (compound)
+            "I062/120", // 25 Track Mode 2 Code (2B)
+            "I062/510", // 26 Composed Track Number (3+)
+            "I062/500", // 27 Estimated Accuracies (compound)
+            "I062/340", // 28 Measured Information (compound)
+            // FSPEC5
+            null,       // 29 spare
+            null,       // 30 spare
+            null,       // 31 spare
+            null,       // 32 spare
+            null,       // 33 spare
+            "I062/RE",  // 34 Reserved Expansion Field (1+1+...)
+            "I062/SP",  // 35 Special Purpose Field (1+1+...)
         ],
     },
-    // Add more categories here (e.g., 21 for ADS-B) with their UAP lists
+    // Add more categories here with their UAP lists
 };
 
-// ----------------------------- Data item decoders ---------------------------
+// --------------------------- Declared item structures -----------------------
 
 /**
- * Each decoder receives (view, off) and returns { value, length }.
- * Keep decoders tiny and pure; add scaling per spec.
+ * Items decoded from a declared layout (see item-structure.js) rather than by hand.
+ * Each entry is { decode, encode }; DECODERS and ENCODERS (encoder.js) use them directly.
+ */
+const CHANNEL_SELECTION = ["No channel selected", "Channel A only selected", "Channel B only selected", "Diversity mode"];
+
+const STRUCTURES = {
+    // I034/050 – System Configuration and Status (compound): COM, -, -, PSR, SSR, MDS
+    "I034/050": S.item("I034/050", S.compound([
+        ["COM", S.group([
+            ["nogo", S.flag()],
+            ["rdpc", S.table(1, ["RDPC-1 selected", "RDPC-2 selected"])],
+            ["rdpReset", S.flag()],
+            ["rdpOverload", S.flag()],
+            ["transmissionOverload", S.flag()],
+            ["monitoringDisconnected", S.flag()],
+            ["timeSourceInvalid", S.flag()],
+            S.spare(1),
+        ])],
+        null,
+        null,
+        ["PSR", S.group([
+            ["antenna", S.table(1, ["Antenna 1", "Antenna 2"])],
+            ["channels", S.table(2, CHANNEL_SELECTION)],
+            ["overload", S.flag()],
+            ["monitoringDisconnected", S.flag()],
+            S.spare(3),
+        ])],
+        ["SSR", S.group([
+            ["antenna", S.table(1, ["Antenna 1", "Antenna 2"])],
+            ["channels", S.table(2, CHANNEL_SELECTION)],
+            ["overload", S.flag()],
+            ["monitoringDisconnected", S.flag()],
+            S.spare(3),
+        ])],
+        ["MDS", S.group([
+            ["antenna", S.table(1, ["Antenna 1", "Antenna 2"])],
+            ["channels", S.table(2, CHANNEL_SELECTION)],
+            ["surveillanceOverload", S.flag()],
+            ["monitoringDisconnected", S.flag()],
+            ["scfChannel", S.table(1, ["Channel A in use", "Channel B in use"])],
+            ["dlfChannel", S.table(1, ["Channel A in use", "Channel B in use"])],
+            ["scfOverload", S.flag()],
+            ["dlfOverload", S.flag()],
+            S.spare(7),
+        ])],
+    ])),
+
+    // I034/060 – System Processing Mode (compound): COM, -, -, PSR, SSR, MDS; reduction steps 0..7
+    "I034/060": S.item("I034/060", S.compound([
+        ["COM", S.group([S.spare(1), ["rdpReduction", S.uint(3)], ["transmissionReduction", S.uint(3)], S.spare(1)])],
+        null,
+        null,
+        ["PSR", S.group([
+            ["polarization", S.table(1, ["Linear", "Circular"])],
+            ["radarReduction", S.uint(3)],
+            ["stcMap", S.table(2, ["STC Map-1", "STC Map-2", "STC Map-3", "STC Map-4"])],
+            S.spare(2),
+        ])],
+        ["SSR", S.group([["radarReduction", S.uint(3)], S.spare(5)])],
+        ["MDS", S.group([
+            ["radarReduction", S.uint(3)],
+            ["clustering", S.table(1, ["Autonomous", "Not autonomous"])],
+            S.spare(4),
+        ])],
+    ])),
+
+    // I034/070 – Message Count Values: REP + N * (TYP (5 bits), COUNT (11 bits))
+    "I034/070": S.item("I034/070", S.repetitive(S.group([
+        ["type", S.table(5, {
+            0: "No detection (number of misses)",
+            1: "Single PSR target reports",
+            2: "Single SSR target reports (Non-Mode S)",
+            3: "SSR+PSR target reports (Non-Mode S)",
+            4: "Single All-Call target reports (Mode S)",
+            5: "Single Roll-Call target reports (Mode S)",
+            6: "All-Call + PSR (Mode S) target reports",
+            7: "Roll-Call + PSR (Mode S) target reports",
+            8: "Filter for Weather data",
+            9: "Filter for Jamming Strobe",
+            10: "Filter for PSR data",
+            11: "Filter for SSR/Mode S data",
+            12: "Filter for SSR/Mode S+PSR data",
+            13: "Filter for Enhanced Surveillance data",
+            14: "Filter for PSR+Enhanced Surveillance",
+            15: "Filter for PSR+Enhanced Surveillance + SSR/Mode S data not in Area of Prime Interest",
+            16: "Filter for PSR+Enhanced Surveillance + all SSR/Mode S data",
+        })],
+        ["count", S.uint(11)],
+    ]))),
+
+    "I034/RE": S.item("I034/RE", S.explicit()),
+    "I034/SP": S.item("I034/SP", S.explicit()),
+
+    // I048/130 – Radar Plot Characteristics (compound, 1 octet per subfield)
+    "I048/130": S.item("I048/130", S.compound([
+        ["SRL", S.group([["runlength_deg", S.scaled(8, 360 / 2 ** 13)]])],
+        ["SRR", S.group([["replies", S.uint(8)]])],
+        ["SAM", S.group([["amplitude_dbm", S.int(8)]])],
+        ["PRL", S.group([["runlength_deg", S.scaled(8, 360 / 2 ** 13)]])],
+        ["PAM", S.group([["amplitude_dbm", S.int(8)]])],
+        ["RPD", S.group([["range_nm", S.scaled(8, 1 / 256, { signed: true })]])],
+        ["APD", S.group([["azimuth_deg", S.scaled(8, 360 / 2 ** 14, { signed: true })]])],
+    ])),
+
+    // I048/120 – Radial Doppler Speed (compound): CAL (D, 5 spare, 10-bit signed m/s),
+    // RDS: REP + N * (DOP signed m/s, AMB m/s, FRQ MHz; 2B each)
+    "I048/120": S.item("I048/120", S.compound([
+        ["CAL", S.group([["doubtful", S.flag()], S.spare(5), ["speed_mps", S.int(10)]])],
+        ["RDS", S.repetitive(S.group([
+            ["speed_mps", S.int(16)],
+            ["ambiguity_mps", S.uint(16)],
+            ["frequency_mhz", S.uint(16)],
+        ]))],
+    ])),
+
+    // I048/020 – Target Report Descriptor (FX-extended)
+    "I048/020": S.item("I048/020", S.extended(
+        [
+            ["detectionType", S.table(3, [
+                "No detection",
+                "Single PSR detection",
+                "Single SSR detection",
+                "SSR + PSR detection",
+                "Single ModeS All-Call",
+                "Single ModeS Roll-Call",
+                "ModeS All-Call + PSR",
+                "ModeS Roll-Call + PSR",
+            ])],
+            ["simulated", S.flag()],
+            ["rdpChain", S.table(1, ["RDP Chain 1", "RDP Chain 2"])],
+            ["spi", S.flag()],
+            ["fromFieldMonitor", S.flag()],
+        ],
+        [
+            ["testTarget", S.flag()],
+            ["extendedRange", S.flag()],
+            ["xPulse", S.flag()],
+            ["militaryEmergency", S.flag()],
+            ["militaryIdentification", S.flag()],
+            ["foeFri", S.table(2, ["No Mode 4 interrogation", "Friendly target", "Unknown target", "No reply"])],
+        ],
+        [
+            ["adsbPopulated", S.flag()],
+            ["adsbAvailable", S.flag()],
+            ["scnPopulated", S.flag()],
+            ["scnAvailable", S.flag()],
+            ["paiPopulated", S.flag()],
+            ["paiAvailable", S.flag()],
+            S.spare(1),
+        ],
+    )),
+
+    // I048/170 – Track Status (FX-extended). CAT048 has no coasting flag: a coasted
+    // track is reported with I048/020 detectionType 0 ("No detection").
+    "I048/170": S.item("I048/170", S.extended(
+        [
+            ["confirmation", S.table(1, ["Confirmed track", "Tentative track"])],
+            ["trackSource", S.table(2, ["Combined track", "PSR track", "SSR/Mode S track", "Invalid"])],
+            ["doubtful", S.flag()],
+            ["horizontalManoeuvre", S.flag()],
+            ["climbDescent", S.table(2, ["Maintaining", "Climbing", "Descending", "Unknown"])],
+        ],
+        [
+            ["endOfTrack", S.flag()],
+            ["ghost", S.flag()],
+            ["neighbourNodeB", S.flag()],
+            ["coordinatePlane", S.table(1, ["Radar plane (slant range)", "2D ground plane (slant range corrected)"])],
+            S.spare(3),
+        ],
+    )),
+
+    // I048/030 – Warning/Error Conditions and Target Classification: 7-bit codes, FX after each
+    "I048/030": S.item("I048/030", S.repetitive(S.table(7, {
+        0: "Not defined; never used",
+        1: "Multipath Reply (Reflection)",
+        2: "Reply due to sidelobe interrogation/reception",
+        3: "Split plot",
+        4: "Second time around reply",
+        5: "Angel",
+        6: "Slow moving target correlated with road infrastructure (terrestrial vehicle)",
+        7: "Fixed PSR plot",
+        8: "Slow PSR target",
+        9: "Low quality PSR plot",
+        10: "Phantom SSR plot",
+        11: "Non-Matching Mode-3/A Code",
+        12: "Mode C code / Mode S altitude code abnormal value compared to the track",
+        13: "Target in Clutter Area",
+        14: "Maximum Doppler Response in Zero Filter",
+        15: "Transponder anomaly detected",
+        16: "Duplicated or Illegal Mode S Aircraft Address",
+        17: "Mode S error correction applied",
+        18: "Undecodable Mode C code / Mode S altitude code",
+        19: "Birds",
+        20: "Flock of Birds",
+        21: "Mode-1 was present in original reply",
+        22: "Mode-2 was present in original reply",
+        23: "Plot potentially caused by Wind Turbine",
+        24: "Helicopter",
+        25: "Maximum number of re-interrogations reached (surveillance information)",
+        26: "Maximum number of re-interrogations reached (BDS Extractions)",
+        27: "BDS Overlay Incoherence",
+        28: "Potential BDS Swap Detected",
+        29: "Track Update in the Zenithal Gap",
+        30: "Mode S Track re-acquired",
+        31: "Duplicated Mode 5 Pair NO/PIN detected",
+        32: "Wrong DF reply format detected",
+        33: "Transponder anomaly (MS XPD replies with Mode A/C to Mode A/C-only all-call)",
+        34: "Transponder anomaly (SI capability report wrong)",
+        35: "Potential IC Conflict",
+        36: "IC Conflict detection possible - no conflict currently detected",
+    }, { reserved: [0] }), { fx: true })),
+
+    // I048/230 – Communications/ACAS Capability and Flight Status (2B)
+    "I048/230": S.item("I048/230", S.group([
+        ["communications", S.table(3, [
+            "No communications capability (surveillance only)",
+            "Comm. A and Comm. B capability",
+            "Comm. A, Comm. B and Uplink ELM",
+            "Comm. A, Comm. B, Uplink ELM and Downlink ELM",
+            "Level 5 Transponder capability",
+        ])],
+        ["flightStatus", S.table(3, [
+            "No alert, no SPI, aircraft airborne",
+            "No alert, no SPI, aircraft on ground",
+            "Alert, no SPI, aircraft airborne",
+            "Alert, no SPI, aircraft on ground",
+            "Alert, SPI, aircraft airborne or on ground",
+            "No alert, SPI, aircraft airborne or on ground",
+            "Not assigned",
+            "Unknown",
+        ], { reserved: [6] })],
+        ["identifierCapability", S.table(1, ["SI-Code capable", "II-Code capable"])],
+        S.spare(1),
+        ["specificServices", S.flag()],
+        ["altitudeResolution", S.table(1, ["100 ft", "25 ft"])],
+        ["aircraftIdentification", S.flag()],
+        ["bds10Bit16", S.uint(1)],
+        ["bds10Bits37to40", S.uint(4)],
+    ])),
+
+    // I048/250 – Mode S MB Data: REP + N * (56-bit MB data, BDS1 (4 bits), BDS2 (4 bits))
+    "I048/250": S.item("I048/250", S.repetitive(S.group([
+        ["mbData", S.raw(56)],
+        ["bds1", S.uint(4)],
+        ["bds2", S.uint(4)],
+    ]))),
+};
+
+// ------------------------------- Data items ----------------------------------
+
+/*
+ * Layouts shared by items of several categories. Plain structures decode to
+ * their fields; shaped ones (see item-structure.js) keep the value shape the
+ * decoders have always returned.
  */
-const DECODERS = {
+
+/** Octets of the item as { raw } hex, whatever its structure. */
+const rawHex = (value, view, off, length) => ({ raw: toHex(view, off, length) });
+
+/** 12-bit octal code value: { code_octal, raw } */
+const octalCode = (code) => ({ code_octal: code.toString(8).padStart(4, "0"), raw: code });
+
+// SAC (1B), SIC (1B)
+const DATA_SOURCE = S.group([["sac", S.uint(8)], ["sic", S.uint(8)]]);
+
+// 3B, LSB = 1/128 s
+const TIME_OF_DAY = S.shaped(S.group([["TOD", S.uint(24)]]), ({ TOD }) => ({ raw: TOD, seconds: TOD / 128 }));
+
+// FSI (2 bits) + fractional part of the second (30 bits, LSB = 2^-30 s). FSI relates it to the
+// matching 3-octet time: 0 = same second, 1 = one second later, 2 = one second earlier, 3 = reserved
+const HIGH_PRECISION_TIME = S.shaped(S.group([
+    ["FSI", S.table(2, ["Same second", "One second later", "One second earlier"])],
+    ["FRAC", S.uint(30)],
+]), ({ FSI, FRAC }) => ({ fsi: FSI.value, fraction_raw: FRAC, fraction_s: FRAC / 2 ** 30 }));
+
+// V, G, L, spare, 12-bit octal code (Mode-3/A, Mode-2)
+const MODE_CODE = S.shaped(
+    S.group([["V", S.flag()], ["G", S.flag()], ["L", S.flag()], S.spare(1), ["CODE", S.uint(12)]]),
+    ({ V, G, L, CODE }) => ({ ...octalCode(CODE), validated: !V, garbled: G, smoothed: L }),
+);
+
+// 4 spare + 12-bit octal code
+const PLAIN_MODE_CODE = S.shaped(S.group([S.spare(4), ["CODE", S.uint(12)]]), ({ CODE }) => octalCode(CODE));
+
+// V, G, then 14-bit two's complement, LSB = 1/4 FL
+const MODE_C_FLIGHT_LEVEL = S.shaped(
+    S.group([["V", S.flag()], ["G", S.flag()], ["FL", S.int(14)]]),
+    ({ V, G, FL }) => ({ raw: FL, flightLevel: FL / 4, validated: !V, garbled: G }),
+);
+
+// V, G, 2 spare, 12-bit Gray-coded Mode-C; 4 spare + 12 confidence bits
+const MODE_C_CODE = S.group([
+    ["V", S.flag()],
+    ["G", S.flag()],
+    S.spare(2),
+    ["GRAY", S.uint(12)],
+    S.spare(4),
+    ["QUALITY", S.uint(12)],
+]);
+
+// V, G, L, then 5-bit Mode-1 code (A4 A2 A1 B2 B1)
+const MODE_1_CODE = S.group([["V", S.flag()], ["G", S.flag()], ["L", S.flag()], ["CODE", S.uint(5)]]);
+
+/** 5-bit Mode-1 code value: { code_octal, raw } */
+const mode1Code = (code) => ({ code_octal: `${(code >> 2) & 0x07}${code & 0x03}`, raw: code });
+
+// 16-bit two's complement, LSB = 1/4 FL
+const FLIGHT_LEVEL = S.shaped(S.group([["FL", S.int(16)]]), ({ FL }) => ({ raw: FL, flightLevel: FL / 4 }));
+
+// QNH bit + 15-bit two's complement, LSB = 1/4 FL
+const BAROMETRIC_ALTITUDE = S.shaped(
+    S.group([["QNH", S.flag()], ["ALT", S.int(15)]]),
+    ({ QNH, ALT }) => ({ raw: ALT, flightLevel: ALT / 4, qnhApplied: QNH }),
+);
+
+// 16-bit two's complement, LSB = 6.25 ft
+const HEIGHT = S.shaped(S.group([["H", S.int(16)]]), ({ H }) => {
+    const feet = H * 6.25;
+    return { feet, meters: feet * 0.3048 };
+});
+
+// 16-bit two's complement, LSB = 6.25 ft/min
+const RATE_OF_CLIMB = S.shaped(S.group([["RATE", S.int(16)]]), ({ RATE }) => {
+    const fpm = RATE * 6.25;
+    return { fpm, mps: fpm * 0.3048 / 60 };
+});
+
+// RE bit + 15-bit two's complement, LSB = 6.25 ft/min
+const VERTICAL_RATE = S.shaped(S.group([["RE", S.flag()], ["RATE", S.int(15)]]), ({ RE, RATE }) => {
+    const fpm = RATE * 6.25;
+    return { rangeExceeded: RE, fpm, mps: fpm * 0.3048 / 60 };
+});
+
+// Vx, Vy (2B each) signed, LSB = 0.25 m/s
+const CARTESIAN_VELOCITY = S.group([["vx_mps", S.scaled(16, 0.25, { signed: true })], ["vy_mps", S.scaled(16, 0.25, { signed: true })]]);
+
+// ... and the speed and course they make
+const CARTESIAN_VELOCITY_COURSE = S.shaped(CARTESIAN_VELOCITY, ({ vx_mps, vy_mps }) => {
+    const mps = Math.hypot(vx_mps, vy_mps);
+    return {
+        vx_mps, vy_mps, mps,
+        kts: (mps * 3600) / 1852,
+        course_deg: (Math.atan2(vx_mps, vy_mps) * 180 / Math.PI + 360) % 360,
+    };
+});
+
+// X, Y 24-bit signed, LSB = 0.5 m
+const CARTESIAN_POSITION_24 = S.shaped(
+    S.group([["X", S.int(24)], ["Y", S.int(24)]]),
+    ({ X, Y }) => ({ x_raw: X, y_raw: Y, x_m: X * 0.5, y_m: Y * 0.5 }),
+);
+
+// 2B, LSB = 360/2^16 deg
+const HEADING = S.group([["heading_deg", S.scaled(16, 360 / 65536)]]);
+
+// Ax, Ay (1B each) signed, LSB = 0.25 m/s²
+const ACCELERATION = S.group([["ax_mps2", S.scaled(8, 0.25, { signed: true })], ["ay_mps2", S.scaled(8, 0.25, { signed: true })]]);
+
+// lat, lon 24-bit signed, LSB = 180/2^23 deg
+const WGS84_POSITION = S.group([
+    ["lat_deg", S.scaled(24, 180 / 2 ** 23, { signed: true })],
+    ["lon_deg", S.scaled(24, 180 / 2 ** 23, { signed: true })],
+]);
+
+// lat, lon 32-bit signed, LSB = 180/2^`n` deg
+const wgs84Position32 = (n) => S.group([
+    ["lat_deg", S.scaled(32, 180 / 2 ** n, { signed: true })],
+    ["lon_deg", S.scaled(32, 180 / 2 ** n, { signed: true })],
+]);
+
+// 24-bit ICAO address
+const TARGET_ADDRESS = S.shaped(S.group([["ADR", S.raw(24, { hex: true })]]), ({ ADR }) => ({ icao24: ADR.toUpperCase() }));
+
+// 8 characters, 6-bit IA-5 each
+const AIRCRAFT_IDENTIFICATION = S.group([["callsign", S.string(48, "icao")]]);
+
+// STI (2 bits) + 6 spare, then 8 IA-5 characters
+const TARGET_IDENTIFICATION = S.group([["source", S.uint(2)], S.spare(6), ["callsign", S.string(48, "icao")]]);
+
+// 4 spare + 12-bit track number
+const TRACK_NUMBER_12 = S.shaped(S.group([S.spare(4), ["TRN", S.uint(12)]]), ({ TRN }) => TRN);
+
+// 4 spare + 12 bits, one per code bit
+const CODE_CONFIDENCE = S.group([S.spare(4), ["lowConfidenceBits", S.uint(12)]]);
+
+// TRB + 7-bit message number
+const PRE_PROGRAMMED_MESSAGE = S.group([["inTrouble", S.flag()], ["message", S.uint(7)]]);
+
+// 1B message type, named from `names`
+const messageType = (names) => S.shaped(S.group([["TYP", S.table(8, names)]]), ({ TYP }) => ({ type: TYP.value, name: TYP.meaning || "Unknown" }));
+
+// System status NOGO (2 bits), as `operationalStatus`
+const OPERATIONAL_STATUS = ["operational", "degraded", "NOGO", "undefined"];
+
+// Antenna rotation period (2B), LSB = 1/128 s; also RPM for convenience (RPM = 60 / seconds)
+const ROTATION_PERIOD = S.shaped(S.group([["ARS", S.uint(16)]]), ({ ARS }) => {
+    const seconds = ARS / 128;
+    return { raw: ARS, seconds, rpm: seconds > 0 ? 60 / seconds : null };
+});
+
+// Collimation error (2B): range error (1/128 NM), azimuth error (360/2^14 deg), both signed
+const COLLIMATION_ERROR = S.group([
+    ["range_err_nm", S.scaled(8, 1 / 128, { signed: true })],
+    ["az_err_deg", S.scaled(8, 360 / 2 ** 14, { signed: true })],
+]);
+
+// Warning/error conditions: one 7-bit code per octet, FX-chained
+const WARNING_CODES = S.shaped(S.repetitive(S.uint(7), { fx: true }), (codes, view, off, length) => ({ ...rawHex(codes, view, off, length), codes }));
+
+// FX-chained item kept as raw hex
+const FX_RAW = S.shaped(S.repetitive(S.uint(7), { fx: true }), rawHex);
+
+// Fixed-length item kept as raw hex
+const fixedRaw = (octets) => S.group([["raw", S.raw(octets * 8, { hex: true })]]);
+
+// REP (1B) + REP * `octets`, kept as { rep, raw } hex
+const repetitiveRaw = (octets) => S.shaped(
+    S.repetitive(S.raw(octets * 8, { hex: true })),
+    (list) => ({ rep: list.length, raw: list.join("") }),
+);
+
+// Compound item kept as raw hex; `subfields` as for S.compound
+const compoundRaw = (subfields) => S.shaped(S.compound(subfields), rawHex);
+
+// `n` one-octet data ages, kept raw (AGE1..AGEn in primary-bit order)
+const dataAges = (n) => Array.from({ length: n }, (_, i) => [`AGE${i + 1}`, fixedRaw(1)]);
+
+// 1B age, LSB = 1/4 s (the 2B ones are "ADS" ages)
+const AGE = S.group([["seconds", S.scaled(8, 1 / 4)]]);
+const AGE_2B = S.group([["seconds", S.scaled(16, 1 / 4)]]);
+
+// Target Size & Orientation (FX-chained): length (1 m), orientation (360/128 deg), width (1 m)
+const TARGET_SIZE = S.shaped(S.extended(
+    [["length_m", S.uint(7)]],
+    [["orientation_deg", S.scaled(7, 360 / 128)]],
+    [["width_m", S.uint(7)]],
+), (value, view, off, length) => ({ ...rawHex(value, view, off, length), ...value }));
+
+const VEHICLE_FLEET_NAMES = {
+    0: "Unknown",
+    1: "ATC equipment maintenance",
+    2: "Airport maintenance",
+    3: "Fire",
+    4: "Bird scarer",
+    5: "Snow plough",
+    6: "Runway sweeper",
+    7: "Emergency",
+    8: "Police",
+    9: "Bus",
+    10: "Tug (push/tow)",
+    11: "Grass cutter",
+    12: "Fuel",
+    13: "Baggage",
+    14: "Catering",
+    15: "Aircraft maintenance",
+    16: "Flyco (follow me)",
+};
+
+// Vehicle Fleet Identification (1B)
+const VEHICLE_FLEET = S.shaped(
+    S.group([["VFI", S.table(8, VEHICLE_FLEET_NAMES)]]),
+    ({ VFI }) => ({ vfi: VFI.value, name: VFI.meaning || "Unknown/Reserved" }),
+);
+
+/** Service statistics counter types shared by I023/120 and I025/140. */
+const SERVICE_STATISTICS_TYPES = {
+    0: "Number of unknown messages received",
+    1: "Number of too old messages received",
+    2: "Number of failed message conversions",
+    3: "Total number of messages received",
+    4: "Total number of messages transmitted",
+    20: "Number of TIS-B management messages received",
+    21: "Number of 'Basic' messages received",
+    22: "Number of 'High Dynamic' messages received",
+    23: "Number of 'Full Position' messages received",
+    24: "Number of 'Basic Ground' messages received",
+    25: "Number of 'TCP' messages received",
+    26: "Number of 'UTC time' messages received",
+    27: "Number of 'Data' messages received",
+    28: "Number of 'High Resolution' messages received",
+    29: "Number of 'Aircraft Target Airborne' messages received",
+    30: "Number of 'Aircraft Target Ground' messages received",
+    31: "Number of 'Ground Vehicle Target' messages received",
+    32: "Number of '2 slots TCP messages' received",
+};
+
+// Service Statistics: REP + N * (TYPE (1B), REF + 7 spare (1B), COUNTER (4B))
+const SERVICE_STATISTICS = S.shaped(S.repetitive(S.group([
+    ["TYPE", S.table(8, SERVICE_STATISTICS_TYPES)],
+    ["REF", S.flag()],
+    S.spare(7),
+    ["COUNTER", S.uint(32)],
+])), (list) => list.map(({ TYPE, REF, COUNTER }) => ({
+    type: TYPE.value,
+    name: TYPE.meaning || "Unknown/Reserved",
+    sinceLastReport: REF,
+    counter: COUNTER,
+})));
+
+// Selected altitude: SAS, source (2 bits), 13-bit signed altitude, LSB = 25 ft
+const SELECTED_ALTITUDE = S.group([
+    ["sourceAvailable", S.flag()],
+    ["source", S.uint(2)],
+    ["altitude_ft", S.scaled(13, 25, { signed: true })],
+]);
+
+// Final state selected altitude: MV, AH, AM, 13-bit signed altitude, LSB = 25 ft
+const FINAL_STATE_ALTITUDE = S.group([
+    ["manageVerticalMode", S.flag()],
+    ["altitudeHold", S.flag()],
+    ["approachMode", S.flag()],
+    ["altitude_ft", S.scaled(13, 25, { signed: true })],
+]);
+
+// Air speed: IM bit selects IAS (LSB 2^-14 NM/s) or Mach (LSB 0.001)
+const AIR_SPEED = S.shaped(S.group([["IM", S.flag()], ["SPEED", S.uint(15)]]), ({ IM, SPEED }) => (
+    IM ? { raw: SPEED, mach: SPEED * 0.001 } : { raw: SPEED, ias_kts: (SPEED / 16384) * 3600 }
+));
+
+/**
+ * Flight plan subfields shared by I011/390 and I062/390 (subfields 1..14, same layout):
+ * TAG, CSN, IFI, FCT, TAC, WTC, DEP, DST, RDS, CFL, CTL, TOD, AST, STS.
+ */
+const FLIGHT_PLAN_SUBFIELDS = [
+    ["TAG", DATA_SOURCE],
+    ["CSN", S.string(56)],
+    ["IFI", fixedRaw(4)],
+    ["FCT", fixedRaw(1)],
+    ["TAC", S.string(32)],
+    ["WTC", S.string(8)],
+    ["DEP", S.string(32)],
+    ["DST", S.string(32)],
+    ["RDS", S.string(24)],
+    ["CFL", S.group([["flightLevel", S.scaled(16, 1 / 4)]])],
+    ["CTL", fixedRaw(2)],
+    ["TOD", repetitiveRaw(4)],
+    ["AST", S.string(48)],
+    ["STS", fixedRaw(1)],
+];
+
+/**
+ * Random Field Sequencing of category `cat`: N (1B), then N * (FRN (1B), the
+ * item of that FRN in the category's UAP). Decodes with DECODERS[cat] and
+ * walks the nested items' own layouts.
+ */
+function randomFields(cat) {
+    const nested = (view, pos, id) => {
+        if (pos + 1 > view.length) throw new AsterixTruncationError(id, view, pos);
+        const itemId = CATEGORY_DEFS[cat].uap[view[pos] - 1];
+        const decode = itemId && itemId !== id && DECODERS[cat][itemId];
+        if (!decode) throw new AsterixUnknownItemError(`Unsupported FRN ${view[pos]} in ${id}`, view, pos);
+        return { itemId, decode };
+    };
+    return {
+        decode(view, off, id) {
+            if (off + 1 > view.length) throw new AsterixTruncationError(id, view, off);
+            const fields = [];
+            let cur = off + 1;
+            for (let i = 0; i < view[off]; i++) {
+                const { itemId, decode } = nested(view, cur, id);
+                const { value, length } = decode(view, cur + 1);
+                fields.push({ frn: view[cur], itemId, value });
+                cur += 1 + length;
+            }
+            return { value: fields, length: cur - off };
+        },
+        encode() {
+            throw new Error("Random field sequences have no encoding");
+        },
+        shaped: true, // encoded by hand, like a shaped item
+        walk(view, off, path, visit) {
+            visit({ path: `${path} N`, kind: "rep", bitOff: off * 8, bits: 8 });
+            let cur = off + 1;
+            for (let i = 0; i < view[off]; i++) {
+                const { itemId, decode } = nested(view, cur, path);
+                visit({ path: `${path}[${i}] FRN`, kind: "field", bitOff: cur * 8, bits: 8 });
+                ITEMS[cat][itemId].node.walk(view, cur + 1, `${path}[${i}] ${itemId}`, visit);
+                cur += 1 + decode(view, cur + 1).length;
+            }
+        },
+    };
+}
+
+/**
+ * Built-in data items per category: ITEMS[cat][itemId] is an item-structure
+ * item (decode, check, dissect). The declared layout is what decodes the item,
+ * so strict checks and dissection see exactly the bits the value came from.
+ */
+const ITEMS = {
     34: {
         // I034/010 – Data Source Identifier (SAC,SIC)
-        "I034/010": (view, off) => {
-            if (off + 2 > view.length) throw new Error("Truncated I034/010");
-            return { value: { sac: view[off], sic: view[off + 1] }, length: 2 };
-        },
+        "I034/010": S.item("I034/010", DATA_SOURCE),
 
         // I034/000 – Message Type (1B)
-        "I034/000": (view, off) => {
-            if (off + 1 > view.length) throw new Error("Truncated I034/000");
-            const t = view[off];
-            const names = {
-                1: "North Marker",
-                2: "Sector Crossing",
-                3: "Geographical Filtering",
-                4: "Jamming Strobe",
-                5: "Solar Storm",
-                6: "SSR Jamming Strobe",
-                7: "Mode S Jamming Strobe",
-            };
-            return { value: { type: t, name: names[t] || "Unknown" }, length: 1 };
-        },
+        "I034/000": S.item("I034/000", messageType({
+            1: "North Marker",
+            2: "Sector Crossing",
+            3: "Geographical Filtering",
+            4: "Jamming Strobe",
+            5: "Solar Storm",
+            6: "SSR Jamming Strobe",
+            7: "Mode S Jamming Strobe",
+        })),
 
         // I034/030 – Time-of-Day (3B), seconds since midnight, LSB = 1/128 s
-        "I034/030": (view, off) => {
-            if (off + 3 > view.length) throw new Error("Truncated I034/030");
-            const raw = (view[off] << 16) | (view[off + 1] << 8) | view[off + 2];
-            return { value: { raw, seconds: raw / 128 }, length: 3 };
-        },
+        "I034/030": S.item("I034/030", TIME_OF_DAY),
 
         // I034/020 – Sector Number (1B), LSB = 360/2^8 degrees ≈ 1.40625°
-        "I034/020": (view, off) => {
-            if (off + 1 > view.length) throw new Error("Truncated I034/020");
-            const raw = view[off];
-            const degPerLsb = 360 / 256;
-            return { value: { raw, sector_deg: raw * degPerLsb }, length: 1 };
-        },
+        "I034/020": S.item("I034/020", S.shaped(S.group([["SECTOR", S.uint(8)]]), ({ SECTOR }) => ({ raw: SECTOR, sector_deg: SECTOR * (360 / 256) }))),
 
         // I034/041 – Antenna Rotation Period (2B), LSB = 1/128 s
-        // Also return RPM for convenience (RPM = 60 / seconds)
-        "I034/041": (view, off) => {
-            if (off + 2 > view.length) throw new Error("Truncated I034/041");
-            const raw = (view[off] << 8) | view[off + 1];
-            const seconds = raw / 128;
-            const rpm = seconds > 0 ? 60 / seconds : null;
-            return { value: { raw, seconds, rpm }, length: 2 };
-        },
+        "I034/041": S.item("I034/041", ROTATION_PERIOD),
 
-        // I034/050 – System Configuration & Status (compound, FX-chained) – keep raw
-        "I034/050": (view, off) => parseFxChainRaw(view, off, "I034/050"),
+        // I034/050 – System Configuration & Status (compound) – see STRUCTURES
+        "I034/050": STRUCTURES["I034/050"],
 
-        // I034/060 – System Processing Mode (compound, FX-chained) – keep raw
-        "I034/060": (view, off) => parseFxChainRaw(view, off, "I034/060"),
+        // I034/060 – System Processing Mode (compound) – see STRUCTURES
+        "I034/060": STRUCTURES["I034/060"],
 
-        // I034/070 – Message Count Values (1 + 2*N) – keep raw for safety
-        "I034/070": (view, off) => {
-            // Many encodings are REP + N * (ID,COUNT) or similar; editions vary.
-            // Keep as raw to avoid misalignment without the exact UAP edition.
-            return parseLenPrefixedOrFx(view, off, "I034/070");
-        },
+        // I034/070 – Message Count Values: REP + N * 2B – see STRUCTURES
+        "I034/070": STRUCTURES["I034/070"],
 
         // I034/100 – Generic Polar Window (8B)
         // rho_start (2B), rho_end (2B) LSB=1/256 NM; theta_start (2B), theta_end (2B) LSB=360/2^16 deg
-        "I034/100": (view, off) => {
-            if (off + 8 > view.length) throw new Error("Truncated I034/100");
-            const rhoStart = (view[off] << 8) | view[off + 1];
-            const rhoEnd = (view[off + 2] << 8) | view[off + 3];
-            const thStart = (view[off + 4] << 8) | view[off + 5];
-            const thEnd = (view[off + 6] << 8) | view[off + 7];
-            return {
-                value: {
-                    rho_start_nm: rhoStart / 256,
-                    rho_end_nm: rhoEnd / 256,
-                    theta_start_deg: (thStart * 360) / 65536,
-                    theta_end_deg: (thEnd * 360) / 65536,
-                },
-                length: 8,
-            };
-        },
+        "I034/100": S.item("I034/100", S.group([
+            ["rho_start_nm", S.scaled(16, 1 / 256)],
+            ["rho_end_nm", S.scaled(16, 1 / 256)],
+            ["theta_start_deg", S.scaled(16, 360 / 65536)],
+            ["theta_end_deg", S.scaled(16, 360 / 65536)],
+        ])),
 
         // I034/110 – Data Filter (1B) – include a helpful label when known
-        "I034/110": (view, off) => {
-            if (off + 1 > view.length) throw new Error("Truncated I034/110");
-            const t = view[off];
-            const name = {
-                1: "Weather",
-                2: "Jamming Strobe",
-                3: "PSR",
-                4: "SSR/Mode S",
-                5: "SSR/Mode S + PSR",
-                6: "Enhanced Surveillance",
-                7: "PSR + Enhanced Surveillance",
-                8: "PSR+ES + SSR/Mode S not in AoI",
-                9: "PSR+ES + all SSR/Mode S",
-            }[t] || "Unknown/Reserved";
-            return { value: { type: t, name }, length: 1 };
-        },
+        "I034/110": S.item("I034/110", S.shaped(S.group([["TYP", S.table(8, {
+            1: "Weather",
+            2: "Jamming Strobe",
+            3: "PSR",
+            4: "SSR/Mode S",
+            5: "SSR/Mode S + PSR",
+            6: "Enhanced Surveillance",
+            7: "PSR + Enhanced Surveillance",
+            8: "PSR+ES + SSR/Mode S not in AoI",
+            9: "PSR+ES + all SSR/Mode S",
+        })]]), ({ TYP }) => ({ type: TYP.value, name: TYP.meaning || "Unknown/Reserved" }))),
 
         // I034/120 – 3D Position of Data Source (8B)
         // Height: 16-bit signed meters; Lat: 24-bit signed (LSB=180/2^23 deg); Lon: 24-bit signed (LSB=180/2^23 deg)
-        "I034/120": (view, off) => {
-            if (off + 8 > view.length) throw new Error("Truncated I034/120");
-            const hRaw = (view[off] << 8) | view[off + 1];
-            const height_m = (hRaw & 0x8000) ? (hRaw - 0x10000) : hRaw;
-
-            const lat24 = (view[off + 2] << 16) | (view[off + 3] << 8) | view[off + 4];
-            const lon24 = (view[off + 5] << 16) | (view[off + 6] << 8) | view[off + 7];
-            const toSigned24 = (x) => (x & 0x800000) ? (x - 0x1000000) : x;
-            const scale = 180 / (2 ** 23);
-            const lat_deg = toSigned24(lat24) * scale;
-            const lon_deg = toSigned24(lon24) * scale;
-
-            return { value: { height_m, lat_deg, lon_deg }, length: 8 };
-        },
+        "I034/120": S.item("I034/120", S.group([
+            ["height_m", S.int(16)],
+            ["lat_deg", S.scaled(24, 180 / 2 ** 23, { signed: true })],
+            ["lon_deg", S.scaled(24, 180 / 2 ** 23, { signed: true })],
+        ])),
 
         // I034/090 – Collimation Error (2B) – Range (1/128 NM), Azimuth (360/2^14 deg), both signed
-        "I034/090": (view, off) => {
-            if (off + 2 > view.length) throw new Error("Truncated I034/090");
-            const rng = view[off];        // 8 bits signed
-            const azi = view[off + 1];    // 8 bits signed?  Spec: 2 octets total → split by field boundaries.
-            // Spec states RANGE ERROR over bits 16..9 and AZIMUTH ERROR over bits 8..1.
-            const raw16 = (view[off] << 8) | view[off + 1];
-            const rangeErr = ((raw16 >> 8) & 0xFF);
-            const azErr = (raw16 & 0xFF);
-            const s8 = (x) => (x & 0x80) ? (x - 0x100) : x;
-
-            const range_nm = s8(rangeErr) / 128.0;                 // 1/128 NM
-            const azimuth_deg = s8(azErr) * (360 / (1 << 14));     // using per-spec LSB; small angles
-            return { value: { range_err_nm: range_nm, az_err_deg: azimuth_deg }, length: 2 };
-        },
+        "I034/090": S.item("I034/090", COLLIMATION_ERROR),
 
-        // Reserved Expansion & Special Purpose fields — raw
-        "I034/RE": (view, off) => parseFxChainRaw(view, off, "I034/RE"),
-        "I034/SP": (view, off) => parseFxChainRaw(view, off, "I034/SP"),
+        // Reserved Expansion & Special Purpose fields (1B length incl. itself) — raw
+        "I034/RE": STRUCTURES["I034/RE"],
+        "I034/SP": STRUCTURES["I034/SP"],
     },
-    48: {
-        // I048/010 – Data Source Identifier: SAC (1B), SIC (1B)
-        "I048/010": (view, off) => {
-            if (off + 2 > view.length) throw new Error("Truncated I048/010");
+    1: {
+        // I001/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I001/010": S.item("I001/010", DATA_SOURCE),
+
+        // I001/020 – Target Report Descriptor (FX-chained)
+        // Octet 1: TYP, SIM, SSR/PSR (2 bits), ANT, SPI, RAB; octet 2: TST, DS1/DS2 (2 bits), ME, MI, 2 spare
+        "I001/020": S.item("I001/020", S.shaped(S.extended(
+            [
+                ["TYP", S.table(1, ["plot", "track"])],
+                ["SIM", S.flag()],
+                ["SSRPSR", S.table(2, ["none", "PSR", "SSR", "SSR+PSR"])],
+                ["ANT", S.uint(1)],
+                ["SPI", S.flag()],
+                ["RAB", S.flag()],
+            ],
+            [["TST", S.flag()], ["DS1DS2", S.uint(2)], ["ME", S.flag()], ["MI", S.flag()], S.spare(2)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            type: v.TYP.meaning,
+            simulated: v.SIM,
+            detection: v.SSRPSR.meaning,
+            antenna: v.ANT,
+            spi: v.SPI,
+            reportedAsBad: v.RAB,
+            ...(length > 1 ? { testTarget: v.TST, ds1ds2: v.DS1DS2, militaryEmergency: v.ME, militaryIdentification: v.MI } : {}),
+        }))),
+
+        // I001/161 – Track/Plot Number (2B)
+        "I001/161": S.item("I001/161", S.uint(16)),
+
+        // I001/040 – Measured Position in Polar: RHO (2B, LSB = 1/128 NM), THETA (2B, LSB = 360/2^16 deg)
+        "I001/040": S.item("I001/040", S.shaped(S.group([["RHO", S.uint(16)], ["THETA", S.uint(16)]]), ({ RHO, THETA }) => ({
+            rho_raw: RHO, theta_raw: THETA, range_nm: RHO / 128, bearing_deg: (THETA * 360) / 65536,
+        }))),
+
+        // I001/042 – Calculated Position Cartesian: X, Y (2B each) signed, LSB = 1/64 NM
+        "I001/042": S.item("I001/042", S.shaped(S.group([["X", S.int(16)], ["Y", S.int(16)]]), ({ X, Y }) => ({
+            x_raw: X, y_raw: Y, x_nm: X / 64, y_nm: Y / 64,
+        }))),
+
+        // I001/200 – Calculated Track Velocity (Polar): Ground Speed (2B, 2^-14 NM/s), Heading (2B, 360/2^16 deg)
+        "I001/200": S.item("I001/200", S.shaped(S.group([["GSP", S.uint(16)], ["HDG", S.uint(16)]]), ({ GSP, HDG }) => {
+            const nm_per_s = GSP / 16384;
             return {
-                value: { sac: view[off], sic: view[off + 1] },
-                length: 2,
+                gs_raw: GSP, heading_raw: HDG,
+                mps: nm_per_s * 1852, kts: nm_per_s * 3600,
+                heading_deg: (HDG * 360) / 65536,
             };
-        },
-
-        // I048/020 – Target Report Descriptor (variable length, FX chaining in LSB)
-        "I048/020": (view, off) => {
-            let cur = off;
-            const octets = [];
-            while (true) {
-                const b = view[cur];
-                if (b === undefined) throw new Error("Truncated I048/020");
-                octets.push(b);
-                cur++;
-                if ((b & 0x01) === 0) break; // FX=0
+        })),
+
+        // I001/070 – Mode-3/A Code (2B): V, G, L, spare, 12-bit octal code
+        "I001/070": S.item("I001/070", MODE_CODE),
+
+        // I001/090 – Mode-C Code (2B): V, G, then 14-bit two's complement, LSB = 1/4 FL
+        "I001/090": S.item("I001/090", MODE_C_FLIGHT_LEVEL),
+
+        // I001/130 – Radar Plot Characteristics (FX-chained, contents SAC-defined) – keep raw
+        "I001/130": S.item("I001/130", FX_RAW),
+
+        // I001/141 – Truncated Time of Day (2B), LSB = 1/128 s (wraps every 512 s)
+        "I001/141": S.item("I001/141", S.shaped(S.group([["TOD", S.uint(16)]]), ({ TOD }) => ({ raw: TOD, seconds: TOD / 128 }))),
+
+        // I001/050 – Mode-2 Code (2B): V, G, L, spare, 12-bit octal code
+        "I001/050": S.item("I001/050", MODE_CODE),
+
+        // I001/120 – Measured Radial Doppler Speed (1B) signed, LSB = 2^-14 NM/s
+        "I001/120": S.item("I001/120", S.shaped(S.group([["DOP", S.int(8)]]), ({ DOP }) => {
+            const nm_per_s = DOP / 16384;
+            return { mps: nm_per_s * 1852, kts: nm_per_s * 3600 };
+        })),
+
+        // I001/131 – Received Power (1B) signed, LSB = 1 dBm
+        "I001/131": S.item("I001/131", S.group([["power_dbm", S.int(8)]])),
+
+        // I001/080 – Mode-3/A Code Confidence (2B): 4 spare + 12 confidence bits
+        "I001/080": S.item("I001/080", CODE_CONFIDENCE),
+
+        // I001/100 – Mode-C Code and Confidence (4B): V, G, 2 spare, 12-bit Gray code; 4 spare + 12 confidence bits
+        "I001/100": S.item("I001/100", S.shaped(S.group([
+            ["V", S.flag()], ["G", S.flag()], S.spare(2), ["MODEC", S.uint(12)], S.spare(4), ["QC", S.uint(12)],
+        ]), ({ V, G, MODEC, QC }) => ({ validated: !V, garbled: G, modeCGray: MODEC, lowConfidenceBits: QC }))),
+
+        // I001/060 – Mode-2 Code Confidence (2B): 4 spare + 12 confidence bits
+        "I001/060": S.item("I001/060", CODE_CONFIDENCE),
+
+        // I001/030 – Warning/Error Conditions (FX-chained, 7-bit code per octet)
+        "I001/030": S.item("I001/030", WARNING_CODES),
+
+        // I001/150 – Presence of X-Pulse (1B): XA, spare, XC, spare, spare, X2, spare, spare
+        "I001/150": S.item("I001/150", S.group([
+            ["modeA", S.flag()], S.spare(1), ["modeC", S.flag()], S.spare(2), ["mode2", S.flag()], S.spare(2),
+        ])),
+
+        // I001/170 – Track Status (FX-chained)
+        // Octet 1: CON, RAD, MAN, DOU, RDPC, spare, GHO; octet 2: TRE, 6 spare
+        "I001/170": S.item("I001/170", S.shaped(S.extended(
+            [
+                ["CON", S.flag()],
+                ["RAD", S.table(1, ["SSR/combined", "primary"])],
+                ["MAN", S.flag()],
+                ["DOU", S.flag()],
+                ["RDPC", S.uint(1)],
+                S.spare(1),
+                ["GHO", S.flag()],
+            ],
+            [["TRE", S.flag()], S.spare(6)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            initiation: v.CON,
+            radar: v.RAD.meaning,
+            manoeuvring: v.MAN,
+            doubtfulAssociation: v.DOU,
+            rdpChain: v.RDPC,
+            ghost: v.GHO,
+            ...(length > 1 ? { trackEnd: v.TRE } : {}),
+        }))),
+
+        // I001/210 – Track Quality (FX-chained, contents SAC-defined) – keep raw
+        "I001/210": S.item("I001/210", FX_RAW),
+
+        // Special Purpose field (1B length incl. itself) — raw
+        "I001/SP": S.item("I001/SP", S.explicit()),
+    },
+    2: {
+        // I002/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I002/010": S.item("I002/010", DATA_SOURCE),
+
+        // I002/000 – Message Type (1B)
+        "I002/000": S.item("I002/000", messageType({
+            1: "North Marker",
+            2: "Sector Crossing",
+            3: "South Marker",
+            8: "Activation of Blind Zone Filtering",
+            9: "Stop of Blind Zone Filtering",
+        })),
+
+        // I002/020 – Sector Number (1B), LSB = 360/2^8 deg
+        "I002/020": S.item("I002/020", S.shaped(S.group([["SECTOR", S.uint(8)]]), ({ SECTOR }) => ({ raw: SECTOR, sector_deg: SECTOR * 360 / 256 }))),
+
+        // I002/030 – Time of Day (3B), LSB = 1/128 s
+        "I002/030": S.item("I002/030", TIME_OF_DAY),
+
+        // I002/041 – Antenna Rotation Speed (2B), LSB = 1/128 s (rotation period)
+        "I002/041": S.item("I002/041", ROTATION_PERIOD),
+
+        // I002/050, /060 – Station Configuration Status / Processing Mode (FX-chained, SAC-defined) – keep raw
+        "I002/050": S.item("I002/050", FX_RAW),
+        "I002/060": S.item("I002/060", FX_RAW),
+
+        // I002/070 – Plot Count Values: REP + N * (A, IDENT (5 bits), COUNTER (10 bits))
+        "I002/070": S.item("I002/070", S.repetitive(S.group([["aerial", S.uint(1)], ["ident", S.uint(5)], ["counter", S.uint(10)]]))),
+
+        // I002/100 – Dynamic Window Type 1 (8B): rho start/end (1/128 NM), theta start/end (360/2^16 deg)
+        "I002/100": S.item("I002/100", S.group([
+            ["rho_start_nm", S.scaled(16, 1 / 128)],
+            ["rho_end_nm", S.scaled(16, 1 / 128)],
+            ["theta_start_deg", S.scaled(16, 360 / 65536)],
+            ["theta_end_deg", S.scaled(16, 360 / 65536)],
+        ])),
+
+        // I002/090 – Collimation Error (2B): range error (1/128 NM), azimuth error (360/2^14 deg), both signed
+        "I002/090": S.item("I002/090", COLLIMATION_ERROR),
+
+        // I002/080 – Warning/Error Conditions (FX-chained, 7-bit code per octet)
+        "I002/080": S.item("I002/080", WARNING_CODES),
+
+        // Special Purpose field (1B length incl. itself) — raw
+        "I002/SP": S.item("I002/SP", S.explicit()),
+    },
+    8: {
+        // I008/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I008/010": S.item("I008/010", DATA_SOURCE),
+
+        // I008/000 – Message Type (1B)
+        "I008/000": S.item("I008/000", messageType({
+            1: "Polar vector",
+            2: "Cartesian vector of start point/length",
+            3: "Contour record",
+            4: "Processing status message",
+            5: "Cartesian start point and end point vector",
+            254: "SOP message",
+            255: "EOP message",
+        })),
+
+        // I008/020 – Vector Qualifier (FX-chained)
+        // Octet 1: ORG, intensity level (3 bits), shading orientation (3 bits, 22.5 deg steps); octet 2: 5 spare, TST, ER
+        "I008/020": S.item("I008/020", S.shaped(S.extended(
+            [["ORG", S.flag()], ["I", S.uint(3)], ["S", S.uint(3)]],
+            [S.spare(5), ["TST", S.flag()], ["ER", S.flag()]],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            systemCoordinates: v.ORG,
+            intensity: v.I,
+            shading_deg: v.S * 22.5,
+            ...(length > 1 ? { testVector: v.TST, errorCondition: v.ER } : {}),
+        }))),
+
+        // I008/036 – Cartesian Vectors: REP + N * (X, Y (1B signed), LENGTH (1B)), LSB = 2^(-6+f) NM
+        "I008/036": S.item("I008/036", S.shaped(
+            S.repetitive(S.group([["X", S.int(8)], ["Y", S.int(8)], ["LENGTH", S.uint(8)]])),
+            (list) => list.map(({ X, Y, LENGTH }) => ({ x: X, y: Y, length: LENGTH, x_nm: X / 64, y_nm: Y / 64, length_nm: LENGTH / 64 })),
+        )),
+
+        // I008/034 – Polar Vectors: REP + N * (START RANGE, END RANGE (1B), AZIMUTH (2B)),
+        // range LSB = 2^(-7+f) NM, azimuth LSB = 360/2^16 deg
+        "I008/034": S.item("I008/034", S.shaped(
+            S.repetitive(S.group([["START", S.uint(8)], ["END", S.uint(8)], ["AZ", S.uint(16)]])),
+            (list) => list.map(({ START, END, AZ }) => ({
+                start: START, end: END,
+                start_range_nm: START / 128,
+                end_range_nm: END / 128,
+                azimuth_deg: (AZ * 360) / 65536,
+            })),
+        )),
+
+        // I008/040 – Contour Identifier (2B): ORG, intensity (3 bits), 2 spare, FST/LST (2 bits); contour serial number
+        "I008/040": S.item("I008/040", S.shaped(S.group([
+            ["ORG", S.flag()],
+            ["I", S.uint(3)],
+            S.spare(2),
+            ["FSTLST", S.table(2, ["intermediate", "last", "first", "first and only"])],
+            ["CSN", S.uint(8)],
+        ]), ({ ORG, I, FSTLST, CSN }) => ({ systemCoordinates: ORG, intensity: I, position: FSTLST.meaning, serial: CSN }))),
+
+        // I008/050 – Contour Points: REP + N * (X1, Y1 (1B signed)), LSB = 2^(-6+f) NM
+        "I008/050": S.item("I008/050", S.shaped(
+            S.repetitive(S.group([["X", S.int(8)], ["Y", S.int(8)]])),
+            (list) => list.map(({ X, Y }) => ({ x: X, y: Y, x_nm: X / 64, y_nm: Y / 64 })),
+        )),
+
+        // I008/090 – Time of Day (3B), LSB = 1/128 s
+        "I008/090": S.item("I008/090", TIME_OF_DAY),
+
+        // I008/100 – Processing Status (FX-extended, 3B first part):
+        // f (5 bits signed scaling factor), R (3 bits reduction stage), Q (15 bits processing parameters)
+        "I008/100": S.item("I008/100", S.shaped(
+            S.extended([["f", S.int(5)], ["R", S.uint(3)], ["Q", S.uint(15)]]),
+            (v, view, off, length) => ({ ...rawHex(v, view, off, length), scalingFactor: v.f, reductionStage: v.R, parameters: v.Q }),
+        )),
+
+        // I008/110 – Station Configuration Status (FX-chained) – keep raw
+        "I008/110": S.item("I008/110", FX_RAW),
+
+        // I008/120 – Total Number of Items Constituting One Weather Picture (2B)
+        "I008/120": S.item("I008/120", S.uint(16)),
+
+        // I008/038 – Weather Vectors: REP + N * (X1, Y1, X2, Y2 (1B signed)), LSB = 2^(-6+f) NM
+        "I008/038": S.item("I008/038", S.shaped(
+            S.repetitive(S.group([["X1", S.int(8)], ["Y1", S.int(8)], ["X2", S.int(8)], ["Y2", S.int(8)]])),
+            (list) => list.map(({ X1, Y1, X2, Y2 }) => ({
+                x1: X1, y1: Y1, x2: X2, y2: Y2,
+                x1_nm: X1 / 64, y1_nm: Y1 / 64, x2_nm: X2 / 64, y2_nm: Y2 / 64,
+            })),
+        )),
+
+        // Special Purpose Field (1B length incl. itself) — raw
+        "I008/SP": S.item("I008/SP", S.explicit()),
+
+        // Random Field Sequencing: N (1B) + N * (FRN (1B), item encoded per the UAP)
+        "I008/RFS": S.item("I008/RFS", randomFields(8)),
+    },
+    10: {
+        // I010/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I010/010": S.item("I010/010", DATA_SOURCE),
+
+        // I010/000 – Message Type (1B)
+        "I010/000": S.item("I010/000", messageType({
+            1: "Target Report",
+            2: "Start of Update Cycle",
+            3: "Periodic Status Message",
+            4: "Event-triggered Status Message",
+        })),
+
+        // I010/020 – Target Report Descriptor (FX-chained)
+        // Octet 1: TYP (3 bits), DCR, CHN, GBS, CRT; octet 2: SIM, TST, RAB, LOP (2 bits), TOT (2 bits);
+        // octet 3: SPI, 6 spare
+        "I010/020": S.item("I010/020", S.shaped(S.extended(
+            [
+                ["TYP", S.table(3, [
+                    "SSR multilateration", "Mode S multilateration", "ADS-B", "PSR",
+                    "Magnetic Loop System", "HF multilateration", "Not defined", "Other types",
+                ], { reserved: [6] })],
+                ["DCR", S.flag()],
+                ["CHN", S.table(1, { 0: 1, 1: 2 })],
+                ["GBS", S.flag()],
+                ["CRT", S.flag()],
+            ],
+            [
+                ["SIM", S.flag()],
+                ["TST", S.flag()],
+                ["RAB", S.flag()],
+                ["LOP", S.uint(2)],
+                ["TOT", S.table(2, ["undetermined", "aircraft", "ground vehicle", "helicopter"])],
+            ],
+            [["SPI", S.flag()], S.spare(6)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            type: v.TYP.value,
+            typeName: v.TYP.meaning,
+            differentialCorrection: v.DCR,
+            chain: v.CHN.meaning,
+            groundBitSet: v.GBS,
+            corrupted: v.CRT,
+            ...(length > 1 ? {
+                simulated: v.SIM,
+                testTarget: v.TST,
+                reportedAsBad: v.RAB,
+                loopStatus: v.LOP,
+                targetType: v.TOT.meaning,
+            } : {}),
+            ...(length > 2 ? { spi: v.SPI } : {}),
+        }))),
+
+        // I010/140 – Time of Day (3B), LSB = 1/128 s
+        "I010/140": S.item("I010/140", TIME_OF_DAY),
+
+        // I010/041 – Position in WGS-84 (8B): lat, lon 32-bit signed, LSB = 180/2^31 deg
+        "I010/041": S.item("I010/041", wgs84Position32(31)),
+
+        // I010/040 – Measured Position in Polar: RHO (2B, LSB = 1 m), THETA (2B, LSB = 360/2^16 deg)
+        "I010/040": S.item("I010/040", S.shaped(S.group([["RHO", S.uint(16)], ["THETA", S.uint(16)]]), ({ RHO, THETA }) => ({
+            rho_raw: RHO, theta_raw: THETA, range_m: RHO, range_nm: RHO / 1852, bearing_deg: (THETA * 360) / 65536,
+        }))),
+
+        // I010/042 – Position in Cartesian: X, Y (2B each) signed, LSB = 1 m
+        "I010/042": S.item("I010/042", S.group([["x_m", S.int(16)], ["y_m", S.int(16)]])),
+
+        // I010/200 – Calculated Track Velocity (Polar): Ground Speed (2B, 2^-14 NM/s), Track Angle (2B, 360/2^16 deg)
+        "I010/200": S.item("I010/200", S.shaped(S.group([["GSP", S.uint(16)], ["TA", S.uint(16)]]), ({ GSP, TA }) => {
+            const nm_per_s = GSP / 16384;
+            return { mps: nm_per_s * 1852, kts: nm_per_s * 3600, track_deg: (TA * 360) / 65536 };
+        })),
+
+        // I010/202 – Calculated Track Velocity Cartesian (4B): Vx, Vy 16-bit signed, LSB = 0.25 m/s
+        "I010/202": S.item("I010/202", CARTESIAN_VELOCITY),
+
+        // I010/161 – Track Number (2B): 4 spare + 12 bits
+        "I010/161": S.item("I010/161", TRACK_NUMBER_12),
+
+        // I010/170 – Track Status (FX-chained)
+        // Octet 1: CNF, TRE, CST (2 bits), MAH, TCC, STH; octet 2: TOM (2 bits), DOU (3 bits), MRS (2 bits);
+        // octet 3: GHO, 6 spare
+        "I010/170": S.item("I010/170", S.shaped(S.extended(
+            [["CNF", S.flag()], ["TRE", S.flag()], ["CST", S.uint(2)], ["MAH", S.flag()], ["TCC", S.flag()], ["STH", S.flag()]],
+            [
+                ["TOM", S.table(2, ["constant", "acceleration", "deceleration", "undetermined"])],
+                ["DOU", S.uint(3)],
+                ["MRS", S.uint(2)],
+            ],
+            [["GHO", S.flag()], S.spare(6)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            tentative: v.CNF,
+            trackEnd: v.TRE,
+            coasting: v.CST,
+            horizontalManoeuvre: v.MAH,
+            slantCorrected: v.TCC,
+            smoothed: v.STH,
+            ...(length > 1 ? { typeOfMovement: v.TOM.meaning, doubtCause: v.DOU, mergeSplit: v.MRS } : {}),
+            ...(length > 2 ? { ghost: v.GHO } : {}),
+        }))),
+
+        // I010/060 – Mode-3/A Code (2B): V, G, L, spare, 12-bit octal code
+        "I010/060": S.item("I010/060", MODE_CODE),
+
+        // I010/220 – Target Address (3B)
+        "I010/220": S.item("I010/220", TARGET_ADDRESS),
+
+        // I010/245 – Target Identification (7B): STI (2 bits) + 6 spare, then 8 IA-5 characters
+        "I010/245": S.item("I010/245", TARGET_IDENTIFICATION),
+
+        // I010/250 – Mode S MB Data: REP (1B) + REP * 8B – keep raw
+        "I010/250": S.item("I010/250", repetitiveRaw(8)),
+
+        // I010/300 – Vehicle Fleet Identification (1B)
+        "I010/300": S.item("I010/300", VEHICLE_FLEET),
+
+        // I010/090 – Flight Level (2B): V, G, then 14-bit two's complement, LSB = 1/4 FL
+        "I010/090": S.item("I010/090", MODE_C_FLIGHT_LEVEL),
+
+        // I010/091 – Measured Height (2B) signed, LSB = 6.25 ft
+        "I010/091": S.item("I010/091", HEIGHT),
+
+        // I010/270 – Target Size & Orientation (FX-chained)
+        "I010/270": S.item("I010/270", TARGET_SIZE),
+
+        // I010/550 – System Status (1B): NOGO (2 bits), OVL, TSV, DIV, TTF, 2 spare
+        "I010/550": S.item("I010/550", S.shaped(S.group([
+            ["NOGO", S.table(2, OPERATIONAL_STATUS, { reserved: [3] })],
+            ["OVL", S.flag()],
+            ["TSV", S.flag()],
+            ["DIV", S.flag()],
+            ["TTF", S.flag()],
+            S.spare(2),
+        ]), ({ NOGO, OVL, TSV, DIV, TTF }) => ({
+            nogo: NOGO.value,
+            operationalStatus: NOGO.meaning,
+            overload: OVL,
+            timeSourceInvalid: TSV,
+            diversityDegraded: DIV,
+            testTargetFailure: TTF,
+        }))),
+
+        // I010/310 – Pre-programmed Message (1B): TRB + 7-bit message number
+        "I010/310": S.item("I010/310", PRE_PROGRAMMED_MESSAGE),
+
+        // I010/500 – Standard Deviation of Position (4B): sigma X, sigma Y (1B, 0.25 m), covariance (2B signed, 0.25 m²)
+        "I010/500": S.item("I010/500", S.group([
+            ["sigma_x_m", S.scaled(8, 0.25)],
+            ["sigma_y_m", S.scaled(8, 0.25)],
+            ["cov_xy", S.scaled(16, 0.25, { signed: true })],
+        ])),
+
+        // I010/280 – Presence: REP + N * (DRHO (1B, 1 m), DTHETA (1B signed, 0.15 deg))
+        "I010/280": S.item("I010/280", S.repetitive(S.group([["drho_m", S.uint(8)], ["dtheta_deg", S.scaled(8, 0.15, { signed: true })]]))),
+
+        // I010/131 – Amplitude of Primary Plot (1B)
+        "I010/131": S.item("I010/131", S.group([["amplitude", S.uint(8)]])),
+
+        // I010/210 – Calculated Acceleration (2B): Ax, Ay 8-bit signed, LSB = 0.25 m/s²
+        "I010/210": S.item("I010/210", ACCELERATION),
+
+        // Special Purpose & Reserved Expansion fields (1B length incl. itself) — raw
+        "I010/SP": S.item("I010/SP", S.explicit()),
+        "I010/RE": S.item("I010/RE", S.explicit()),
+    },
+    11: {
+        // I011/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I011/010": S.item("I011/010", DATA_SOURCE),
+
+        // I011/000 – Message Type (1B)
+        "I011/000": S.item("I011/000", messageType({
+            1: "Target Reports, Flight Plan Data and Basic Alerts",
+            2: "Manual Attachment of Flight Plan to Track",
+            3: "Manual Detachment of Flight Plan to Track",
+            4: "Insertion of Flight Plan Data",
+            5: "Suppression of Flight Plan Data",
+            6: "Modification of Flight Plan Data",
+            7: "Holdbar Status",
+        })),
+
+        // I011/015 – Service Identification (1B)
+        "I011/015": S.item("I011/015", S.uint(8)),
+
+        // I011/140 – Time of Track Information (3B), LSB = 1/128 s
+        "I011/140": S.item("I011/140", TIME_OF_DAY),
+
+        // I011/041 – Position in WGS-84 (8B): lat, lon 32-bit signed, LSB = 180/2^25 deg
+        "I011/041": S.item("I011/041", wgs84Position32(25)),
+
+        // I011/042 – Calculated Position in Cartesian: X, Y (2B each) signed, LSB = 1 m
+        "I011/042": S.item("I011/042", S.group([["x_m", S.int(16)], ["y_m", S.int(16)]])),
+
+        // I011/202 – Calculated Track Velocity Cartesian (4B): Vx, Vy 16-bit signed, LSB = 0.25 m/s
+        "I011/202": S.item("I011/202", CARTESIAN_VELOCITY),
+
+        // I011/210 – Calculated Acceleration (2B): Ax, Ay 8-bit signed, LSB = 0.25 m/s²
+        "I011/210": S.item("I011/210", ACCELERATION),
+
+        // I011/060 – Mode-3/A Code (2B): 4 spare + 12-bit octal code
+        "I011/060": S.item("I011/060", PLAIN_MODE_CODE),
+
+        // I011/245 – Target Identification (7B): STI (2 bits) + 6 spare, then 8 IA-5 characters
+        "I011/245": S.item("I011/245", TARGET_IDENTIFICATION),
+
+        // I011/380 – Mode-S / ADS-B Related Data (compound)
+        "I011/380": S.item("I011/380", S.compound([
+            ["MB", repetitiveRaw(8)],
+            ["ADR", TARGET_ADDRESS],
+            null,
+            ["COM", fixedRaw(2)],
+            null,
+            null,
+            null,
+            ["ACT", S.string(32)],
+            ["ECAT", S.uint(8)],
+            null,
+            ["AVTECH", fixedRaw(1)],
+        ])),
+
+        // I011/161 – Track Number (2B): spare + 15 bits
+        "I011/161": S.item("I011/161", S.shaped(S.group([S.spare(1), ["TRN", S.uint(15)]]), ({ TRN }) => TRN)),
+
+        // I011/170 – Track Status (FX-chained)
+        // Octet 1: MON, GBS, MRH, SRC (3 bits), CNF; octet 2: SIM, TSE, TSB, FRI/FOE (2 bits), ME, MI;
+        // octet 3: AMA, SPI, CST, FPC, AFF, 2 spare
+        "I011/170": S.item("I011/170", S.shaped(S.extended(
+            [
+                ["MON", S.flag()],
+                ["GBS", S.flag()],
+                ["MRH", S.table(1, ["barometric", "geometric"])],
+                ["SRC", S.uint(3)],
+                ["CNF", S.flag()],
+            ],
+            [["SIM", S.flag()], ["TSE", S.flag()], ["TSB", S.flag()], ["FRI", S.uint(2)], ["ME", S.flag()], ["MI", S.flag()]],
+            [["AMA", S.flag()], ["SPI", S.flag()], ["CST", S.flag()], ["FPC", S.flag()], ["AFF", S.flag()], S.spare(2)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            monoSensor: v.MON,
+            groundBitSet: v.GBS,
+            mostReliableHeight: v.MRH.meaning,
+            altitudeSource: v.SRC,
+            tentative: v.CNF,
+            ...(length > 1 ? {
+                simulated: v.SIM,
+                trackServiceEnd: v.TSE,
+                trackServiceBegin: v.TSB,
+                friendFoe: v.FRI,
+                militaryEmergency: v.ME,
+                militaryIdentification: v.MI,
+            } : {}),
+            ...(length > 2 ? {
+                amalgamated: v.AMA,
+                spi: v.SPI,
+                coasting: v.CST,
+                flightPlanCorrelated: v.FPC,
+                adsbInconsistent: v.AFF,
+            } : {}),
+        }))),
+
+        // I011/290 – System Track Update Ages (compound, up to 2 primary octets), LSB = 1/4 s
+        "I011/290": S.item("I011/290", S.compound([
+            ["PSR", AGE],
+            ["SSR", AGE],
+            ["MDA", AGE],
+            ["MFL", AGE],
+            ["MDS", AGE],
+            ["ADS", AGE_2B],
+            ["ADB", AGE],
+            ["MD1", AGE],
+            ["MD2", AGE],
+            ["LOP", AGE],
+            ["TRK", AGE],
+            ["MUL", AGE],
+        ])),
+
+        // I011/430 – Phase of Flight (1B)
+        "I011/430": S.item("I011/430", S.shaped(S.group([["FLS", S.table(8, [
+            "Unknown", "On stand", "Taxiing for departure", "Taxiing for arrival",
+            "Runway for departure", "Runway for arrival", "Hold for departure",
+            "Hold for arrival", "Push back", "On finals",
+        ])]]), ({ FLS }) => ({ phase: FLS.value, name: FLS.meaning || "Unknown/Reserved" }))),
+
+        // I011/090 – Measured Flight Level (2B) signed, LSB = 1/4 FL
+        "I011/090": S.item("I011/090", FLIGHT_LEVEL),
+
+        // I011/093 – Calculated Track Barometric Altitude (2B): QNH bit + 15-bit signed, LSB = 1/4 FL
+        "I011/093": S.item("I011/093", BAROMETRIC_ALTITUDE),
+
+        // I011/092 – Calculated Track Geometric Altitude (2B) signed, LSB = 6.25 ft
+        "I011/092": S.item("I011/092", HEIGHT),
+
+        // I011/215 – Calculated Rate of Climb/Descent (2B) signed, LSB = 6.25 ft/min
+        "I011/215": S.item("I011/215", RATE_OF_CLIMB),
+
+        // I011/270 – Target Size & Orientation (FX-chained)
+        "I011/270": S.item("I011/270", TARGET_SIZE),
+
+        // I011/390 – Flight Plan Related Data (compound)
+        "I011/390": S.item("I011/390", S.compound(FLIGHT_PLAN_SUBFIELDS)),
+
+        // I011/300 – Vehicle Fleet Identification (1B)
+        "I011/300": S.item("I011/300", VEHICLE_FLEET),
+
+        // I011/310 – Pre-programmed Message (1B): TRB + 7-bit message number
+        "I011/310": S.item("I011/310", PRE_PROGRAMMED_MESSAGE),
+
+        // I011/500 – Estimated Accuracies (compound: APC 2, APW 4, ATH 2, AVC 2, ARC 2, AAC 2) – keep raw
+        "I011/500": S.item("I011/500", compoundRaw([
+            ["APC", fixedRaw(2)],
+            ["APW", fixedRaw(4)],
+            ["ATH", fixedRaw(2)],
+            ["AVC", fixedRaw(2)],
+            ["ARC", fixedRaw(2)],
+            ["AAC", fixedRaw(2)],
+        ])),
+
+        // I011/600 – Alert Messages (3B): ACK, SVR (2 bits), 5 spare; alert type (1B); alert number (1B)
+        "I011/600": S.item("I011/600", S.group([
+            ["acknowledged", S.flag()],
+            ["severity", S.uint(2)],
+            S.spare(5),
+            ["type", S.uint(8)],
+            ["number", S.uint(8)],
+        ])),
+
+        // I011/605 – Tracks in Alert: REP + N * (4 spare + 12-bit track number)
+        "I011/605": S.item("I011/605", S.shaped(
+            S.repetitive(S.group([S.spare(4), ["TRN", S.uint(12)]])),
+            (list) => list.map(({ TRN }) => TRN),
+        )),
+
+        // I011/610 – Holdbar Status: REP + N * (bank number (4 bits), 12 indicators)
+        "I011/610": S.item("I011/610", S.repetitive(S.group([["bank", S.uint(4)], ["indicators", S.uint(12)]]))),
+
+        // Special Purpose & Reserved Expansion fields (1B length incl. itself) — raw
+        "I011/SP": S.item("I011/SP", S.explicit()),
+        "I011/RE": S.item("I011/RE", S.explicit()),
+    },
+    19: {
+        // I019/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I019/010": S.item("I019/010", DATA_SOURCE),
+
+        // I019/000 – Message Type (1B)
+        "I019/000": S.item("I019/000", messageType({
+            1: "Start of Update Cycle",
+            2: "Periodic Status Message",
+            3: "Event-triggered Status Message",
+        })),
+
+        // I019/140 – Time of Day (3B), LSB = 1/128 s
+        "I019/140": S.item("I019/140", TIME_OF_DAY),
+
+        // I019/550 – System Status (1B): NOGO (2 bits), OVL, TSV, TTF, 3 spare
+        "I019/550": S.item("I019/550", S.shaped(S.group([
+            ["NOGO", S.table(2, OPERATIONAL_STATUS, { reserved: [3] })],
+            ["OVL", S.flag()],
+            ["TSV", S.flag()],
+            ["TTF", S.flag()],
+            S.spare(3),
+        ]), ({ NOGO, OVL, TSV, TTF }) => ({
+            nogo: NOGO.value,
+            operationalStatus: NOGO.meaning,
+            overload: OVL,
+            timeSourceInvalid: TSV,
+            testTargetFailure: TTF,
+        }))),
+
+        // I019/551 – Tracking Processor Detailed Status (1B): (EXEC, GOOD) bit pair per processor 1..4
+        "I019/551": S.item("I019/551", S.shaped(
+            S.group([1, 2, 3, 4].flatMap((n) => [[`EXEC${n}`, S.flag()], [`GOOD${n}`, S.flag()]])),
+            (v) => [1, 2, 3, 4].map((n) => ({ id: n, exec: v[`EXEC${n}`], good: v[`GOOD${n}`] })),
+        )),
+
+        // I019/552 – Remote Sensor Detailed Status: REP + N * (RS ID (1B), status (1B))
+        // Status: spare, RS1090, TX1030, TX1090, RSS, RSO, 2 spare
+        "I019/552": S.item("I019/552", S.repetitive(S.group([
+            ["id", S.uint(8)],
+            S.spare(1),
+            ["receiver1090", S.flag()],
+            ["transmitter1030", S.flag()],
+            ["transmitter1090", S.flag()],
+            ["good", S.flag()],
+            ["online", S.flag()],
+            S.spare(2),
+        ]))),
+
+        // I019/553 – Reference Transponder Detailed Status (FX-chained): 2 status bits per transponder, 2 per octet
+        "I019/553": S.item("I019/553", S.shaped(
+            S.repetitive(S.group([["STATUS1", S.uint(2)], S.spare(2), ["STATUS2", S.uint(2)], S.spare(1)]), { fx: true }),
+            (list) => list.flatMap(({ STATUS1, STATUS2 }, i) => [{ id: 2 * i + 1, status: STATUS1 }, { id: 2 * i + 2, status: STATUS2 }]),
+        )),
+
+        // I019/600 – Position of the MLT System Reference Point (8B): lat, lon 32-bit signed, LSB = 180/2^30 deg
+        "I019/600": S.item("I019/600", wgs84Position32(30)),
+
+        // I019/610 – Height of the MLT System Reference Point (2B) signed, LSB = 0.25 m
+        "I019/610": S.item("I019/610", S.group([["height_m", S.scaled(16, 0.25, { signed: true })]])),
+
+        // I019/620 – WGS-84 Undulation (1B) signed, LSB = 1 m
+        "I019/620": S.item("I019/620", S.group([["undulation_m", S.int(8)]])),
+
+        // Reserved Expansion & Special Purpose fields (1B length incl. itself) — raw
+        "I019/RE": S.item("I019/RE", S.explicit()),
+        "I019/SP": S.item("I019/SP", S.explicit()),
+    },
+    20: {
+        // I020/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I020/010": S.item("I020/010", DATA_SOURCE),
+
+        // I020/020 – Target Report Descriptor (FX-chained)
+        // Octet 1: SSR, MS, HF, VDL4, UAT, DME, OT; octet 2: RAB, SPI, CHN, GBS, CRT, SIM, TST
+        "I020/020": S.item("I020/020", S.shaped(S.extended(
+            [["SSR", S.flag()], ["MS", S.flag()], ["HF", S.flag()], ["VDL4", S.flag()], ["UAT", S.flag()], ["DME", S.flag()], ["OT", S.flag()]],
+            [
+                ["RAB", S.flag()],
+                ["SPI", S.flag()],
+                ["CHN", S.table(1, { 0: 1, 1: 2 })],
+                ["GBS", S.flag()],
+                ["CRT", S.flag()],
+                ["SIM", S.flag()],
+                ["TST", S.flag()],
+            ],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            ssr: v.SSR,
+            modeS: v.MS,
+            hf: v.HF,
+            vdl4: v.VDL4,
+            uat: v.UAT,
+            dme: v.DME,
+            otherTechnology: v.OT,
+            ...(length > 1 ? {
+                reportedAsBad: v.RAB,
+                spi: v.SPI,
+                chain: v.CHN.meaning,
+                groundBitSet: v.GBS,
+                corrupted: v.CRT,
+                simulated: v.SIM,
+                testTarget: v.TST,
+            } : {}),
+        }))),
+
+        // I020/140 – Time of Day (3B), LSB = 1/128 s
+        "I020/140": S.item("I020/140", TIME_OF_DAY),
+
+        // I020/041 – Position in WGS-84 (8B): lat, lon 32-bit signed, LSB = 180/2^25 deg
+        "I020/041": S.item("I020/041", wgs84Position32(25)),
+
+        // I020/042 – Position in Cartesian (6B): X, Y 24-bit signed, LSB = 0.5 m (from the system reference point)
+        "I020/042": S.item("I020/042", CARTESIAN_POSITION_24),
+
+        // I020/161 – Track Number (2B): 4 spare + 12 bits
+        "I020/161": S.item("I020/161", TRACK_NUMBER_12),
+
+        // I020/170 – Track Status (FX-chained)
+        // Octet 1: CNF, TRE, CST, CDM (2 bits), MAH, STH; octet 2: GHO, 6 spare
+        "I020/170": S.item("I020/170", S.shaped(S.extended(
+            [
+                ["CNF", S.flag()],
+                ["TRE", S.flag()],
+                ["CST", S.flag()],
+                ["CDM", S.table(2, ["maintaining", "climbing", "descending", "invalid"])],
+                ["MAH", S.flag()],
+                ["STH", S.flag()],
+            ],
+            [["GHO", S.flag()], S.spare(6)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            tentative: v.CNF,
+            trackEnd: v.TRE,
+            coasting: v.CST,
+            climbDescentMode: v.CDM.meaning,
+            horizontalManoeuvre: v.MAH,
+            smoothed: v.STH,
+            ...(length > 1 ? { ghost: v.GHO } : {}),
+        }))),
+
+        // I020/070 – Mode-3/A Code (2B): V, G, L, spare, 12-bit octal code
+        "I020/070": S.item("I020/070", MODE_CODE),
+
+        // I020/202 – Calculated Track Velocity Cartesian (4B): Vx, Vy 16-bit signed, LSB = 0.25 m/s
+        "I020/202": S.item("I020/202", CARTESIAN_VELOCITY_COURSE),
+
+        // I020/090 – Flight Level (2B): V, G, then 14-bit two's complement, LSB = 1/4 FL
+        "I020/090": S.item("I020/090", MODE_C_FLIGHT_LEVEL),
+
+        // I020/100 – Mode-C Code (4B): V, G, 2 spare, 12-bit Gray code; 4 spare + 12 confidence bits
+        "I020/100": S.item("I020/100", S.shaped(MODE_C_CODE, ({ V, G, GRAY, QUALITY }) => ({
+            validated: !V,
+            garbled: G,
+            modeCGray: GRAY,
+            lowConfidenceBits: QUALITY,
+        }))),
+
+        // I020/220 – Target Address (3B)
+        "I020/220": S.item("I020/220", TARGET_ADDRESS),
+
+        // I020/245 – Target Identification (7B): STI (2 bits) + 6 spare, then 8 IA-5 characters
+        "I020/245": S.item("I020/245", TARGET_IDENTIFICATION),
+
+        // I020/110 – Measured Height, local Cartesian (2B) signed, LSB = 6.25 ft
+        "I020/110": S.item("I020/110", HEIGHT),
+
+        // I020/105 – Geometric Height, WGS-84 (2B) signed, LSB = 6.25 ft
+        "I020/105": S.item("I020/105", HEIGHT),
+
+        // I020/210 – Calculated Acceleration (2B): Ax, Ay 8-bit signed, LSB = 0.25 m/s²
+        "I020/210": S.item("I020/210", ACCELERATION),
+
+        // I020/300 – Vehicle Fleet Identification (1B)
+        "I020/300": S.item("I020/300", VEHICLE_FLEET),
+
+        // I020/310 – Pre-programmed Message (1B): TRB + 7-bit message number
+        "I020/310": S.item("I020/310", PRE_PROGRAMMED_MESSAGE),
+
+        // I020/500 – Position Accuracy (compound: DOP 6B, SDP 6B, SDH 2B)
+        "I020/500": S.item("I020/500", S.compound([
+            ["DOP", S.group([["x", S.scaled(16, 0.25)], ["y", S.scaled(16, 0.25)], ["xy", S.scaled(16, 0.25)]])],
+            ["SDP", S.group([
+                ["sigma_x_m", S.scaled(16, 0.25)],
+                ["sigma_y_m", S.scaled(16, 0.25)],
+                ["cov_xy", S.scaled(16, 0.25, { signed: true })],
+            ])],
+            ["SDH", S.group([["sigma_h_m", S.scaled(16, 0.5)]])],
+        ])),
+
+        // I020/400 – Contributing Devices: REP + N octets, one bit per receiver (bit 1 of the last octet = RU1)
+        "I020/400": S.item("I020/400", S.shaped(S.repetitive(S.uint(8)), (list, view, off) => {
+            const receivers = [];
+            for (let i = 0; i < list.length; i++) {
+                const b = list[list.length - 1 - i]; // last octet first
+                for (let bit = 0; bit < 8; bit++) {
+                    if ((b >> bit) & 0x01) receivers.push(i * 8 + bit + 1);
+                }
             }
-            // Basic decoding of the first octet (example):
-            const b0 = octets[0] ?? 0;
-            const dt = (b0 >> 5) & 0x07; // Detection Type (example mapping varies by edition)
-            const sim = (b0 >> 4) & 0x01;
-            const rab = (b0 >> 3) & 0x01;
-            const tst = (b0 >> 2) & 0x01;
-            const mea = (b0 >> 1) & 0x01;
+            return { raw: toHex(view, off + 1, list.length), receivers };
+        })),
 
-            return {
-                value: {
-                    raw: toHex(Uint8Array.from(octets), 0, octets.length),
-                    detectionType: dt, // map per your spec if needed
-                    simulated: !!sim,
-                    reportedAsBad: !!rab,
-                    testTarget: !!tst,
-                    meaconing: !!mea,
-                },
-                length: octets.length,
-            };
-        },
+        // I020/250 – Mode S MB Data: REP (1B) + REP * 8B – keep raw
+        "I020/250": S.item("I020/250", repetitiveRaw(8)),
+
+        // I020/230 – Comms/ACAS Capability and Flight Status (2B) – keep raw
+        "I020/230": S.item("I020/230", fixedRaw(2)),
+
+        // I020/260 – ACAS Resolution Advisory Report (7B) – keep raw
+        "I020/260": S.item("I020/260", fixedRaw(7)),
+
+        // I020/030 – Warning/Error Conditions (FX-chained, 7-bit code per octet)
+        "I020/030": S.item("I020/030", WARNING_CODES),
+
+        // I020/055 – Mode-1 Code (1B): V, G, L, then 5-bit code
+        "I020/055": S.item("I020/055", S.shaped(MODE_1_CODE, ({ V, G, CODE }) => ({
+            ...mode1Code(CODE),
+            validated: !V,
+            garbled: G,
+        }))),
+
+        // I020/050 – Mode-2 Code (2B): V, G, L, spare, 12-bit octal code
+        "I020/050": S.item("I020/050", MODE_CODE),
+
+        // Reserved Expansion & Special Purpose fields (1B length incl. itself) — raw
+        "I020/RE": S.item("I020/RE", S.explicit()),
+        "I020/SP": S.item("I020/SP", S.explicit()),
+    },
+    21: {
+        // I021/010 – Data Source Identification: SAC (1B), SIC (1B)
+        "I021/010": S.item("I021/010", DATA_SOURCE),
+
+        // I021/040 – Target Report Descriptor (FX-chained); first two octets decoded, rest kept raw
+        // Octet 1: ATP (3 bits), ARC (2 bits), RC, RAB; octet 2: DCR, GBS, SIM, TST, SAA, CL (2 bits)
+        "I021/040": S.item("I021/040", S.shaped(S.extended(
+            [["ATP", S.uint(3)], ["ARC", S.uint(2)], ["RC", S.flag()], ["RAB", S.flag()]],
+            [["DCR", S.flag()], ["GBS", S.flag()], ["SIM", S.flag()], ["TST", S.flag()], ["SAA", S.flag()], ["CL", S.uint(2)]],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            addressType: v.ATP, // ATP: 0 = 24-bit ICAO, 1 = duplicate, 2 = surface vehicle, 3 = anonymous
+            altitudeReportingCapability: v.ARC, // ARC: 0 = 25 ft, 1 = 100 ft, 2 = unknown
+            rangeCheck: v.RC,
+            reportedAsBad: v.RAB,
+            ...(length > 1 ? {
+                differentialCorrection: v.DCR,
+                groundBitSet: v.GBS,
+                simulated: v.SIM,
+                testTarget: v.TST,
+                selectedAltitudeAvailable: v.SAA,
+                confidenceLevel: v.CL,
+            } : {}),
+        }))),
+
+        // I021/161 – Track Number (2B): 4 spare + 12 bits
+        "I021/161": S.item("I021/161", TRACK_NUMBER_12),
+
+        // I021/015 – Service Identification (1B)
+        "I021/015": S.item("I021/015", S.uint(8)),
+
+        // I021/071, /072, /073, /075, /077 – Times of day (3B), LSB = 1/128 s
+        "I021/071": S.item("I021/071", TIME_OF_DAY),
+        "I021/072": S.item("I021/072", TIME_OF_DAY),
+        "I021/073": S.item("I021/073", TIME_OF_DAY),
+        "I021/075": S.item("I021/075", TIME_OF_DAY),
+        "I021/077": S.item("I021/077", TIME_OF_DAY),
+
+        // I021/074, /076 – High-precision reception times (4B): FSI (2 bits) + fractional second, LSB = 2^-30 s
+        "I021/074": S.item("I021/074", HIGH_PRECISION_TIME),
+        "I021/076": S.item("I021/076", HIGH_PRECISION_TIME),
+
+        // I021/130 – Position in WGS-84 (6B): lat, lon 24-bit signed, LSB = 180/2^23 deg
+        "I021/130": S.item("I021/130", WGS84_POSITION),
+
+        // I021/131 – High-Resolution Position in WGS-84 (8B): lat, lon 32-bit signed, LSB = 180/2^30 deg
+        "I021/131": S.item("I021/131", wgs84Position32(30)),
+
+        // I021/150 – Air Speed (2B): IM bit selects IAS (LSB 2^-14 NM/s) or Mach (LSB 0.001)
+        "I021/150": S.item("I021/150", AIR_SPEED),
+
+        // I021/151 – True Air Speed (2B): RE bit + 15 bits, LSB = 1 kt
+        "I021/151": S.item("I021/151", S.shaped(
+            S.group([["RE", S.flag()], ["TAS", S.uint(15)]]),
+            ({ RE, TAS }) => ({ tas_kts: TAS, rangeExceeded: RE }),
+        )),
+
+        // I021/080 – Target Address (3B)
+        "I021/080": S.item("I021/080", TARGET_ADDRESS),
+
+        // I021/140 – Geometric Height (2B) signed, LSB = 6.25 ft
+        "I021/140": S.item("I021/140", S.shaped(S.group([["H", S.int(16)]]), ({ H }) => {
+            const feet = H * 6.25;
+            return { raw: H, feet, meters: feet * 0.3048 };
+        })),
+
+        // I021/090 – Quality Indicators (FX-chained, up to 4 octets)
+        // Octet 1: NUCr/NACv (3 bits), NUCp/NIC (4 bits); octet 2: NICbaro, SIL (2 bits), NACp (4 bits);
+        // octet 3: 2 spare, SIL supplement, SDA (2 bits), GVA (2 bits); octet 4: PIC (4 bits), 3 spare
+        "I021/090": S.item("I021/090", S.shaped(S.extended(
+            [["NUCR", S.uint(3)], ["NUCP", S.uint(4)]],
+            [["NICBARO", S.uint(1)], ["SIL", S.uint(2)], ["NACP", S.uint(4)]],
+            [S.spare(2), ["SILS", S.uint(1)], ["SDA", S.uint(2)], ["GVA", S.uint(2)]],
+            [["PIC", S.uint(4)], S.spare(3)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            nucr_nacv: v.NUCR,
+            nucp_nic: v.NUCP,
+            ...(length > 1 ? { nicBaro: v.NICBARO, sil: v.SIL, nacp: v.NACP } : {}),
+            ...(length > 2 ? { silSupplement: v.SILS, sda: v.SDA, gva: v.GVA } : {}),
+            ...(length > 3 ? { pic: v.PIC } : {}),
+        }))),
+
+        // I021/210 – MOPS Version (1B): spare, VNS, VN (3 bits), LTT (3 bits)
+        "I021/210": S.item("I021/210", S.shaped(S.group([
+            S.spare(1),
+            ["VNS", S.flag()],
+            ["VN", S.table(3, {
+                0: "ED102/DO-260",
+                1: "DO-260A",
+                2: "ED102A/DO-260B",
+                3: "ED102B/DO-260C",
+            })],
+            ["LTT", S.uint(3)],
+        ]), ({ VNS, VN, LTT }) => ({
+            versionNotSupported: VNS,
+            version: VN.value,
+            name: VN.meaning || "Unknown/Reserved",
+            linkTechnology: LTT,
+        }))),
+
+        // I021/070 – Mode 3/A Code (2B): 4 spare bits + 12-bit octal code
+        "I021/070": S.item("I021/070", PLAIN_MODE_CODE),
+
+        // I021/230 – Roll Angle (2B) signed, LSB = 0.01 deg
+        "I021/230": S.item("I021/230", S.group([["roll_deg", S.scaled(16, 0.01, { signed: true })]])),
+
+        // I021/145 – Flight Level (2B) signed, LSB = 1/4 FL
+        "I021/145": S.item("I021/145", FLIGHT_LEVEL),
+
+        // I021/152 – Magnetic Heading (2B), LSB = 360/2^16 deg
+        "I021/152": S.item("I021/152", HEADING),
+
+        // I021/200 – Target Status (1B): ICF, LNAV, ME, PS (3 bits), SS (2 bits)
+        "I021/200": S.item("I021/200", S.group([
+            ["intentChange", S.flag()],
+            ["lnavNotEngaged", S.flag()],
+            ["militaryEmergency", S.flag()],
+            ["priorityStatus", S.uint(3)],
+            ["surveillanceStatus", S.uint(2)],
+        ])),
+
+        // I021/155, /157 – Barometric / Geometric Vertical Rate (2B): RE bit + 15-bit signed, LSB = 6.25 ft/min
+        "I021/155": S.item("I021/155", VERTICAL_RATE),
+        "I021/157": S.item("I021/157", VERTICAL_RATE),
+
+        // I021/160 – Airborne Ground Vector (4B): RE bit + 15-bit speed (2^-14 NM/s), track angle (360/2^16 deg)
+        "I021/160": S.item("I021/160", S.shaped(
+            S.group([["RE", S.flag()], ["GSP", S.uint(15)], ["TA", S.uint(16)]]),
+            ({ RE, GSP, TA }) => {
+                const nm_per_s = GSP / 16384;
+                return { rangeExceeded: RE, mps: nm_per_s * 1852, kts: nm_per_s * 3600, track_deg: (TA * 360) / 65536 };
+            },
+        )),
+
+        // I021/165 – Track Angle Rate (2B): 6 spare bits + 10-bit signed, LSB = 1/32 deg/s
+        "I021/165": S.item("I021/165", S.group([S.spare(6), ["rate_deg_s", S.scaled(10, 1 / 32, { signed: true })]])),
+
+        // I021/170 – Target Identification (6B): 8 characters, 6-bit IA-5 each
+        "I021/170": S.item("I021/170", AIRCRAFT_IDENTIFICATION),
+
+        // I021/020 – Emitter Category (1B)
+        "I021/020": S.item("I021/020", S.uint(8)),
+
+        // I021/220 – Met Information (compound: WS 2B, WD 2B, TMP 2B, TRB 1B) – keep raw
+        "I021/220": S.item("I021/220", compoundRaw([
+            ["WS", fixedRaw(2)],
+            ["WD", fixedRaw(2)],
+            ["TMP", fixedRaw(2)],
+            ["TRB", fixedRaw(1)],
+        ])),
+
+        // I021/146 – Selected Altitude (2B): SAS, Source (2 bits), 13-bit signed altitude, LSB = 25 ft
+        "I021/146": S.item("I021/146", SELECTED_ALTITUDE),
+
+        // I021/148 – Final State Selected Altitude (2B): MV, AH, AM, 13-bit signed altitude, LSB = 25 ft
+        "I021/148": S.item("I021/148", FINAL_STATE_ALTITUDE),
+
+        // I021/110 – Trajectory Intent (compound: TIS 1+ FX-chained, TID REP + 15B*N) – keep raw
+        "I021/110": S.item("I021/110", compoundRaw([["TIS", FX_RAW], ["TID", repetitiveRaw(15)]])),
+
+        // I021/016 – Service Management (1B), LSB = 0.5 s
+        "I021/016": S.item("I021/016", S.group([["reportPeriod_s", S.scaled(8, 0.5)]])),
+
+        // I021/008 – Aircraft Operational Status (1B) – keep raw
+        "I021/008": S.item("I021/008", fixedRaw(1)),
+
+        // I021/271 – Surface Capabilities and Characteristics (FX-chained) – keep raw
+        "I021/271": S.item("I021/271", FX_RAW),
+
+        // I021/132 – Message Amplitude (1B) signed, LSB = 1 dBm
+        "I021/132": S.item("I021/132", S.group([["amplitude_dbm", S.int(8)]])),
+
+        // I021/250 – Mode S MB Data: REP (1B) + REP * 8B – keep raw
+        "I021/250": S.item("I021/250", repetitiveRaw(8)),
+
+        // I021/260 – ACAS Resolution Advisory Report (7B) – keep raw
+        "I021/260": S.item("I021/260", fixedRaw(7)),
+
+        // I021/400 – Receiver ID (1B)
+        "I021/400": S.item("I021/400", S.uint(8)),
+
+        // I021/295 – Data Ages (compound: FX-chained primary, 1B per subfield, LSB = 0.1 s) – keep raw
+        "I021/295": S.item("I021/295", compoundRaw(dataAges(28))),
+
+        // Reserved Expansion & Special Purpose fields (1B length incl. itself) — raw
+        "I021/RE": S.item("I021/RE", S.explicit()),
+        "I021/SP": S.item("I021/SP", S.explicit()),
+    },
+    23: {
+        // I023/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I023/010": S.item("I023/010", DATA_SOURCE),
+
+        // I023/000 – Report Type (1B)
+        "I023/000": S.item("I023/000", messageType({
+            1: "Ground Station Status report",
+            2: "Service Status report",
+            3: "Service Statistics report",
+        })),
+
+        // I023/015 – Service Type and Identification (1B): SID (4 bits), STYP (4 bits)
+        "I023/015": S.item("I023/015", S.shaped(S.group([
+            ["SID", S.uint(4)],
+            ["STYP", S.table(4, [
+                "Unknown", "ADS-B VDL4", "ADS-B Ext Squitter", "ADS-B UAT", "TIS-B VDL4",
+                "TIS-B Ext Squitter", "TIS-B UAT", "FIS-B VDL4", "GRAS VDL4", "MLT",
+            ])],
+        ]), ({ SID, STYP }) => ({ sid: SID, type: STYP.value, typeName: STYP.meaning || "Unknown/Reserved" }))),
+
+        // I023/070 – Time of Day (3B), LSB = 1/128 s
+        "I023/070": S.item("I023/070", TIME_OF_DAY),
+
+        // I023/100 – Ground Station Status (FX-chained)
+        // Octet 1: NOGO, ODP, OXT, MSC, TSV, SPO, RN; octet 2: GSSP (7 bits, LSB = 1 s)
+        "I023/100": S.item("I023/100", S.shaped(S.extended(
+            [["NOGO", S.flag()], ["ODP", S.flag()], ["OXT", S.flag()], ["MSC", S.flag()], ["TSV", S.flag()], ["SPO", S.flag()], ["RN", S.flag()]],
+            [["GSSP", S.uint(7)]],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            nogo: v.NOGO,
+            dataProcessorOverload: v.ODP,
+            transmissionSubsystemOverload: v.OXT,
+            monitoringConnected: !v.MSC,
+            timeSourceInvalid: v.TSV,
+            spoofing: v.SPO,
+            renumbered: v.RN,
+            ...(length > 1 ? { statusPeriod_s: v.GSSP } : {}),
+        }))),
+
+        // I023/101 – Service Configuration (FX-chained, 2B first part)
+        // Octets 1-2: RP (8 bits, LSB = 0.5 s), SC (3 bits), 4 spare; octet 3: SSRP (7 bits, LSB = 1 s)
+        "I023/101": S.item("I023/101", S.shaped(S.extended(
+            [["RP", S.uint(8)], ["SC", S.uint(3)], S.spare(4)],
+            [["SSRP", S.uint(7)]],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            reportPeriod_s: v.RP * 0.5,
+            serviceClass: v.SC,
+            ...(length > 2 ? { statisticsPeriod_s: v.SSRP } : {}),
+        }))),
+
+        // I023/200 – Operational Range (1B), LSB = 1 NM
+        "I023/200": S.item("I023/200", S.group([["range_nm", S.uint(8)]])),
+
+        // I023/110 – Service Status (FX-chained): 4 spare, STAT (3 bits)
+        "I023/110": S.item("I023/110", S.shaped(
+            S.extended([S.spare(4), ["STAT", S.table(3, ["Unknown", "Failed", "Disabled", "Degraded", "Normal", "Initialisation"])]]),
+            (v, view, off, length) => ({
+                ...rawHex(v, view, off, length),
+                status: v.STAT.value,
+                name: v.STAT.meaning || "Unknown/Reserved",
+            }),
+        )),
+
+        // I023/120 – Service Statistics: REP + N * (TYPE (1B), REF + 7 spare (1B), COUNTER (4B))
+        "I023/120": S.item("I023/120", SERVICE_STATISTICS),
+
+        // Special Purpose & Reserved Expansion fields (1B length incl. itself) — raw
+        "I023/RE": S.item("I023/RE", S.explicit()),
+        "I023/SP": S.item("I023/SP", S.explicit()),
+    },
+    25: {
+        // I025/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I025/010": S.item("I025/010", DATA_SOURCE),
+
+        // I025/000 – Report Type (1B): RTYP (7 bits), RG (periodic / event-driven)
+        "I025/000": S.item("I025/000", S.shaped(S.group([
+            ["RTYP", S.table(7, {
+                1: "Service and System Status report",
+                2: "Component Status report",
+                3: "Service Statistics report",
+            })],
+            ["RG", S.flag()],
+        ]), ({ RTYP, RG }) => ({ type: RTYP.value, name: RTYP.meaning || "Unknown", eventDriven: RG }))),
+
+        // I025/200 – Message Identification (3B)
+        "I025/200": S.item("I025/200", S.uint(24)),
+
+        // I025/015 – Service Identification (1B)
+        "I025/015": S.item("I025/015", S.uint(8)),
+
+        // I025/020 – Service Designator (6B): 8 IA-5 characters
+        "I025/020": S.item("I025/020", S.string(48, "icao")),
+
+        // I025/070 – Time of Day (3B), LSB = 1/128 s
+        "I025/070": S.item("I025/070", TIME_OF_DAY),
+
+        // I025/100 – System and Service Status (FX-chained): NOGO, OPS (2 bits), SSTAT (4 bits)
+        "I025/100": S.item("I025/100", S.shaped(S.extended([
+            ["NOGO", S.flag()],
+            ["OPS", S.table(2, ["Operational", "Operational but in Standby", "Maintenance"])],
+            ["SSTAT", S.table(4, ["Running", "Failed", "Degraded", "Undefined"])],
+        ]), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            nogo: v.NOGO,
+            ops: v.OPS.value,
+            opsName: v.OPS.meaning || "Reserved",
+            sstat: v.SSTAT.value,
+            sstatName: v.SSTAT.meaning || "Reserved",
+        }))),
+
+        // I025/105 – System and Service Error Codes: REP + N * error code (1B)
+        "I025/105": S.item("I025/105", S.repetitive(S.uint(8))),
+
+        // I025/120 – Component Status: REP + N * (component ID (2B), ERRC (6 bits), CS (2 bits))
+        "I025/120": S.item("I025/120", S.shaped(S.repetitive(S.group([
+            ["ID", S.uint(16)],
+            ["ERRC", S.uint(6)],
+            ["CS", S.table(2, ["Running", "Failed", "Maintenance"])],
+        ])), (list) => list.map(({ ID, ERRC, CS }) => ({
+            id: ID,
+            errorCode: ERRC,
+            state: CS.value,
+            stateName: CS.meaning || "Reserved",
+        })))),
+
+        // I025/140 – Service Statistics: REP + N * (TYPE (1B), REF + 7 spare (1B), COUNTER (4B))
+        "I025/140": S.item("I025/140", SERVICE_STATISTICS),
+
+        // Special Purpose Field (1B length incl. itself) — raw
+        "I025/SP": S.item("I025/SP", S.explicit()),
+    },
+    48: {
+        // I048/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I048/010": S.item("I048/010", DATA_SOURCE),
+
+        // I048/140 – Time of Day (3B) in 1/128 s from midnight
+        "I048/140": S.item("I048/140", TIME_OF_DAY),
+
+        // I048/020 – Target Report Descriptor (FX-extended) – see STRUCTURES
+        "I048/020": STRUCTURES["I048/020"],
 
         // I048/040 – Measured Position in Polar: RHO (2B), THETA (2B)
-        // RHO in NM (LSB per spec, often 1/256 NM), THETA in deg (LSB 360/65536)
-        "I048/040": (view, off) => {
-            if (off + 4 > view.length) throw new Error("Truncated I048/040");
-            const rho = readU16BE(view, off);
-            const theta = readU16BE(view, off + 2);
-            const rangeNM = rho / 256;               // per common CAT048 scaling
-            const thetaDeg = (theta * 360) / 65536;  // 16-bit angle
-            return {
-                value: { rho_raw: rho, theta_raw: theta, range_nm: rangeNM, bearing_deg: thetaDeg },
-                length: 4,
-            };
-        },
+        // RHO LSB = 1/256 NM, THETA LSB = 360/2^16 deg
+        "I048/040": S.item("I048/040", S.shaped(S.group([["RHO", S.uint(16)], ["THETA", S.uint(16)]]), ({ RHO, THETA }) => ({
+            rho_raw: RHO, theta_raw: THETA, range_nm: RHO / 256, bearing_deg: (THETA * 360) / 65536,
+        }))),
 
-        // I048/070 – Mode 3/A (2B): 4 octal digits packed as 12 bits; plus SPI in top bits sometimes
-        "I048/070": (view, off) => {
-            if (off + 2 > view.length) throw new Error("Truncated I048/070");
-            const code = readU16BE(view, off) & 0x1FFF; // 13 bits used in some editions; mask conservative
-            // Extract 4 octal digits (A, B, C, D are 3-bit groups)
-            const d1 = (code >> 9) & 0x07;
-            const d2 = (code >> 6) & 0x07;
-            const d3 = (code >> 3) & 0x07;
-            const d4 = code & 0x07;
-            return {
-                value: {
-                    code_octal: `${d1}${d2}${d3}${d4}`,
-                    raw: code,
-                },
-                length: 2,
-            };
-        },
+        // I048/070 – Mode 3/A (2B): V, G, L, spare, then 4 octal digits packed as 12 bits
+        "I048/070": S.item("I048/070", MODE_CODE),
 
-        // I048/090 – Flight Level (Mode C) (2B): 1/4 FL (LSB = 1/4 * 100 ft)
-        "I048/090": (view, off) => {
-            if (off + 2 > view.length) throw new Error("Truncated I048/090");
-            const raw = readI16BE(view, off);
-            const flightLevel = raw / 4; // FL units
-            return { value: { raw, flightLevel }, length: 2 };
-        },
+        // I048/090 – Flight Level (2B): V, G, then 14-bit two's complement, LSB = 1/4 FL
+        "I048/090": S.item("I048/090", MODE_C_FLIGHT_LEVEL),
 
-        // I048/130 – Radar Plot Characteristics (dummy minimal decode as raw variable length w/FX)
-        "I048/130": (view, off) => parseFxChainRaw(view, off, "I048/130"),
-
-        // I048/220 – Calculated Track Velocity (Polar): Ground Speed (2B), Heading (2B)
-        // Speed LSB often 1/16384 NM/s -> convert to m/s and kt; Heading 360/65536 deg
-        "I048/220": (view, off) => {
-            if (off + 4 > view.length) throw new Error("Truncated I048/220");
-            const gsRaw = readU16BE(view, off);
-            const hdgRaw = readU16BE(view, off + 2);
-            const nm_per_s = gsRaw / 16384;
-            const mps = nm_per_s * 1852;
-            const kts = nm_per_s * 3600;
-            const heading_deg = (hdgRaw * 360) / 65536;
-            return { value: { gs_raw: gsRaw, heading_raw: hdgRaw, mps, kts, heading_deg }, length: 4 };
-        },
+        // I048/130 – Radar Plot Characteristics (compound: SRL, SRR, SAM, PRL, PAM, RPD, APD) – see STRUCTURES
+        "I048/130": STRUCTURES["I048/130"],
 
-        // I048/240 – Aircraft Address (Mode S) (3B)
-        "I048/240": (view, off) => {
-            if (off + 3 > view.length) throw new Error("Truncated I048/240");
-            const addr = toHex(view, off, 3).toUpperCase();
-            return { value: { icao24: addr }, length: 3 };
-        },
+        // I048/220 – Aircraft Address (Mode S) (3B)
+        "I048/220": S.item("I048/220", TARGET_ADDRESS),
 
-        // I048/250 – Mode S MB Data: variable length (first byte count? editions vary)
-        // Here, treat as length-prefixed: 1B count of 3B blocks + 1B BDS? (Highly edition-specific)
-        // To be safe, decode as FX-chained raw block.
-        "I048/250": (view, off) => parseFxChainRaw(view, off, "I048/250"),
+        // I048/240 – Aircraft Identification (6B): 8 characters, 6-bit IA-5 each
+        "I048/240": S.item("I048/240", AIRCRAFT_IDENTIFICATION),
 
-        // I048/161 – Track Number (2B)
-        "I048/161": (view, off) => {
-            if (off + 2 > view.length) throw new Error("Truncated I048/161");
-            return { value: readU16BE(view, off), length: 2 };
-        },
+        // I048/250 – Mode S MB Data: REP (1B) + REP * 8B (56-bit MB data + BDS1/BDS2) – see STRUCTURES
+        // Each reply also gets `bds` and the decoded `register` (BDS 1,0 1,7 2,0 3,0 4,0 5,0 6,0)
+        "I048/250": S.item("I048/250", S.shaped(STRUCTURES["I048/250"].node, (replies) => replies.map(decodeCommB))),
 
-        // I048/042 – Measured Position Cartesian: X (2B), Y (2B) LSB e.g. 1/256 NM
-        "I048/042": (view, off) => {
-            if (off + 4 > view.length) throw new Error("Truncated I048/042");
-            const x = readI16BE(view, off);
-            const y = readI16BE(view, off + 2);
-            const nmLSB = 1 / 256;
-            return { value: { x_raw: x, y_raw: y, x_nm: x * nmLSB, y_nm: y * nmLSB }, length: 4 };
-        },
+        // I048/161 – Track Number (2B): 4 spare + 12 bits
+        "I048/161": S.item("I048/161", TRACK_NUMBER_12),
+
+        // I048/042 – Calculated Position Cartesian: X (2B), Y (2B) signed, LSB = 1/128 NM
+        "I048/042": S.item("I048/042", S.shaped(S.group([["X", S.int(16)], ["Y", S.int(16)]]), ({ X, Y }) => {
+            const nmLSB = 1 / 128;
+            return { x_raw: X, y_raw: Y, x_nm: X * nmLSB, y_nm: Y * nmLSB };
+        })),
 
-        // I048/200 – Calculated Track Velocity (Cartesian): Vx (2B), Vy (2B) in NM/s * 128? (varies)
-        "I048/200": (view, off) => {
-            if (off + 4 > view.length) throw new Error("Truncated I048/200");
-            const vx = readI16BE(view, off);
-            const vy = readI16BE(view, off + 2);
-            // A common scaling: 1/16384 NM/s per LSB (same as polar), but some editions use 1/256 m/s.
-            // We’ll assume NM/s * (1/16384) for both:
-            const vx_nms = vx / 16384;
-            const vy_nms = vy / 16384;
+        // I048/200 – Calculated Track Velocity (Polar): Ground Speed (2B), Heading (2B)
+        // Speed LSB = 2^-14 NM/s -> convert to m/s and kt; Heading LSB = 360/2^16 deg
+        "I048/200": S.item("I048/200", S.shaped(S.group([["GSP", S.uint(16)], ["HDG", S.uint(16)]]), ({ GSP, HDG }) => {
+            const nm_per_s = GSP / 16384;
             return {
-                value: {
-                    vx_raw: vx, vy_raw: vy,
-                    vx_mps: vx_nms * 1852,
-                    vy_mps: vy_nms * 1852,
-                    vx_kts: vx_nms * 3600,
-                    vy_kts: vy_nms * 3600,
-                },
-                length: 4,
+                gs_raw: GSP,
+                heading_raw: HDG,
+                mps: nm_per_s * 1852,
+                kts: nm_per_s * 3600,
+                heading_deg: (HDG * 360) / 65536,
             };
-        },
+        })),
+
+        // I048/170 – Track Status (FX-extended) – see STRUCTURES
+        "I048/170": STRUCTURES["I048/170"],
+
+        // I048/210 – Track Quality (4B): sigma X, sigma Y (1/128 NM), sigma V (2^-14 NM/s), sigma H (360/2^12 deg)
+        "I048/210": S.item("I048/210", S.shaped(S.group([
+            ["SX", S.uint(8)],
+            ["SY", S.uint(8)],
+            ["SV", S.uint(8)],
+            ["SH", S.uint(8)],
+        ]), ({ SX, SY, SV, SH }) => {
+            const sigV_nms = SV / 16384;
+            return {
+                sigma_x_nm: SX / 128,
+                sigma_y_nm: SY / 128,
+                sigma_v_mps: sigV_nms * 1852,
+                sigma_v_kts: sigV_nms * 3600,
+                sigma_h_deg: (SH * 360) / 4096,
+            };
+        })),
+
+        // I048/030 – Warning/Error Conditions (7-bit codes, FX after each) – see STRUCTURES
+        "I048/030": STRUCTURES["I048/030"],
+
+        // I048/080 – Mode-3/A Code Confidence (2B): 4 spare + 12 bits, one per code bit
+        "I048/080": S.item("I048/080", S.shaped(CODE_CONFIDENCE, (v, view, off, length) => ({ ...rawHex(v, view, off, length), ...v }))),
+
+        // I048/100 – Mode-C Code and Confidence (4B): V, G, 2 spare, 12-bit Gray code; 4 spare + 12 confidence bits
+        "I048/100": S.item("I048/100", S.shaped(MODE_C_CODE, ({ V, G, GRAY, QUALITY }, view, off, length) => ({
+            raw: toHex(view, off, length),
+            validated: !V,
+            garbled: G,
+            modeCGray: GRAY,
+            lowConfidenceBits: QUALITY,
+        }))),
+
+        // I048/110 – Height Measured by 3D Radar (2B): 2 spare + 14-bit signed, LSB = 25 ft (above MSL)
+        "I048/110": S.item("I048/110", S.shaped(S.group([S.spare(2), ["H", S.int(14)]]), ({ H }) => {
+            const height_ft = H * 25;
+            return { raw: H, height_ft, height_m: height_ft * 0.3048 };
+        })),
+
+        // I048/120 – Radial Doppler Speed (compound: CAL 2B, RDS REP + 6B*N) – see STRUCTURES
+        "I048/120": STRUCTURES["I048/120"],
+
+        // I048/230 – Comm/ACAS capability & flight status (2B) – see STRUCTURES
+        "I048/230": STRUCTURES["I048/230"],
+
+        // I048/260 – ACAS Resolution Advisory Report (7B, 56-bit MB message) – keep raw
+        "I048/260": S.item("I048/260", fixedRaw(7)),
+
+        // I048/055 – Mode-1 Code (1B): V, G, L, then 5-bit code (A4 A2 A1 B2 B1)
+        "I048/055": S.item("I048/055", S.shaped(MODE_1_CODE, ({ V, G, L, CODE }) => ({
+            ...mode1Code(CODE),
+            validated: !V,
+            garbled: G,
+            smoothed: L,
+        }))),
+
+        // I048/050 – Mode-2 Code (2B): V, G, L, spare, 12-bit octal code
+        "I048/050": S.item("I048/050", MODE_CODE),
+
+        // I048/065 – Mode-1 Code Confidence (1B): 3 spare + 5 confidence bits
+        "I048/065": S.item("I048/065", S.group([S.spare(3), ["lowConfidenceBits", S.uint(5)]])),
+
+        // I048/060 – Mode-2 Code Confidence (2B): 4 spare + 12 confidence bits
+        "I048/060": S.item("I048/060", CODE_CONFIDENCE),
+
+        // Special Purpose & Reserved Expansion fields (1B length incl. itself) — raw
+        "I048/SP": S.item("I048/SP", S.explicit()),
+        "I048/RE": S.item("I048/RE", S.explicit()),
+    },
+    62: {
+        // I062/010 – Data Source Identifier: SAC (1B), SIC (1B)
+        "I062/010": S.item("I062/010", DATA_SOURCE),
+
+        // I062/015 – Service Identification (1B)
+        "I062/015": S.item("I062/015", S.uint(8)),
+
+        // I062/070 – Time Of Track Information (3B), LSB = 1/128 s
+        "I062/070": S.item("I062/070", TIME_OF_DAY),
+
+        // I062/105 – Calculated Track Position WGS-84 (8B): lat, lon 32-bit signed, LSB = 180/2^25 deg
+        "I062/105": S.item("I062/105", wgs84Position32(25)),
+
+        // I062/100 – Calculated Track Position Cartesian (6B): X, Y 24-bit signed, LSB = 0.5 m
+        "I062/100": S.item("I062/100", CARTESIAN_POSITION_24),
+
+        // I062/185 – Calculated Track Velocity Cartesian (4B): Vx, Vy 16-bit signed, LSB = 0.25 m/s
+        "I062/185": S.item("I062/185", CARTESIAN_VELOCITY_COURSE),
+
+        // I062/210 – Calculated Acceleration Cartesian (2B): Ax, Ay 8-bit signed, LSB = 0.25 m/s²
+        "I062/210": S.item("I062/210", ACCELERATION),
+
+        // I062/060 – Track Mode 3/A Code (2B): 2 spare, CH, spare, 12-bit octal code
+        "I062/060": S.item("I062/060", S.shaped(
+            S.group([S.spare(2), ["CH", S.flag()], S.spare(1), ["CODE", S.uint(12)]]),
+            ({ CH, CODE }) => ({ ...octalCode(CODE), changed: CH }),
+        )),
+
+        // I062/245 – Target Identification (7B): STI (2 bits) + 6 spare, then 8 IA-5 characters
+        "I062/245": S.item("I062/245", TARGET_IDENTIFICATION),
+
+        // I062/380 – Aircraft Derived Data (compound, up to 4 primary octets)
+        "I062/380": S.item("I062/380", S.compound([
+            ["ADR", TARGET_ADDRESS],
+            ["ID", AIRCRAFT_IDENTIFICATION],
+            ["MHG", HEADING],
+            ["IAS", AIR_SPEED],
+            ["TAS", S.group([["tas_kts", S.uint(16)]])],
+            ["SAL", SELECTED_ALTITUDE],
+            ["FSS", FINAL_STATE_ALTITUDE],
+            ["TIS", FX_RAW],
+            ["TID", repetitiveRaw(15)],
+            ["COM", fixedRaw(2)],
+            ["SAB", fixedRaw(2)],
+            ["ACS", fixedRaw(7)],
+            ["BVR", S.group([["fpm", S.scaled(16, 6.25, { signed: true })]])],
+            ["GVR", S.group([["fpm", S.scaled(16, 6.25, { signed: true })]])],
+            ["RAN", S.group([["roll_deg", S.scaled(16, 0.01, { signed: true })]])],
+            ["TAR", S.group([
+                ["turnIndicator", S.uint(2)],
+                S.spare(6),
+                ["rate_deg_s", S.scaled(7, 1 / 4, { signed: true })],
+                S.spare(1),
+            ])],
+            ["TAN", S.group([["track_deg", S.scaled(16, 360 / 65536)]])],
+            ["GSP", S.shaped(S.group([["GSP", S.int(16)]]), ({ GSP }) => {
+                const nm_per_s = GSP / 16384;
+                return { mps: nm_per_s * 1852, kts: nm_per_s * 3600 };
+            })],
+            ["VUN", fixedRaw(1)],
+            ["MET", fixedRaw(8)],
+            ["EMC", S.uint(8)],
+            ["POS", WGS84_POSITION],
+            ["GAL", S.group([["altitude_ft", S.scaled(16, 6.25, { signed: true })]])],
+            ["PUN", S.shaped(S.group([S.spare(4), ["PUN", S.uint(4)]]), ({ PUN }) => PUN)],
+            ["MB", repetitiveRaw(8)],
+            ["IAR", S.group([["ias_kts", S.uint(16)]])],
+            ["MAC", S.group([["mach", S.scaled(16, 0.008)]])],
+            ["BPS", S.shaped(S.group([S.spare(4), ["BPS", S.uint(12)]]), ({ BPS }) => ({ setting_mb: 800 + BPS * 0.1 }))],
+        ])),
+
+        // I062/040 – Track Number (2B)
+        "I062/040": S.item("I062/040", S.uint(16)),
+
+        // I062/080 – Track Status (FX-chained, up to 6 octets decoded)
+        // Octet 1: MON, SPI, MRH, SRC (3 bits), CNF; octet 2: SIM, TSE, TSB, FPC, AFF, STP, KOS;
+        // octet 3: AMA, MD4 (2 bits), ME, MI, MD5 (2 bits); octet 4: CST, PSR, SSR, MDS, ADS, SUC, AAC;
+        // octet 5: SDS (2 bits), EMS (3 bits), PFT, FPLT; octet 6: DUPT, DUPF, DUPM, SFC, IDD, IEC, spare
+        "I062/080": S.item("I062/080", S.shaped(S.extended(
+            [
+                ["MON", S.flag()],
+                ["SPI", S.flag()],
+                ["MRH", S.table(1, ["barometric", "geometric"])],
+                ["SRC", S.uint(3)],
+                ["CNF", S.flag()],
+            ],
+            [["SIM", S.flag()], ["TSE", S.flag()], ["TSB", S.flag()], ["FPC", S.flag()], ["AFF", S.flag()], ["STP", S.flag()], ["KOS", S.flag()]],
+            [["AMA", S.flag()], ["MD4", S.uint(2)], ["ME", S.flag()], ["MI", S.flag()], ["MD5", S.uint(2)]],
+            [["CST", S.flag()], ["PSR", S.flag()], ["SSR", S.flag()], ["MDS", S.flag()], ["ADS", S.flag()], ["SUC", S.flag()], ["AAC", S.flag()]],
+            [["SDS", S.uint(2)], ["EMS", S.uint(3)], ["PFT", S.flag()], ["FPLT", S.flag()]],
+            [["DUPT", S.flag()], ["DUPF", S.flag()], ["DUPM", S.flag()], ["SFC", S.flag()], ["IDD", S.flag()], ["IEC", S.flag()], S.spare(1)],
+        ), (v, view, off, length) => ({
+            ...rawHex(v, view, off, length),
+            monoSensor: v.MON,
+            spi: v.SPI,
+            mostReliableHeight: v.MRH.meaning,
+            altitudeSource: v.SRC,
+            tentative: v.CNF,
+            ...(length > 1 ? {
+                simulated: v.SIM,
+                trackServiceEnd: v.TSE,
+                trackServiceBegin: v.TSB,
+                flightPlanCorrelated: v.FPC,
+                adsbInconsistent: v.AFF,
+                slaveTrackPromotion: v.STP,
+                backgroundService: v.KOS,
+            } : {}),
+            ...(length > 2 ? {
+                amalgamated: v.AMA,
+                mode4: v.MD4,
+                militaryEmergency: v.ME,
+                militaryIdentification: v.MI,
+                mode5: v.MD5,
+            } : {}),
+            ...(length > 3 ? {
+                coasting: v.CST,
+                psrStale: v.PSR,
+                ssrStale: v.SSR,
+                modeSStale: v.MDS,
+                adsStale: v.ADS,
+                specialUsedCode: v.SUC,
+                assignedCodeConflict: v.AAC,
+            } : {}),
+            ...(length > 4 ? {
+                surveillanceDataStatus: v.SDS,
+                emergencyStatus: v.EMS,
+                potentialFalseTrack: v.PFT,
+                flightPlanTrack: v.FPLT,
+            } : {}),
+            ...(length > 5 ? {
+                duplicateTrackNumber: v.DUPT,
+                duplicateFlightPlan: v.DUPF,
+                duplicateFlightPlanManual: v.DUPM,
+                surfaceTarget: v.SFC,
+                duplicateFlightId: v.IDD,
+                inconsistentEmergencyCode: v.IEC,
+            } : {}),
+        }))),
+
+        // I062/290 – System Track Update Ages (compound, up to 2 primary octets), LSB = 1/4 s
+        "I062/290": S.item("I062/290", S.compound([
+            ["TRK", AGE],
+            ["PSR", AGE],
+            ["SSR", AGE],
+            ["MDS", AGE],
+            ["ADS", AGE_2B],
+            ["ES", AGE],
+            ["VDL", AGE],
+            ["UAT", AGE],
+            ["LOP", AGE],
+            ["MLT", AGE],
+        ])),
+
+        // I062/200 – Mode of Movement (1B): TRANS, LONG, VERT (2 bits each), ADF, spare
+        "I062/200": S.item("I062/200", S.group([
+            ["transversal", S.uint(2)],
+            ["longitudinal", S.uint(2)],
+            ["vertical", S.uint(2)],
+            ["altitudeDiscrepancy", S.flag()],
+            S.spare(1),
+        ])),
+
+        // I062/295 – Track Data Ages (compound, up to 5 primary octets, 1B per subfield) – keep raw
+        "I062/295": S.item("I062/295", compoundRaw(dataAges(35))),
+
+        // I062/136 – Measured Flight Level (2B) signed, LSB = 1/4 FL
+        "I062/136": S.item("I062/136", FLIGHT_LEVEL),
+
+        // I062/130 – Calculated Track Geometric Altitude (2B) signed, LSB = 6.25 ft
+        "I062/130": S.item("I062/130", S.shaped(S.group([["H", S.int(16)]]), ({ H }) => {
+            const feet = H * 6.25;
+            return { raw: H, feet, meters: feet * 0.3048 };
+        })),
+
+        // I062/135 – Calculated Track Barometric Altitude (2B): QNH bit + 15-bit signed, LSB = 1/4 FL
+        "I062/135": S.item("I062/135", BAROMETRIC_ALTITUDE),
+
+        // I062/220 – Calculated Rate of Climb/Descent (2B) signed, LSB = 6.25 ft/min
+        "I062/220": S.item("I062/220", RATE_OF_CLIMB),
+
+        // I062/390 – Flight Plan Related Data (compound, up to 3 primary octets)
+        "I062/390": S.item("I062/390", S.compound([
+            ...FLIGHT_PLAN_SUBFIELDS,
+            ["STD", S.string(56)],
+            ["STA", S.string(56)],
+            ["PEM", fixedRaw(2)],
+            ["PEC", S.string(56)],
+        ])),
+
+        // I062/270 – Target Size & Orientation (FX-chained): length (1 m), orientation (360/128 deg), width (1 m)
+        "I062/270": S.item("I062/270", TARGET_SIZE),
+
+        // I062/300 – Vehicle Fleet Identification (1B)
+        "I062/300": S.item("I062/300", VEHICLE_FLEET),
+
+        // I062/110 – Mode 5 Data & Extended Mode 1 Code (compound: SUM 1, PMN 4, POS 6, GA 2, EM1 2, TOS 1, XP 1) – keep raw
+        "I062/110": S.item("I062/110", compoundRaw([
+            ["SUM", fixedRaw(1)],
+            ["PMN", fixedRaw(4)],
+            ["POS", fixedRaw(6)],
+            ["GA", fixedRaw(2)],
+            ["EM1", fixedRaw(2)],
+            ["TOS", fixedRaw(1)],
+            ["XP", fixedRaw(1)],
+        ])),
+
+        // I062/120 – Track Mode 2 Code (2B): 4 spare + 12-bit octal code
+        "I062/120": S.item("I062/120", PLAIN_MODE_CODE),
+
+        // I062/510 – Composed Track Number (3B chunks: system unit ID, 15-bit track number + FX)
+        "I062/510": S.item("I062/510", S.repetitive(S.group([["systemUnit", S.uint(8)], ["trackNumber", S.uint(15)]]), { fx: true })),
+
+        // I062/500 – Estimated Accuracies (compound: APC 4, COV 2, APW 4, AGA 1, ABA 1, ATV 2, AA 2, ARC 1) – keep raw
+        "I062/500": S.item("I062/500", compoundRaw([
+            ["APC", fixedRaw(4)],
+            ["COV", fixedRaw(2)],
+            ["APW", fixedRaw(4)],
+            ["AGA", fixedRaw(1)],
+            ["ABA", fixedRaw(1)],
+            ["ATV", fixedRaw(2)],
+            ["AA", fixedRaw(2)],
+            ["ARC", fixedRaw(1)],
+        ])),
+
+        // I062/340 – Measured Information (compound: SID 2, POS 4, HEI 2, MDC 2, MDA 2, TYP 1) – keep raw
+        "I062/340": S.item("I062/340", compoundRaw([
+            ["SID", fixedRaw(2)],
+            ["POS", fixedRaw(4)],
+            ["HEI", fixedRaw(2)],
+            ["MDC", fixedRaw(2)],
+            ["MDA", fixedRaw(2)],
+            ["TYP", fixedRaw(1)],
+        ])),
+
+        // Reserved Expansion & Special Purpose fields (1B length incl. itself) — raw
+        "I062/RE": S.item("I062/RE", S.explicit()),
+        "I062/SP": S.item("I062/SP", S.explicit()),
+    },
+};
+
+/**
+ * Item decoders per category, taken from ITEMS. Each decoder receives
+ * (view, off) and returns { value, length } (see the module header).
+ */
+const DECODERS = Object.fromEntries(Object.entries(ITEMS).map(([cat, items]) => [
+    cat,
+    Object.fromEntries(Object.entries(items).map(([itemId, it]) => [itemId, it.decode])),
+]));
 
-        // I048/170 – Track Status (variable FX-chained)
-        "I048/170": (view, off) => parseFxChainRaw(view, off, "I048/170"),
+/** The built-in item `itemId` (see ITEMS), or undefined. */
+const builtinItem = (itemId) => (ITEMS[Number(itemId.slice(1, 4))] || {})[itemId];
 
-        // I048/030 – Warning/Error Conditions (variable FX-chained)
-        "I048/030": (view, off) => parseFxChainRaw(view, off, "I048/030"),
+// --------------------------- Comm-B (BDS) registers ----------------------------
 
-        // I048/080, I048/100, I048/110, I048/120 – Keep as raw FX-chained for now
-        "I048/080": (view, off) => parseFxChainRaw(view, off, "I048/080"),
-        "I048/100": (view, off) => parseFxChainRaw(view, off, "I048/100"),
-        "I048/110": (view, off) => parseFxChainRaw(view, off, "I048/110"),
-        "I048/120": (view, off) => parseFxChainRaw(view, off, "I048/120"),
+/** Bits `first`..`first + len - 1` (1-based, MSB first) of a 56-bit MB field held as BigInt. */
+function mbField(mb, first, len) {
+    return Number((mb >> BigInt(57 - first - len)) & ((1n << BigInt(len)) - 1n));
+}
 
-        // I048/140 – Time of Day (3B) in 1/128 s from midnight
-        "I048/140": (view, off) => {
-            if (off + 3 > view.length) throw new Error("Truncated I048/140");
-            const raw = readU24BE(view, off);
-            const seconds = raw / 128;
-            return { value: { raw, seconds }, length: 3 };
-        },
+/** Sign bit at `signBit` followed by `len` magnitude bits, as two's complement. */
+function mbSigned(mb, signBit, len) {
+    return twosComplement(mbField(mb, signBit, len + 1), len + 1);
+}
+
+/** A register field with its status bit: { status, value }; value is null when status = 0. */
+function mbStatusField(mb, statusBit, value) {
+    const status = mbField(mb, statusBit, 1) === 1;
+    return { status, value: status ? value : null };
+}
+
+/** Registers advertised by BDS 1,7 bits 1..24, in bit order. */
+const GICB_CAPABILITY_REGISTERS = [
+    "0,5", "0,6", "0,7", "0,8", "0,9", "0,A", "2,0", "2,1", "4,0", "4,1", "4,2", "4,3",
+    "4,4", "4,5", "4,8", "5,0", "5,1", "5,2", "5,3", "5,4", "5,5", "5,6", "5,F", "6,0",
+];
+
+const COMM_B_REGISTERS = {
+    // BDS 1,0 – Data link capability report
+    0x10: (mb) => ({
+        continuation: !!mbField(mb, 9, 1),
+        overlayCommand: !!mbField(mb, 15, 1),
+        acas: !!mbField(mb, 16, 1),
+        subnetworkVersion: mbField(mb, 17, 7),
+        enhancedProtocol: !!mbField(mb, 24, 1),
+        specificServices: !!mbField(mb, 25, 1),
+        uplinkElmThroughput: mbField(mb, 26, 3),
+        downlinkElmThroughput: mbField(mb, 29, 4),
+        aircraftIdentification: !!mbField(mb, 33, 1),
+        squitter: !!mbField(mb, 34, 1),
+        surveillanceIdentifierCode: !!mbField(mb, 35, 1),
+        commonUsageGicb: !!mbField(mb, 36, 1),
+        dteStatus: mbField(mb, 41, 16),
+    }),
+
+    // BDS 1,7 – Common usage GICB capability report
+    0x17: (mb) => ({
+        registers: GICB_CAPABILITY_REGISTERS.filter((_, i) => mbField(mb, i + 1, 1)),
+    }),
+
+    // BDS 2,0 – Aircraft identification: 8 six-bit IA-5 characters in bits 9..56
+    0x20: (mb) => {
+        let callsign = "";
+        for (let i = 0; i < 8; i++) callsign += IA5_CHARSET[mbField(mb, 9 + 6 * i, 6)];
+        return { callsign: callsign.trimEnd() };
+    },
+
+    // BDS 3,0 – ACAS active resolution advisory
+    0x30: (mb) => {
+        const tti = mbField(mb, 29, 2);
+        const out = {
+            ara: mbField(mb, 9, 14),
+            rac: mbField(mb, 23, 4),
+            raTerminated: !!mbField(mb, 27, 1),
+            multipleThreat: !!mbField(mb, 28, 1),
+            threatTypeIndicator: tti,
+        };
+        if (tti === 1) out.threatIcao24 = mbField(mb, 31, 24).toString(16).toUpperCase().padStart(6, "0");
+        if (tti === 2) {
+            out.threatAltitudeCode = mbField(mb, 31, 13);
+            out.threatRange_nm = mbField(mb, 44, 7) ? (mbField(mb, 44, 7) - 1) / 10 : null;
+            out.threatBearing_deg = mbField(mb, 51, 6) ? (mbField(mb, 51, 6) - 1) * 6 : null;
+        }
+        return out;
+    },
+
+    // BDS 4,0 – Selected vertical intention
+    0x40: (mb) => ({
+        mcpSelectedAltitude_ft: mbStatusField(mb, 1, mbField(mb, 2, 12) * 16),
+        fmsSelectedAltitude_ft: mbStatusField(mb, 14, mbField(mb, 15, 12) * 16),
+        barometricSetting_mb: mbStatusField(mb, 27, 800 + mbField(mb, 28, 12) * 0.1),
+        mcpMode: mbStatusField(mb, 48, {
+            vnav: !!mbField(mb, 49, 1),
+            altitudeHold: !!mbField(mb, 50, 1),
+            approach: !!mbField(mb, 51, 1),
+        }),
+        targetAltitudeSource: mbStatusField(mb, 54,
+            ["Unknown", "Aircraft altitude", "FCU/MCP selected altitude", "FMS selected altitude"][mbField(mb, 55, 2)]),
+    }),
+
+    // BDS 5,0 – Track and turn report
+    0x50: (mb) => {
+        const track = mbSigned(mb, 13, 10) * 90 / 512;
+        return {
+            rollAngle_deg: mbStatusField(mb, 1, mbSigned(mb, 2, 9) * 45 / 256),
+            trueTrack_deg: mbStatusField(mb, 12, track < 0 ? track + 360 : track),
+            groundSpeed_kts: mbStatusField(mb, 24, mbField(mb, 25, 10) * 2),
+            trackAngleRate_deg_s: mbStatusField(mb, 35, mbSigned(mb, 36, 9) * 8 / 256),
+            trueAirspeed_kts: mbStatusField(mb, 46, mbField(mb, 47, 10) * 2),
+        };
+    },
 
-        // I048/230 – Comm/ACAS capability & flight status (1B+?), keep raw minimal decode
-        "I048/230": (view, off) => parseFxChainRaw(view, off, "I048/230"),
-
-        // Fallback examples—treat as raw if seen
-        "I048/260": (view, off) => parseFxChainRaw(view, off, "I048/260"),
-        "I048/055": (view, off) => parseFxChainRaw(view, off, "I048/055"),
-        "I048/065": (view, off) => parseFxChainRaw(view, off, "I048/065"),
-        "I048/071": (view, off) => parseFxChainRaw(view, off, "I048/071"),
-        "I048/072": (view, off) => parseFxChainRaw(view, off, "I048/072"),
-        "I048/073": (view, off) => parseFxChainRaw(view, off, "I048/073"),
-        "I048/075": (view, off) => parseFxChainRaw(view, off, "I048/075"),
+    // BDS 6,0 – Heading and speed report
+    0x60: (mb) => {
+        const heading = mbSigned(mb, 2, 10) * 90 / 512;
+        return {
+            magneticHeading_deg: mbStatusField(mb, 1, heading < 0 ? heading + 360 : heading),
+            indicatedAirspeed_kts: mbStatusField(mb, 13, mbField(mb, 14, 10)),
+            mach: mbStatusField(mb, 24, mbField(mb, 25, 10) * 2.048 / 512),
+            barometricAltitudeRate_fpm: mbStatusField(mb, 35, mbSigned(mb, 36, 9) * 32),
+            inertialVerticalVelocity_fpm: mbStatusField(mb, 46, mbSigned(mb, 47, 9) * 32),
+        };
     },
 };
 
-/** Helper: decode “FX-chained” variable-length item as raw hex. */
-function parseFxChainRaw(view, off, name) {
-    let cur = off;
-    const octets = [];
-    while (true) {
-        const b = view[cur];
-        if (b === undefined) throw new Error(`Truncated ${name}`);
-        octets.push(b);
-        cur++;
-        if ((b & 0x01) === 0) break; // FX=0
-    }
-    return { value: { raw: toHex(Uint8Array.from(octets), 0, octets.length) }, length: octets.length };
+/**
+ * Helper: interpret one Comm-B reply ({ mbData (14 hex digits), bds1, bds2 }).
+ * Adds `bds` ("4,0") and, for the registers in COMM_B_REGISTERS, `register`
+ * with the decoded fields (null otherwise).
+ */
+function decodeCommB(entry) {
+    const code = (entry.bds1 << 4) | entry.bds2;
+    const decode = COMM_B_REGISTERS[code];
+    return {
+        ...entry,
+        bds: `${entry.bds1.toString(16).toUpperCase()},${entry.bds2.toString(16).toUpperCase()}`,
+        register: decode ? decode(BigInt(`0x${entry.mbData}`)) : null,
+    };
 }
 
-function parseLenPrefixedOrFx(view, off, name) {
-  // If the next octet looks like a sane REP (small), try to consume 1 + 2*N bytes.
-  const rep = view[off];
-  if (rep !== undefined && off + 1 + 2 * rep <= view.length) {
-    const end = off + 1 + 2 * rep;
-    return { value: { raw: toHex(view, off, end - off) }, length: end - off };
-  }
-  return parseFxChainRaw(view, off, name);
+// ----------------------------- Strict validation -----------------------------
+
+const TIME_OF_DAY_ITEMS = [
+    "I002/030", "I008/090", "I010/140", "I011/140", "I019/140", "I020/140", "I021/071", "I021/072",
+    "I021/073", "I021/075", "I021/077", "I023/070", "I025/070", "I034/030", "I048/140", "I062/070",
+];
+const WGS84_ITEMS = ["I010/041", "I011/041", "I019/600", "I020/041", "I021/130", "I021/131", "I034/120", "I062/105"];
+
+/** Valid ranges of decoded values: RANGES[itemId][field] = [min, max] (inclusive). */
+const RANGES = {
+    ...Object.fromEntries(TIME_OF_DAY_ITEMS.map((id) => [id, { seconds: [0, 86400 - 1 / 128] }])),
+    ...Object.fromEntries(WGS84_ITEMS.map((id) => [id, { lat_deg: [-90, 90], lon_deg: [-180, 180] }])),
+    "I001/090": { flightLevel: [-12, 1270] },
+    "I010/090": { flightLevel: [-12, 1270] },
+    "I020/090": { flightLevel: [-12, 1270] },
+    "I048/090": { flightLevel: [-12, 1270] },
+    "I021/145": { flightLevel: [-15, 1500] },
+    "I062/136": { flightLevel: [-15, 1500] },
+    "I048/200": { kts: [0, 7200] }, // 2 NM/s
+};
+
+/**
+ * Strict checks of one decoded item at `off`: spare bits and undefined or
+ * reserved table values of its declared layout (the edition's `checks`, or
+ * the built-in item), and RANGES.
+ * Calls report(rule, message).
+ */
+function checkItem(view, off, itemId, value, checks, report) {
+    const check = checks ? checks[itemId] : builtinItem(itemId) && builtinItem(itemId).check;
+    if (check) check(view, off, (rule, path, message) => report(rule, `${path}: ${message}`));
+    for (const [field, [min, max]] of Object.entries(RANGES[itemId] || {})) {
+        const v = value && value[field];
+        if (typeof v === "number" && (v < min || v > max)) {
+            report("out-of-range", `${itemId} ${field}: ${v} is outside ${min}..${max}`);
+        }
+    }
 }
 
+// --------------------------------- Dissection ---------------------------------
 
-// ------------------------------- Core parsing --------------------------------
+/**
+ * Where one decoded item sits in the data:
+ *   { itemId, frn, offset, length, hex, fields }
+ * `fields` are the bit fields of its declared layout (the edition's
+ * `dissectors`, or the built-in item; see dissect() in item-structure.js),
+ * empty for items without a declared layout.
+ */
+function dissectItem(view, off, length, itemId, frn, dissectors) {
+    const dissect = dissectors ? dissectors[itemId] : builtinItem(itemId) && builtinItem(itemId).dissect;
+    return { itemId, frn, offset: off, length, hex: toHex(view, off, length), fields: dissect ? dissect(view, off) : [] };
+}
 
 /**
- * Parse a single ASTERIX record at `offset`.
- * Returns { record, nextOffset }.
- *
- * Record layout (Eurocontrol standard):
- *   CAT (1B), LEN (2B), then FSPEC + Data Items...
- * Some feeds reverse CAT/LEN; this expects CAT first (most common).
+ * FSPEC of a record bit by bit: { offset, length, bits: [{ frn, offset, bitOffset, set, itemId }] }.
+ * `bitOffset` counts from the FSPEC's first bit, like a field's bitOffset
+ * counts from its item's first bit; the FX bits have `frn` null.
  */
-function parseRecord(view, offset) {
-    if (offset + 3 > view.length) throw new Error("Truncated header");
+function dissectFspec(fsBytes, start, uap) {
+    const bits = [];
+    fsBytes.forEach((b, k) => {
+        for (let j = 0; j < 7; j++) {
+            const frn = k * 7 + j + 1;
+            bits.push({ frn, offset: start + k, bitOffset: k * 8 + j, set: Boolean(b & (0x80 >> j)), itemId: uap[frn - 1] || null });
+        }
+        bits.push({ frn: null, offset: start + k, bitOffset: k * 8 + 7, set: Boolean(b & 0x01), itemId: null });
+    });
+    return { offset: start, length: fsBytes.length, bits };
+}
 
-    const cat = view[offset];
-    const len = readU16BE(view, offset + 1);
-    const end = offset + len;
-    if (end > view.length) throw new Error("Truncated record body");
+/**
+ * Move every absolute offset in a record (its own, its diagnostics and their
+ * errors, its dissection) by `delta` – for records parsed out of a slice of
+ * a larger input. `delta` may also be a function mapping each offset, for
+ * slices whose bytes don't sit side by side in the input. Returns the record.
+ */
+function rebaseRecord(rec, delta) {
+    const at = typeof delta === "function" ? delta : (o) => o + delta;
+    rec.offset = at(rec.offset);
+    for (const d of rec.diagnostics || []) {
+        d.offset = at(d.offset);
+        if (d.error && d.error.offset !== null) d.error.offset = at(d.error.offset);
+    }
+    const dis = rec.dissection;
+    if (dis) {
+        dis.offset = at(dis.offset);
+        dis.fspec.offset = at(dis.fspec.offset);
+        for (const bit of dis.fspec.bits) bit.offset = at(bit.offset);
+        for (const it of dis.items) {
+            it.offset = at(it.offset);
+            for (const f of it.fields) f.offset = at(f.offset);
+        }
+    }
+    return rec;
+}
 
-    const catDef = CATEGORY_DEFS[cat];
-    const uap = catDef ? catDef.uap : null;
+// ------------------------------- Core parsing --------------------------------
 
-    // Parse FSPEC
-    const { bytes: fsBytes, endOffset: diStart, bits: fsBits } = parseFSPEC(view, offset + 3);
+/**
+ * Decode one record (FSPEC + data items) starting at `start`, bounded by `end`.
+ * Returns { fsBytes, items, rawItems, diagnostics, uapName, nextOffset, complete, dissection }.
+ * `complete` is false when decoding had to stop early (unknown FSPEC bit,
+ * missing decoder, decoder error or overflow); the caller cannot safely
+ * continue with the next record of the block in that case. The reason is
+ * in `diagnostics`: [{ code, message, offset, itemId, error }], codes
+ * "excess-fspec-bit" | "no-decoder" | "item-error" | "item-overflow";
+ * `error` is the matching AsterixError (see errors.js), the decoder's own for
+ * "item-error". A truncated FSPEC is thrown as AsterixTruncationError.
+ * `uapName` is the UAP variant used (null for single-UAP categories).
+ *
+ * With `strict`, spec violations that do not stop decoding are added to
+ * `diagnostics` as well (see checkItem; `checks` are the edition's own):
+ * "spare-bits" | "reserved-value" | "out-of-range" at the item, and at the
+ * record "missing-mandatory" (catDef.mandatory). LEN is checked by
+ * parseDataBlock (see checkBlockLength).
+ *
+ * With `dissect`, `dissection` tells where everything came from:
+ *   { offset, length, hex, fspec, items }
+ * `hex` is the record's octets, `fspec` see dissectFspec and `items` one
+ * dissectItem per decoded item, in order (`dissectors` are the edition's own).
+ */
+function decodeRecordItems(view, start, end, catDef, decMap, { strict = false, checks, dissect = false, dissectors } = {}) {
+    const { bytes: fsBytes, endOffset: diStart, bits: fsBits } = parseFSPEC(view, start, end);
 
     const items = {};
     const rawItems = {};
+    const diagnostics = [];
+    const dissected = [];
     let cur = diStart;
-
-    if (!uap) {
-        // Unknown category: keep payload raw
-        rawItems._unknownCategoryPayload = toHex(view, diStart, end - diStart);
-        return {
-            record: {
-                category: cat,
-                length: len,
-                fspec_hex: toHex(fsBytes, 0, fsBytes.length),
-                items,
-                rawItems,
-            },
-            nextOffset: end,
-        };
-    }
+    let complete = true;
+    let { name: uapName, uap } = resolveUap(catDef, items);
+    const stop = (code, message, itemId, error) => {
+        diagnostics.push({ code, message, offset: cur, itemId, error });
+        complete = false;
+    };
 
     // Iterate FSPEC bits; for each bit==1, decode the corresponding UAP item
-    const decMap = DECODERS[cat] || {};
     for (let i = 0; i < fsBits.length; i++) {
         if (fsBits[i] !== 1) continue;
         const itemId = uap[i]; // may be undefined if FSPEC longer than our UAP
         if (!itemId) {
-            // Unknown bit position—raw eat until end? That's unsafe. Store a flag and break.
-            rawItems._excessFSPECBit = true;
+            // Unknown bit position: its length is unknown, so nothing after it can be placed
+            const message = `FSPEC bit for FRN ${i + 1} is beyond the UAP`;
+            stop("excess-fspec-bit", message, null, new AsterixUnknownItemError(message, view, cur));
             break;
         }
         const decoder = decMap[itemId];
         if (!decoder) {
-            // No decoder: best effort—assume 1-octet length prefixed? That's not safe either.
-            // Instead, we can't infer length without spec: capture the remaining bytes as raw
-            // but that would swallow subsequent items. Safer choice: mark unknown and stop to
-            // avoid corrupt alignment.
-            rawItems[itemId] = { note: "No decoder; parsing stopped to avoid misalignment." };
-            // You can choose to break or continue. Breaking minimizes cascading errors.
+            // No decoder: we can't infer the item length without the spec, and guessing
+            // would swallow subsequent items. Stop to avoid corrupt alignment.
+            const message = `No decoder for ${itemId}; parsing stopped to avoid misalignment`;
+            stop("no-decoder", message, itemId, new AsterixUnknownItemError(message, view, cur));
             break;
         }
 
-        // Check if we have enough bytes left before trying to decode
         try {
             const { value, length } = decoder(view, cur);
-            items[itemId] = value;
-            cur += length;
-            if (cur > end) {
-                // Instead of throwing, log the issue and stop parsing further items
-                rawItems._overflowItem = itemId;
-                cur = end; // Reset to end to avoid further processing
+            if (cur + length > end) {
+                // Claims more bytes than the data block has left: drop the value and stop here
+                const error = new AsterixTruncationError(`data block in ${itemId}`, view, cur);
+                stop("item-overflow", `${itemId} runs past the end of the data block`, itemId, error);
                 break;
             }
+            items[itemId] = value;
+            if (strict) {
+                const at = cur;
+                checkItem(view, at, itemId, value, checks, (code, message) => diagnostics.push({ code, message, offset: at, itemId }));
+            }
+            if (dissect) dissected.push(dissectItem(view, cur, length, itemId, i + 1, dissectors));
+            cur += length;
+            // Items decoded so far may switch the UAP for the remaining FRNs
+            if (catDef.selectUap) ({ name: uapName, uap } = resolveUap(catDef, items));
         } catch (err) {
-            // Handle any errors in decoders (like truncated data)
-            rawItems._errorItem = { itemId, error: err.message };
+            // Decoder failures (like truncated data); anything untyped is wrapped
+            const error = err instanceof AsterixError ? err : new AsterixError(err.message, view, cur, { itemId });
+            stop("item-error", err.message, itemId, error);
             break;
         }
     }
 
-    // If remaining bytes exist (e.g., because not all FSPEC bits consumed), keep as raw tail
-    if (cur < end) {
-        rawItems._tail = toHex(view, cur, end - cur);
+    if (strict && complete && fsBits.includes(1)) {
+        for (const itemId of catDef.mandatory || []) {
+            if (!(itemId in items)) {
+                diagnostics.push({ code: "missing-mandatory", message: `Mandatory ${itemId} is missing`, offset: start, itemId });
+            }
+        }
     }
 
-    return {
-        record: {
-            category: cat,
-            length: len,
-            fspec_hex: toHex(fsBytes, 0, fsBytes.length),
-            items,
-            rawItems,
-        },
-        nextOffset: end,
-    };
+    const dissection = dissect
+        ? { offset: start, length: cur - start, hex: toHex(view, start, cur - start), fspec: dissectFspec(fsBytes, start, uap), items: dissected }
+        : undefined;
+    return { fsBytes, items, rawItems, diagnostics, uapName, nextOffset: cur, complete, dissection };
 }
 
 /**
- * Parse an entire buffer containing 0..N ASTERIX records.
- * Returns array of records. Stops on first structural error.
+ * Pick the UAP for a record. Categories with a single `uap` array always use it;
+ * categories with `uaps` variants ask `selectUap(items)` (items decoded so far)
+ * and fall back to `defaultUap`.
+ * Returns { name, uap }.
  */
-function* parseAsterixStream(buffer) {
+function resolveUap(catDef, items) {
+    if (!catDef.uaps) return { name: null, uap: catDef.uap };
+    const name = (catDef.selectUap && catDef.selectUap(items)) || catDef.defaultUap;
+    return { name, uap: catDef.uaps[name] };
+}
+
+/** "sac/sic" of a record from I0xx/010 (FRN 1 in every UAP), or null if absent. */
+function peekSource(view, start, end) {
+    const { endOffset, bits } = parseFSPEC(view, start, end);
+    if (bits[0] !== 1 || endOffset + 2 > end) return null;
+    return `${view[endOffset]}/${view[endOffset + 1]}`;
+}
+
+/**
+ * Pick the category edition for the record at `start`:
+ *   1. opts.sourceEditions["<sac>/<sic>"][cat] – per data source
+ *   2. opts.editions[cat]                      – per stream
+ *   3. the active CATEGORY_DEFS / DECODERS entry
+ * Returns { def, decoders, checks, dissectors, edition }; `def` is undefined for
+ * unknown categories, `checks` (strict-mode item checks) and `dissectors` for
+ * built-in editions.
+ */
+function selectEdition(cat, view, start, end, opts) {
+    let edition = opts.editions && opts.editions[cat];
+    if (opts.sourceEditions) {
+        const source = peekSource(view, start, end);
+        const mapped = source && opts.sourceEditions[source] && opts.sourceEditions[source][cat];
+        if (mapped) edition = mapped;
+    }
+    if (!edition) {
+        const def = CATEGORY_DEFS[cat];
+        const active = def && CATEGORY_EDITIONS[cat] && CATEGORY_EDITIONS[cat][def.edition];
+        const { checks, dissectors } = active || {};
+        return { def, decoders: DECODERS[cat] || {}, checks, dissectors, edition: def && def.edition };
+    }
+    const entry = CATEGORY_EDITIONS[cat] && CATEGORY_EDITIONS[cat][edition];
+    if (!entry) throw new Error(`CAT${String(cat).padStart(3, "0")} edition ${edition} is not registered`);
+    return { def: entry.def, decoders: entry.decoders || {}, checks: entry.checks, dissectors: entry.dissectors, edition };
+}
+
+/**
+ * Strict check of a block's LEN against the bytes its records take, as a
+ * "length-mismatch" diagnostic or null. `used` is where the last record with
+ * items ends (records with an empty FSPEC only pad), `stopped` the diagnostic
+ * that stopped decoding, if any: an item cut short means LEN ends inside it.
+ */
+function checkBlockLength(len, offset, used, stopped) {
+    if (stopped) {
+        if (!(stopped.error instanceof AsterixTruncationError)) return null; // length unknown past this point
+        return { code: "length-mismatch", message: `LEN ${len} ends inside ${stopped.itemId}`, offset: stopped.offset, itemId: stopped.itemId };
+    }
+    if (used === offset + len) return null;
+    return { code: "length-mismatch", message: `LEN ${len} leaves ${offset + len - used} byte(s) after the last record`, offset: used, itemId: null };
+}
+
+/** True when view[from, to) is all zero: an empty FSPEC padding out the block. */
+function isPadding(view, from, to) {
+    for (let i = from; i < to; i++) if (view[i] !== 0) return false;
+    return true;
+}
+
+/**
+ * Parse a single ASTERIX data block at `offset`.
+ * Returns { records, nextOffset }.
+ *
+ * Data block layout (Eurocontrol standard):
+ *   CAT (1B), LEN (2B), then one or more records of FSPEC + Data Items,
+ *   repeated until LEN is consumed. Zero octets after the last record are
+ *   padding and make no record (strict mode reports them as "length-mismatch").
+ * Some feeds reverse CAT/LEN; this expects CAT first (most common).
+ *
+ * Every record is tagged with `blockIndex` (passed in by the caller),
+ * `recordIndex` (position inside the block) and `offset` (absolute byte
+ * offset of its FSPEC). `length` is the LEN of the enclosing block.
+ * Records of categories with several UAP variants also carry `uap`, and
+ * records of known categories carry the `edition` they were decoded with.
+ * Records whose decoding stopped early carry `diagnostics` (see decodeRecordItems).
+ * Structural errors are thrown as AsterixTruncationError ("Truncated header",
+ * "Truncated record body", "Truncated FSPEC"); these and the errors in
+ * `diagnostics` are completed with the category and record index.
+ *
+ * `opts` selects editions (see selectEdition):
+ *   { editions: { 48: "1.31" }, sourceEditions: { "12/34": { 48: "1.21" } } }
+ * and `opts.strict` turns on spec-conformance checks, reported in `diagnostics`
+ * next to the decoding problems (see decodeRecordItems); a LEN that doesn't
+ * match the records is reported on the last one. Off by default, as
+ * it costs a second walk over every item. So does `opts.dissect`, which tags
+ * every record with its `dissection` (byte and bit positions of the FSPEC,
+ * items and fields; see decodeRecordItems and dissect.js for a listing).
+ */
+function parseDataBlock(view, offset, blockIndex = 0, opts = {}) {
+    if (offset + 3 > view.length) {
+        throw new AsterixTruncationError("header", view, offset, { category: offset < view.length ? view[offset] : null });
+    }
+
+    const cat = view[offset];
+    const len = readU16BE(view, offset + 1);
+    const end = offset + len;
+    if (end > view.length) throw new AsterixTruncationError("record body", view, offset, { category: cat });
+
+    const tag = (recordIndex, recOffset, fsBytes, items, rawItems, uapName = null, edition = null, diagnostics = [], dissection = undefined) => ({
+        category: cat,
+        length: len,
+        blockIndex,
+        recordIndex,
+        offset: recOffset,
+        ...(edition ? { edition } : {}),
+        ...(uapName ? { uap: uapName } : {}),
+        fspec_hex: toHex(fsBytes, 0, fsBytes.length),
+        items,
+        rawItems,
+        ...(diagnostics.length ? { diagnostics } : {}),
+        ...(dissection ? { dissection } : {}),
+    });
+
+    // Decoders see the data up to LEN only: an item can't borrow bytes from the next block
+    const blockView = view.subarray(0, end);
+    const records = [];
+    let cur = offset + 3;
+    let used = cur;
+    let stopped = null;
+    let known = true;
+    try {
+        do {
+            const recOffset = cur;
+            const { def: catDef, decoders: decMap, checks, dissectors, edition } = selectEdition(cat, view, cur, end, opts);
+            if (!catDef) {
+                // Unknown category: record boundaries can't be found, keep payload raw
+                const { bytes: fsBytes, endOffset: diStart } = parseFSPEC(view, cur, end);
+                const rawItems = { _unknownCategoryPayload: toHex(view, diStart, end - diStart) };
+                records.push(tag(records.length, recOffset, fsBytes, {}, rawItems));
+                known = false;
+                break;
+            }
+
+            const { fsBytes, items, rawItems, diagnostics, uapName, nextOffset, complete, dissection } = decodeRecordItems(
+                blockView, cur, end, catDef, decMap, { strict: Boolean(opts.strict), checks, dissect: Boolean(opts.dissect), dissectors },
+            );
+            cur = nextOffset;
+            if (fsBytes.some((b) => b & 0xFE)) used = cur;
+            if (!complete) stopped = diagnostics[diagnostics.length - 1];
+
+            // If decoding stopped early the remaining bytes can't be split into records: keep as raw tail
+            if (!complete && cur < end) {
+                rawItems._tail = toHex(view, cur, end - cur);
+                cur = end;
+            }
+            for (const d of diagnostics) if (d.error) d.error.locate({ category: cat, recordIndex: records.length });
+            records.push(tag(records.length, recOffset, fsBytes, items, rawItems, uapName, edition, diagnostics, dissection));
+        } while (cur < end && !isPadding(view, cur, end));
+    } catch (err) {
+        if (err instanceof AsterixError) err.locate({ category: cat, recordIndex: records.length });
+        throw err;
+    }
+
+    const mismatch = opts.strict && known ? checkBlockLength(len, offset, used, stopped) : null;
+    if (mismatch) {
+        const last = records[records.length - 1];
+        last.diagnostics = [...(last.diagnostics || []), mismatch];
+    }
+    return { records, nextOffset: end };
+}
+
+/**
+ * Parse the data block at `offset` and return its first record.
+ * Returns { record, records, nextOffset }; `records` holds every record
+ * of the block (see parseDataBlock, also for `opts`).
+ */
+function parseRecord(view, offset, blockIndex = 0, opts = {}) {
+    const { records, nextOffset } = parseDataBlock(view, offset, blockIndex, opts);
+    return { record: records[0], records, nextOffset };
+}
+
+/** True if a data block of a known category plausibly starts at `off` (see findNextBlock). */
+function plausibleBlock(view, off, partial) {
+    const known = (cat) => CATEGORY_DEFS[cat] || CATEGORY_EDITIONS[cat];
+    if (!known(view[off])) return false;
+    const len = readU16BE(view, off + 1);
+    if (len < 4) return false;
+    const end = off + len;
+
+    // The FSPEC has to end inside the block
+    let fs = off + 3;
+    while (fs < end && fs < view.length && view[fs] & 0x01) fs++;
+    if (fs >= view.length) return partial;
+    if (fs >= end) return false;
+
+    if (end > view.length) return partial;
+    // ...and be followed by another plausible header, if a whole one follows
+    if (end + 3 > view.length) return true;
+    const nextLen = readU16BE(view, end + 1);
+    return Boolean(known(view[end])) && nextLen >= 4 && (partial || end + nextLen <= view.length);
+}
+
+/**
+ * Find the first offset at or after `from` where a data block plausibly starts:
+ * a known category, LEN >= 4 fitting the buffer, an FSPEC ending inside the
+ * block, and (unless the buffer ends first) another such header right after it.
+ * With `partial` (more input may follow) checks that need missing bytes pass.
+ * Returns -1 if there is none.
+ */
+function findNextBlock(view, from, { partial = false } = {}) {
+    for (let off = from; off + 3 <= view.length; off++) {
+        if (plausibleBlock(view, off, partial)) return off;
+    }
+    return -1;
+}
+
+/**
+ * Parse an entire buffer containing 0..N ASTERIX data blocks.
+ * Yields every record of every block. Stops on first structural error,
+ * unless `opts.resync` is set: then the bytes up to the next plausible block
+ * header are skipped and parsing carries on. Each skip is reported to
+ * `opts.onError({ code: "resync", message, offset, length, skipped })`
+ * (`skipped` is a view of the dropped bytes).
+ *
+ * Returns (as the generator's return value) a summary:
+ *   { blocks, records, resyncs, bytesSkipped, diagnostics: { <code>: count } }
+ * counting resyncs and record diagnostics alike.
+ * `opts` also selects category editions for this stream, `strict` checking
+ * and `dissect` (see parseDataBlock).
+ */
+function* parseAsterixStream(buffer, opts = {}) {
     const view = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const summary = { blocks: 0, records: 0, resyncs: 0, bytesSkipped: 0, diagnostics: {} };
+    const count = (code) => (summary.diagnostics[code] = (summary.diagnostics[code] || 0) + 1);
 
     let off = 0;
+    let blockIndex = 0;
     while (off < view.length) {
-        const { record, nextOffset } = parseRecord(view, off);
-        yield record;
+        let block;
+        try {
+            block = parseDataBlock(view, off, blockIndex, opts);
+        } catch (err) {
+            if (!opts.resync) throw err;
+            const next = findNextBlock(view, off + 1);
+            const to = next < 0 ? view.length : next;
+            summary.resyncs++;
+            summary.bytesSkipped += to - off;
+            count("resync");
+            if (opts.onError) {
+                opts.onError({ code: "resync", message: err.message, offset: off, length: to - off, skipped: view.subarray(off, to) });
+            }
+            off = to;
+            continue;
+        }
 
-        off = nextOffset;
+        blockIndex++;
+        summary.blocks++;
+        summary.records += block.records.length;
+        for (const rec of block.records) (rec.diagnostics || []).forEach((d) => count(d.code));
+        yield* block.records;
+
+        off = block.nextOffset;
     }
 
-    return;
+    return summary;
+}
+
+/**
+ * Summarise ground station / service health from parsed records.
+ * Accepts any iterable of records (e.g. parseAsterixStream output) and keeps
+ * the latest status reported by each source (SAC/SIC) through CAT019 (MLAT
+ * system status), CAT023 (ground station and service status) and CAT025
+ * (ground system status). Other categories are ignored.
+ *
+ * Returns { "<sac>/<sic>": { sac, sic, category, timeOfDay_s, status, healthy,
+ *   services, components, statistics } } where `status` is one of
+ *   "operational" | "degraded" | "NOGO" | "failed" | "maintenance" | "unknown".
+ */
+function stationHealth(records) {
+    const stations = {};
+
+    for (const rec of records) {
+        const it = rec.items || {};
+        const pfx = `I${String(rec.category).padStart(3, "0")}`;
+        const src = it[`${pfx}/010`];
+        if (![19, 23, 25].includes(rec.category) || !src) continue;
+
+        const key = `${src.sac}/${src.sic}`;
+        const st = stations[key] || (stations[key] = {
+            sac: src.sac, sic: src.sic, category: rec.category, timeOfDay_s: null,
+            status: "unknown", healthy: false, services: {}, components: {}, statistics: [],
+        });
+        st.category = rec.category;
+        const tod = it["I019/140"] || it["I023/070"] || it["I025/070"];
+        if (tod) st.timeOfDay_s = tod.seconds;
+
+        if (it["I019/550"]) st.status = it["I019/550"].operationalStatus;
+
+        if (it["I023/100"]) {
+            const gs = it["I023/100"];
+            st.status = gs.nogo ? "NOGO" : (gs.dataProcessorOverload || gs.transmissionSubsystemOverload ||
+                gs.timeSourceInvalid) ? "degraded" : "operational";
+        }
+        if (it["I023/110"] && it["I023/015"]) {
+            const { sid, typeName } = it["I023/015"];
+            st.services[sid] = { type: typeName, status: it["I023/110"].name };
+        }
+
+        if (it["I025/100"]) {
+            const ss = it["I025/100"];
+            st.status = ss.nogo ? "NOGO"
+                : ss.sstatName === "Failed" ? "failed"
+                : ss.sstatName === "Degraded" ? "degraded"
+                : ss.opsName === "Maintenance" ? "maintenance"
+                : ss.sstatName === "Running" ? "operational" : "unknown";
+            if (it["I025/015"] !== undefined) {
+                st.services[it["I025/015"]] = {
+                    designator: it["I025/020"] || null,
+                    status: ss.sstatName,
+                    errors: it["I025/105"] || [],
+                };
+            }
+        }
+        for (const c of it["I025/120"] || []) st.components[c.id] = { state: c.stateName, errorCode: c.errorCode };
+
+        const stats = it["I023/120"] || it["I025/140"];
+        if (stats) st.statistics = stats;
+
+        st.healthy = st.status === "operational";
+    }
+
+    return stations;
+}
+
+// ----------------------------- Category editions -----------------------------
+
+/**
+ * Registered editions per category, side by side:
+ *   CATEGORY_EDITIONS[cat]["1.31"] = { def, decoders, encoders, checks, dissectors }
+ * `def` has the CATEGORY_DEFS shape, `decoders` the DECODERS[cat] shape and
+ * `encoders` (optional) the ENCODERS[cat] shape from encoder.js. `checks`
+ * and `dissectors` (optional) map item ids to the strict-mode
+ * check(view, off, report) and the dissect(view, off) of item-structure
+ * items; without them the built-in layouts apply.
+ * The active edition of a category is whatever CATEGORY_DEFS/DECODERS hold;
+ * the built-in definitions are registered under their `edition`.
+ */
+const CATEGORY_EDITIONS = {};
+
+/**
+ * Register one edition of a category. With `activate`, it also becomes the
+ * definition parseRecord uses for that category.
+ */
+function registerEdition(category, edition, { def, decoders, encoders, checks, dissectors }, { activate = false } = {}) {
+    if (!CATEGORY_EDITIONS[category]) CATEGORY_EDITIONS[category] = {};
+    CATEGORY_EDITIONS[category][edition] = { def, decoders, encoders, checks, dissectors };
+    if (activate) {
+        CATEGORY_DEFS[category] = def;
+        DECODERS[category] = decoders;
+    }
+    return CATEGORY_EDITIONS[category][edition];
+}
+
+for (const [cat, def] of Object.entries(CATEGORY_DEFS)) {
+    registerEdition(Number(cat), def.edition, { def, decoders: DECODERS[cat] });
 }
 
 // ------------------------------ Example usage --------------------------------
@@ -626,8 +3450,16 @@ console.dir(recs, { depth: null });
 // ------------------------------ Exports --------------------------------------
 module.exports = {
     parseAsterixStream,
+    parseDataBlock,
     parseRecord,
+    findNextBlock,
+    stationHealth,
+    registerEdition,
+    rebaseRecord,
     // For extension:
     CATEGORY_DEFS,
     DECODERS,
+    ITEMS,
+    STRUCTURES,
+    CATEGORY_EDITIONS,
 };
@@ -0,0 +1,503 @@
+"use strict";
+
+/**
+ * ASTERIX from Wireshark / tcpdump captures (PCAP and PCAPNG).
+ * - readPcapDatagrams(buffer, opts) yields the UDP datagrams of a capture:
+ *   { frame, timestampMs, sender: { address, port }, destination: { address, port }, payload }
+ * - parsePcap(buffer, opts) parses each datagram payload as ASTERIX data blocks and
+ *   yields records tagged like udp.js records (sender, receivedAt = capture time),
+ *   plus destination and the capture frame number (1-based, as Wireshark shows it)
+ * - parsePcapChunks(source, opts) does the same for chunked input, packet by packet
+ *
+ * Framing: Ethernet (with 802.1Q / QinQ tags), Linux cooked (SLL, SLL2), BSD
+ * loopback and raw IP link types; IPv4 and IPv6 (extension headers skipped),
+ * with fragment reassembly. Packets cut short by the snap length are skipped.
+ *
+ * Filter options, matching either end of the datagram (value or array of values):
+ *  - port, address
+ *  - filter: (datagram) => boolean, applied after the above
+ * parsePcap also takes the parseAsterixStream options (editions, sourceEditions,
+ * resync, onError, strict, dissect) and onMalformed (see parsePcap).
+ */
+
+const { parseAsterixStream } = require("./parser");
+const { ChunkReader } = require("./stream");
+
+const LINKTYPE = {
+    NULL: 0,
+    ETHERNET: 1,
+    RAW: 101,
+    LINUX_SLL: 113,
+    IPV4: 228,
+    IPV6: 229,
+    LINUX_SLL2: 276,
+};
+
+const FRAGMENT_TIMEOUT_MS = 30000;
+const MAX_SNAPLEN = 262144; // the largest snap length tcpdump and Wireshark write
+const MAX_PCAPNG_BLOCK = MAX_SNAPLEN + 65536; // a packet and room for its options
+
+// ------------------------------ Capture files --------------------------------
+
+const dataView = (view) => new DataView(view.buffer, view.byteOffset, view.byteLength);
+
+/** Byte order, timestamp unit and link type from a PCAP file header. */
+function pcapFileHeader(view) {
+    const dv = dataView(view);
+    const magic = dv.getUint32(0, false);
+    const swapped = dv.getUint32(0, true);
+    let little, tsUnit;
+    if (magic === 0xA1B2C3D4 || magic === 0xA1B23C4D) {
+        little = false;
+        tsUnit = magic === 0xA1B23C4D ? 1e-6 : 1e-3; // ns or µs -> ms
+    } else if (swapped === 0xA1B2C3D4 || swapped === 0xA1B23C4D) {
+        little = true;
+        tsUnit = swapped === 0xA1B23C4D ? 1e-6 : 1e-3;
+    } else {
+        throw new Error("Not a PCAP file");
+    }
+    if (view.length < 24) throw new Error("Truncated PCAP header");
+    return { little, tsUnit, linkType: dv.getUint32(20, little) & 0x0FFFFFFF };
+}
+
+/**
+ * Length of the PCAP packet record starting `view`: its 16-byte header and the
+ * captured bytes. A captured length no capture tool writes means a damaged
+ * header, so it is refused before anything is read.
+ */
+function pcapRecordLength(view, { little }) {
+    const inclLen = dataView(view).getUint32(8, little);
+    if (inclLen > MAX_SNAPLEN) throw new Error(`Invalid PCAP packet length ${inclLen}`);
+    return 16 + inclLen;
+}
+
+/** { linkType, timestampMs, data, complete } from one PCAP packet record. */
+function pcapPacket(record, { little, tsUnit, linkType }) {
+    const dv = dataView(record);
+    const inclLen = dv.getUint32(8, little);
+    return {
+        linkType,
+        timestampMs: dv.getUint32(0, little) * 1000 + dv.getUint32(4, little) * tsUnit,
+        data: record.subarray(16, 16 + inclLen),
+        complete: inclLen === dv.getUint32(12, little),
+    };
+}
+
+/** Yield { linkType, timestampMs, data, complete } for every packet of a PCAP file. */
+function* pcapPackets(view) {
+    const header = pcapFileHeader(view);
+    let off = 24;
+    while (off + 16 <= view.length) {
+        const size = pcapRecordLength(view.subarray(off), header);
+        if (off + size > view.length) throw new Error("Truncated PCAP packet");
+        yield pcapPacket(view.subarray(off, off + size), header);
+        off += size;
+    }
+}
+
+/** pcapPackets for a ChunkReader (see stream.js). */
+async function* pcapPacketChunks(reader) {
+    const header = pcapFileHeader(await reader.read(24));
+    while ((await reader.peek(16)).length === 16) {
+        const size = pcapRecordLength(reader.pending, header);
+        const record = await reader.read(size);
+        if (record.length < size) throw new Error("Truncated PCAP packet");
+        yield pcapPacket(record, header);
+    }
+}
+
+/** Timestamp resolution from the if_tsresol option, in ms per tick. */
+function tsResolutionMs(byte) {
+    return (byte & 0x80 ? 2 ** -(byte & 0x7F) : 10 ** -byte) * 1000;
+}
+
+/**
+ * Length of the PCAPNG block starting `view` (at least 12 bytes of it). A
+ * Section Header Block sets the byte order of its section first. Lengths
+ * past MAX_PCAPNG_BLOCK are refused, as pcapRecordLength does.
+ */
+function pcapngBlockLength(view, section) {
+    const dv = dataView(view);
+    if (dv.getUint32(0, section.little) === 0x0A0D0D0A) {
+        const bom = dv.getUint32(8, true);
+        if (bom === 0x1A2B3C4D) section.little = true;
+        else if (bom === 0x4D3C2B1A) section.little = false;
+        else throw new Error("Bad PCAPNG byte-order magic");
+    }
+    const len = dv.getUint32(4, section.little);
+    if (len > MAX_PCAPNG_BLOCK) throw new Error(`Invalid PCAPNG block length ${len}`);
+    return len;
+}
+
+/**
+ * { linkType, timestampMs, data, complete } from one PCAPNG block, or null for
+ * blocks without a packet. `section` ({ little, interfaces }) carries the byte
+ * order and interfaces from block to block.
+ */
+function pcapngPacket(block, section) {
+    const dv = dataView(block);
+    const { little } = section;
+    const type = dv.getUint32(0, little);
+    const len = block.length;
+    const body = 8;
+
+    if (type === 0x0A0D0D0A) {
+        // Section Header Block: new interface list (see pcapngBlockLength for the byte order)
+        section.interfaces = [];
+    } else if (type === 1) {
+        // Interface Description Block: link type, then options (if_tsresol = 9)
+        const iface = { linkType: dv.getUint16(body, little), msPerTick: 1e-3 };
+        let opt = body + 8;
+        while (opt + 4 <= len - 4) {
+            const code = dv.getUint16(opt, little);
+            const optLen = dv.getUint16(opt + 2, little);
+            if (code === 0) break;
+            if (code === 9 && optLen >= 1) iface.msPerTick = tsResolutionMs(block[opt + 4]);
+            opt += 4 + ((optLen + 3) & ~3);
+        }
+        section.interfaces.push(iface);
+    } else if (type === 6) {
+        // Enhanced Packet Block
+        const iface = section.interfaces[dv.getUint32(body, little)];
+        if (!iface) throw new Error("PCAPNG packet refers to an unknown interface");
+        const ticks = dv.getUint32(body + 4, little) * 2 ** 32 + dv.getUint32(body + 8, little);
+        const capLen = dv.getUint32(body + 12, little);
+        const origLen = dv.getUint32(body + 16, little);
+        return {
+            linkType: iface.linkType,
+            timestampMs: ticks * iface.msPerTick,
+            data: block.subarray(body + 20, body + 20 + capLen),
+            complete: capLen === origLen,
+        };
+    } else if (type === 3) {
+        // Simple Packet Block: no timestamp, first interface
+        const iface = section.interfaces[0];
+        if (!iface) throw new Error("PCAPNG packet refers to an unknown interface");
+        const origLen = dv.getUint32(body, little);
+        const capLen = Math.min(origLen, len - 16);
+        return {
+            linkType: iface.linkType,
+            timestampMs: null,
+            data: block.subarray(body + 4, body + 4 + capLen),
+            complete: capLen === origLen,
+        };
+    }
+    return null;
+}
+
+/** Yield { linkType, timestampMs, data, complete } for every packet of a PCAPNG file. */
+function* pcapngPackets(view) {
+    const section = { little: true, interfaces: [] };
+    let off = 0;
+    while (off + 12 <= view.length) {
+        const len = pcapngBlockLength(view.subarray(off), section);
+        if (len < 12 || off + len > view.length) throw new Error("Truncated PCAPNG block");
+        const packet = pcapngPacket(view.subarray(off, off + len), section);
+        if (packet) yield packet;
+        off += len;
+    }
+}
+
+/** pcapngPackets for a ChunkReader (see stream.js). */
+async function* pcapngPacketChunks(reader) {
+    const section = { little: true, interfaces: [] };
+    while ((await reader.peek(12)).length === 12) {
+        const len = pcapngBlockLength(reader.pending, section);
+        const block = len < 12 ? null : await reader.read(len);
+        if (!block || block.length < len) throw new Error("Truncated PCAPNG block");
+        const packet = pcapngPacket(block, section);
+        if (packet) yield packet;
+    }
+}
+
+// ------------------------------- Link / IP -----------------------------------
+
+/** Strip the link layer: returns { ethertype, off } or null for non-IP frames. */
+function linkPayload(linkType, data) {
+    let ethertype, off;
+    switch (linkType) {
+        case LINKTYPE.ETHERNET:
+            if (data.length < 14) return null;
+            ethertype = (data[12] << 8) | data[13];
+            off = 14;
+            break;
+        case LINKTYPE.LINUX_SLL:
+            if (data.length < 16) return null;
+            ethertype = (data[14] << 8) | data[15];
+            off = 16;
+            break;
+        case LINKTYPE.LINUX_SLL2:
+            if (data.length < 20) return null;
+            ethertype = (data[0] << 8) | data[1];
+            off = 20;
+            break;
+        case LINKTYPE.NULL: {
+            // Address family in host byte order: 2 = IPv4; 24, 28, 30 = IPv6 (BSDs)
+            if (data.length < 4) return null;
+            const af = data[0] || data[3];
+            ethertype = af === 2 ? 0x0800 : [24, 28, 30].includes(af) ? 0x86DD : 0;
+            off = 4;
+            break;
+        }
+        case LINKTYPE.RAW:
+        case LINKTYPE.IPV4:
+        case LINKTYPE.IPV6:
+            if (!data.length) return null;
+            ethertype = data[0] >> 4 === 6 ? 0x86DD : 0x0800;
+            off = 0;
+            break;
+        default:
+            return null;
+    }
+    // 802.1Q / 802.1ad / QinQ tags
+    while ((ethertype === 0x8100 || ethertype === 0x88A8 || ethertype === 0x9100) && off + 4 <= data.length) {
+        ethertype = (data[off + 2] << 8) | data[off + 3];
+        off += 4;
+    }
+    return ethertype === 0x0800 || ethertype === 0x86DD ? { ethertype, off } : null;
+}
+
+function ipv4Address(data, off) {
+    return `${data[off]}.${data[off + 1]}.${data[off + 2]}.${data[off + 3]}`;
+}
+
+/** RFC 5952 text form: lower-case hex, longest run of zero groups as "::". */
+function ipv6Address(data, off) {
+    const groups = [];
+    for (let i = 0; i < 8; i++) groups.push((data[off + 2 * i] << 8) | data[off + 2 * i + 1]);
+    let bestStart = -1, bestLen = 1;
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== 0) { i++; continue; }
+        let j = i;
+        while (j < 8 && groups[j] === 0) j++;
+        if (j - i > bestLen) { bestStart = i; bestLen = j - i; }
+        i = j;
+    }
+    const hex = groups.map((g) => g.toString(16));
+    if (bestStart < 0) return hex.join(":");
+    return `${hex.slice(0, bestStart).join(":")}::${hex.slice(bestStart + bestLen).join(":")}`;
+}
+
+/**
+ * Parse an IPv4/IPv6 header. Returns { src, dst, protocol, payload, fragment }
+ * where fragment = { id, offset, more } for fragmented packets, or null.
+ */
+function parseIp(ethertype, data, off) {
+    if (ethertype === 0x0800) {
+        if (off + 20 > data.length) return null;
+        const ihl = (data[off] & 0x0F) * 4;
+        const total = (data[off + 2] << 8) | data[off + 3];
+        const flagsOffset = (data[off + 6] << 8) | data[off + 7];
+        const end = Math.min(off + total, data.length);
+        const more = (flagsOffset & 0x2000) !== 0;
+        const fragOffset = (flagsOffset & 0x1FFF) * 8;
+        return {
+            src: ipv4Address(data, off + 12),
+            dst: ipv4Address(data, off + 16),
+            protocol: data[off + 9],
+            payload: data.subarray(off + ihl, end),
+            fragment: more || fragOffset ? { id: (data[off + 4] << 8) | data[off + 5], offset: fragOffset, more } : null,
+        };
+    }
+
+    if (off + 40 > data.length) return null;
+    const end = Math.min(off + 40 + ((data[off + 4] << 8) | data[off + 5]), data.length);
+    let next = data[off + 6];
+    let cur = off + 40;
+    let fragment = null;
+    // Hop-by-hop (0), routing (43), fragment (44), destination options (60)
+    while ([0, 43, 44, 60].includes(next) && cur + 8 <= end) {
+        const hdrNext = data[cur];
+        if (next === 44) {
+            const fo = (data[cur + 2] << 8) | data[cur + 3];
+            const id = ((data[cur + 4] << 24) | (data[cur + 5] << 16) | (data[cur + 6] << 8) | data[cur + 7]) >>> 0;
+            fragment = { id, offset: fo & 0xFFF8, more: (fo & 0x0001) !== 0 };
+            cur += 8;
+        } else {
+            cur += (data[cur + 1] + 1) * 8;
+        }
+        next = hdrNext;
+    }
+    return {
+        src: ipv6Address(data, off + 8),
+        dst: ipv6Address(data, off + 24),
+        protocol: next,
+        payload: data.subarray(cur, end),
+        fragment,
+    };
+}
+
+/** Collects IP fragments and returns the whole payload once every piece is in. */
+class FragmentReassembler {
+    constructor(timeoutMs = FRAGMENT_TIMEOUT_MS) {
+        this.timeoutMs = timeoutMs;
+        this.pending = new Map(); // key -> { parts, total, firstSeenMs }
+    }
+
+    add(ip, timestampMs) {
+        this.prune(timestampMs);
+        const key = `${ip.src}|${ip.dst}|${ip.protocol}|${ip.fragment.id}`;
+        let entry = this.pending.get(key);
+        if (!entry) {
+            entry = { parts: [], total: null, firstSeenMs: timestampMs };
+            this.pending.set(key, entry);
+        }
+        entry.parts.push({ offset: ip.fragment.offset, data: ip.payload });
+        if (!ip.fragment.more) entry.total = ip.fragment.offset + ip.payload.length;
+        if (entry.total === null) return null;
+
+        entry.parts.sort((a, b) => a.offset - b.offset);
+        let covered = 0;
+        for (const p of entry.parts) {
+            if (p.offset > covered) return null; // hole
+            covered = Math.max(covered, p.offset + p.data.length);
+        }
+        if (covered < entry.total) return null;
+
+        const whole = new Uint8Array(entry.total);
+        for (const p of entry.parts) whole.set(p.data.subarray(0, entry.total - p.offset), p.offset);
+        this.pending.delete(key);
+        return whole;
+    }
+
+    prune(nowMs) {
+        if (nowMs === null) return;
+        for (const [key, entry] of this.pending) {
+            if (entry.firstSeenMs !== null && nowMs - entry.firstSeenMs > this.timeoutMs) this.pending.delete(key);
+        }
+    }
+}
+
+// ------------------------------- Datagrams -----------------------------------
+
+const matches = (value, want) => want === undefined || (Array.isArray(want) ? want.includes(value) : want === value);
+
+const isPcapng = (view) => view[0] === 0x0A && view[1] === 0x0D && view[2] === 0x0D && view[3] === 0x0A;
+
+/**
+ * The UDP datagram in capture frame `frame` if it passes the port / address /
+ * filter options, else null (also for other traffic, and for fragments until
+ * the datagram is complete).
+ */
+function udpDatagram(pkt, frame, fragments, opts) {
+    if (!pkt.complete) return null;
+    const link = linkPayload(pkt.linkType, pkt.data);
+    if (!link) return null;
+    const ip = parseIp(link.ethertype, pkt.data, link.off);
+    if (!ip || ip.protocol !== 17) return null;
+
+    let udp = ip.payload;
+    if (ip.fragment) {
+        udp = fragments.add(ip, pkt.timestampMs);
+        if (!udp) return null;
+    }
+    if (udp.length < 8) return null;
+    const udpLen = (udp[4] << 8) | udp[5];
+    const datagram = {
+        frame,
+        timestampMs: pkt.timestampMs,
+        sender: { address: ip.src, port: (udp[0] << 8) | udp[1] },
+        destination: { address: ip.dst, port: (udp[2] << 8) | udp[3] },
+        payload: udp.subarray(8, udpLen >= 8 ? Math.min(udpLen, udp.length) : udp.length),
+    };
+
+    const { sender: s, destination: d } = datagram;
+    if (opts.port !== undefined && !matches(s.port, opts.port) && !matches(d.port, opts.port)) return null;
+    if (opts.address !== undefined && !matches(s.address, opts.address) && !matches(d.address, opts.address)) return null;
+    if (opts.filter && !opts.filter(datagram)) return null;
+    return datagram;
+}
+
+/**
+ * Walk a PCAP or PCAPNG capture and yield its UDP datagrams (reassembled when
+ * fragmented) that pass the port / address / filter options.
+ */
+function* readPcapDatagrams(buffer, opts = {}) {
+    const view = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (view.length < 4) throw new Error("Truncated capture header");
+    const packets = isPcapng(view) ? pcapngPackets(view) : pcapPackets(view);
+    const fragments = new FragmentReassembler(opts.fragmentTimeoutMs);
+
+    let frame = 0;
+    for (const pkt of packets) {
+        const datagram = udpDatagram(pkt, ++frame, fragments, opts);
+        if (datagram) yield datagram;
+    }
+}
+
+/** readPcapDatagrams for a ChunkReader (see stream.js). */
+async function* readPcapDatagramChunks(reader, opts) {
+    const head = await reader.peek(4);
+    if (head.length < 4) throw new Error("Truncated capture header");
+    const packets = isPcapng(head) ? pcapngPacketChunks(reader) : pcapPacketChunks(reader);
+    const fragments = new FragmentReassembler(opts.fragmentTimeoutMs);
+
+    let frame = 0;
+    for await (const pkt of packets) {
+        const datagram = udpDatagram(pkt, ++frame, fragments, opts);
+        if (datagram) yield datagram;
+    }
+}
+
+/** The records of one datagram, tagged with where it came from (see parsePcap). */
+function* datagramRecords(dg, opts, counts) {
+    const { onError, onMalformed } = opts;
+    const receivedAt = dg.timestampMs !== null ? new Date(dg.timestampMs).toISOString() : null;
+    const records = [];
+    const parseOpts = { ...opts, onError: onError && ((e) => onError({ ...e, frame: dg.frame })) };
+    counts.datagrams++;
+    try {
+        for (const rec of parseAsterixStream(dg.payload, parseOpts)) records.push(rec);
+    } catch (error) {
+        counts.malformed++;
+        if (onMalformed) onMalformed({ error, frame: dg.frame, sender: dg.sender, destination: dg.destination, data: dg.payload });
+    }
+    counts.records += records.length;
+    for (const rec of records) {
+        rec.frame = dg.frame;
+        rec.sender = dg.sender;
+        rec.destination = dg.destination;
+        rec.receivedAt = receivedAt;
+        yield rec;
+    }
+}
+
+/**
+ * Parse the ASTERIX carried in a capture. Each datagram is parsed on its own;
+ * records get sender, destination, receivedAt (capture time, ISO) and frame.
+ * A datagram that fails to parse (other UDP traffic, or a damaged one) does
+ * not end the capture: its records up to the error are still yielded and it
+ * is reported to opts.onMalformed({ error, frame, sender, destination, data }),
+ * like the "malformed" event of udp.js. `opts` go on to parseAsterixStream;
+ * resync skips reported to opts.onError also carry the frame.
+ * Returns (as the generator's return value) { datagrams, records, malformed }.
+ */
+function* parsePcap(buffer, opts = {}) {
+    const counts = { datagrams: 0, records: 0, malformed: 0 };
+    for (const dg of readPcapDatagrams(buffer, opts)) yield* datagramRecords(dg, opts, counts);
+    return counts;
+}
+
+/**
+ * parsePcap for chunked input (see parseAsterixChunks in stream.js): `source`
+ * is an iterable or async iterable of chunks, read packet by packet, so
+ * captures too large to hold and captures piped in (tcpdump -w -) work too.
+ */
+async function* parsePcapChunks(source, opts = {}) {
+    const counts = { datagrams: 0, records: 0, malformed: 0 };
+    const reader = new ChunkReader(source);
+    try {
+        for await (const dg of readPcapDatagramChunks(reader, opts)) yield* datagramRecords(dg, opts, counts);
+    } finally {
+        await reader.close();
+    }
+    return counts;
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    readPcapDatagrams,
+    parsePcap,
+    parsePcapChunks,
+    LINKTYPE,
+};
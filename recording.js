@@ -0,0 +1,308 @@
+"use strict";
+
+/**
+ * ASTERIX recording containers. Each wrapped unit carries one or more data blocks;
+ * readers strip the wrapper and keep its channel and recording time.
+ *
+ * Layouts (multi-octet fields big endian unless noted):
+ *  - raw:   concatenated data blocks, no wrapper
+ *  - final: LEN (2, whole unit) | board (1) | line (1) | day (1) | time (3, 10 ms since midnight)
+ *           | blocks | padding A5 A5 A5 A5
+ *  - ioss:  LEN (2, little endian, whole unit) | line (1) | flags (1)
+ *           | time (4, little endian, ms since midnight) | blocks
+ *  - rff:   LEN (4, whole unit) | board (1) | line (1) | time (4, ms since midnight) | blocks
+ *  - hdlc:  7E-delimited frames, 7D byte stuffing: address (1) | control (1) | blocks
+ *           | FCS (2, CRC-16/X.25, little endian); no channel or time
+ * Other site variants can be added with registerRecordingFormat().
+ *
+ * parseRecording(buffer, { format = "auto" }) yields records with
+ *   recording: { format, board, line, day, timeOfDay_s } (null where the format has none)
+ * and `offset` / `blockIndex` counted over the whole file (also the offsets
+ * of diagnostics, AsterixErrors, resync skips and dissections). HDLC byte
+ * stuffing moves the data around in the file: there an offset is where the
+ * byte sits in the file (its 7D escape, if stuffed), while lengths still count
+ * unstuffed bytes, so an HDLC record can't be cut out of the file by them; take
+ * it from the unit's `data` (see readRecording and `onUnit`).
+ * parseRecordingChunks does the same for chunked input (files too large to
+ * hold, pipes).
+ */
+
+const { parseAsterixStream, rebaseRecord } = require("./parser");
+const { ChunkReader, parseAsterixChunks } = require("./stream");
+const { AsterixError } = require("./errors");
+
+const DETECT_UNITS = 8;
+const DETECT_BYTES = 65536; // chunked input: the most bytes format detection waits for
+
+const u16le = (v, o) => v[o] | (v[o + 1] << 8);
+const u16be = (v, o) => (v[o] << 8) | v[o + 1];
+const u24be = (v, o) => (v[o] << 16) | (v[o + 1] << 8) | v[o + 2];
+const u32be = (v, o) => ((v[o] << 24) | (v[o + 1] << 16) | (v[o + 2] << 8) | v[o + 3]) >>> 0;
+const u32le = (v, o) => ((v[o + 3] << 24) | (v[o + 2] << 16) | (v[o + 1] << 8) | v[o]) >>> 0;
+
+// ------------------------------ Format table ---------------------------------
+
+/**
+ * Length-prefixed formats: { header, trailer, size(view, off) -> whole unit
+ * length, fields(view, off) -> { board, line, day, timeOfDay_s } }.
+ */
+const RECORDING_FORMATS = {
+    final: {
+        header: 8,
+        trailer: [0xA5, 0xA5, 0xA5, 0xA5],
+        size: (v, o) => u16be(v, o),
+        fields: (v, o) => ({ board: v[o + 2], line: v[o + 3], day: v[o + 4], timeOfDay_s: u24be(v, o + 5) / 100 }),
+    },
+    ioss: {
+        header: 8,
+        trailer: [],
+        size: (v, o) => u16le(v, o),
+        fields: (v, o) => ({ board: null, line: v[o + 2], day: null, timeOfDay_s: u32le(v, o + 4) / 1000 }),
+    },
+    rff: {
+        header: 10,
+        trailer: [],
+        size: (v, o) => u32be(v, o),
+        fields: (v, o) => ({ board: v[o + 4], line: v[o + 5], day: null, timeOfDay_s: u32be(v, o + 6) / 1000 }),
+    },
+};
+
+/** Add or replace a length-prefixed format (same shape as the RECORDING_FORMATS entries). */
+function registerRecordingFormat(name, format) {
+    RECORDING_FORMATS[name] = { trailer: [], ...format };
+}
+
+const NO_CHANNEL = { board: null, line: null, day: null, timeOfDay_s: null };
+
+// -------------------------------- Readers ------------------------------------
+
+/** True when `data` is exactly a sequence of data blocks. */
+function isBlockSequence(data) {
+    let off = 0;
+    while (off + 3 <= data.length) {
+        const len = u16be(data, off + 1);
+        if (len < 4) return false; // CAT, LEN and at least one FSPEC octet
+        off += len;
+    }
+    return off === data.length && data.length > 0;
+}
+
+function* readRaw(view) {
+    yield { offset: 0, data: view, ...NO_CHANNEL };
+}
+
+function* readLengthPrefixed(view, name, base) {
+    const fmt = RECORDING_FORMATS[name];
+    let off = 0;
+    while (off < view.length) {
+        if (off + fmt.header > view.length) throw new Error(`Truncated ${name} header at byte ${base + off}`);
+        const size = fmt.size(view, off);
+        const dataEnd = off + size - fmt.trailer.length;
+        if (dataEnd < off + fmt.header) throw new Error(`Invalid ${name} length ${size} at byte ${base + off}`);
+        if (off + size > view.length) throw new Error(`Truncated ${name} unit at byte ${base + off}`);
+        if (fmt.trailer.some((b, i) => view[dataEnd + i] !== b)) throw new Error(`Bad ${name} padding at byte ${base + dataEnd}`);
+        yield { offset: base + off + fmt.header, data: view.subarray(off + fmt.header, dataEnd), ...fmt.fields(view, off) };
+        off += size;
+    }
+}
+
+/** CRC-16/X.25 (HDLC FCS). */
+function fcs16(bytes) {
+    let crc = 0xFFFF;
+    for (const b of bytes) {
+        crc ^= b;
+        for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+    }
+    return ~crc & 0xFFFF;
+}
+
+function* readHdlc(view, base) {
+    let off = 0;
+    while (off < view.length) {
+        if (view[off] !== 0x7E) throw new Error(`Expected HDLC flag at byte ${base + off}`);
+        while (off < view.length && view[off] === 0x7E) off++; // shared / idle flags
+        if (off >= view.length) break;
+
+        const start = off;
+        const frame = [];
+        const positions = []; // file offset of every frame byte
+        while (off < view.length && view[off] !== 0x7E) {
+            positions.push(base + off);
+            frame.push(view[off] === 0x7D && off + 1 < view.length ? view[++off] ^ 0x20 : view[off]);
+            off++;
+        }
+        if (off >= view.length) throw new Error(`Truncated HDLC frame at byte ${base + start}`);
+        if (frame.length < 5) throw new Error(`Short HDLC frame at byte ${base + start}`);
+        const body = frame.slice(0, -2);
+        if (fcs16(body) !== (frame[frame.length - 2] | (frame[frame.length - 1] << 8))) {
+            throw new Error(`Bad HDLC FCS at byte ${base + start}`);
+        }
+        // Data starts after address and control, and runs up to the FCS
+        const dataPositions = positions.slice(2, frame.length - 1);
+        yield { offset: dataPositions[0], positions: dataPositions, data: Uint8Array.from(body.slice(2)), ...NO_CHANNEL };
+    }
+}
+
+/** The units of `view`, which starts at byte `base` of the recording. */
+function readUnits(view, format, base = 0) {
+    if (format === "raw") return readRaw(view);
+    if (format === "hdlc") return readHdlc(view, base);
+    if (!RECORDING_FORMATS[format]) throw new Error(`Unknown recording format ${format}`);
+    return readLengthPrefixed(view, format, base);
+}
+
+/**
+ * Cut the next whole unit, wrapper and all, off `reader` (see stream.js) for
+ * readUnits; null at the end of the input. Damaged units are cut short and
+ * left for readUnits to report.
+ */
+async function nextUnit(reader, format) {
+    if (!(await reader.peek(1)).length) return null;
+    if (format === "hdlc") {
+        // Up to the flag closing the frame, which may open the next one as well
+        let from = 0;
+        while ((await reader.peek(from + 1))[from] === 0x7E) from++;
+        const end = await reader.indexOf(0x7E, from);
+        if (end < 0) return reader.read(reader.pending.length);
+        const unit = reader.pending.slice(0, end + 1);
+        await reader.read(end);
+        return unit;
+    }
+    const fmt = RECORDING_FORMATS[format];
+    const header = await reader.peek(fmt.header);
+    return reader.read(header.length < fmt.header ? header.length : Math.max(fmt.size(header, 0), fmt.header));
+}
+
+/**
+ * Guess the format from the first units: the one whose wrappers line up and
+ * hold whole data blocks. Raw wins ties. Returns the name, or null.
+ */
+function detectRecordingFormat(buffer) {
+    const view = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (!view.length) return null;
+
+    // Raw: the first blocks chain up (the file may end inside a later block)
+    let off = 0;
+    let blocks = 0;
+    while (blocks < DETECT_UNITS && off + 3 <= view.length) {
+        const len = u16be(view, off + 1);
+        if (len < 4 || off + len > view.length) break;
+        off += len;
+        blocks++;
+    }
+    if (blocks === DETECT_UNITS || (blocks && off === view.length)) return "raw";
+
+    return ["hdlc", ...Object.keys(RECORDING_FORMATS)].find((format) => framesBlocks(view, format)) || null;
+}
+
+/** True when the first units of `view` (all of them, if fewer) frame whole data blocks. */
+function framesBlocks(view, format) {
+    let units = 0;
+    try {
+        for (const unit of readUnits(view, format)) {
+            if (!isBlockSequence(unit.data)) return false;
+            if (++units === DETECT_UNITS) return true;
+        }
+    } catch {
+        return false;
+    }
+    return units > 0;
+}
+
+/**
+ * Walk a recording and yield its units: { offset, data, board, line, day, timeOfDay_s }.
+ * `offset` is where `data` starts in the file. HDLC units also carry
+ * `positions`, the file offset of every byte of `data` and of the byte after
+ * it, as byte stuffing spreads the data out.
+ * `format` is a format name or "auto".
+ */
+function* readRecording(buffer, { format = "auto" } = {}) {
+    const view = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const name = format === "auto" ? detectRecordingFormat(view) : format;
+    if (!name) throw new Error("Unrecognised recording format");
+    for (const unit of readUnits(view, name)) yield { format: name, ...unit };
+}
+
+/**
+ * Parse the ASTERIX of a recording. Records get `recording` (format and
+ * wrapper fields); `offset` and `blockIndex` run over the whole file.
+ * `opts.onUnit(unit)` sees each unit (see readRecording) just before its
+ * records come out. The other `opts` go on to parseAsterixStream (editions,
+ * resync, onError, strict, dissect).
+ */
+function* parseRecording(buffer, opts = {}) {
+    const { format = "auto" } = opts;
+    let blockBase = 0;
+    for (const unit of readRecording(buffer, { format })) blockBase += yield* unitRecords(unit, opts, blockBase);
+}
+
+/**
+ * parseRecording for chunked input (see parseAsterixChunks in stream.js):
+ * `source` is an iterable or async iterable of chunks, read unit by unit, so
+ * records come out as their unit completes. "auto" detects the format from
+ * the start of the input (at most DETECT_BYTES); raw blocks go on to
+ * parseAsterixChunks.
+ */
+async function* parseRecordingChunks(source, opts = {}) {
+    const { format = "auto" } = opts;
+    const reader = new ChunkReader(source);
+    try {
+        const name = format === "auto" ? await reader.detect(detectRecordingFormat, DETECT_BYTES) : format;
+        if (!name) throw new Error("Unrecognised recording format");
+        if (name === "raw") {
+            const recording = { format: name, ...NO_CHANNEL };
+            for await (const rec of parseAsterixChunks(reader, opts)) yield Object.assign(rec, { recording });
+            return;
+        }
+        if (name !== "hdlc" && !RECORDING_FORMATS[name]) throw new Error(`Unknown recording format ${name}`);
+        let blockBase = 0;
+        for (;;) {
+            const base = reader.offset;
+            const bytes = await nextUnit(reader, name);
+            if (!bytes) break;
+            for (const unit of readUnits(bytes, name, base)) blockBase += yield* unitRecords({ format: name, ...unit }, opts, blockBase);
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+/** The records of one unit, numbering its blocks from `blockBase`; returns how many blocks it held. */
+function* unitRecords(unit, opts, blockBase) {
+    const { onError, onUnit, ...rest } = opts;
+    if (onUnit) onUnit(unit);
+    const recording = {
+        format: unit.format,
+        board: unit.board,
+        line: unit.line,
+        day: unit.day,
+        timeOfDay_s: unit.timeOfDay_s,
+    };
+    // Offsets in `data` -> file offsets
+    const place = unit.positions ? (o) => unit.positions[o] : (o) => o + unit.offset;
+    const parseOpts = { ...rest, onError: onError && ((e) => onError({ ...e, offset: place(e.offset) })) };
+    let lastBlock = -1;
+    try {
+        for (const rec of parseAsterixStream(unit.data, parseOpts)) {
+            lastBlock = rec.blockIndex;
+            rec.blockIndex += blockBase;
+            rebaseRecord(rec, place);
+            rec.recording = recording;
+            yield rec;
+        }
+    } catch (err) {
+        if (err instanceof AsterixError && err.offset !== null) err.offset = place(err.offset);
+        throw err;
+    }
+    return lastBlock + 1;
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    detectRecordingFormat,
+    readRecording,
+    parseRecording,
+    parseRecordingChunks,
+    registerRecordingFormat,
+    RECORDING_FORMATS,
+};
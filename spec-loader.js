@@ -0,0 +1,217 @@
+"use strict";
+
+/**
+ * Category definitions from asterix-specs JSON (https://zoranbosnjak.github.io/asterix-specs/).
+ * - loadCategorySpec(spec) compiles one category edition into a CATEGORY_DEFS
+ *   entry plus matching DECODERS and ENCODERS maps
+ * - registerCategorySpec(spec, { activate }) stores it in CATEGORY_EDITIONS next
+ *   to the other editions of the category; activated, parseRecord uses it
+ *
+ * Accepted subset of the format:
+ * - Basic categories: { number, title, edition: { major, minor }, catalogue, uap },
+ *   optionally wrapped in { contents: ... } and given as object or JSON text
+ * - Variations: Element, Group, Extended (a null item marks each FX bit),
+ *   Repetitive (Regular or Fx), Explicit and Compound
+ * - Contents: Raw, Integer, Table, Quantity (lsb or scaling/fractionalBits),
+ *   String (Ascii, ICAO, Octal) and Bds; context-dependent rules read as Raw
+ * - UAP "uap", or "uaps" with a selector on an item value
+ *
+ * Decoded values:
+ * - Group / Extended / Compound -> object keyed by sub-item name (no spares)
+ * - Quantity -> number in the spec unit; Table -> { value, meaning }
+ * - Raw / Integer -> integer (hex string above 48 bits); String -> string
+ * - Repetitive -> array of elements; Explicit -> { raw } hex
+ */
+
+const { CATEGORY_DEFS, registerEdition } = require("./parser");
+const S = require("./item-structure");
+
+// ------------------------------ Spec primitives ------------------------------
+
+/** Evaluate an asterix-specs number: plain, Integer, Real, Div or Pow. */
+function evalNumber(n) {
+    if (typeof n === "number") return n;
+    switch (n && n.type) {
+        case "Integer":
+        case "Real":
+        case "Float":
+            return n.value;
+        case "Div":
+            return evalNumber(n.numerator) / evalNumber(n.denominator);
+        case "Pow":
+            return evalNumber(n.base) ** evalNumber(n.exponent);
+        default:
+            throw new Error(`Unsupported number in spec: ${JSON.stringify(n)}`);
+    }
+}
+
+function isSigned(content) {
+    const s = content.signedness;
+    return content.signed === true || s === "Signed" || (s && s.type === "Signed");
+}
+
+function isSpare(item) {
+    return item.spare === true || item.type === "Spare";
+}
+
+function contentOf(variation) {
+    if (variation.content) return variation.content;
+    const rule = variation.rule;
+    if (rule && rule.type === "ContextFree") return rule.value;
+    return { type: "Raw" };
+}
+
+function itemId(category, name) {
+    return `I${String(category).padStart(3, "0")}/${name}`;
+}
+
+// --------------------------------- Compiler ----------------------------------
+
+/** Translate a spec variation into an item-structure node. */
+function compileVariation(variation, id) {
+    switch (variation.type) {
+        case "Element":
+            return compileElement(variation.size, contentOf(variation));
+        case "Group":
+            return S.group(compileFields(variation.items, id));
+        case "Extended": {
+            // A null item marks each FX bit
+            const extents = [[]];
+            for (const item of variation.items) {
+                if (item === null) extents.push([]);
+                else extents[extents.length - 1].push(item);
+            }
+            if (!extents[extents.length - 1].length) extents.pop();
+            return S.extended(...extents.map((items) => compileFields(items, id)));
+        }
+        case "Repetitive": {
+            const rep = typeof variation.rep === "number" ? { type: "Regular", size: variation.rep } : variation.rep;
+            const element = compileVariation(variation.variation, id);
+            return rep.type === "Fx" ? S.repetitive(element, { fx: true }) : S.repetitive(element, { repBits: rep.size });
+        }
+        case "Explicit":
+            return S.explicit();
+        case "Compound":
+            return S.compound(
+                variation.items.map((item) => (item && !isSpare(item) ? [item.name, compileVariation(item.variation, id)] : null)),
+                { fspecBits: variation.fspec || 0 }
+            );
+        default:
+            throw new Error(`${id}: unsupported variation ${variation.type}`);
+    }
+}
+
+function compileFields(items, id) {
+    return items.map((item) => {
+        if (isSpare(item)) return S.spare(item.length !== undefined ? item.length : item.size);
+        return [item.name, compileVariation(item.variation, id)];
+    });
+}
+
+function compileElement(size, content) {
+    switch (content.type) {
+        case "Integer":
+            return isSigned(content) ? S.int(size) : S.uint(size);
+        case "Table":
+            return S.table(size, new Map(content.values));
+        case "Quantity": {
+            const lsb = content.lsb !== undefined
+                ? evalNumber(content.lsb)
+                : evalNumber(content.scaling !== undefined ? content.scaling : 1) / 2 ** (content.fractionalBits || 0);
+            return S.scaled(size, lsb, { signed: isSigned(content) });
+        }
+        case "String": {
+            const kind = content.variation || (content.string && content.string.type);
+            return S.string(size, { StringICAO: "icao", StringOctal: "octal" }[kind] || "ascii");
+        }
+        default:
+            // Raw, Bds and anything else the spec marks as opaque
+            return S.raw(size);
+    }
+}
+
+// ---------------------------------- Loader -----------------------------------
+
+function compileUapItems(category, names, catalogue) {
+    return names.map((name) => {
+        if (name === null || name === undefined || name === "-") return null;
+        if (!catalogue.has(name) && name !== "RE" && name !== "SP") {
+            throw new Error(`UAP of CAT${String(category).padStart(3, "0")} refers to unknown item ${name}`);
+        }
+        return itemId(category, name);
+    });
+}
+
+/**
+ * Compile an asterix-specs category definition.
+ * Returns { category, edition: "major.minor", title, def, decoders, encoders, checks, dissectors }
+ * where def/decoders/encoders have the CATEGORY_DEFS, DECODERS and ENCODERS shapes
+ * and `checks` / `dissectors` hold the strict-mode item checks and the item
+ * dissectors (see registerEdition).
+ */
+function loadCategorySpec(spec) {
+    let s = typeof spec === "string" ? JSON.parse(spec) : spec;
+    if (s.contents) s = s.contents;
+    const category = s.number !== undefined ? s.number : s.category;
+    if (!Number.isInteger(category)) throw new Error("Spec has no category number");
+    const edition = `${s.edition.major}.${s.edition.minor}`;
+
+    const catalogue = new Map(s.catalogue.filter((item) => !isSpare(item)).map((item) => [item.name, item]));
+    const decoders = {};
+    const encoders = {};
+    const checks = {};
+    const dissectors = {};
+    const addItem = (name, variation) => {
+        const id = itemId(category, name);
+        const codec = S.item(id, compileVariation(variation, id));
+        decoders[id] = codec.decode;
+        encoders[id] = codec.encode;
+        checks[id] = codec.check;
+        dissectors[id] = codec.dissect;
+    };
+    for (const [name, item] of catalogue) addItem(name, item.variation);
+    for (const name of ["RE", "SP"]) {
+        if (!catalogue.has(name)) addItem(name, { type: "Explicit" });
+    }
+
+    const def = { edition, title: s.title };
+    if (s.uap.type === "uaps") {
+        def.uaps = {};
+        for (const v of s.uap.variations) def.uaps[v.name] = compileUapItems(category, v.items, catalogue);
+        def.defaultUap = s.uap.variations[0].name;
+        const selector = s.uap.selector;
+        if (selector) {
+            const [first, ...path] = selector.item;
+            const selectorId = itemId(category, first);
+            def.selectUap = (items) => {
+                let v = items[selectorId];
+                for (const key of path) v = v && v[key];
+                if (v && typeof v === "object") v = v.value;
+                const hit = selector.cases.find(([value]) => value === v);
+                return hit && hit[1];
+            };
+        }
+    } else {
+        def.uap = compileUapItems(category, s.uap.items, catalogue);
+    }
+
+    return { category, edition, title: s.title, def, decoders, encoders, checks, dissectors };
+}
+
+/**
+ * Load a spec and register it in CATEGORY_EDITIONS. `activate` makes it the
+ * edition parseRecord uses; by default only categories without a definition
+ * are activated, so loading an extra edition never replaces the current one.
+ */
+function registerCategorySpec(spec, { activate } = {}) {
+    const loaded = loadCategorySpec(spec);
+    const on = activate !== undefined ? activate : !CATEGORY_DEFS[loaded.category];
+    registerEdition(loaded.category, loaded.edition, loaded, { activate: on });
+    return loaded;
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    loadCategorySpec,
+    registerCategorySpec,
+};
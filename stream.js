@@ -0,0 +1,327 @@
+"use strict";
+
+/**
+ * Incremental ASTERIX parsing for chunked input (TCP feeds, large recordings).
+ * - AsterixParserStream: Node Transform, bytes in -> decoded records out (object mode)
+ * - parseAsterixChunks(source, opts): async generator over any (async) iterable of chunks
+ * - ChunkReader: pulls a chunked input unit by unit, for the wrapped formats of
+ *   pcap.js and recording.js
+ *
+ * Data blocks split across chunks are buffered until their LEN octets have arrived.
+ * Record `offset`s count from the first byte of the input, so a record can be found
+ * again in the capture; block indices run over the whole input as well.
+ * `opts` selects category editions as for parseAsterixStream, and `resync` /
+ * `onError` skip over damaged input the same way (offsets counted from the
+ * start of the input); `summary` has the parseAsterixStream summary shape.
+ * A damaged LEN is only noticed once that many bytes have arrived (or the input ends).
+ * Errors (AsterixError, see errors.js) carry input offsets as well.
+ */
+
+const { Transform } = require("node:stream");
+const { parseDataBlock, findNextBlock, rebaseRecord } = require("./parser");
+const { AsterixError, AsterixTruncationError } = require("./errors");
+
+// ------------------------------ Block assembly -------------------------------
+
+/** Collects chunks and hands out complete data blocks. */
+class BlockAssembler {
+    constructor(opts = {}) {
+        const { resync = false, onError = null, ...parseOpts } = opts;
+        this.opts = parseOpts;
+        this.resync = resync;
+        this.onError = onError;
+        this.pending = new Uint8Array(0);
+        this.bytesConsumed = 0; // input offset of pending[0]
+        this.blockIndex = 0;
+        this.lost = null; // { offset, message, parts } while hunting for the next block header
+        this.summary = { blocks: 0, records: 0, resyncs: 0, bytesSkipped: 0, diagnostics: {} };
+    }
+
+    count(code) {
+        this.summary.diagnostics[code] = (this.summary.diagnostics[code] || 0) + 1;
+    }
+
+    /** Add pending[from, to) to the bytes skipped since the last error. */
+    lose(from, to) {
+        if (to > from) this.lost.parts.push(this.pending.slice(from, to));
+    }
+
+    /** Report the skipped bytes once a header is found (or the input is over). */
+    closeLost() {
+        const { offset, message, parts } = this.lost;
+        this.lost = null;
+        const skipped = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        parts.reduce((at, p) => (skipped.set(p, at), at + p.length), 0);
+        this.summary.resyncs++;
+        this.summary.bytesSkipped += skipped.length;
+        this.count("resync");
+        if (this.onError) this.onError({ code: "resync", message, offset, length: skipped.length, skipped });
+    }
+
+    /** Append a chunk and return the records of every block it completes. */
+    push(chunk) {
+        const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+        if (this.pending.length) {
+            const joined = new Uint8Array(this.pending.length + bytes.length);
+            joined.set(this.pending, 0);
+            joined.set(bytes, this.pending.length);
+            this.pending = joined;
+        } else {
+            this.pending = bytes;
+        }
+        return this.drain(false);
+    }
+
+    /**
+     * Decode the complete blocks in `pending`. At the end of the input (`final`)
+     * the blocks still waiting for bytes are parsed as they are, so a
+     * resynchronising parse ends up with the same records as parseAsterixStream.
+     */
+    drain(final) {
+        const records = [];
+        const size = this.pending.length;
+        let off = 0;
+        while (off < size) {
+            if (this.lost) {
+                // Mid-stream, keep the last two bytes: a header may start in them
+                const next = findNextBlock(this.pending, off, { partial: !final });
+                const to = next >= 0 ? next : final ? size : Math.max(off, size - 2);
+                this.lose(off, to);
+                off = to;
+                if (next < 0 && !final) break;
+                this.closeLost();
+                if (off >= size) break;
+            }
+            if (!final && size - off < 3) break;
+            const len = size - off >= 3 ? (this.pending[off + 1] << 8) | this.pending[off + 2] : 0;
+            if (!final && len >= 3 && size - off < len) break;
+
+            let block;
+            try {
+                if (len < 3 && !final) throw new AsterixError(`Invalid block length ${len} at byte ${this.bytesConsumed + off}`, this.pending, off);
+                block = parseDataBlock(this.pending.subarray(0, Math.min(off + len, size)), off, this.blockIndex, this.opts);
+            } catch (err) {
+                if (err instanceof AsterixError && err.offset !== null) err.offset += this.bytesConsumed;
+                if (!this.resync) throw err;
+                this.lost = { offset: this.bytesConsumed + off, message: err.message, parts: [] };
+                this.lose(off, off + 1);
+                off += 1;
+                continue;
+            }
+
+            const base = this.bytesConsumed;
+            this.blockIndex++;
+            this.summary.blocks++;
+            this.summary.records += block.records.length;
+            for (const rec of block.records) {
+                for (const d of rebaseRecord(rec, base).diagnostics || []) this.count(d.code);
+                records.push(rec);
+            }
+            off += len;
+        }
+
+        // Keep only the unfinished block; copy it so the caller's chunk can be reused
+        this.pending = this.pending.slice(off);
+        this.bytesConsumed += off;
+        return records;
+    }
+
+    /**
+     * Input is over: throw if it ended inside a data block, or, when
+     * resynchronising, return the records left in the pending bytes.
+     */
+    end() {
+        if (!this.resync) {
+            if (this.pending.length) {
+                const left = `${this.pending.length} bytes left`;
+                const err = new AsterixTruncationError(`data block at byte ${this.bytesConsumed} (${left})`, this.pending, 0, {
+                    category: this.pending[0],
+                });
+                err.offset = this.bytesConsumed;
+                throw err;
+            }
+            return [];
+        }
+        const records = this.drain(true);
+        if (this.lost) this.closeLost();
+        return records;
+    }
+}
+
+// ------------------------------- Node stream ---------------------------------
+
+/**
+ * Transform stream: write Buffers / Uint8Arrays, read decoded records.
+ * Backpressure comes from Transform: no further chunk is parsed while the
+ * readable side is above its highWaterMark (in records).
+ *
+ * `bytesConsumed` is the input offset up to which all blocks were decoded
+ * (or skipped); `bytesReceived` counts every byte written so far.
+ * With `resync`, skipped input is also emitted as "resync" events.
+ */
+class AsterixParserStream extends Transform {
+    constructor(opts = {}) {
+        const { highWaterMark = 256, onError, ...parseOpts } = opts;
+        super({ readableObjectMode: true, readableHighWaterMark: highWaterMark });
+        this.assembler = new BlockAssembler({
+            ...parseOpts,
+            onError: (event) => {
+                if (onError) onError(event);
+                this.emit("resync", event);
+            },
+        });
+        this.bytesReceived = 0;
+    }
+
+    get bytesConsumed() {
+        return this.assembler.bytesConsumed;
+    }
+
+    get summary() {
+        return this.assembler.summary;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.bytesReceived += chunk.length;
+        let records;
+        try {
+            records = this.assembler.push(chunk);
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        for (const rec of records) this.push(rec);
+        callback();
+    }
+
+    _flush(callback) {
+        let records;
+        try {
+            records = this.assembler.end();
+        } catch (err) {
+            callback(err);
+            return;
+        }
+        for (const rec of records) this.push(rec);
+        callback();
+    }
+}
+
+// ------------------------------- Chunk reader --------------------------------
+
+/**
+ * Reads wrapped input (recordings, captures) unit by unit from an iterable or
+ * async iterable of chunks, pulling only the chunks a unit needs. `offset` is
+ * the input offset of the next unread byte. Iterating the reader yields the
+ * unread bytes, then the rest of the input, as chunks.
+ */
+class ChunkReader {
+    constructor(source) {
+        this.iterator = source[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+        this.pending = new Uint8Array(0);
+        this.offset = 0;
+        this.done = false;
+    }
+
+    /**
+     * Append the next chunk to `pending`, or as many as it takes to hold `n`
+     * bytes (joined once, not chunk by chunk); false at the end of the input.
+     */
+    async pull(n = 0) {
+        const parts = [];
+        let size = this.pending.length;
+        while (!this.done && (!parts.length || size < n)) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                this.done = true;
+                break;
+            }
+            const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+            parts.push(bytes);
+            size += bytes.length;
+        }
+        if (!parts.length) return false;
+        if (this.pending.length || parts.length > 1) {
+            const joined = new Uint8Array(size);
+            joined.set(this.pending, 0);
+            parts.reduce((at, p) => (joined.set(p, at), at + p.length), this.pending.length);
+            this.pending = joined;
+        } else {
+            this.pending = parts[0];
+        }
+        return true;
+    }
+
+    /** The next `n` bytes (fewer at the end of the input), left unread. */
+    async peek(n) {
+        while (this.pending.length < n && (await this.pull(n)));
+        return this.pending.subarray(0, n);
+    }
+
+    /** The next `n` bytes (fewer at the end of the input). */
+    async read(n) {
+        const bytes = await this.peek(n);
+        this.pending = this.pending.subarray(bytes.length);
+        this.offset += bytes.length;
+        return bytes;
+    }
+
+    /** Position of the first `byte` at or after pending[from], pulling as needed; -1 if the input ends first. */
+    async indexOf(byte, from = 0) {
+        for (;;) {
+            const at = this.pending.indexOf(byte, from);
+            if (at >= 0) return at;
+            from = Math.max(from, this.pending.length);
+            if (!(await this.pull())) return -1;
+        }
+    }
+
+    /**
+     * Pull chunks until `guess(pending)` returns something other than null,
+     * `max` bytes are in or the input ends; returns the last guess.
+     */
+    async detect(guess, max) {
+        for (;;) {
+            const result = guess(this.pending);
+            if (result !== null || this.pending.length >= max || !(await this.pull())) return result;
+        }
+    }
+
+    /** Stop reading: ends the source (e.g. closes the file or socket). */
+    async close() {
+        this.done = true;
+        if (this.iterator.return) await this.iterator.return();
+    }
+
+    async *[Symbol.asyncIterator]() {
+        try {
+            if (this.pending.length) yield this.read(this.pending.length);
+            while (await this.pull()) yield this.read(this.pending.length);
+        } finally {
+            await this.close();
+        }
+    }
+}
+
+// ------------------------------ Async iterator -------------------------------
+
+/**
+ * Parse chunks from an iterable or async iterable (e.g. fs.createReadStream(),
+ * a net.Socket) and yield records as their blocks complete. Chunks are pulled
+ * only as fast as records are consumed. Returns the summary when done.
+ */
+async function* parseAsterixChunks(source, opts = {}) {
+    const assembler = new BlockAssembler(opts);
+    for await (const chunk of source) {
+        yield* assembler.push(chunk);
+    }
+    yield* assembler.end();
+    return assembler.summary;
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    AsterixParserStream,
+    ChunkReader,
+    parseAsterixChunks,
+};
@@ -0,0 +1,178 @@
+"use strict";
+
+/**
+ * ASTERIX over UDP (unicast or multicast).
+ * Each datagram holds one or more complete data blocks and is parsed on its own.
+ *
+ * const src = new AsterixUdpSource({ port: 8600, group: "239.1.2.3", interface: "10.0.0.5" });
+ * src.on("record", (rec) => ...);  // rec.sender = { address, port }, rec.receivedAt = ISO time
+ * await src.start();
+ *
+ * Options:
+ *  - port, address: local bind (address defaults to all interfaces)
+ *  - group, interface: multicast group to join, on the given local interface
+ *  - type: "udp4" | "udp6" (default "udp4"); reuseAddr (default true)
+ *  - editions, sourceEditions, resync, strict, dissect: as for parseAsterixStream
+ *  - headerLength: bytes to skip before the first block (gateway headers)
+ *  - sequence: (datagram) => number | null, a per-sender datagram counter
+ *    (e.g. read from that header); enables loss counting
+ *  - sequenceModulo: counter wrap-around (default 2^32)
+ *  - enrich: enrichAsterix cfg; records are then also emitted as "enriched"
+ *
+ * Events: "listening", "record", "enriched", "malformed" ({ error, sender, data }),
+ * "resync" (a skip inside a datagram, as parseAsterixStream's onError, plus sender),
+ * "error" (socket errors), "close".
+ * A datagram is "malformed" when it fails to parse, when `sequence` throws on
+ * it (its records still come out) or when `enrich` throws on one of its records
+ * (the event then also has the `record`); it is counted once either way.
+ */
+
+const dgram = require("node:dgram");
+const { EventEmitter } = require("node:events");
+const { parseAsterixStream } = require("./parser");
+const { createEnricher } = require("./enricher");
+
+class AsterixUdpSource extends EventEmitter {
+    constructor(opts = {}) {
+        super();
+        this.opts = { type: "udp4", reuseAddr: true, headerLength: 0, sequenceModulo: 2 ** 32, ...opts };
+        const { editions, sourceEditions, resync, strict, dissect } = this.opts;
+        this.parseOpts = { editions, sourceEditions, resync, strict, dissect };
+        this.enrich = this.opts.enrich ? createEnricher(this.opts.enrich) : null;
+        this.socket = null;
+        this.senders = new Map(); // "address:port" -> counters
+    }
+
+    /** Bind (and join the multicast group). Resolves with the bound { address, port }. */
+    start() {
+        const { type, reuseAddr, port = 0, address, group } = this.opts;
+        const socket = dgram.createSocket({ type, reuseAddr });
+        this.socket = socket;
+
+        return new Promise((resolve, reject) => {
+            socket.once("error", reject);
+            socket.bind(port, address, () => {
+                socket.removeListener("error", reject);
+                try {
+                    if (group) socket.addMembership(group, this.opts.interface);
+                } catch (err) {
+                    socket.close();
+                    reject(err);
+                    return;
+                }
+                socket.on("error", (err) => this.emit("error", err));
+                socket.on("message", (msg, rinfo) => this.handleDatagram(msg, rinfo));
+                socket.on("close", () => this.emit("close"));
+                this.emit("listening", socket.address());
+                resolve(socket.address());
+            });
+        });
+    }
+
+    /** Leave the group and close the socket. */
+    stop() {
+        const socket = this.socket;
+        if (!socket) return Promise.resolve();
+        this.socket = null;
+        return new Promise((resolve) => socket.close(resolve));
+    }
+
+    address() {
+        return this.socket ? this.socket.address() : null;
+    }
+
+    /**
+     * Per-sender counters:
+     * { "address:port": { address, port, packets, bytes, records, malformed, lost, outOfOrder, lastSequence } }
+     * `lost` and `outOfOrder` stay null without a `sequence` option.
+     */
+    stats() {
+        const out = {};
+        for (const [key, s] of this.senders) out[key] = { ...s };
+        return out;
+    }
+
+    handleDatagram(msg, rinfo) {
+        const receivedAt = new Date().toISOString();
+        const sender = { address: rinfo.address, port: rinfo.port };
+        const stats = this.senderStats(sender);
+        stats.packets += 1;
+        stats.bytes += msg.length;
+        let failed = false;
+        const malformed = (error, extra) => {
+            if (!failed) stats.malformed += 1;
+            failed = true;
+            this.emit("malformed", { error, sender, data: msg, ...extra });
+        };
+
+        // User callbacks run in the socket's listener: a throw must not end the process
+        if (this.opts.sequence) {
+            let seq = null;
+            try {
+                seq = this.opts.sequence(msg);
+            } catch (error) {
+                malformed(error);
+            }
+            this.countSequence(stats, seq);
+        }
+
+        const records = [];
+        try {
+            const onError = (e) => this.emit("resync", { ...e, sender });
+            for (const rec of parseAsterixStream(msg.subarray(this.opts.headerLength), { ...this.parseOpts, onError })) {
+                records.push(rec);
+            }
+        } catch (error) {
+            // Records decoded before the error are still delivered
+            malformed(error);
+        }
+
+        stats.records += records.length;
+        for (const rec of records) {
+            rec.sender = sender;
+            rec.receivedAt = receivedAt;
+            this.emit("record", rec);
+            if (!this.enrich) continue;
+            let enriched;
+            try {
+                enriched = this.enrich(rec);
+            } catch (error) {
+                malformed(error, { record: rec });
+                continue;
+            }
+            this.emit("enriched", enriched);
+        }
+    }
+
+    senderStats({ address, port }) {
+        const key = `${address}:${port}`;
+        let s = this.senders.get(key);
+        if (!s) {
+            const tracked = this.opts.sequence ? 0 : null;
+            s = { address, port, packets: 0, bytes: 0, records: 0, malformed: 0, lost: tracked, outOfOrder: tracked, lastSequence: null };
+            this.senders.set(key, s);
+        }
+        return s;
+    }
+
+    countSequence(stats, seq) {
+        if (seq === null || seq === undefined) return;
+        const mod = this.opts.sequenceModulo;
+        if (stats.lastSequence !== null) {
+            const step = (((seq - stats.lastSequence) % mod) + mod) % mod;
+            if (step === 0 || step >= mod / 2) {
+                // Duplicate or late datagram: keep the newest counter; a late one was counted as lost
+                stats.outOfOrder += 1;
+                if (step !== 0 && stats.lost > 0) stats.lost -= 1;
+                return;
+            }
+            stats.lost += step - 1;
+        }
+        stats.lastSequence = seq;
+    }
+}
+
+// ------------------------------ Exports --------------------------------------
+module.exports = {
+    AsterixUdpSource,
+};